@@ -1,14 +1,215 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
 import FilterControls from './components/FilterControls';
 import BatchSummaryDisplay from './components/BatchSummaryDisplay';
+import ForecastExplanationPanel from './components/ForecastExplanationPanel';
+import ForecastAccuracyPanel from './components/ForecastAccuracyPanel';
+import ScenarioComparisonPanel from './components/ScenarioComparisonPanel';
+import SensorHealthTable from './components/SensorHealthTable';
 import { useWaterQualityFilters } from './hooks/useWaterQualityFilters';
-import { aggregateSensorData } from './utils/dataAggregator';
-import { generateBatchSummaries } from './utils/batchSummaryGenerator';
-import { generateWaterQualityForecast, forecastCache } from './utils/forecastingEngine';
-import { mockWaterQualityData } from './mockData/waterQualityMockData';
+import { DEFAULT_FORECAST_PARAMETERS } from './utils/forecastingEngine';
+import { ReadingsHash, forecastCache } from './utils/forecastCache';
+import { forecastArchive } from './utils/forecastArchive';
+import { computeClient, isAbortError } from './utils/computeClient';
+import { IncrementalAggregator } from './utils/incrementalAggregator';
+import { formatParameterValue, resolveParameters } from './utils/parameterRegistry';
+import { rateQualityIndex } from './utils/dataAggregator';
+import { DEFAULT_QUALITY_BANDS, resolveIndexConfig, scoreReadings } from './utils/waterQualityIndex';
+import { getBreachThresholds } from './utils/breachProbability';
+import { mockWaterQualityData, sensorInfo } from './mockData/waterQualityMockData';
 import './WaterQualityAPI.css';
 
+/**
+ * Describe a likely quality band breach for the forecast warning banner
+ * @param {Object} breach - Threshold breach from the forecast
+ * @param {string} region - Forecast region ('all_regions' for the overall forecast)
+ * @returns {string} - Warning message
+ */
+const formatBreachWarning = (breach, region) => {
+  const regionName = !region || region === 'all_regions' ? 'Overall quality' : region;
+  const band = breach.band.charAt(0).toUpperCase() + breach.band.slice(1);
+  const weekday = new Date(`${breach.first_likely_date}T00:00:00.000Z`).toLocaleDateString('en-US', {
+    weekday: 'long',
+    timeZone: 'UTC'
+  });
+
+  return `${Math.round(breach.probability * 100)}% chance ${regionName} drops to ${band} by ${weekday}`;
+};
+
+/**
+ * Capitalize a quality rating for display
+ * @param {string} rating - 'excellent', 'good', 'fair' or 'poor'
+ * @returns {string} - e.g. 'Excellent'
+ */
+const formatRating = (rating) => rating.charAt(0).toUpperCase() + rating.slice(1);
+
+// Heading used for the forecast timeline at each step size
+const STEP_TITLES = {
+  hourly: 'Hourly',
+  '6-hourly': '6-Hourly',
+  daily: 'Daily'
+};
+
+/**
+ * Describe the forecast span for headings, e.g. "7-Day" or "48-Hour"
+ * @param {Object} forecast - Quality index forecast
+ * @returns {string} - Span label
+ */
+const formatForecastSpan = (forecast) => {
+  const [count, unit] = (forecast.summary?.forecast_period || '7 days').split(' ');
+  return `${count}-${unit.startsWith('hour') ? 'Hour' : 'Day'}`;
+};
+
+/**
+ * Label a forecast step: the date for daily steps, weekday and hour below that
+ * @param {Object} forecast - Forecast point
+ * @param {string} interval - Forecast step
+ * @returns {string} - Step label
+ */
+const formatStepLabel = (forecast, interval = 'daily') => {
+  if (interval === 'daily') {
+    return new Date(forecast.date).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric'
+    });
+  }
+
+  return new Date(forecast.timestamp).toLocaleString('en-US', {
+    weekday: 'short',
+    hour: 'numeric'
+  });
+};
+
+/**
+ * Score archived forecasts against the latest readings and collect the track record
+ * @param {ForecastArchive} archive - Forecast archive
+ * @param {Array} readings - Latest readings
+ * @param {string|null} region - Region shown, null for all regions
+ * @returns {Object} - {overlay, accuracy} for the accuracy panel
+ */
+const getForecastAccuracy = (archive, readings, region) => {
+  archive.score(readings, { region: region || 'all_regions' });
+
+  return {
+    overlay: archive.getOverlay({ region: region || 'all_regions' }),
+    accuracy: archive.getAccuracyByRegion()
+  };
+};
+
+/**
+ * Compute the aggregates, summaries, sensor health and forecasts shown for a set of readings
+ *
+ * The aggregates and the readings hash are brought up to date incrementally,
+ * so readings new since the last refresh are all that is added. Forecasts still in the
+ * forecast cache for these readings are reused, and everything else is
+ * computed as one compute job, off the main thread where workers are
+ * available. Newly generated quality index forecasts are recorded in the
+ * archive.
+ * @param {Array} readings - Readings to analyze
+ * @param {Object} context - {region, filters, forecastOptions, parameters, parameterDefinitions, qualityIndex,
+ *   scenario, imputation, archive, aggregator, readingsHash, enableForecasting, showForecastExplanation,
+ *   showSensorHealth, sensors, provided}; parameters are the raw parameters to forecast, parameterDefinitions the measured
+ *   parameters to summarize, qualityIndex the resolved index configuration (null to use reported indices),
+ *   sensors the sensor metadata for health checks, and provided holds results the API already sent
+ *   ({forecast, parameterForecasts})
+ * @param {AbortSignal} signal - Signal that cancels the computation
+ * @returns {Promise<Object>} - {aggregated, summaries, health, forecast, parameterForecasts, explanation, scenario}
+ */
+const analyzeReadings = async (readings, context, signal) => {
+  const {
+    region,
+    filters,
+    forecastOptions,
+    parameters,
+    parameterDefinitions,
+    qualityIndex,
+    scenario,
+    imputation,
+    archive,
+    aggregator,
+    readingsHash,
+    enableForecasting,
+    showForecastExplanation,
+    showSensorHealth,
+    sensors,
+    provided = {}
+  } = context;
+  const dataHash = readingsHash.sync(readings);
+
+  // Forecast results, each cached under the filters and options that produced it
+  const forecastJobs = [
+    {
+      name: 'forecast',
+      enabled: enableForecasting && !provided.forecast,
+      cacheParams: { ...filters, ...forecastOptions },
+      task: 'generateWaterQualityForecast',
+      // The archive stays on the main thread; new forecasts are recorded below
+      args: [readings, region, { ...forecastOptions, archive: null }]
+    },
+    {
+      name: 'parameterForecasts',
+      enabled: enableForecasting && parameters.length > 0 && !provided.parameterForecasts,
+      cacheParams: { ...filters, ...forecastOptions, forecastParameters: parameters },
+      task: 'generateMultiParameterForecast',
+      args: [readings, region, { ...forecastOptions, parameters }]
+    },
+    {
+      name: 'explanation',
+      enabled: enableForecasting && showForecastExplanation,
+      cacheParams: { ...filters, ...forecastOptions, explanation: true },
+      task: 'explainForecast',
+      args: [readings, region, forecastOptions]
+    },
+    {
+      name: 'scenario',
+      enabled: enableForecasting && Boolean(scenario),
+      cacheParams: { ...filters, ...forecastOptions, scenario, forecastParameters: parameters },
+      task: 'runForecastScenario',
+      args: [readings, scenario, { region, parameters, forecastOptions }]
+    }
+  ].filter(job => job.enabled);
+
+  const cached = {};
+  const tasks = {
+    summaries: {
+      task: 'generateBatchSummaries',
+      args: [readings, 'daily', { imputation, parameters: parameterDefinitions, wqi: qualityIndex }]
+    }
+  };
+  if (showSensorHealth) {
+    tasks.health = { task: 'assessSensorHealth', args: [readings, { parameters: parameterDefinitions, sensors }] };
+  }
+  forecastJobs.forEach(job => {
+    const hit = forecastCache.get(region, job.cacheParams, { dataHash });
+    if (hit) {
+      cached[job.name] = hit;
+    } else {
+      tasks[job.name] = { task: job.task, args: job.args };
+    }
+  });
+
+  const computed = await computeClient.runBatch(tasks, { signal });
+
+  forecastJobs
+    .filter(job => computed[job.name] && computed[job.name].success)
+    .forEach(job => forecastCache.set(region, computed[job.name], job.cacheParams, { dataHash }));
+  if (computed.forecast && archive) {
+    archive.record(computed.forecast);
+  }
+
+  const results = { ...provided, ...cached, ...computed };
+  return {
+    aggregated: aggregator.sync(readings).getAggregate(),
+    summaries: results.summaries,
+    health: results.health || null,
+    forecast: results.forecast || null,
+    parameterForecasts: results.parameterForecasts || null,
+    explanation: results.explanation || null,
+    scenario: results.scenario || null
+  };
+};
+
 /**
  * WaterQualityAPI Component
  * 
@@ -17,6 +218,7 @@ import './WaterQualityAPI.css';
  * - Sensor data aggregation across multiple sources
  * - Filtering by date range and region
  * - Timestamped batch summaries
+ * - Sensor health diagnostics
  * - Responsive design with error handling
  * 
  * @param {Object} props - Component props
@@ -27,7 +229,22 @@ import './WaterQualityAPI.css';
  * @param {Function} props.onError - Callback when an error occurs
  * @param {boolean} props.showFilters - Show/hide filter controls
  * @param {boolean} props.showBatchSummaries - Show/hide batch summaries
+ * @param {boolean} props.showSensorHealth - Show/hide the sensor health table
+ * @param {Array} props.sensors - Sensor metadata ({sensor_id, last_maintenance}) for the health checks
  * @param {boolean} props.enableForecasting - Enable/disable forecasting functionality
+ * @param {Array} props.forecastParameters - Registry parameters to forecast alongside the quality index
+ * @param {boolean} props.showForecastExplanation - Show/hide the forecast decomposition panel
+ * @param {boolean} props.detectChangepoints - Forecast only from data after the latest level or slope shift
+ * @param {Array} props.covariates - Driver records (rainfall, air temperature, river flow) to forecast with
+ * @param {string} props.forecastInterval - Forecast step: 'hourly', '6-hourly' or 'daily'
+ * @param {number} props.forecastHorizon - Number of steps to forecast (defaults per step)
+ * @param {boolean} props.showForecastAccuracy - Show/hide past forecasts against actuals
+ * @param {ForecastArchive} props.archive - Archive that records and scores forecasts
+ * @param {Object} props.scenario - What-if scenario {name, perturbations} compared with the forecast
+ * @param {boolean|Object} props.imputation - Impute missing sensor values for forecasts and batch summaries
+ * @param {Array} props.parameters - Measured parameter definitions (default: the parameter registry)
+ * @param {string|Object} props.qualityIndex - Compute the quality index from the parameters: 'ccme', 'nsf' or
+ *   a custom configuration (see resolveIndexConfig); null to use the reported index
  * @param {string} props.defaultRegion - Default region filter
  * @param {Object} props.defaultDateRange - Default date range filter
  */
@@ -39,7 +256,21 @@ const WaterQualityAPI = ({
   onError = null,
   showFilters = true,
   showBatchSummaries = true,
+  showSensorHealth = true,
+  sensors = null,
   enableForecasting = true,
+  forecastParameters = DEFAULT_FORECAST_PARAMETERS,
+  showForecastExplanation = true,
+  detectChangepoints = true,
+  covariates = null,
+  forecastInterval = 'daily',
+  forecastHorizon = null,
+  showForecastAccuracy = true,
+  archive = forecastArchive,
+  scenario = null,
+  imputation = null,
+  parameters = null,
+  qualityIndex = null,
   defaultRegion = 'all',
   defaultDateRange = { start: null, end: null },
   className = '',
@@ -49,11 +280,42 @@ const WaterQualityAPI = ({
   const [data, setData] = useState([]);
   const [aggregatedData, setAggregatedData] = useState(null);
   const [batchSummaries, setBatchSummaries] = useState([]);
+  const [sensorHealth, setSensorHealth] = useState(null);
   const [forecastData, setForecastData] = useState(null);
+  const [parameterForecasts, setParameterForecasts] = useState(null);
+  const [forecastExplanation, setForecastExplanation] = useState(null);
+  const [forecastAccuracy, setForecastAccuracy] = useState(null);
+  const [forecastScenario, setForecastScenario] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
 
+  // Serialized so an inline array prop doesn't rebuild the definitions on every render
+  const parameterKey = parameters ? JSON.stringify(parameters) : '';
+  const parameterDefinitions = useMemo(
+    () => resolveParameters(parameterKey ? JSON.parse(parameterKey) : null),
+    [parameterKey]
+  );
+  const qualityIndexKey = qualityIndex ? JSON.stringify(qualityIndex) : '';
+  // A bad qualityIndex prop is reported by the next fetch rather than thrown during render
+  const { qualityIndexConfig, qualityIndexError } = useMemo(() => {
+    if (!qualityIndexKey) return { qualityIndexConfig: null, qualityIndexError: null };
+    try {
+      return {
+        qualityIndexConfig: resolveIndexConfig(JSON.parse(qualityIndexKey), { parameters: parameterDefinitions }),
+        qualityIndexError: null
+      };
+    } catch (err) {
+      return { qualityIndexConfig: null, qualityIndexError: err };
+    }
+  }, [qualityIndexKey, parameterDefinitions]);
+  const qualityBands = qualityIndexConfig ? qualityIndexConfig.bands : DEFAULT_QUALITY_BANDS;
+  // Readings table columns: the parameters at least one reading reports
+  const tableParameters = useMemo(
+    () => parameterDefinitions.filter(parameter => data.some(reading => Number.isFinite(reading[parameter.key]))),
+    [parameterDefinitions, data]
+  );
+
   // Custom hooks for filtering
   const {
     filters,
@@ -63,16 +325,58 @@ const WaterQualityAPI = ({
   } = useWaterQualityFilters({
     region: defaultRegion,
     dateRange: defaultDateRange
-  });
+  }, { parameters: parameterDefinitions });
+
+  // Joined so an inline array prop doesn't change the fetch callback on every render
+  const forecastParameterKey = forecastParameters.join(',');
+  const scenarioKey = scenario ? JSON.stringify(scenario) : '';
+  const sensorsKey = sensors ? JSON.stringify(sensors) : '';
+  const covariatesKey = covariates ? JSON.stringify(covariates) : '';
+  const imputationKey = imputation ? JSON.stringify(imputation) : '';
+  const imputationOptions = useMemo(() => (imputationKey ? JSON.parse(imputationKey) : null), [imputationKey]);
+  const forecastOptions = useMemo(() => ({
+    changepoints: detectChangepoints,
+    interval: forecastInterval,
+    ...(forecastHorizon ? { horizon: forecastHorizon } : {}),
+    ...(covariatesKey ? { covariates: JSON.parse(covariatesKey) } : {}),
+    ...(imputationOptions ? { imputation: imputationOptions } : {}),
+    // Breach risk is judged against the bands of the index being shown
+    breach: { thresholds: getBreachThresholds(qualityBands) }
+  }), [detectChangepoints, forecastInterval, forecastHorizon, covariatesKey, imputationOptions, qualityBands]);
+
+  // Controller of the fetch in flight, cancelled when a newer fetch starts
+  const fetchControllerRef = useRef(null);
+  // Aggregates kept up to date as new readings arrive
+  const aggregator = useMemo(
+    () => new IncrementalAggregator({ parameters: parameterDefinitions, wqi: qualityIndexConfig }),
+    [parameterDefinitions, qualityIndexConfig]
+  );
+  // Hash of the readings cached forecasts are checked against; it covers their content, scored indices included
+  const readingsHash = useMemo(() => new ReadingsHash(), []);
 
   /**
    * Fetch water quality data from API
+   *
+   * Summaries and forecasts are computed off the main thread, and the
+   * aggregates only take in new readings. A fetch still running when filters change or a refresh starts is cancelled,
+   * so only the latest one updates the component.
    */
   const fetchWaterQualityData = useCallback(async () => {
+    if (fetchControllerRef.current) {
+      fetchControllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    fetchControllerRef.current = controller;
+    const { signal } = controller;
+
     try {
       setLoading(true);
       setError(null);
 
+      if (qualityIndexError) {
+        throw qualityIndexError;
+      }
+
       // Build query parameters
       const queryParams = new URLSearchParams();
       
@@ -94,11 +398,33 @@ const WaterQualityAPI = ({
       }
 
       const url = `${apiEndpoint}${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
+      const region = filters.region && filters.region !== 'all' ? filters.region : null;
+      const analysisContext = {
+        region,
+        filters,
+        forecastOptions,
+        parameters: forecastParameterKey ? forecastParameterKey.split(',') : [],
+        scenario: scenarioKey ? JSON.parse(scenarioKey) : null,
+        parameterDefinitions,
+        qualityIndex: qualityIndexConfig,
+        imputation: imputationOptions,
+        archive,
+        aggregator,
+        readingsHash,
+        enableForecasting,
+        showForecastExplanation,
+        showSensorHealth,
+        sensors: sensorsKey ? JSON.parse(sensorsKey) : null
+      };
+
+      let readings;
+      let analysis;
 
       // In development, use mock data
       if (process.env.NODE_ENV === 'development') {
         // Simulate API delay
         await new Promise(resolve => setTimeout(resolve, 500));
+        if (signal.aborted) return;
         
         // Filter mock data based on current filters
         let filteredData = mockWaterQualityData;
@@ -118,116 +444,86 @@ const WaterQualityAPI = ({
             return true;
           });
         }
+
+        readings = qualityIndexConfig ? scoreReadings(filteredData, qualityIndexConfig) : filteredData;
+        analysis = await analyzeReadings(readings, {
+          ...analysisContext,
+          sensors: analysisContext.sensors || sensorInfo
+        }, signal);
+      } else {
+        // Production API call
+        const response = await fetch(url, { signal });
         
-        setData(filteredData);
-        
-        // Process aggregated data
-        const aggregated = aggregateSensorData(filteredData);
-        setAggregatedData(aggregated);
-        
-        // Generate batch summaries
-        const summaries = generateBatchSummaries(filteredData, 'daily');
-        setBatchSummaries(summaries);
-
-        // Generate forecast if enabled
-        let forecast = null;
-        if (enableForecasting) {
-          // Check cache first
-          const cacheKey = filters.region && filters.region !== 'all' ? filters.region : null;
-          const cachedForecast = forecastCache.get(cacheKey, filters);
-          
-          if (cachedForecast) {
-            forecast = cachedForecast;
-          } else {
-            forecast = generateWaterQualityForecast(filteredData, cacheKey);
-            if (forecast.success) {
-              forecastCache.set(cacheKey, forecast, filters);
-            }
-          }
-          setForecastData(forecast);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
         }
         
-        setLastUpdated(new Date());
+        const result = await response.json();
         
-        // Call onDataUpdate callback if provided
-        if (onDataUpdate) {
-          onDataUpdate({
-            rawData: filteredData,
-            aggregatedData: aggregated,
-            batchSummaries: summaries,
-            forecast: forecast
-          });
+        // Validate response schema
+        if (!result.data || !Array.isArray(result.data)) {
+          throw new Error('Invalid API response format');
         }
-        
-        return;
-      }
 
-      // Production API call
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const result = await response.json();
-      
-      // Validate response schema
-      if (!result.data || !Array.isArray(result.data)) {
-        throw new Error('Invalid API response format');
-      }
-      
-      setData(result.data);
-      
-      // Process aggregated data
-      const aggregated = aggregateSensorData(result.data);
-      setAggregatedData(aggregated);
-      
-      // Generate batch summaries
-      const summaries = generateBatchSummaries(result.data, 'daily');
-      setBatchSummaries(summaries);
-
-      // Handle forecast data from API response or generate locally
-      let forecast = null;
-      if (enableForecasting) {
-        if (result.forecast_quality_index && result.trend) {
-          // Use forecast data from API response
-          forecast = {
+        // Forecasts sent by the API are used as they are
+        const provided = {};
+        if (enableForecasting && result.forecast_quality_index && result.trend) {
+          provided.forecast = {
             success: true,
             forecast_quality_index: result.forecast_quality_index,
+            threshold_breaches: result.threshold_breaches || [],
+            ...(result.forecast_drivers ? { drivers: result.forecast_drivers } : {}),
             trend: result.trend,
             summary: result.forecast_summary || {},
             metadata: result.forecast_metadata || {}
           };
-        } else {
-          // Generate forecast locally if not provided by API
-          const cacheKey = filters.region && filters.region !== 'all' ? filters.region : null;
-          const cachedForecast = forecastCache.get(cacheKey, filters);
-          
-          if (cachedForecast) {
-            forecast = cachedForecast;
-          } else {
-            forecast = generateWaterQualityForecast(result.data, cacheKey);
-            if (forecast.success) {
-              forecastCache.set(cacheKey, forecast, filters);
-            }
-          }
         }
-        setForecastData(forecast);
+        if (enableForecasting && forecastParameterKey && result.forecast_parameters) {
+          provided.parameterForecasts = result.forecast_parameters;
+        }
+
+        readings = qualityIndexConfig ? scoreReadings(result.data, qualityIndexConfig) : result.data;
+        analysis = await analyzeReadings(readings, { ...analysisContext, provided }, signal);
       }
-      
+
+      // Score archived forecasts now that newer readings are in
+      const accuracy = enableForecasting && showForecastAccuracy ?
+        getForecastAccuracy(archive, readings, region) :
+        null;
+
+      setData(readings);
+      setAggregatedData(analysis.aggregated);
+      setBatchSummaries(analysis.summaries);
+      setSensorHealth(analysis.health);
+      if (enableForecasting) {
+        setForecastData(analysis.forecast);
+      }
+      setParameterForecasts(analysis.parameterForecasts);
+      setForecastExplanation(analysis.explanation);
+      setForecastAccuracy(accuracy);
+      setForecastScenario(analysis.scenario);
       setLastUpdated(new Date());
       
       // Call onDataUpdate callback if provided
       if (onDataUpdate) {
         onDataUpdate({
-          rawData: result.data,
-          aggregatedData: aggregated,
-          batchSummaries: summaries,
-          forecast: forecast
+          rawData: readings,
+          aggregatedData: analysis.aggregated,
+          batchSummaries: analysis.summaries,
+          sensorHealth: analysis.health,
+          forecast: analysis.forecast,
+          parameterForecasts: analysis.parameterForecasts,
+          forecastExplanation: analysis.explanation,
+          forecastAccuracy: accuracy,
+          forecastScenario: analysis.scenario,
+          cacheStats: forecastCache.getStats()
         });
       }
       
     } catch (err) {
+      // A newer fetch took over
+      if (isAbortError(err)) return;
+
       console.error('Error fetching water quality data:', err);
       setError(err.message);
       
@@ -236,9 +532,38 @@ const WaterQualityAPI = ({
         onError(err);
       }
     } finally {
-      setLoading(false);
+      if (fetchControllerRef.current === controller) {
+        fetchControllerRef.current = null;
+        setLoading(false);
+      }
     }
-  }, [apiEndpoint, filters, onDataUpdate, onError]);
+  }, [
+    apiEndpoint,
+    filters,
+    onDataUpdate,
+    onError,
+    forecastParameterKey,
+    showForecastExplanation,
+    showForecastAccuracy,
+    showSensorHealth,
+    sensorsKey,
+    archive,
+    scenarioKey,
+    imputationOptions,
+    forecastOptions,
+    parameterDefinitions,
+    qualityIndexConfig,
+    qualityIndexError,
+    aggregator,
+    readingsHash
+  ]);
+
+  // Cancel the fetch in flight when the component unmounts
+  useEffect(() => () => {
+    if (fetchControllerRef.current) {
+      fetchControllerRef.current.abort();
+    }
+  }, []);
 
   // Initial data fetch
   useEffect(() => {
@@ -323,6 +648,7 @@ const WaterQualityAPI = ({
       {showFilters && (
         <FilterControls
           filters={filters}
+          parameters={parameterDefinitions}
           onFilterChange={handleFilterChange}
           onReset={resetFilters}
           isFiltered={isFiltered}
@@ -336,45 +662,30 @@ const WaterQualityAPI = ({
           <div className="metrics-overview">
             <h3>Current Water Quality Metrics</h3>
             <div className="metrics-grid">
-              <div className="metric-card temperature">
-                <h4>Temperature</h4>
-                <div className="metric-value">
-                  {aggregatedData.temperature.average.toFixed(1)}°C
-                </div>
-                <div className="metric-range">
-                  Range: {aggregatedData.temperature.min.toFixed(1)}°C - {aggregatedData.temperature.max.toFixed(1)}°C
-                </div>
-              </div>
-              
-              <div className="metric-card ph">
-                <h4>pH Level</h4>
-                <div className="metric-value">
-                  {aggregatedData.pH.average.toFixed(2)}
-                </div>
-                <div className="metric-range">
-                  Range: {aggregatedData.pH.min.toFixed(2)} - {aggregatedData.pH.max.toFixed(2)}
-                </div>
-              </div>
-              
-              <div className="metric-card turbidity">
-                <h4>Turbidity</h4>
-                <div className="metric-value">
-                  {aggregatedData.turbidity.average.toFixed(2)} NTU
-                </div>
-                <div className="metric-range">
-                  Range: {aggregatedData.turbidity.min.toFixed(2)} - {aggregatedData.turbidity.max.toFixed(2)} NTU
-                </div>
-              </div>
+              {parameterDefinitions
+                .filter(parameter => aggregatedData[parameter.key]?.count > 0)
+                .map(parameter => (
+                  <div
+                    key={parameter.key}
+                    className={`metric-card ${parameter.key.toLowerCase().replace(/_/g, '-')}`}
+                  >
+                    <h4>{parameter.label}</h4>
+                    <div className="metric-value">
+                      {formatParameterValue(parameter, aggregatedData[parameter.key].average)}
+                    </div>
+                    <div className="metric-range">
+                      Range: {formatParameterValue(parameter, aggregatedData[parameter.key].min)} - {formatParameterValue(parameter, aggregatedData[parameter.key].max)}
+                    </div>
+                  </div>
+                ))}
               
               <div className="metric-card quality-index">
-                <h4>Regional Quality Index</h4>
+                <h4>{qualityIndexConfig ? qualityIndexConfig.label : 'Regional Quality Index'}</h4>
                 <div className="metric-value">
                   {aggregatedData.region_avg_quality_index.toFixed(1)}
                 </div>
                 <div className="metric-status">
-                  {aggregatedData.region_avg_quality_index >= 80 ? 'Excellent' :
-                   aggregatedData.region_avg_quality_index >= 60 ? 'Good' :
-                   aggregatedData.region_avg_quality_index >= 40 ? 'Fair' : 'Poor'}
+                  {formatRating(rateQualityIndex(aggregatedData.region_avg_quality_index, qualityBands))}
                 </div>
               </div>
             </div>
@@ -384,7 +695,7 @@ const WaterQualityAPI = ({
         {/* Water Quality Forecast */}
         {enableForecasting && forecastData && forecastData.success && (
           <div className="forecast-section">
-            <h3>7-Day Water Quality Forecast</h3>
+            <h3>{formatForecastSpan(forecastData)} Water Quality Forecast</h3>
             <div className="forecast-summary">
               <div className="forecast-trend">
                 <h4>Trend Analysis</h4>
@@ -401,39 +712,44 @@ const WaterQualityAPI = ({
                 {forecastData.summary && (
                   <div className="forecast-stats">
                     <p>Current: <strong>{forecastData.summary.current_quality_index?.toFixed(1)}</strong></p>
-                    <p>7-day avg: <strong>{forecastData.summary.average_forecast?.toFixed(1)}</strong></p>
+                    <p>{formatForecastSpan(forecastData).toLowerCase()} avg: <strong>{forecastData.summary.average_forecast?.toFixed(1)}</strong></p>
                     <p>Expected change: <strong>{forecastData.summary.expected_change > 0 ? '+' : ''}{forecastData.summary.expected_change?.toFixed(1)}</strong></p>
                   </div>
                 )}
               </div>
             </div>
+
+            {(forecastData.threshold_breaches || [])
+              .filter(breach => breach.likely && !breach.currently_below)
+              .map(breach => (
+                <div key={breach.band} className={`forecast-breach-warning ${breach.band}`} role="alert">
+                  ⚠️ {formatBreachWarning(breach, forecastData.metadata?.region)}
+                </div>
+              ))}
             
             <div className="forecast-chart">
-              <h4>Daily Forecast</h4>
+              <h4>{STEP_TITLES[forecastData.metadata?.resampling?.interval] || 'Daily'} Forecast</h4>
               <div className="forecast-timeline">
                 {forecastData.forecast_quality_index.map((forecast, index) => (
                   <div key={index} className="forecast-day">
                     <div className="forecast-date">
-                      {new Date(forecast.date).toLocaleDateString('en-US', { 
-                        weekday: 'short', 
-                        month: 'short', 
-                        day: 'numeric' 
-                      })}
+                      {formatStepLabel(forecast, forecastData.metadata?.resampling?.interval)}
                     </div>
                     <div className="forecast-value">
                       <div 
-                        className={`quality-bar ${
-                          forecast.quality_index >= 80 ? 'excellent' :
-                          forecast.quality_index >= 60 ? 'good' :
-                          forecast.quality_index >= 40 ? 'fair' : 'poor'
-                        }`}
+                        className={`quality-bar ${rateQualityIndex(forecast.quality_index, qualityBands)}`}
                         style={{ height: `${Math.max(20, forecast.quality_index)}%` }}
                       ></div>
                       <span className="quality-number">{forecast.quality_index}</span>
                     </div>
                     {forecast.confidence_interval && (
-                      <div className="confidence-range">
-                        ±{(forecast.confidence_interval.upper - forecast.confidence_interval.lower).toFixed(1)}
+                      <div
+                        className="confidence-range"
+                        title={(forecast.prediction_intervals || [forecast.confidence_interval]).map(band =>
+                          `${Math.round((band.level || band.confidence_level) * 100)}%: ${band.lower.toFixed(1)}–${band.upper.toFixed(1)}`
+                        ).join(', ')}
+                      >
+                        ±{((forecast.confidence_interval.upper - forecast.confidence_interval.lower) / 2).toFixed(1)}
                       </div>
                     )}
                   </div>
@@ -441,12 +757,72 @@ const WaterQualityAPI = ({
               </div>
             </div>
 
+            {parameterForecasts && parameterForecasts.success && (
+              <div className="parameter-forecasts">
+                <h4>Parameter Outlook</h4>
+                {parameterForecasts.parameters
+                  .filter(parameter => parameterForecasts.forecasts[parameter]?.success)
+                  .map(parameter => {
+                    const parameterForecast = parameterForecasts.forecasts[parameter];
+                    const unit = parameterForecast.metadata.unit;
+
+                    return (
+                      <div key={parameter} className={`parameter-forecast ${parameter}`}>
+                        <div className="parameter-forecast-header">
+                          <span className="parameter-forecast-label">{parameterForecast.metadata.label}</span>
+                          <span className={`parameter-forecast-trend ${parameterForecast.trend}`}>
+                            {parameterForecast.trend === 'increasing' ? '↗' :
+                             parameterForecast.trend === 'decreasing' ? '↘' : '→'} {parameterForecast.trend}
+                          </span>
+                          <span className="parameter-forecast-summary">
+                            {parameterForecast.summary.current_value} → {parameterForecast.summary.average_forecast} {unit}
+                          </span>
+                        </div>
+                        <div className="parameter-forecast-days">
+                          {parameterForecast.forecast.map(point => (
+                            <div key={point.timestamp} className="parameter-forecast-day">
+                              <span className="parameter-forecast-date">
+                                {parameterForecast.metadata.resampling.interval === 'daily' ?
+                                  new Date(point.timestamp).toLocaleDateString('en-US', { weekday: 'short' }) :
+                                  new Date(point.timestamp).toLocaleTimeString('en-US', { hour: 'numeric' })}
+                              </span>
+                              <span className="parameter-forecast-value">{point.value}</span>
+                              <span className="parameter-forecast-range">
+                                {point.confidence_interval.lower.toFixed(2)}–{point.confidence_interval.upper.toFixed(2)}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })}
+              </div>
+            )}
+
+            {showForecastExplanation && (
+              <ForecastExplanationPanel explanation={forecastExplanation} />
+            )}
+
+            {showForecastAccuracy && forecastAccuracy && (
+              <ForecastAccuracyPanel overlay={forecastAccuracy.overlay} accuracy={forecastAccuracy.accuracy} />
+            )}
+
+            <ScenarioComparisonPanel result={forecastScenario} />
+
             {forecastData.metadata && (
               <div className="forecast-metadata">
                 <small>
                   Generated: {new Date(forecastData.metadata.generated_at).toLocaleString()} | 
                   Model: {forecastData.metadata.algorithm} | 
                   Data points: {forecastData.summary?.data_points_used}
+                  {forecastData.metadata.changepoints?.detected.length > 0 && (
+                    <> | Fitted since shift on {forecastData.metadata.changepoints.data_start.split('T')[0]}</>
+                  )}
+                  {forecastData.drivers?.length > 0 && (
+                    <> | Drivers: {forecastData.drivers.map(driver =>
+                      `${driver.label} ${driver.effect > 0 ? '+' : ''}${driver.effect}`
+                    ).join(', ')}</>
+                  )}
                 </small>
               </div>
             )}
@@ -457,10 +833,14 @@ const WaterQualityAPI = ({
         {showBatchSummaries && batchSummaries.length > 0 && (
           <BatchSummaryDisplay
             summaries={batchSummaries}
+            parameters={parameterDefinitions}
             onSummaryClick={(summary) => console.log('Summary clicked:', summary)}
           />
         )}
 
+        {/* Sensor Health */}
+        {showSensorHealth && <SensorHealthTable health={sensorHealth} />}
+
         {/* Data Table */}
         <div className="data-table-section">
           <h3>Detailed Sensor Readings</h3>
@@ -471,10 +851,11 @@ const WaterQualityAPI = ({
                   <th>Timestamp</th>
                   <th>Region</th>
                   <th>Sensor ID</th>
-                  <th>Temperature (°C)</th>
-                  <th>pH</th>
-                  <th>Turbidity (NTU)</th>
+                  {tableParameters.map(parameter => (
+                    <th key={parameter.key}>{parameter.label}</th>
+                  ))}
                   <th>Quality Index</th>
+                  {qualityIndexConfig && <th>Sub-indices</th>}
                 </tr>
               </thead>
               <tbody>
@@ -483,18 +864,34 @@ const WaterQualityAPI = ({
                     <td>{new Date(reading.timestamp).toLocaleString()}</td>
                     <td>{reading.region}</td>
                     <td>{reading.sensor_id}</td>
-                    <td>{reading.temperature.toFixed(1)}</td>
-                    <td>{reading.pH.toFixed(2)}</td>
-                    <td>{reading.turbidity.toFixed(2)}</td>
+                    {tableParameters.map(parameter => (
+                      <td key={parameter.key}>
+                        {Number.isFinite(reading[parameter.key]) ? formatParameterValue(parameter, reading[parameter.key]) : '–'}
+                      </td>
+                    ))}
                     <td>
-                      <span className={`quality-badge ${
-                        reading.region_avg_quality_index >= 80 ? 'excellent' :
-                        reading.region_avg_quality_index >= 60 ? 'good' :
-                        reading.region_avg_quality_index >= 40 ? 'fair' : 'poor'
-                      }`}>
-                        {reading.region_avg_quality_index.toFixed(1)}
-                      </span>
+                      {Number.isFinite(reading.region_avg_quality_index) ? (
+                        <span className={`quality-badge ${rateQualityIndex(reading.region_avg_quality_index, qualityBands)}`}>
+                          {reading.region_avg_quality_index.toFixed(1)}
+                        </span>
+                      ) : '–'}
                     </td>
+                    {qualityIndexConfig && (
+                      <td>
+                        <div className="sub-index-list">
+                          {qualityIndexConfig.parameters
+                            .filter(parameter => reading.wqi?.sub_indices[parameter.key] !== undefined)
+                            .map(parameter => (
+                              <span
+                                key={parameter.key}
+                                className={`sub-index ${rateQualityIndex(reading.wqi.sub_indices[parameter.key], qualityBands)}`}
+                              >
+                                {parameter.label} {reading.wqi.sub_indices[parameter.key].toFixed(0)}
+                              </span>
+                            ))}
+                        </div>
+                      </td>
+                    )}
                   </tr>
                 ))}
               </tbody>
@@ -538,8 +935,78 @@ WaterQualityAPI.propTypes = {
   showFilters: PropTypes.bool,
   /** Show/hide batch summaries */
   showBatchSummaries: PropTypes.bool,
+  /** Show/hide the sensor health table */
+  showSensorHealth: PropTypes.bool,
+  /** Sensor metadata for the health checks; last_maintenance is checked against its allowed age */
+  sensors: PropTypes.arrayOf(PropTypes.shape({
+    sensor_id: PropTypes.string.isRequired,
+    last_maintenance: PropTypes.string
+  })),
   /** Enable/disable forecasting functionality */
   enableForecasting: PropTypes.bool,
+  /** Registry parameters to forecast alongside the quality index (empty to disable) */
+  forecastParameters: PropTypes.arrayOf(PropTypes.string),
+  /** Show/hide the forecast decomposition panel */
+  showForecastExplanation: PropTypes.bool,
+  /** Forecast only from data after the latest level or slope shift */
+  detectChangepoints: PropTypes.bool,
+  /** Forecast step size */
+  forecastInterval: PropTypes.oneOf(['hourly', '6-hourly', 'daily']),
+  /** Number of steps to forecast (defaults to 48 hourly, 8 6-hourly or 7 daily steps) */
+  forecastHorizon: PropTypes.number,
+  /** Show/hide past forecasts against actuals and running accuracy */
+  showForecastAccuracy: PropTypes.bool,
+  /** Archive that records and scores forecasts (defaults to the shared, localStorage-backed archive) */
+  archive: PropTypes.shape({
+    record: PropTypes.func.isRequired,
+    score: PropTypes.func.isRequired,
+    getOverlay: PropTypes.func.isRequired,
+    getAccuracyByRegion: PropTypes.func.isRequired
+  }),
+  /** What-if scenario ({name, perturbations}, see runForecastScenario) compared with the forecast */
+  scenario: PropTypes.shape({
+    name: PropTypes.string,
+    perturbations: PropTypes.arrayOf(PropTypes.shape({
+      type: PropTypes.oneOf(['offset', 'percent', 'remove_sensor', 'add_readings', 'driver']).isRequired
+    })).isRequired
+  }),
+  /** Impute missing sensor values for forecasts and batch summaries: true for linear or imputation options */
+  imputation: PropTypes.oneOfType([
+    PropTypes.bool,
+    PropTypes.shape({
+      strategy: PropTypes.oneOf(['linear', 'seasonal', 'locf']),
+      maxGap: PropTypes.number,
+      interval: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+    })
+  ]),
+  /** Measured parameter definitions; aggregation, summaries, filters and metric cards follow them */
+  parameters: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    label: PropTypes.string,
+    unit: PropTypes.string,
+    precision: PropTypes.number,
+    range: PropTypes.shape({ min: PropTypes.number, max: PropTypes.number }),
+    thresholds: PropTypes.shape({ min: PropTypes.number, max: PropTypes.number })
+  })),
+  /** Compute the quality index from the parameters: 'ccme', 'nsf' or {method, weights, curves, bands} */
+  qualityIndex: PropTypes.oneOfType([
+    PropTypes.oneOf(['ccme', 'nsf']),
+    PropTypes.shape({
+      method: PropTypes.oneOf(['ccme', 'nsf', 'custom']).isRequired,
+      weights: PropTypes.objectOf(PropTypes.number),
+      curves: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number))),
+      bands: PropTypes.shape({
+        excellent: PropTypes.number,
+        good: PropTypes.number,
+        fair: PropTypes.number
+      })
+    })
+  ]),
+  /** Driver records ({date, region, rainfall, air_temperature, river_flow}), e.g. from loadCovariates */
+  covariates: PropTypes.arrayOf(PropTypes.shape({
+    date: PropTypes.string.isRequired,
+    region: PropTypes.string
+  })),
   /** Default region filter */
   defaultRegion: PropTypes.string,
   /** Default date range filter */
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
+import { formatUnitSuffix, resolveParameters } from '../utils/parameterRegistry';
 import './BatchSummaryDisplay.css';
 
 /**
@@ -10,6 +11,7 @@ import './BatchSummaryDisplay.css';
  */
 const BatchSummaryDisplay = ({
   summaries,
+  parameters = null,
   onSummaryClick,
   showTrends = true,
   maxSummaries = 10,
@@ -19,6 +21,7 @@ const BatchSummaryDisplay = ({
   const [expandedSummary, setExpandedSummary] = useState(null);
   const [sortBy, setSortBy] = useState('timestamp');
   const [sortOrder, setSortOrder] = useState('desc');
+  const parameterDefinitions = parameters || resolveParameters();
 
   // Limit and sort summaries
   const displaySummaries = summaries
@@ -113,7 +116,7 @@ const BatchSummaryDisplay = ({
    * Calculate trend indicator
    */
   const calculateTrend = (current, previous, parameter) => {
-    if (!previous || !current[parameter] || !previous[parameter]) {
+    if (!previous || !current[parameter] || !previous[parameter] || previous[parameter].average === 0) {
       return { direction: 'stable', percentage: 0 };
     }
 
@@ -223,7 +226,14 @@ const BatchSummaryDisplay = ({
                   
                   <div className="overview-item">
                     <span className="overview-label">Readings</span>
-                    <span className="overview-value">{summary.total_readings}</span>
+                    <span className="overview-value">
+                      {summary.total_readings}
+                      {summary.imputed_readings > 0 && (
+                        <span className="imputed-count" title="Readings added by imputation">
+                          ({summary.imputed_readings} imputed)
+                        </span>
+                      )}
+                    </span>
                   </div>
                   
                   <div className="overview-item">
@@ -243,44 +253,27 @@ const BatchSummaryDisplay = ({
                   {/* Parameter Details */}
                   <div className="parameter-details">
                     <div className="parameter-grid">
-                      <div className="parameter-item">
-                        <h5>Temperature</h5>
-                        <div className="parameter-stats">
-                          <span className="stat-value">{summary.temperature.average}°C</span>
-                          <span className="stat-range">
-                            {summary.temperature.min}°C - {summary.temperature.max}°C
-                          </span>
-                          {showTrends && previousSummary && renderTrendIndicator(
-                            calculateTrend(summary, previousSummary, 'temperature')
-                          )}
-                        </div>
-                      </div>
-                      
-                      <div className="parameter-item">
-                        <h5>pH Level</h5>
-                        <div className="parameter-stats">
-                          <span className="stat-value">{summary.pH.average}</span>
-                          <span className="stat-range">
-                            {summary.pH.min} - {summary.pH.max}
-                          </span>
-                          {showTrends && previousSummary && renderTrendIndicator(
-                            calculateTrend(summary, previousSummary, 'pH')
-                          )}
-                        </div>
-                      </div>
-                      
-                      <div className="parameter-item">
-                        <h5>Turbidity</h5>
-                        <div className="parameter-stats">
-                          <span className="stat-value">{summary.turbidity.average} NTU</span>
-                          <span className="stat-range">
-                            {summary.turbidity.min} - {summary.turbidity.max} NTU
-                          </span>
-                          {showTrends && previousSummary && renderTrendIndicator(
-                            calculateTrend(summary, previousSummary, 'turbidity')
-                          )}
-                        </div>
-                      </div>
+                      {parameterDefinitions
+                        .filter(parameter => summary[parameter.key] && summary[parameter.key].count !== 0)
+                        .map(parameter => {
+                          const stats = summary[parameter.key];
+                          const unit = formatUnitSuffix(parameter.unit);
+
+                          return (
+                            <div className="parameter-item" key={parameter.key}>
+                              <h5>{parameter.label}</h5>
+                              <div className="parameter-stats">
+                                <span className="stat-value">{stats.average}{unit}</span>
+                                <span className="stat-range">
+                                  {stats.min}{unit} - {stats.max}{unit}
+                                </span>
+                                {showTrends && previousSummary && renderTrendIndicator(
+                                  calculateTrend(summary, previousSummary, parameter.key)
+                                )}
+                              </div>
+                            </div>
+                          );
+                        })}
                     </div>
                   </div>
 
@@ -364,16 +357,21 @@ BatchSummaryDisplay.propTypes = {
     timestamp: PropTypes.string.isRequired,
     interval: PropTypes.string.isRequired,
     total_readings: PropTypes.number.isRequired,
+    measured_readings: PropTypes.number,
+    imputed_readings: PropTypes.number,
     overall_quality_rating: PropTypes.string,
-    temperature: PropTypes.object,
-    pH: PropTypes.object,
-    turbidity: PropTypes.object,
     region_avg_quality_index: PropTypes.object,
     quality_distribution: PropTypes.object,
     regional_breakdown: PropTypes.object,
     regions: PropTypes.array,
     sensors_count: PropTypes.number
   })).isRequired,
+  /** Measured parameter definitions shown per summary (default: the parameter registry) */
+  parameters: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    label: PropTypes.string,
+    unit: PropTypes.string
+  })),
   /** Callback when a summary is clicked */
   onSummaryClick: PropTypes.func,
   /** Whether to show trend indicators */
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import { availableRegions } from '../mockData/waterQualityMockData';
+import { resolveParameters } from '../utils/parameterRegistry';
 import './FilterControls.css';
 
 /**
@@ -11,6 +12,7 @@ import './FilterControls.css';
  */
 const FilterControls = ({
   filters,
+  parameters = null,
   onFilterChange,
   onReset,
   isFiltered,
@@ -19,6 +21,7 @@ const FilterControls = ({
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [showAdvanced, setShowAdvanced] = useState(false);
+  const parameterDefinitions = parameters || resolveParameters();
 
   /**
    * Handle region filter change
@@ -134,10 +137,10 @@ const FilterControls = ({
                 if (key === 'dateRange') return filters.dateRange.start || filters.dateRange.end;
                 if (key === 'qualityRange') return filters.qualityRange.min > 0 || filters.qualityRange.max < 100;
                 if (key === 'parameters') {
-                  const { temperature, pH, turbidity } = filters.parameters;
-                  return (temperature.min !== null || temperature.max !== null ||
-                          pH.min !== null || pH.max !== null ||
-                          turbidity.min !== null || turbidity.max !== null);
+                  return parameterDefinitions.some(parameter => {
+                    const range = filters.parameters[parameter.key];
+                    return range && (range.min !== null || range.max !== null);
+                  });
                 }
                 return false;
               }).length} active
@@ -280,83 +283,39 @@ const FilterControls = ({
             <div className="filter-section advanced-filters">
               <h4>Parameter Ranges</h4>
               
-              {/* Temperature Range */}
-              <div className="filter-group">
-                <label>Temperature (°C)</label>
-                <div className="range-inputs">
-                  <input
-                    type="number"
-                    step="0.1"
-                    value={filters.parameters.temperature.min || ''}
-                    onChange={(e) => handleParameterRangeChange('temperature', 'min', e.target.value)}
-                    placeholder="Min"
-                    className="range-input"
-                  />
-                  <span className="range-separator">-</span>
-                  <input
-                    type="number"
-                    step="0.1"
-                    value={filters.parameters.temperature.max || ''}
-                    onChange={(e) => handleParameterRangeChange('temperature', 'max', e.target.value)}
-                    placeholder="Max"
-                    className="range-input"
-                  />
-                </div>
-              </div>
-
-              {/* pH Range */}
-              <div className="filter-group">
-                <label>pH Level</label>
-                <div className="range-inputs">
-                  <input
-                    type="number"
-                    step="0.1"
-                    min="0"
-                    max="14"
-                    value={filters.parameters.pH.min || ''}
-                    onChange={(e) => handleParameterRangeChange('pH', 'min', e.target.value)}
-                    placeholder="Min"
-                    className="range-input"
-                  />
-                  <span className="range-separator">-</span>
-                  <input
-                    type="number"
-                    step="0.1"
-                    min="0"
-                    max="14"
-                    value={filters.parameters.pH.max || ''}
-                    onChange={(e) => handleParameterRangeChange('pH', 'max', e.target.value)}
-                    placeholder="Max"
-                    className="range-input"
-                  />
-                </div>
-              </div>
+              {parameterDefinitions.map(parameter => {
+                const range = filters.parameters[parameter.key] || { min: null, max: null };
+                const step = Math.pow(10, -Math.min(parameter.precision, 1));
 
-              {/* Turbidity Range */}
-              <div className="filter-group">
-                <label>Turbidity (NTU)</label>
-                <div className="range-inputs">
-                  <input
-                    type="number"
-                    step="0.1"
-                    min="0"
-                    value={filters.parameters.turbidity.min || ''}
-                    onChange={(e) => handleParameterRangeChange('turbidity', 'min', e.target.value)}
-                    placeholder="Min"
-                    className="range-input"
-                  />
-                  <span className="range-separator">-</span>
-                  <input
-                    type="number"
-                    step="0.1"
-                    min="0"
-                    value={filters.parameters.turbidity.max || ''}
-                    onChange={(e) => handleParameterRangeChange('turbidity', 'max', e.target.value)}
-                    placeholder="Max"
-                    className="range-input"
-                  />
-                </div>
-              </div>
+                return (
+                  <div className="filter-group" key={parameter.key}>
+                    <label>{parameter.label}{parameter.unit ? ` (${parameter.unit})` : ''}</label>
+                    <div className="range-inputs">
+                      <input
+                        type="number"
+                        step={step}
+                        min={parameter.range.min ?? undefined}
+                        max={parameter.range.max ?? undefined}
+                        value={range.min ?? ''}
+                        onChange={(e) => handleParameterRangeChange(parameter.key, 'min', e.target.value)}
+                        placeholder="Min"
+                        className="range-input"
+                      />
+                      <span className="range-separator">-</span>
+                      <input
+                        type="number"
+                        step={step}
+                        min={parameter.range.min ?? undefined}
+                        max={parameter.range.max ?? undefined}
+                        value={range.max ?? ''}
+                        onChange={(e) => handleParameterRangeChange(parameter.key, 'max', e.target.value)}
+                        placeholder="Max"
+                        className="range-input"
+                      />
+                    </div>
+                  </div>
+                );
+              })}
             </div>
           )}
 
@@ -424,21 +383,20 @@ FilterControls.propTypes = {
       min: PropTypes.number,
       max: PropTypes.number
     }),
-    parameters: PropTypes.shape({
-      temperature: PropTypes.shape({
-        min: PropTypes.number,
-        max: PropTypes.number
-      }),
-      pH: PropTypes.shape({
-        min: PropTypes.number,
-        max: PropTypes.number
-      }),
-      turbidity: PropTypes.shape({
-        min: PropTypes.number,
-        max: PropTypes.number
-      })
-    })
+    /** Range per parameter key, {min, max} */
+    parameters: PropTypes.objectOf(PropTypes.shape({
+      min: PropTypes.number,
+      max: PropTypes.number
+    }))
   }).isRequired,
+  /** Measured parameter definitions that get range inputs (default: the parameter registry) */
+  parameters: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    label: PropTypes.string,
+    unit: PropTypes.string,
+    precision: PropTypes.number,
+    range: PropTypes.shape({ min: PropTypes.number, max: PropTypes.number })
+  })),
   /** Callback when filters change */
   onFilterChange: PropTypes.func.isRequired,
   /** Callback to reset all filters */
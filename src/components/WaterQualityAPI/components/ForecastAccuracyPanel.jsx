@@ -0,0 +1,193 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import './ForecastAccuracyPanel.css';
+
+const actualColor = '#1f2937';
+const forecastColors = ['#2563eb', '#059669', '#d97706', '#7c3aed', '#db2777'];
+
+/**
+ * Format an optional metric for the accuracy table
+ * @param {number|null} value - Metric value
+ * @param {number} decimals - Decimal places
+ * @param {string} suffix - Unit suffix
+ * @returns {string} - Formatted value, a dash when missing
+ */
+const formatMetric = (value, decimals = 1, suffix = '') =>
+  value === null || value === undefined ? '–' : `${value.toFixed(decimals)}${suffix}`;
+
+/**
+ * Short label for when a forecast was issued
+ * @param {string} generatedAt - ISO timestamp
+ * @returns {string} - E.g. "Issued Oct 3, 14:00"
+ */
+const issuedLabel = (generatedAt) => `Issued ${new Date(generatedAt).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+})}`;
+
+/**
+ * ForecastAccuracyPanel Component
+ *
+ * Overlays past forecasts from the forecast archive on the actual quality
+ * index and tabulates each region's running accuracy
+ */
+const ForecastAccuracyPanel = ({
+  overlay,
+  accuracy = {},
+  title = 'Forecast Track Record',
+  className = '',
+  ...props
+}) => {
+  if (!overlay) {
+    return null;
+  }
+
+  const regions = Object.keys(accuracy);
+  const scoredRegions = regions.filter(region => accuracy[region].count > 0);
+
+  // One row per time step holding the actual and each forecast's value
+  const rows = new Map();
+  const rowFor = timestamp => {
+    if (!rows.has(timestamp)) {
+      const [date, time] = timestamp.split('T');
+      rows.set(timestamp, { timestamp, label: time.startsWith('00:00') ? date : `${date} ${time.slice(0, 5)}` });
+    }
+    return rows.get(timestamp);
+  };
+  overlay.actuals.forEach(point => { rowFor(point.timestamp).actual = point.value; });
+  // Archive ids contain dots, which recharts would read as a path, so series are keyed by position
+  overlay.forecasts.forEach((forecast, index) => {
+    forecast.points.forEach(point => { rowFor(point.timestamp)[`forecast_${index}`] = point.value; });
+  });
+  const chartData = [...rows.values()].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  return (
+    <div className={`forecast-accuracy ${className}`} {...props}>
+      <h4>{title}</h4>
+
+      {overlay.actuals.length === 0 ? (
+        <p className="accuracy-empty">
+          No archived forecast has been scored yet. Accuracy appears once actual readings arrive for forecast days.
+        </p>
+      ) : (
+        <div className="accuracy-chart">
+          <ResponsiveContainer width="100%" height={240}>
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="label" />
+              <YAxis domain={['auto', 'auto']} />
+              <Tooltip formatter={(value) => (typeof value === 'number' ? value.toFixed(1) : value)} />
+              <Legend />
+              <Line
+                type="monotone"
+                dataKey="actual"
+                name="Actual"
+                stroke={actualColor}
+                strokeWidth={2}
+                connectNulls
+              />
+              {overlay.forecasts.map((forecast, index) => (
+                <Line
+                  key={forecast.id}
+                  type="monotone"
+                  dataKey={`forecast_${index}`}
+                  name={issuedLabel(forecast.generated_at)}
+                  stroke={forecastColors[index % forecastColors.length]}
+                  strokeDasharray="5 3"
+                  dot={false}
+                  connectNulls
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {scoredRegions.length > 0 && (
+        <table className="accuracy-table">
+          <thead>
+            <tr>
+              <th>Region</th>
+              <th>Forecasts</th>
+              <th>Scored steps</th>
+              <th>MAE</th>
+              <th>RMSE</th>
+              <th>Bias</th>
+              <th>In interval</th>
+            </tr>
+          </thead>
+          <tbody>
+            {scoredRegions.map(region => {
+              const regionAccuracy = accuracy[region];
+
+              return (
+                <tr key={region}>
+                  <td>{region === 'all_regions' ? 'All regions' : region}</td>
+                  <td>{regionAccuracy.forecasts}</td>
+                  <td>{regionAccuracy.count}</td>
+                  <td>{formatMetric(regionAccuracy.mae)}</td>
+                  <td>{formatMetric(regionAccuracy.rmse)}</td>
+                  <td>{formatMetric(regionAccuracy.bias)}</td>
+                  <td>
+                    {formatMetric(
+                      regionAccuracy.coverage === null ? null : regionAccuracy.coverage * 100,
+                      0,
+                      '%'
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+ForecastAccuracyPanel.propTypes = {
+  /** Past forecasts and actuals from ForecastArchive.getOverlay */
+  overlay: PropTypes.shape({
+    actuals: PropTypes.arrayOf(PropTypes.shape({
+      timestamp: PropTypes.string.isRequired,
+      value: PropTypes.number.isRequired
+    })).isRequired,
+    forecasts: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      generated_at: PropTypes.string.isRequired,
+      model: PropTypes.string,
+      points: PropTypes.arrayOf(PropTypes.shape({
+        timestamp: PropTypes.string.isRequired,
+        value: PropTypes.number
+      })).isRequired
+    })).isRequired
+  }),
+  /** Accuracy per region from ForecastArchive.getAccuracyByRegion */
+  accuracy: PropTypes.objectOf(PropTypes.shape({
+    forecasts: PropTypes.number,
+    count: PropTypes.number,
+    mae: PropTypes.number,
+    rmse: PropTypes.number,
+    bias: PropTypes.number,
+    coverage: PropTypes.number
+  })),
+  /** Panel heading */
+  title: PropTypes.string,
+  /** Additional CSS class name */
+  className: PropTypes.string
+};
+
+export default ForecastAccuracyPanel;
@@ -0,0 +1,237 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import './ForecastExplanationPanel.css';
+
+const chartColors = {
+  value: '#1f2937',
+  trend: '#2563eb',
+  seasonal: '#059669',
+  residual: '#d97706',
+  changepoint: '#dc2626'
+};
+
+// Hours per forecast step
+const STEP_HOURS = {
+  hourly: 1,
+  '6-hourly': 6,
+  daily: 24
+};
+
+/**
+ * Chart label for a point: the date for daily steps, date and UTC hour below that
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} interval - Forecast step
+ * @returns {string} - Axis label
+ */
+const pointLabel = (timestamp, interval) =>
+  interval === 'daily' ? timestamp.split('T')[0] : `${timestamp.split('T')[0]} ${timestamp.slice(11, 16)}`;
+
+/**
+ * Describe a number of steps as days or hours
+ * @param {number} steps - Number of steps
+ * @param {string} interval - Forecast step
+ * @returns {string} - E.g. "30 days" or "48 hours"
+ */
+const formatSpan = (steps, interval) =>
+  interval === 'daily' ? `${steps} days` : `${steps * STEP_HOURS[interval]} hours`;
+
+/**
+ * Format a signed change for display
+ * @param {number} value - Change to format
+ * @param {number} decimals - Decimal places
+ * @returns {string} - Formatted change with sign
+ */
+const formatChange = (value, decimals = 1) =>
+  `${value > 0 ? '+' : ''}${value.toFixed(decimals)}`;
+
+/**
+ * Describe a component strength in words
+ * @param {number} strength - Strength between 0 and 1
+ * @returns {string} - Strength label
+ */
+const describeStrength = (strength) => {
+  if (strength >= 0.6) return 'strong';
+  if (strength >= 0.3) return 'moderate';
+  return 'weak';
+};
+
+/**
+ * Dot for the observed values, drawn only on steps that include imputed readings
+ * @param {Object} props - Dot props from recharts (cx, cy, payload)
+ * @returns {JSX.Element|null} - Hollow marker, or nothing for fully measured steps
+ */
+const renderImputedDot = ({ cx, cy, payload, key }) => (
+  payload && payload.imputed ? (
+    <circle key={key} cx={cx} cy={cy} r={3} fill="#ffffff" stroke={chartColors.value} strokeWidth={1.5} />
+  ) : null
+);
+
+/**
+ * ForecastExplanationPanel Component
+ *
+ * Charts the trend / seasonal / residual decomposition of the history and
+ * the forecast so operators can see what drives the forecast trend, and marks
+ * detected changepoints. Steps that include imputed readings are marked with a
+ * hollow dot. Sub-daily forecasts show a daily rather than a weekly pattern.
+ */
+const ForecastExplanationPanel = ({
+  explanation,
+  title = 'Why This Forecast?',
+  className = '',
+  ...props
+}) => {
+  if (!explanation || !explanation.success) {
+    return null;
+  }
+
+  const { summary } = explanation;
+  const interval = explanation.interval || 'daily';
+  const labelOf = point => (point.timestamp ? pointLabel(point.timestamp, interval) : point.date);
+  const forecastStart = explanation.forecast.length > 0 ? labelOf(explanation.forecast[0]) : null;
+  const changepoints = (explanation.changepoints || []).map(changepoint => ({
+    ...changepoint,
+    label: labelOf(changepoint)
+  }));
+  const chartData = [
+    ...explanation.history.map(point => ({ ...point, label: labelOf(point), period: 'history' })),
+    ...explanation.forecast.map(point => ({ ...point, label: labelOf(point), period: 'forecast' }))
+  ];
+  const stepRate = interval === 'daily' ? 'day' : `${STEP_HOURS[interval]}h`;
+
+  return (
+    <div className={`forecast-explanation ${className}`} {...props}>
+      <h4>{title}</h4>
+
+      <ul className="explanation-drivers">
+        <li className="explanation-driver trend">
+          <span className="driver-label">Trend</span>
+          <span className="driver-detail">
+            {formatChange(summary.trend_change)} over the last {formatSpan(explanation.history.length, interval)},{' '}
+            {formatChange(summary.forecast_trend_change)} over the forecast ({describeStrength(summary.trend_strength)})
+          </span>
+        </li>
+        <li className="explanation-driver seasonal">
+          <span className="driver-label">{interval === 'daily' ? 'Weekly pattern' : 'Daily pattern'}</span>
+          <span className="driver-detail">
+            {summary.seasonal_detected ?
+              `±${(summary.seasonal_amplitude / 2).toFixed(1)} swing (${describeStrength(summary.seasonal_strength)})` :
+              'Not enough history to estimate'}
+          </span>
+        </li>
+        {changepoints.length > 0 && (
+          <li className="explanation-driver changepoint">
+            <span className="driver-label">Shifts</span>
+            <span className="driver-detail">
+              {changepoints.map(changepoint =>
+                `${changepoint.label}: ${formatChange(changepoint.level_change)} level, ` +
+                `${formatChange(changepoint.slope_change, 2)}/${stepRate} slope`
+              ).join('; ')}
+            </span>
+          </li>
+        )}
+        <li className="explanation-driver residual">
+          <span className="driver-label">Noise</span>
+          <span className="driver-detail">
+            ±{summary.residual_std.toFixed(1)} {interval === 'daily' ? 'day to day' : 'step to step'}
+          </span>
+        </li>
+      </ul>
+
+      <div className="explanation-chart">
+        <h5>Observed and Trend</h5>
+        <ResponsiveContainer width="100%" height={220}>
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" />
+            <YAxis domain={['auto', 'auto']} />
+            <Tooltip formatter={(value) => (typeof value === 'number' ? value.toFixed(2) : value)} />
+            <Legend />
+            {forecastStart && (
+              <ReferenceLine x={forecastStart} stroke="#9ca3af" strokeDasharray="4 4" label="Forecast" />
+            )}
+            {changepoints.map(changepoint => (
+              <ReferenceLine
+                key={changepoint.label}
+                x={changepoint.label}
+                stroke={chartColors.changepoint}
+                label={`${changepoint.type === 'slope' ? 'Slope' : 'Level'} shift`}
+              />
+            ))}
+            <Line type="monotone" dataKey="value" name="Value" stroke={chartColors.value} dot={renderImputedDot} />
+            <Line type="monotone" dataKey="trend" name="Trend" stroke={chartColors.trend} strokeWidth={2} dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="explanation-chart">
+        <h5>Seasonal and Residual</h5>
+        <ResponsiveContainer width="100%" height={180}>
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" />
+            <YAxis domain={['auto', 'auto']} />
+            <Tooltip formatter={(value) => (typeof value === 'number' ? value.toFixed(2) : value)} />
+            <Legend />
+            <ReferenceLine y={0} stroke="#9ca3af" />
+            {forecastStart && (
+              <ReferenceLine x={forecastStart} stroke="#9ca3af" strokeDasharray="4 4" />
+            )}
+            {changepoints.map(changepoint => (
+              <ReferenceLine key={changepoint.label} x={changepoint.label} stroke={chartColors.changepoint} />
+            ))}
+            <Line type="monotone" dataKey="seasonal" name="Seasonal" stroke={chartColors.seasonal} dot={false} />
+            <Line type="monotone" dataKey="residual" name="Residual" stroke={chartColors.residual} dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+ForecastExplanationPanel.propTypes = {
+  /** Explanation result from explainForecast */
+  explanation: PropTypes.shape({
+    success: PropTypes.bool.isRequired,
+    interval: PropTypes.oneOf(['hourly', '6-hourly', 'daily']),
+    history: PropTypes.arrayOf(PropTypes.shape({
+      date: PropTypes.string.isRequired,
+      value: PropTypes.number,
+      trend: PropTypes.number,
+      seasonal: PropTypes.number,
+      residual: PropTypes.number,
+      filled: PropTypes.bool,
+      imputed: PropTypes.bool
+    })),
+    forecast: PropTypes.arrayOf(PropTypes.shape({
+      date: PropTypes.string.isRequired,
+      value: PropTypes.number,
+      trend: PropTypes.number,
+      seasonal: PropTypes.number,
+      residual: PropTypes.number
+    })),
+    changepoints: PropTypes.arrayOf(PropTypes.shape({
+      date: PropTypes.string.isRequired,
+      type: PropTypes.string,
+      level_change: PropTypes.number,
+      slope_change: PropTypes.number
+    })),
+    summary: PropTypes.object
+  }),
+  /** Panel heading */
+  title: PropTypes.string,
+  /** Additional CSS class name */
+  className: PropTypes.string
+};
+
+export default ForecastExplanationPanel;
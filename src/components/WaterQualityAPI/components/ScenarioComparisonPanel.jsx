@@ -0,0 +1,212 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import './ScenarioComparisonPanel.css';
+
+const chartColors = {
+  baseline: '#1f2937',
+  scenario: '#7c3aed'
+};
+
+/**
+ * Format a change with an explicit sign
+ * @param {number|null} value - Change
+ * @param {string} suffix - Unit suffix
+ * @returns {string} - E.g. "+1.5", or a dash when missing
+ */
+const formatChange = (value, suffix = '') => {
+  if (value === null || value === undefined) return '–';
+  return `${value > 0 ? '+' : ''}${value}${suffix}`;
+};
+
+/**
+ * Describe how a perturbation changes the inputs
+ * @param {Object} perturbation - Scenario perturbation
+ * @returns {string} - E.g. "turbidity +30% (forecast, North Coast)"
+ */
+const describePerturbation = (perturbation) => {
+  const scope = [
+    perturbation.applyTo === 'forecast' ? 'forecast' : null,
+    perturbation.region || null,
+    perturbation.from ? `from ${perturbation.from.split('T')[0]}` : null,
+    perturbation.to ? `to ${perturbation.to.split('T')[0]}` : null
+  ].filter(Boolean);
+  const scopeLabel = scope.length > 0 ? ` (${scope.join(', ')})` : '';
+
+  switch (perturbation.type) {
+    case 'offset':
+      return `${perturbation.parameter} ${formatChange(perturbation.amount)}${scopeLabel}`;
+    case 'percent':
+      return `${perturbation.parameter} ${formatChange(perturbation.percent, '%')}${scopeLabel}`;
+    case 'remove_sensor':
+      return `without ${(perturbation.sensor_ids || [perturbation.sensor_id]).join(', ')}${scopeLabel}`;
+    case 'add_readings':
+      return `${perturbation.readings.length} synthetic reading${perturbation.readings.length === 1 ? '' : 's'}`;
+    case 'driver':
+      return `${perturbation.driver} ${perturbation.percent !== undefined ?
+        formatChange(perturbation.percent, '%') :
+        formatChange(perturbation.amount)}${scopeLabel}`;
+    default:
+      return perturbation.type;
+  }
+};
+
+/**
+ * ScenarioComparisonPanel Component
+ *
+ * Shows a what-if scenario's quality index forecast against the baseline,
+ * the change in each parameter forecast and any quality band breach the
+ * scenario makes more or less likely
+ */
+const ScenarioComparisonPanel = ({
+  result,
+  className = '',
+  ...props
+}) => {
+  if (!result) {
+    return null;
+  }
+
+  if (!result.success) {
+    return (
+      <div className={`scenario-comparison ${className}`} {...props}>
+        <h4>What-if: {result.name}</h4>
+        <p className="scenario-error">Scenario could not be run: {result.error}</p>
+      </div>
+    );
+  }
+
+  const { quality, breaches, parameters } = result.comparison;
+  const chartData = quality ? quality.points.map(point => ({
+    label: point.timestamp.split('T')[1].startsWith('00:00') ?
+      point.date :
+      `${point.date} ${point.timestamp.split('T')[1].slice(0, 5)}`,
+    baseline: point.baseline,
+    scenario: point.scenario
+  })) : [];
+  const changedBreaches = breaches.filter(breach => breach.baseline_likely !== breach.scenario_likely ||
+    breach.baseline_first_likely_date !== breach.scenario_first_likely_date);
+  const parameterRows = Object.keys(parameters).filter(parameter => parameters[parameter]);
+
+  return (
+    <div className={`scenario-comparison ${className}`} {...props}>
+      <h4>What-if: {result.name}</h4>
+      {result.perturbations.length > 0 && (
+        <p className="scenario-perturbations">
+          {result.perturbations.map(describePerturbation).join(' · ')}
+        </p>
+      )}
+
+      {quality ? (
+        <div className="scenario-chart">
+          <ResponsiveContainer width="100%" height={240}>
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="label" />
+              <YAxis domain={['auto', 'auto']} />
+              <Tooltip />
+              <Legend />
+              <Line type="monotone" dataKey="baseline" name="Baseline" stroke={chartColors.baseline} strokeWidth={2} />
+              <Line
+                type="monotone"
+                dataKey="scenario"
+                name="Scenario"
+                stroke={chartColors.scenario}
+                strokeWidth={2}
+                strokeDasharray="5 3"
+              />
+            </LineChart>
+          </ResponsiveContainer>
+          <div className="scenario-headline">
+            Quality index {quality.summary.baseline_average} → {quality.summary.scenario_average}
+            {' '}({formatChange(quality.summary.mean_difference)} on average)
+          </div>
+        </div>
+      ) : (
+        <p className="scenario-error">The quality index could not be forecast for this scenario.</p>
+      )}
+
+      {changedBreaches.length > 0 && (
+        <ul className="scenario-breaches">
+          {changedBreaches.map(breach => (
+            <li key={breach.band}>
+              Drop into <strong>{breach.band}</strong> (below {breach.threshold}):{' '}
+              {breach.baseline_likely ? `likely from ${breach.baseline_first_likely_date}` : 'not likely'}
+              {' → '}
+              {breach.scenario_likely ? `likely from ${breach.scenario_first_likely_date}` : 'not likely'}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {parameterRows.length > 0 && (
+        <table className="scenario-table">
+          <thead>
+            <tr>
+              <th>Parameter</th>
+              <th>Baseline</th>
+              <th>Scenario</th>
+              <th>Mean change</th>
+              <th>Largest change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {parameterRows.map(parameter => {
+              const { summary } = parameters[parameter];
+              const { metadata } = result.baseline.parameters[parameter];
+
+              return (
+                <tr key={parameter}>
+                  <td>{metadata.label}{metadata.unit ? ` (${metadata.unit})` : ''}</td>
+                  <td>{summary.baseline_average}</td>
+                  <td>{summary.scenario_average}</td>
+                  <td>{formatChange(summary.mean_difference)}</td>
+                  <td>{formatChange(summary.max_difference)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+ScenarioComparisonPanel.propTypes = {
+  /** Result of runForecastScenario */
+  result: PropTypes.shape({
+    success: PropTypes.bool.isRequired,
+    name: PropTypes.string,
+    error: PropTypes.string,
+    perturbations: PropTypes.arrayOf(PropTypes.shape({
+      type: PropTypes.string.isRequired
+    })),
+    baseline: PropTypes.object,
+    comparison: PropTypes.shape({
+      quality: PropTypes.shape({
+        points: PropTypes.arrayOf(PropTypes.shape({
+          timestamp: PropTypes.string.isRequired,
+          date: PropTypes.string,
+          baseline: PropTypes.number,
+          scenario: PropTypes.number
+        })).isRequired,
+        summary: PropTypes.object.isRequired
+      }),
+      breaches: PropTypes.arrayOf(PropTypes.object),
+      parameters: PropTypes.objectOf(PropTypes.object)
+    })
+  }),
+  /** Additional CSS class name */
+  className: PropTypes.string
+};
+
+export default ScenarioComparisonPanel;
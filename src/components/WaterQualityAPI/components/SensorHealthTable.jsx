@@ -0,0 +1,94 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import './SensorHealthTable.css';
+
+/**
+ * Format an optional date for the health table
+ * @param {string|null} value - ISO date
+ * @returns {string} - Date, a dash when missing
+ */
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '–');
+
+/**
+ * SensorHealthTable Component
+ *
+ * Lists each sensor's health score and status from assessSensorHealth, least
+ * healthy first, with the reasons behind the score
+ */
+const SensorHealthTable = ({
+  health,
+  title = 'Sensor Health',
+  className = '',
+  ...props
+}) => {
+  if (!health || health.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`sensor-health ${className}`} {...props}>
+      <h4>{title}</h4>
+      <table className="sensor-health-table">
+        <thead>
+          <tr>
+            <th>Sensor</th>
+            <th>Region</th>
+            <th>Score</th>
+            <th>Status</th>
+            <th>Last calibration</th>
+            <th>Issues</th>
+          </tr>
+        </thead>
+        <tbody>
+          {health.map(sensor => (
+            <tr key={sensor.sensor_id}>
+              <td>{sensor.sensor_id}</td>
+              <td>{sensor.region}</td>
+              <td>
+                <span className={`health-score ${sensor.status}`}>{sensor.score}</span>
+              </td>
+              <td className="health-status">{sensor.status}</td>
+              <td>{formatDate(sensor.last_calibration)}</td>
+              <td>
+                {sensor.issues.length === 0 ? (
+                  <span className="health-ok">No issues</span>
+                ) : (
+                  <ul className="health-issues">
+                    {sensor.issues.map(issue => (
+                      <li key={`${issue.check}-${issue.parameter}`} className={`health-issue ${issue.severity}`}>
+                        {issue.reason}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+SensorHealthTable.propTypes = {
+  /** Per-sensor health from assessSensorHealth */
+  health: PropTypes.arrayOf(PropTypes.shape({
+    sensor_id: PropTypes.string.isRequired,
+    region: PropTypes.string,
+    score: PropTypes.number.isRequired,
+    status: PropTypes.oneOf(['healthy', 'degraded', 'faulty']).isRequired,
+    last_calibration: PropTypes.string,
+    issues: PropTypes.arrayOf(PropTypes.shape({
+      check: PropTypes.string.isRequired,
+      parameter: PropTypes.string,
+      severity: PropTypes.oneOf(['low', 'medium', 'high']).isRequired,
+      reason: PropTypes.string.isRequired
+    })).isRequired
+  })),
+  /** Table heading */
+  title: PropTypes.string,
+  /** Additional CSS class name */
+  className: PropTypes.string
+};
+
+export default SensorHealthTable;
@@ -6,13 +6,25 @@
  */
 
 import { useState, useCallback, useMemo } from 'react';
+import { formatUnitSuffix, isWithinRange, resolveParameters } from '../utils/parameterRegistry';
+
+/**
+ * Whether a parameter range filter is set
+ * @param {Object} range - {min, max}
+ * @returns {boolean} True when either bound is set
+ */
+const isRangeActive = (range) => Boolean(range) && (range.min !== null || range.max !== null);
 
 /**
  * Custom hook for managing water quality filters
  * @param {Object} initialFilters - Initial filter values
+ * @param {Object} options - Hook options
+ * @param {Array} options.parameters - Parameter definitions that get range filters (default: the parameter registry)
  * @returns {Object} Filter state and management functions
  */
-export const useWaterQualityFilters = (initialFilters = {}) => {
+export const useWaterQualityFilters = (initialFilters = {}, options = {}) => {
+  const parameters = useMemo(() => resolveParameters(options.parameters), [options.parameters]);
+
   const defaultFilters = {
     region: 'all',
     dateRange: {
@@ -24,11 +36,10 @@ export const useWaterQualityFilters = (initialFilters = {}) => {
       min: 0,
       max: 100
     },
-    parameters: {
-      temperature: { min: null, max: null },
-      pH: { min: null, max: null },
-      turbidity: { min: null, max: null }
-    }
+    parameters: parameters.reduce((ranges, parameter) => {
+      ranges[parameter.key] = { min: null, max: null };
+      return ranges;
+    }, {})
   };
 
   const [filters, setFilters] = useState({
@@ -119,7 +130,7 @@ export const useWaterQualityFilters = (initialFilters = {}) => {
 
   /**
    * Update parameter range filter
-   * @param {string} parameter - Parameter name (temperature, pH, turbidity)
+   * @param {string} parameter - Parameter key (see the parameter registry)
    * @param {number} min - Minimum value
    * @param {number} max - Maximum value
    */
@@ -178,13 +189,8 @@ export const useWaterQualityFilters = (initialFilters = {}) => {
     if (filters.qualityRange.min > 0 || filters.qualityRange.max < 100) return true;
 
     // Check parameter filters
-    const { temperature, pH, turbidity } = filters.parameters;
-    if (temperature.min !== null || temperature.max !== null) return true;
-    if (pH.min !== null || pH.max !== null) return true;
-    if (turbidity.min !== null || turbidity.max !== null) return true;
-
-    return false;
-  }, [filters]);
+    return parameters.some(parameter => isRangeActive(filters.parameters[parameter.key]));
+  }, [filters, parameters]);
 
   /**
    * Get active filter count
@@ -197,13 +203,10 @@ export const useWaterQualityFilters = (initialFilters = {}) => {
     if (filters.sensors.length > 0) count++;
     if (filters.qualityRange.min > 0 || filters.qualityRange.max < 100) count++;
 
-    const { temperature, pH, turbidity } = filters.parameters;
-    if (temperature.min !== null || temperature.max !== null) count++;
-    if (pH.min !== null || pH.max !== null) count++;
-    if (turbidity.min !== null || turbidity.max !== null) count++;
+    count += parameters.filter(parameter => isRangeActive(filters.parameters[parameter.key])).length;
 
     return count;
-  }, [filters]);
+  }, [filters, parameters]);
 
   /**
    * Validate current filters
@@ -225,25 +228,22 @@ export const useWaterQualityFilters = (initialFilters = {}) => {
     }
 
     // Validate parameter ranges
-    const { temperature, pH, turbidity } = filters.parameters;
-    
-    if (temperature.min !== null && temperature.max !== null && temperature.min > temperature.max) {
-      errors.push('Minimum temperature cannot be greater than maximum temperature');
-    }
-    
-    if (pH.min !== null && pH.max !== null && pH.min > pH.max) {
-      errors.push('Minimum pH cannot be greater than maximum pH');
-    }
-    
-    if (turbidity.min !== null && turbidity.max !== null && turbidity.min > turbidity.max) {
-      errors.push('Minimum turbidity cannot be greater than maximum turbidity');
-    }
+    parameters.forEach(parameter => {
+      const range = filters.parameters[parameter.key];
+      if (!range) return;
+      if (range.min !== null && range.max !== null && range.min > range.max) {
+        errors.push(`Minimum ${parameter.label} cannot be greater than maximum ${parameter.label}`);
+      }
+      [range.min, range.max]
+        .filter(bound => bound !== null && !isWithinRange(parameter, bound))
+        .forEach(bound => errors.push(`${parameter.label} ${bound} is outside the valid range`));
+    });
 
     return {
       isValid: errors.length === 0,
       errors
     };
-  }, [filters]);
+  }, [filters, parameters]);
 
   /**
    * Get filter summary for display
@@ -269,28 +269,17 @@ export const useWaterQualityFilters = (initialFilters = {}) => {
       summary.push(`Quality: ${filters.qualityRange.min}-${filters.qualityRange.max}`);
     }
 
-    const { temperature, pH, turbidity } = filters.parameters;
-    
-    if (temperature.min !== null || temperature.max !== null) {
-      const min = temperature.min !== null ? temperature.min : 'Any';
-      const max = temperature.max !== null ? temperature.max : 'Any';
-      summary.push(`Temperature: ${min}-${max}°C`);
-    }
-    
-    if (pH.min !== null || pH.max !== null) {
-      const min = pH.min !== null ? pH.min : 'Any';
-      const max = pH.max !== null ? pH.max : 'Any';
-      summary.push(`pH: ${min}-${max}`);
-    }
-    
-    if (turbidity.min !== null || turbidity.max !== null) {
-      const min = turbidity.min !== null ? turbidity.min : 'Any';
-      const max = turbidity.max !== null ? turbidity.max : 'Any';
-      summary.push(`Turbidity: ${min}-${max} NTU`);
-    }
+    parameters.forEach(parameter => {
+      const range = filters.parameters[parameter.key];
+      if (isRangeActive(range)) {
+        const min = range.min !== null ? range.min : 'Any';
+        const max = range.max !== null ? range.max : 'Any';
+        summary.push(`${parameter.label}: ${min}-${max}${formatUnitSuffix(parameter.unit)}`);
+      }
+    });
 
     return summary;
-  }, [filters]);
+  }, [filters, parameters]);
 
   /**
    * Apply filters to data array
@@ -331,18 +320,16 @@ export const useWaterQualityFilters = (initialFilters = {}) => {
       }
 
       // Parameter filters
-      const { temperature, pH, turbidity } = filters.parameters;
-      
-      if (temperature.min !== null && reading.temperature < temperature.min) return false;
-      if (temperature.max !== null && reading.temperature > temperature.max) return false;
-      if (pH.min !== null && reading.pH < pH.min) return false;
-      if (pH.max !== null && reading.pH > pH.max) return false;
-      if (turbidity.min !== null && reading.turbidity < turbidity.min) return false;
-      if (turbidity.max !== null && reading.turbidity > turbidity.max) return false;
-
-      return true;
+      return parameters.every(parameter => {
+        const range = filters.parameters[parameter.key];
+        const value = reading[parameter.key];
+        if (!range) return true;
+        if (range.min !== null && value < range.min) return false;
+        if (range.max !== null && value > range.max) return false;
+        return true;
+      });
     });
-  }, [filters]);
+  }, [filters, parameters]);
 
   return {
     filters,
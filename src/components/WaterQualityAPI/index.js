@@ -10,6 +10,10 @@ export { default as WaterQualityAPI } from './WaterQualityAPI';
 // Export sub-components
 export { default as FilterControls } from './components/FilterControls';
 export { default as BatchSummaryDisplay } from './components/BatchSummaryDisplay';
+export { default as ForecastExplanationPanel } from './components/ForecastExplanationPanel';
+export { default as ForecastAccuracyPanel } from './components/ForecastAccuracyPanel';
+export { default as ScenarioComparisonPanel } from './components/ScenarioComparisonPanel';
+export { default as SensorHealthTable } from './components/SensorHealthTable';
 
 // Export hooks
 export { useWaterQualityFilters } from './hooks/useWaterQualityFilters';
@@ -0,0 +1,205 @@
+/**
+ * Tests for Anomaly Detection
+ */
+
+import {
+  detectDistributionAnomalies,
+  detectReadingAnomalies,
+  detectSensorRollingAnomalies,
+  detectStaticAnomalies,
+  getHighestSeverity,
+  groupFindingsByReading,
+  rateSeverity
+} from '../anomalyDetection';
+import { detectAnomalies } from '../dataAggregator';
+import { BATCH_QUALITY_INDEX_LIMITS, generateBatchSummaries } from '../batchSummaryGenerator';
+import { createSeededRandom } from '../random';
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = Date.UTC(2025, 9, 1);
+
+/**
+ * Build hourly readings from two sensors at different pH levels, with one
+ * reading at a pH still inside the static limits
+ * @returns {Array} - Readings in time order
+ */
+const buildReadings = () => {
+  const random = createSeededRandom(42);
+  const readings = [];
+
+  for (let hour = 0; hour < 30; hour++) {
+    [['NC-001', 'North Coast', 8.0], ['SB-001', 'South Bay', 7.2]].forEach(([sensorId, region, level]) => {
+      readings.push({
+        timestamp: new Date(start + hour * HOUR_MS).toISOString(),
+        region,
+        sensor_id: sensorId,
+        temperature: 18 + random.normal(0, 0.3),
+        pH: level + random.normal(0, 0.05),
+        turbidity: 2 + random.normal(0, 0.1),
+        region_avg_quality_index: 75 + random.normal(0, 2)
+      });
+    });
+  }
+
+  // North Coast at the South Bay level for one reading
+  readings[50] = { ...readings[50], pH: 7.0 };
+  return readings;
+};
+
+describe('Anomaly Detection', () => {
+  test('should report static breaches as findings without changing the readings', () => {
+    const readings = [
+      { timestamp: '2025-10-01T00:00:00Z', region: 'North Coast', sensor_id: 'NC-001', pH: 9.5, turbidity: 25, region_avg_quality_index: 15 },
+      { timestamp: '2025-10-01T01:00:00Z', region: 'North Coast', sensor_id: 'NC-001', pH: 7.5, turbidity: 2, region_avg_quality_index: 70 }
+    ];
+    const copy = JSON.parse(JSON.stringify(readings));
+    const findings = detectStaticAnomalies(readings);
+
+    expect(readings).toEqual(copy);
+    expect(findings.map(finding => [finding.parameter, finding.severity])).toEqual([
+      ['turbidity', 'high'],
+      ['region_avg_quality_index', 'low'],
+      ['pH', 'low']
+    ]);
+    expect(findings[0]).toMatchObject({
+      method: 'static',
+      reading_index: 0,
+      sensor_id: 'NC-001',
+      value: 25,
+      expected: 10,
+      lower: null,
+      upper: 10,
+      direction: 'above',
+      score: 2.5,
+      threshold: 1
+    });
+    expect(detectStaticAnomalies(readings, { limits: { turbidity: { max: 30 } } })
+      .map(finding => finding.parameter)).not.toContain('turbidity');
+  });
+
+  test('should rate severity by how far past the threshold a score is', () => {
+    expect(rateSeverity(3.2, 3)).toBe('low');
+    expect(rateSeverity(4.5, 3)).toBe('medium');
+    expect(rateSeverity(6, 3)).toBe('high');
+    expect(getHighestSeverity([{ severity: 'low' }, { severity: 'high' }, { severity: 'medium' }])).toBe('high');
+    expect(getHighestSeverity([])).toBeNull();
+  });
+
+  test('should flag values far from their group with z-score, IQR and MAD', () => {
+    const readings = buildReadings();
+
+    ['zscore', 'iqr', 'mad'].forEach(method => {
+      const findings = detectDistributionAnomalies(readings, method, { groupBy: 'sensor' });
+      expect(findings[0]).toMatchObject({ method, parameter: 'pH', reading_index: 50, direction: 'below' });
+      expect(findings[0].score).toBeGreaterThan(findings[0].threshold);
+      expect(findings[0].value).toBeLessThan(findings[0].lower);
+    });
+
+    // Across both sensors the two pH levels hide the reading
+    expect(detectDistributionAnomalies(readings, 'zscore').filter(finding => finding.parameter === 'pH'))
+      .toHaveLength(0);
+  });
+
+  test('should skip groups that are too small or have no spread', () => {
+    const flat = Array.from({ length: 12 }, (_, i) => ({
+      timestamp: new Date(start + i * HOUR_MS).toISOString(),
+      sensor_id: 'NC-001',
+      pH: 8
+    }));
+    flat[5] = { ...flat[5], pH: 9 };
+
+    // Over half the values are identical, so the MAD is zero
+    expect(detectDistributionAnomalies(flat, 'mad')).toHaveLength(0);
+    expect(detectDistributionAnomalies(flat, 'zscore')[0]).toMatchObject({ reading_index: 5 });
+    expect(detectDistributionAnomalies(flat, 'zscore', { minSamples: 20 })).toHaveLength(0);
+  });
+
+  test('should compare each reading with its own sensor\'s recent history', () => {
+    const readings = buildReadings();
+    const findings = detectSensorRollingAnomalies(readings, { windowHours: 12, minHistory: 8 });
+    const pH = findings.filter(finding => finding.parameter === 'pH');
+
+    expect(pH[0]).toMatchObject({
+      method: 'rolling',
+      reading_index: 50,
+      sensor_id: 'NC-001',
+      severity: 'high'
+    });
+    expect(pH[0].expected).toBeCloseTo(8.0, 1);
+    // Only borderline noise otherwise
+    expect(pH.slice(1).every(finding => finding.severity === 'low')).toBe(true);
+  });
+
+  test('should match rolling findings to readings without a sensor ID', () => {
+    const readings = buildReadings()
+      .filter(reading => reading.sensor_id === 'NC-001')
+      .map(({ sensor_id: sensorId, ...reading }) => reading);
+    // A second reading at the same time as the outlier
+    readings.splice(26, 0, { ...readings[25], pH: 8.0 });
+
+    const findings = detectReadingAnomalies(readings, { methods: ['rolling'], windowHours: 12, minHistory: 8 })
+      .findings.filter(finding => finding.parameter === 'pH');
+
+    expect(readings[25].pH).toBe(7.0);
+    expect(findings[0]).toMatchObject({ reading_index: 25, sensor_id: null, value: 7.0, severity: 'high' });
+    expect(findings.every(finding => readings[finding.reading_index].pH === finding.value)).toBe(true);
+  });
+
+  test('should combine methods and reject unknown ones', () => {
+    const readings = buildReadings();
+    const result = detectReadingAnomalies(readings, { methods: ['static', 'mad'], groupBy: 'sensor' });
+
+    expect(result.methods).toEqual(['static', 'mad']);
+    expect(result.findings.every(finding => ['static', 'mad'].includes(finding.method))).toBe(true);
+    expect([...groupFindingsByReading(result.findings).keys()]).toContain(50);
+    expect(() => detectReadingAnomalies(readings, { methods: ['grubbs'] })).toThrow('Unsupported anomaly method: grubbs');
+    expect(() => detectDistributionAnomalies(readings, 'mad', { groupBy: 'site' }))
+      .toThrow('Unsupported anomaly grouping: site');
+  });
+
+  test('should return flagged copies from detectAnomalies', () => {
+    const readings = buildReadings();
+    const anomalies = detectAnomalies(readings, {}, { methods: ['mad'], groupBy: 'sensor' });
+    const flagged = anomalies.find(reading => reading.timestamp === readings[50].timestamp && reading.sensor_id === 'NC-001');
+
+    expect(flagged.anomalies).toContain('pH');
+    expect(flagged.anomaly_findings[0]).toMatchObject({ method: 'mad', reading_index: 50 });
+    expect(flagged).not.toBe(readings[50]);
+    expect(readings[50].anomalies).toBeUndefined();
+  });
+
+  test('should flag batch anomalies with the requested methods', () => {
+    const readings = buildReadings();
+    const [summary] = generateBatchSummaries(readings, 'monthly', {
+      includeAnomalies: { methods: ['static', 'mad'], groupBy: 'sensor' }
+    });
+    const flagged = summary.anomalies.find(anomaly => anomaly.timestamp === readings[50].timestamp &&
+      anomaly.sensor_id === 'NC-001');
+
+    expect(flagged.issues).toContain('mad_pH');
+    expect(flagged.severity).toBe('high');
+    expect(flagged.findings[0]).toMatchObject({ method: 'mad', parameter: 'pH' });
+    expect(flagged.values.pH).toBe(7.0);
+
+    const [staticOnly] = generateBatchSummaries(readings, 'monthly', { includeAnomalies: true });
+    expect(staticOnly.anomalies).toHaveLength(0);
+  });
+
+  test('should keep the batch quality index limit at 30', () => {
+    const readings = buildReadings().slice(0, 3);
+    readings[0] = { ...readings[0], region_avg_quality_index: 25 };
+    readings[1] = { ...readings[1], region_avg_quality_index: 31 };
+
+    const [summary] = generateBatchSummaries(readings, 'monthly', { includeAnomalies: true });
+
+    expect(BATCH_QUALITY_INDEX_LIMITS.min).toBe(30);
+    expect(summary.anomalies).toHaveLength(1);
+    expect(summary.anomalies[0]).toMatchObject({ sensor_id: readings[0].sensor_id, issues: ['poor_quality_index'] });
+
+    // Detection options can still set the limit
+    const [custom] = generateBatchSummaries(readings, 'monthly', {
+      includeAnomalies: { limits: { region_avg_quality_index: { min: 20 } } }
+    });
+    expect(custom.anomalies).toHaveLength(0);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for the Forecast Backtesting Harness
+ */
+
+import {
+  backtestForecast,
+  compareForecastModels,
+  calculateForecastAccuracy
+} from '../backtesting';
+import { mockWaterQualityData } from '../../mockData/waterQualityMockData';
+
+// 30 days of twice-daily readings for two regions with a weekly pattern
+const buildHistory = () => ['North Coast', 'Desert Basin'].flatMap((region, regionIndex) =>
+  Array.from({ length: 60 }, (_, index) => {
+    const day = Math.floor(index / 2);
+    return {
+      timestamp: new Date(Date.UTC(2025, 8, 1 + day, (index % 2) * 12)).toISOString(),
+      region,
+      sensor_id: `${region}-001`,
+      region_avg_quality_index: 80 - regionIndex * 20 + (day % 7) - day * 0.1
+    };
+  })
+);
+
+describe('Forecast Backtesting', () => {
+  describe('calculateForecastAccuracy', () => {
+    test('should calculate error metrics', () => {
+      const metrics = calculateForecastAccuracy([
+        { forecast: 82, actual: 80, lower: 78, upper: 84 },
+        { forecast: 78, actual: 80, lower: 76, upper: 79 },
+        { forecast: 84, actual: 80, lower: 70, upper: 90 }
+      ]);
+
+      expect(metrics.count).toBe(3);
+      expect(metrics.mae).toBeCloseTo(8 / 3, 3);
+      expect(metrics.rmse).toBeCloseTo(Math.sqrt(24 / 3), 3);
+      expect(metrics.mape).toBeCloseTo(10 / 3, 2);
+      expect(metrics.bias).toBeCloseTo(4 / 3, 3);
+      expect(metrics.coverage).toBeCloseTo(2 / 3, 3);
+    });
+
+    test('should return empty metrics for no records', () => {
+      expect(calculateForecastAccuracy([]).mae).toBeNull();
+    });
+  });
+
+  describe('backtestForecast', () => {
+    test('should report metrics per region and per horizon day', () => {
+      const result = backtestForecast(buildHistory(), { initialWindow: 14 });
+
+      expect(result.success).toBe(true);
+      ['North Coast', 'Desert Basin'].forEach(region => {
+        const regionResult = result.regions[region];
+        expect(regionResult.origins).toBeGreaterThan(0);
+        expect(regionResult.metrics.count).toBeGreaterThan(0);
+        expect(Object.keys(regionResult.by_horizon)).toEqual(['1', '2', '3', '4', '5', '6', '7']);
+        expect(regionResult.metrics.rmse).toBeGreaterThanOrEqual(regionResult.metrics.mae);
+      });
+      expect(result.overall.metrics.count).toBe(
+        result.regions['North Coast'].metrics.count + result.regions['Desert Basin'].metrics.count
+      );
+    });
+
+    test('should only give the forecast function history up to the cut-off', () => {
+      const cutoffs = [];
+      const forecastFn = (history, region) => {
+        const latest = history.reduce((max, reading) => reading.timestamp > max ? reading.timestamp : max, '');
+        cutoffs.push({ region, latest });
+        return { success: false };
+      };
+
+      const result = backtestForecast(buildHistory(), {
+        forecastFn,
+        regions: ['North Coast'],
+        initialWindow: 10,
+        maxOrigins: 3
+      });
+
+      expect(cutoffs).toHaveLength(3);
+      expect(cutoffs[0].latest.startsWith('2025-09-10')).toBe(true);
+      expect(cutoffs[2].latest.startsWith('2025-09-12')).toBe(true);
+      expect(result.regions['North Coast'].failed_origins).toBe(3);
+    });
+
+    test('should score a perfect forecast with zero error', () => {
+      const data = buildHistory().filter(reading => reading.region === 'North Coast');
+      const daily = {};
+      data.forEach(reading => {
+        const key = reading.timestamp.split('T')[0];
+        daily[key] = daily[key] || [];
+        daily[key].push(reading.region_avg_quality_index);
+      });
+
+      const oracle = (history) => {
+        const last = new Date(history[history.length - 1].timestamp);
+        return {
+          success: true,
+          forecast_quality_index: Array.from({ length: 7 }, (_, index) => {
+            const date = new Date(last);
+            date.setUTCDate(date.getUTCDate() + index + 1);
+            const key = date.toISOString().split('T')[0];
+            const values = daily[key] || [0];
+            return {
+              date: key,
+              day_offset: index + 1,
+              quality_index: values.reduce((sum, value) => sum + value, 0) / values.length
+            };
+          })
+        };
+      };
+
+      const result = backtestForecast(data, { forecastFn: oracle, initialWindow: 7 });
+
+      expect(result.regions['North Coast'].metrics.mae).toBe(0);
+      expect(result.regions['North Coast'].metrics.coverage).toBeNull();
+    });
+
+    test('should run against the mock water quality data', () => {
+      const result = backtestForecast(mockWaterQualityData, {
+        regions: ['North Coast'],
+        initialWindow: 20,
+        maxOrigins: 3,
+        includeRecords: true
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.regions['North Coast'].records.length).toBeGreaterThan(0);
+      expect(result.regions['North Coast'].metrics.mae).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should fail gracefully without data', () => {
+      const result = backtestForecast([]);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('No data');
+    });
+  });
+
+  describe('compareForecastModels', () => {
+    test('should rank models by MAE', () => {
+      const { results, ranking } = compareForecastModels(
+        buildHistory(),
+        ['seasonal_naive', 'simple_exponential_smoothing'],
+        { initialWindow: 14 }
+      );
+
+      expect(results.seasonal_naive.config.model).toBe('seasonal_naive');
+      expect(ranking).toHaveLength(2);
+      expect(ranking[0].mae).toBeLessThanOrEqual(ranking[1].mae);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for Threshold Breach Probability
+ */
+
+import {
+  getBreachBands,
+  getBreachThresholds,
+  probabilityBelow,
+  calculateBreachProbabilities
+} from '../breachProbability';
+
+const buildForecast = (values, standardError = 5) => values.map((value, index) => ({
+  date: new Date(Date.UTC(2025, 9, 29 + index)).toISOString().split('T')[0],
+  day_offset: index + 1,
+  value,
+  standard_error: standardError
+}));
+
+describe('Threshold Breach Probability', () => {
+  test('should derive the bands a value can drop into', () => {
+    expect(getBreachBands()).toEqual([
+      { band: 'good', threshold: 80 },
+      { band: 'fair', threshold: 60 },
+      { band: 'poor', threshold: 40 }
+    ]);
+  });
+
+  test('should derive breach thresholds from quality index bands', () => {
+    // NSF-style bands
+    const thresholds = getBreachThresholds({ excellent: 90, good: 70, fair: 50 });
+
+    expect(getBreachBands(thresholds)).toEqual([
+      { band: 'good', threshold: 90 },
+      { band: 'fair', threshold: 70 },
+      { band: 'poor', threshold: 50 }
+    ]);
+    expect(calculateBreachProbabilities(buildForecast([85]), { thresholds }).forecasts[0].breach_probabilities.good)
+      .toBeCloseTo(0.841, 3);
+  });
+
+  test('should give even odds exactly at the threshold', () => {
+    expect(probabilityBelow(60, 4, 60)).toBeCloseTo(0.5, 6);
+    expect(probabilityBelow(50, 10, 60)).toBeCloseTo(0.841, 3);
+  });
+
+  test('should fall back to the point forecast without a standard error', () => {
+    expect(probabilityBelow(59, 0, 60)).toBe(1);
+    expect(probabilityBelow(61, undefined, 60)).toBe(0);
+  });
+
+  test('should report probabilities per day and band', () => {
+    const { forecasts } = calculateBreachProbabilities(buildForecast([85, 70]));
+
+    expect(Object.keys(forecasts[0].breach_probabilities)).toEqual(['good', 'fair', 'poor']);
+    expect(forecasts[0].breach_probabilities.good).toBeCloseTo(0.159, 3);
+    expect(forecasts[1].breach_probabilities.good).toBeCloseTo(0.977, 3);
+    expect(forecasts[1].breach_probabilities.poor).toBe(0);
+  });
+
+  test('should flag the first day a breach becomes likely', () => {
+    const { breaches } = calculateBreachProbabilities(buildForecast([70, 65, 61, 58, 55]), {
+      currentValue: 72
+    });
+    const fair = breaches.find(breach => breach.band === 'fair');
+
+    expect(fair.likely).toBe(true);
+    expect(fair.first_likely_date).toBe('2025-11-01');
+    expect(fair.first_likely_day_offset).toBe(4);
+    expect(fair.probability).toBeGreaterThanOrEqual(0.5);
+    expect(fair.currently_below).toBe(false);
+    expect(breaches.find(breach => breach.band === 'good').currently_below).toBe(true);
+  });
+
+  test('should honour a custom likelihood and thresholds', () => {
+    const { breaches } = calculateBreachProbabilities(buildForecast([75, 72]), {
+      thresholds: { safe: 70, unsafe: 0 },
+      likelyProbability: 0.2
+    });
+
+    expect(breaches).toHaveLength(1);
+    expect(breaches[0].band).toBe('unsafe');
+    expect(breaches[0].first_likely_day_offset).toBe(2);
+    expect(breaches[0].max_probability_date).toBe('2025-10-30');
+  });
+
+  test('should not flag breaches that stay unlikely', () => {
+    const { breaches } = calculateBreachProbabilities(buildForecast([95, 95]));
+
+    expect(breaches.every(breach => !breach.likely && breach.first_likely_date === null)).toBe(true);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for Changepoint Detection
+ */
+
+import {
+  detectChangepoints,
+  detectParameterChangepoints,
+  detectRegionalChangepoints,
+  estimateNoiseLevel
+} from '../changepointDetection';
+import { getImputableFields } from '../imputation';
+import { createSeededRandom } from '../random';
+
+// Deterministic noise so detection results are stable
+const noisy = (values, sd = 0.5, seed = 3) => {
+  const random = createSeededRandom(seed);
+  return values.map(value => value + random.normal(0, sd));
+};
+
+const levelShift = noisy(Array.from({ length: 30 }, (_, index) => (index < 18 ? 80 : 70)));
+const slopeShift = noisy(Array.from({ length: 30 }, (_, index) => (index < 15 ? 60 : 60 + (index - 15) * 1.5)));
+
+const toReadings = (values, region = 'North Coast', parameter = 'region_avg_quality_index') =>
+  values.map((value, index) => ({
+    timestamp: new Date(Date.UTC(2025, 8, 1 + index, 8)).toISOString(),
+    region,
+    sensor_id: `${region}-001`,
+    [parameter]: value
+  }));
+
+describe('Changepoint Detection', () => {
+  test('should estimate the noise level robustly', () => {
+    expect(estimateNoiseLevel(noisy(new Array(200).fill(10), 2))).toBeCloseTo(2, 0);
+    expect(estimateNoiseLevel([1, 2])).toBe(0);
+    expect(estimateNoiseLevel([10, 10.4, 10, 10.4, 10, 10.4, 10])).toBeGreaterThan(0);
+  });
+
+  test('should find a level shift with PELT', () => {
+    const { changepoints } = detectChangepoints(levelShift);
+
+    expect(changepoints).toHaveLength(1);
+    expect(changepoints[0].index).toBe(18);
+    expect(changepoints[0].level_change).toBeCloseTo(-10, 0);
+    expect(changepoints[0].type).toBe('level');
+  });
+
+  test('should find a slope shift with PELT', () => {
+    const { changepoints } = detectChangepoints(slopeShift);
+
+    expect(changepoints).toHaveLength(1);
+    expect(Math.abs(changepoints[0].index - 15)).toBeLessThanOrEqual(1);
+    expect(changepoints[0].slope_change).toBeCloseTo(1.5, 0);
+    expect(changepoints[0].type).toBe('slope');
+  });
+
+  test('should find a level shift with CUSUM', () => {
+    const { method, changepoints } = detectChangepoints(levelShift, { method: 'cusum' });
+
+    expect(method).toBe('cusum');
+    expect(changepoints.map(changepoint => changepoint.index)).toEqual([18]);
+    expect(changepoints[0].slope_change).toBe(0);
+  });
+
+  test('should not report changepoints in a stationary or straight series', () => {
+    expect(detectChangepoints(noisy(new Array(40).fill(75))).changepoints).toEqual([]);
+    expect(detectChangepoints(noisy(new Array(40).fill(75)), { method: 'cusum' }).changepoints).toEqual([]);
+    expect(detectChangepoints(Array.from({ length: 30 }, (_, index) => 50 + index * 0.3)).changepoints).toEqual([]);
+  });
+
+  test('should respect the minimum segment length', () => {
+    const lateShift = noisy(Array.from({ length: 30 }, (_, index) => (index < 27 ? 80 : 60)));
+
+    detectChangepoints(lateShift, { minSegmentLength: 5 }).changepoints.forEach(changepoint => {
+      expect(changepoint.index).toBeGreaterThanOrEqual(5);
+      expect(changepoint.index).toBeLessThanOrEqual(25);
+    });
+    expect(detectChangepoints(lateShift.slice(0, 9)).changepoints).toEqual([]);
+  });
+
+  test('should reject unknown methods', () => {
+    expect(() => detectChangepoints(levelShift, { method: 'eyeball' })).toThrow('Unsupported changepoint method');
+  });
+
+  test('should report timestamps for a parameter series', () => {
+    const changepoints = detectParameterChangepoints(toReadings(levelShift));
+
+    expect(changepoints).toHaveLength(1);
+    expect(changepoints[0].date).toBe('2025-09-19');
+    expect(changepoints[0].timestamp).toBe('2025-09-19T00:00:00.000Z');
+  });
+
+  test('should report changepoints per region and parameter', () => {
+    const readings = [
+      ...toReadings(levelShift, 'North Coast', 'turbidity'),
+      ...toReadings(noisy(new Array(30).fill(2), 0.1), 'Desert Basin', 'turbidity')
+    ];
+    const result = detectRegionalChangepoints(readings, { parameters: ['turbidity'] });
+
+    expect(result['North Coast'].turbidity).toHaveLength(1);
+    expect(result['Desert Basin'].turbidity).toEqual([]);
+  });
+
+  test('should analyse every registry parameter and the quality index by default', () => {
+    const readings = toReadings(levelShift, 'North Coast', 'turbidity');
+    const result = detectRegionalChangepoints(readings);
+
+    expect(Object.keys(result['North Coast'])).toEqual(getImputableFields());
+    expect(result['North Coast'].turbidity).toHaveLength(1);
+    expect(result['North Coast'].dissolved_oxygen).toEqual([]);
+  });
+});
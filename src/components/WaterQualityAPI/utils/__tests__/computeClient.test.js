@@ -0,0 +1,182 @@
+/**
+ * Tests for the Compute Client
+ */
+
+import { ComputeClient, isAbortError } from '../computeClient';
+import { runComputeTask, runComputeTasks } from '../computeTasks';
+import { aggregateSensorData } from '../dataAggregator';
+
+const readings = [
+  { timestamp: '2025-10-01T00:00:00Z', region: 'North Coast', sensor_id: 'NC-001', pH: 8.0, temperature: 18.2 },
+  { timestamp: '2025-10-01T04:00:00Z', region: 'North Coast', sensor_id: 'NC-001', pH: 8.1, temperature: 18.6 },
+  { timestamp: '2025-10-01T08:00:00Z', region: 'South Bay', sensor_id: 'SB-001', pH: 7.9, temperature: 19.1 }
+];
+
+/**
+ * Worker stand-in that answers each message through runComputeTasks
+ * @param {Object} options - {hold: keep messages until flush() is called}
+ * @returns {Object} - Fake worker with the messages it received
+ */
+const createFakeWorker = ({ hold = false } = {}) => {
+  const worker = {
+    messages: [],
+    terminated: false,
+    onmessage: null,
+    onerror: null,
+    postMessage: jest.fn(message => {
+      worker.messages.push(message);
+      if (!hold) worker.flush();
+    }),
+    terminate: jest.fn(() => {
+      worker.terminated = true;
+    }),
+    flush: () => {
+      const message = worker.messages.shift();
+      // Cloning mimics the copy a real worker works on
+      const { id, tasks } = JSON.parse(JSON.stringify(message));
+      setTimeout(() => {
+        if (worker.terminated) return;
+        try {
+          worker.onmessage({ data: { id, results: runComputeTasks(tasks) } });
+        } catch (error) {
+          worker.onmessage({ data: { id, error: error.message } });
+        }
+      }, 0);
+    }
+  };
+  return worker;
+};
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Compute Tasks', () => {
+  test('should run a utility by name', () => {
+    expect(runComputeTask('aggregateSensorData', [readings])).toEqual(aggregateSensorData(readings));
+  });
+
+  test('should reject unknown tasks', () => {
+    expect(() => runComputeTask('deleteEverything', [])).toThrow('Unsupported compute task: deleteEverything');
+    expect(() => runComputeTask('toString', [])).toThrow('Unsupported compute task: toString');
+  });
+});
+
+describe('Compute Client', () => {
+  test('should run tasks in a worker', async () => {
+    const worker = createFakeWorker();
+    const client = new ComputeClient({ createWorker: () => worker, useWorker: true });
+
+    const results = await client.runBatch({
+      aggregated: { task: 'aggregateSensorData', args: [readings] },
+      summaries: { task: 'generateBatchSummaries', args: [readings, 'daily'] }
+    });
+
+    expect(worker.postMessage).toHaveBeenCalledTimes(1);
+    expect(results.aggregated).toEqual(aggregateSensorData(readings));
+    expect(Array.isArray(results.summaries)).toBe(true);
+    expect(results.summaries.length).toBeGreaterThan(0);
+  });
+
+  test('should compute on the main thread without workers', async () => {
+    const client = new ComputeClient({ useWorker: false });
+
+    await expect(client.run('aggregateSensorData', [readings])).resolves.toEqual(aggregateSensorData(readings));
+  });
+
+  test('should fall back to the main thread when the worker cannot start', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const client = new ComputeClient({
+      createWorker: () => Promise.reject(new Error('no bundler')),
+      useWorker: true
+    });
+
+    await expect(client.run('aggregateSensorData', [readings])).resolves.toEqual(aggregateSensorData(readings));
+    expect(client.useWorker).toBe(false);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+
+  test('should run jobs one at a time in order', async () => {
+    const client = new ComputeClient({ useWorker: false });
+    const order = [];
+
+    await Promise.all([
+      client.run('aggregateSensorData', [readings]).then(() => order.push('first')),
+      client.run('aggregateSensorData', [readings.slice(1)]).then(() => order.push('second'))
+    ]);
+
+    expect(order).toEqual(['first', 'second']);
+  });
+
+  test('should reject failing tasks without stopping later jobs', async () => {
+    const client = new ComputeClient({ createWorker: () => createFakeWorker(), useWorker: true });
+
+    const failing = client.run('unknownTask', []);
+    const next = client.run('aggregateSensorData', [readings]);
+
+    await expect(failing).rejects.toThrow('Unsupported compute task: unknownTask');
+    await expect(next).resolves.toEqual(aggregateSensorData(readings));
+  });
+
+  test('should reject a job whose signal is already aborted', async () => {
+    const client = new ComputeClient({ useWorker: false });
+    const controller = new AbortController();
+    controller.abort();
+
+    const error = await client.run('aggregateSensorData', [readings], { signal: controller.signal }).catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+  });
+
+  test('should drop a cancelled job before it runs', async () => {
+    const worker = createFakeWorker({ hold: true });
+    const client = new ComputeClient({ createWorker: () => worker, useWorker: true });
+    const controller = new AbortController();
+
+    const running = client.run('aggregateSensorData', [readings]);
+    const queued = client.run('aggregateSensorData', [readings], { signal: controller.signal }).catch(e => e);
+    controller.abort();
+    await settle();
+    worker.flush();
+
+    await expect(running).resolves.toEqual(aggregateSensorData(readings));
+    expect(isAbortError(await queued)).toBe(true);
+    expect(worker.postMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('should stop the worker running a cancelled job and start a fresh one', async () => {
+    const workers = [];
+    const client = new ComputeClient({
+      createWorker: () => {
+        workers.push(createFakeWorker({ hold: workers.length === 0 }));
+        return workers[workers.length - 1];
+      },
+      useWorker: true
+    });
+    const controller = new AbortController();
+
+    const cancelled = client.run('aggregateSensorData', [readings], { signal: controller.signal });
+    await settle();
+    expect(workers[0].postMessage).toHaveBeenCalledTimes(1);
+
+    controller.abort();
+    const error = await cancelled.catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+    await settle();
+    expect(workers[0].terminate).toHaveBeenCalled();
+
+    await expect(client.run('aggregateSensorData', [readings])).resolves.toEqual(aggregateSensorData(readings));
+    expect(workers).toHaveLength(2);
+  });
+
+  test('should fail the running job when the worker crashes', async () => {
+    const worker = createFakeWorker({ hold: true });
+    const client = new ComputeClient({ createWorker: () => worker, useWorker: true });
+
+    const job = client.run('aggregateSensorData', [readings]);
+    await settle();
+    worker.onerror({ message: 'Script error', preventDefault: jest.fn() });
+
+    await expect(job).rejects.toThrow('Script error');
+    await settle();
+    expect(worker.terminate).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for Forecast Covariates
+ */
+
+import {
+  createCovariateLookup,
+  listCovariateDrivers,
+  loadCovariates,
+  parseCovariateCsv,
+  parseCovariateJson,
+  parseCovariates
+} from '../covariates';
+
+describe('Forecast Covariates', () => {
+  describe('parsing', () => {
+    test('should parse CSV with a header row', () => {
+      const records = parseCovariateCsv([
+        'date,region,rainfall,air_temperature',
+        '2025-09-01,North Coast,4.2,18.5',
+        '2025-09-02,"North Coast",,19',
+        '',
+        'not a date,North Coast,1,1'
+      ].join('\n'));
+
+      expect(records).toEqual([
+        { date: '2025-09-01', region: 'North Coast', rainfall: 4.2, air_temperature: 18.5 },
+        { date: '2025-09-02', region: 'North Coast', rainfall: null, air_temperature: 19 }
+      ]);
+    });
+
+    test('should parse JSON arrays and record wrappers', () => {
+      const records = [{ timestamp: '2025-09-01T06:00:00Z', river_flow: '12.5' }];
+
+      expect(parseCovariateJson(JSON.stringify(records))).toEqual([
+        { date: '2025-09-01', region: null, river_flow: 12.5 }
+      ]);
+      expect(parseCovariateJson({ records })).toHaveLength(1);
+      expect(() => parseCovariateJson('{"rainfall": 1}')).toThrow('Covariate JSON must be an array');
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => parseCovariates('', 'xml')).toThrow('Unsupported covariate format');
+    });
+  });
+
+  describe('loadCovariates', () => {
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test('should read a local file and detect its format from the name', async () => {
+      const file = { name: 'rain.csv', text: () => Promise.resolve('date,rainfall\n2025-09-01,3') };
+
+      await expect(loadCovariates(file)).resolves.toEqual([
+        { date: '2025-09-01', region: null, rainfall: 3 }
+      ]);
+    });
+
+    test('should fetch a path and detect JSON from the content', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve('[{"date": "2025-09-01", "rainfall": 2}]')
+      }));
+
+      const records = await loadCovariates('/data/drivers');
+
+      expect(global.fetch).toHaveBeenCalledWith('/data/drivers');
+      expect(records[0].rainfall).toBe(2);
+    });
+
+    test('should reject failed requests', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 404, statusText: 'Not Found' }));
+
+      await expect(loadCovariates('/missing.json')).rejects.toThrow('Failed to load covariates: 404');
+    });
+  });
+
+  describe('createCovariateLookup', () => {
+    const records = [
+      { date: '2025-09-01', region: null, rainfall: 1, air_temperature: 20 },
+      { date: '2025-09-01', region: 'North Coast', rainfall: 5, air_temperature: null },
+      { date: '2025-09-01', region: 'Desert Basin', rainfall: 0, air_temperature: null },
+      { date: '2025-09-02', region: 'North Coast', rainfall: 3, air_temperature: 21 }
+    ];
+
+    test('should list drivers with values', () => {
+      expect(listCovariateDrivers(records)).toEqual(['rainfall', 'air_temperature']);
+    });
+
+    test('should prefer regional values and fall back to shared ones', () => {
+      const lookup = createCovariateLookup(records, { region: 'North Coast' });
+
+      expect(lookup.get('2025-09-01T00:00:00.000Z')).toEqual({ rainfall: 5, air_temperature: 20 });
+      expect(lookup.get(new Date(Date.UTC(2025, 8, 2)))).toEqual({ rainfall: 3, air_temperature: 21 });
+      expect(lookup.get('2025-09-03')).toBeNull();
+    });
+
+    test('should average regions for the overall series', () => {
+      const lookup = createCovariateLookup(records, { drivers: ['rainfall'] });
+
+      expect(lookup.drivers).toEqual(['rainfall']);
+      expect(lookup.get('2025-09-01')).toEqual({ rainfall: 2.5 });
+    });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Tests for the Forecast Archive
+ */
+
+import { ForecastArchive, getArchiveEntryId, summarizeForecastErrors } from '../forecastArchive';
+import { generateWaterQualityForecast, generateRegionalForecasts } from '../forecastingEngine';
+
+const dayTimestamp = day => new Date(Date.UTC(2025, 9, day)).toISOString();
+
+// A three-day forecast for the days after it was issued, Oct 5-7 by default
+const buildForecast = (
+  region = 'North Coast',
+  generatedAt = '2025-10-04T06:00:00.000Z',
+  values = [80, 78, 76],
+  firstDay = new Date(generatedAt).getUTCDate() + 1
+) => ({
+  success: true,
+  forecast_quality_index: values.map((value, index) => ({
+    date: dayTimestamp(firstDay + index).split('T')[0],
+    timestamp: dayTimestamp(firstDay + index),
+    quality_index: value,
+    step: index + 1,
+    day_offset: index + 1,
+    confidence_interval: { lower: value - 3, upper: value + 3, confidence_level: 0.95 }
+  })),
+  metadata: {
+    region,
+    generated_at: generatedAt,
+    algorithm: 'holt_winters',
+    model_version: '1.0.0',
+    resampling: { interval: 'daily' }
+  }
+});
+
+const buildReadings = (valuesByDay, region = 'North Coast') => Object.entries(valuesByDay).map(([day, value]) => ({
+  timestamp: new Date(Date.UTC(2025, 9, Number(day), 9)).toISOString(),
+  region,
+  sensor_id: `${region}-001`,
+  region_avg_quality_index: value
+}));
+
+// Minimal Web Storage stand-in
+const createStorage = () => {
+  const items = {};
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = value; }
+  };
+};
+
+describe('Forecast Archive', () => {
+  test('should key entries by region, model, interval and first forecast step', () => {
+    const archive = new ForecastArchive();
+    const entry = archive.record(buildForecast());
+
+    expect(entry.id).toBe(getArchiveEntryId('North Coast', 'holt_winters', 'daily', dayTimestamp(5)));
+    expect(entry.points[0]).toMatchObject({ forecast: 80, lower: 77, upper: 83, actual: null });
+    expect(archive.record(buildForecast())).toBe(entry);
+    expect(archive.record({ success: false })).toBeNull();
+    expect(archive.record({ ...buildForecast(), forecast_quality_index: [] })).toBeNull();
+    expect(archive.size()).toBe(1);
+  });
+
+  test('should keep the first issue of a forecast recomputed from the same data', () => {
+    const archive = new ForecastArchive();
+    const entry = archive.record(buildForecast());
+    const recomputed = archive.record(buildForecast('North Coast', '2025-10-04T07:30:00.000Z', [81, 79, 77], 5));
+
+    expect(recomputed).toBe(entry);
+    expect(archive.size()).toBe(1);
+    expect(archive.getEntries()[0].generated_at).toBe('2025-10-04T06:00:00.000Z');
+
+    archive.score(buildReadings({ 5: 82, 6: 80, 7: 76, 8: 76 }));
+    expect(archive.getAccuracy().count).toBe(3);
+  });
+
+  test('should keep daily and hourly forecasts that share a first step apart', () => {
+    const archive = new ForecastArchive();
+    const daily = archive.record(buildForecast());
+    const hourly = buildForecast('North Coast', '2025-10-04T22:30:00.000Z', [79, 79, 78], 5);
+    hourly.forecast_quality_index = hourly.forecast_quality_index.map((point, index) => ({
+      ...point,
+      timestamp: new Date(Date.UTC(2025, 9, 5, index)).toISOString()
+    }));
+    hourly.metadata.resampling = { interval: 'hourly' };
+
+    const recorded = archive.record(hourly);
+
+    expect(recorded).not.toBe(daily);
+    expect(recorded.interval).toBe('hourly');
+    expect(archive.size()).toBe(2);
+    expect(archive.getEntries().map(entry => entry.interval)).toEqual(['daily', 'hourly']);
+  });
+
+  test('should collapse overlapping entries saved under the old keys', () => {
+    const storage = createStorage();
+    const legacy = ['2025-10-04T07:30:00.000Z', '2025-10-04T06:00:00.000Z'].map(generatedAt => ({
+      ...new ForecastArchive().record(buildForecast('North Coast', generatedAt, [80, 78, 76], 5)),
+      id: `North Coast|${generatedAt}|holt_winters`,
+      generated_at: generatedAt
+    }));
+    storage.setItem('waterQualityForecastArchive', JSON.stringify(legacy));
+
+    const archive = new ForecastArchive({ storage });
+
+    expect(archive.size()).toBe(1);
+    expect(archive.getEntries()[0]).toMatchObject({
+      id: getArchiveEntryId('North Coast', 'holt_winters', 'daily', dayTimestamp(5)),
+      generated_at: '2025-10-04T06:00:00.000Z'
+    });
+  });
+
+  test('should score steps once later readings arrive', () => {
+    const archive = new ForecastArchive();
+    archive.record(buildForecast());
+
+    // Oct 6 is the latest day so far and may still be filling up
+    expect(archive.score(buildReadings({ 4: 81, 5: 82, 6: 70 }))).toBe(1);
+    expect(archive.getEntries()[0].points[0]).toMatchObject({ actual: 82, error: 2, within_interval: true });
+    expect(archive.getEntries()[0].points[1].actual).toBeNull();
+
+    expect(archive.score(buildReadings({ 5: 82, 6: 70, 7: 75, 8: 75 }))).toBe(2);
+    expect(archive.getEntries()[0].points.map(point => point.actual)).toEqual([82, 70, 75]);
+    expect(archive.getEntries()[0].points[1].within_interval).toBe(false);
+  });
+
+  test('should only score entries for the region the readings cover', () => {
+    const archive = new ForecastArchive();
+    archive.record(buildForecast('North Coast'));
+    archive.record(buildForecast('all_regions'));
+
+    archive.score(buildReadings({ 5: 82, 6: 80 }), { region: 'North Coast' });
+
+    expect(archive.getEntries({ region: 'North Coast' })[0].points[0].actual).toBe(82);
+    expect(archive.getEntries({ region: 'all_regions' })[0].points[0].actual).toBeNull();
+  });
+
+  test('should summarize accuracy overall, per step and per region', () => {
+    const archive = new ForecastArchive();
+    archive.record(buildForecast());
+    archive.record(buildForecast('North Coast', '2025-10-05T06:00:00.000Z', [81, 79, 77]));
+    archive.record(buildForecast('Desert Basin'));
+    archive.score(buildReadings({ 5: 82, 6: 80, 7: 76, 8: 78, 9: 78 }), { region: 'North Coast' });
+
+    const accuracy = archive.getAccuracy({ region: 'North Coast' });
+    expect(accuracy.forecasts).toBe(2);
+    expect(accuracy.count).toBe(6);
+    // Errors: 2, 2, 0 for Oct 5-7 and -1, -3, 1 for Oct 6-8
+    expect(accuracy.mae).toBeCloseTo(9 / 6, 6);
+    expect(accuracy.bias).toBeCloseTo(1 / 6, 6);
+    expect(accuracy.coverage).toBe(1);
+    expect(accuracy.by_step.map(step => step.count)).toEqual([2, 2, 2]);
+    expect(accuracy.by_step[0].mae).toBeCloseTo(1.5, 6);
+
+    const byRegion = archive.getAccuracyByRegion();
+    expect(Object.keys(byRegion)).toEqual(['North Coast', 'Desert Basin']);
+    expect(byRegion['Desert Basin'].count).toBe(0);
+    expect(byRegion['Desert Basin'].mae).toBeNull();
+  });
+
+  test('should track running accuracy by forecast time', () => {
+    const archive = new ForecastArchive();
+    archive.record(buildForecast());
+    archive.record(buildForecast('North Coast', '2025-10-05T06:00:00.000Z', [81, 79, 77]));
+    archive.score(buildReadings({ 5: 82, 6: 80, 7: 76, 8: 78, 9: 78 }));
+
+    const running = archive.getRunningAccuracy({ region: 'North Coast' });
+
+    expect(running.map(point => point.timestamp)).toEqual([5, 6, 7, 8].map(dayTimestamp));
+    expect(running.map(point => point.count)).toEqual([1, 3, 5, 6]);
+    expect(running[0].mae).toBe(2);
+    expect(running[3].mae).toBeCloseTo(9 / 6, 6);
+    expect(running[3].coverage).toBe(1);
+  });
+
+  test('should overlay recent forecasts on actuals', () => {
+    const archive = new ForecastArchive();
+    archive.record(buildForecast());
+    archive.record(buildForecast('North Coast', '2025-10-05T06:00:00.000Z', [81, 79, 77]));
+    archive.score(buildReadings({ 5: 82, 6: 80, 7: 76 }));
+
+    const overlay = archive.getOverlay({ region: 'North Coast' }, 1);
+
+    expect(overlay.actuals).toEqual([
+      { timestamp: dayTimestamp(5), value: 82 },
+      { timestamp: dayTimestamp(6), value: 80 }
+    ]);
+    expect(overlay.forecasts).toHaveLength(1);
+    expect(overlay.forecasts[0].generated_at).toBe('2025-10-05T06:00:00.000Z');
+    expect(overlay.forecasts[0].points[0]).toEqual({ timestamp: dayTimestamp(6), value: 81, lower: 78, upper: 84 });
+  });
+
+  test('should persist to storage and drop the oldest entries', () => {
+    const storage = createStorage();
+    const archive = new ForecastArchive({ storage, maxEntries: 2 });
+    archive.record(buildForecast('North Coast', '2025-10-03T06:00:00.000Z'));
+    archive.record(buildForecast('North Coast', '2025-10-04T06:00:00.000Z'));
+    archive.record(buildForecast('North Coast', '2025-10-05T06:00:00.000Z'));
+    archive.score(buildReadings({ 5: 82, 6: 80 }));
+
+    const reloaded = new ForecastArchive({ storage });
+    expect(reloaded.getEntries().map(entry => entry.generated_at)).toEqual([
+      '2025-10-04T06:00:00.000Z',
+      '2025-10-05T06:00:00.000Z'
+    ]);
+    expect(reloaded.getEntries()[0].points[0].actual).toBe(82);
+  });
+
+  test('should keep working when storage fails', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = {
+      getItem: () => 'not json',
+      setItem: () => { throw new Error('QuotaExceededError'); }
+    };
+
+    const archive = new ForecastArchive({ storage });
+    expect(archive.record(buildForecast())).not.toBeNull();
+    expect(archive.size()).toBe(1);
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+  });
+
+  test('should summarize empty and interval-less points', () => {
+    expect(summarizeForecastErrors([]).mae).toBeNull();
+    expect(summarizeForecastErrors([{ actual: 50, error: -5, within_interval: null }])).toEqual({
+      count: 1, mae: 5, rmse: 5, bias: -5, mape: 10, coverage: null
+    });
+  });
+
+  describe('engine integration', () => {
+    const history = Array.from({ length: 20 }, (_, index) => ['North Coast', 'Desert Basin'].map(region => ({
+      timestamp: new Date(Date.UTC(2025, 8, 1 + index, 8)).toISOString(),
+      region,
+      sensor_id: `${region}-001`,
+      region_avg_quality_index: 75 + (index % 3)
+    }))).flat();
+
+    test('should record forecasts passed an archive', () => {
+      const archive = new ForecastArchive();
+      const forecast = generateWaterQualityForecast(history, 'North Coast', { archive });
+
+      expect(archive.size()).toBe(1);
+      expect(archive.getEntries()[0].region).toBe('North Coast');
+      expect(archive.getEntries()[0].points).toHaveLength(forecast.forecast_quality_index.length);
+      expect(forecast).not.toHaveProperty('archive');
+    });
+
+    test('should archive regional but not sensor forecasts', () => {
+      const archive = new ForecastArchive();
+      generateRegionalForecasts(history, { archive, hierarchy: 'sensor' });
+
+      expect(archive.getEntries().map(entry => entry.region).sort()).toEqual([
+        'Desert Basin',
+        'North Coast',
+        'all_regions'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Tests for the Forecast Cache
+ */
+
+import {
+  ForecastCache,
+  ReadingsHash,
+  hashReadings,
+  stableStringify
+} from '../forecastCache';
+
+/**
+ * In-memory Web Storage stand-in
+ * @returns {Object} - {getItem, setItem, items}
+ */
+const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    items,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value)
+  };
+};
+
+const readings = [
+  { timestamp: '2025-10-01T00:00:00Z', region: 'North Coast', sensor_id: 'NC-001', pH: 8.0 },
+  { timestamp: '2025-10-01T04:00:00Z', region: 'North Coast', sensor_id: 'NC-001', pH: 8.1 }
+];
+
+describe('Forecast Cache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should build the same key whatever order the parameters are in', () => {
+    const cache = new ForecastCache();
+
+    expect(stableStringify({ b: 1, a: { d: [1, 2], c: undefined } })).toBe('{"a":{"d":[1,2]},"b":1}');
+    expect(cache.generateKey('North Coast', { interval: 'daily', region: 'North Coast' }))
+      .toBe(cache.generateKey('North Coast', { region: 'North Coast', interval: 'daily' }));
+    expect(cache.generateKey(null, { interval: 'daily' })).toMatch(/^all_regions\|[0-9a-f]+$/);
+    // Large parameters such as covariate records don't end up in the key
+    const covariates = Array.from({ length: 500 }, (_, index) => ({ date: `2025-01-${index}`, rainfall: index }));
+    expect(cache.generateKey('North Coast', { covariates }).length).toBeLessThan(40);
+  });
+
+  test('should hash readings by content', () => {
+    const copy = readings.map(reading => ({ ...reading }));
+
+    expect(hashReadings(copy)).toBe(hashReadings(readings));
+    expect(hashReadings([readings[0]])).not.toBe(hashReadings(readings));
+    expect(hashReadings([readings[0], { ...readings[1], pH: 8.2 }])).not.toBe(hashReadings(readings));
+  });
+
+  test('should hash readings in any order', () => {
+    expect(hashReadings([...readings].reverse())).toBe(hashReadings(readings));
+    expect(hashReadings([readings[0], readings[0]])).not.toBe(hashReadings([readings[0]]));
+  });
+
+  test('should keep a running hash that sees changed readings', () => {
+    const running = new ReadingsHash();
+    const later = { ...readings[1], timestamp: '2025-10-01T08:00:00Z', pH: 8.3 };
+
+    expect(running.sync([readings[0]])).toBe(hashReadings([readings[0]]));
+    // A refetch returns new objects for the same readings
+    expect(running.sync(readings.map(reading => ({ ...reading })))).toBe(hashReadings(readings));
+    // Newest-first data adds readings at the front
+    expect(running.sync([later, readings[1], readings[0]])).toBe(hashReadings([...readings, later]));
+
+    // A reading re-scored in place, with the same sensor and timestamp, changes the hash
+    const rescored = [readings[0], { ...readings[1], pH: 7.9 }, later];
+    expect(running.sync(rescored)).toBe(hashReadings(rescored));
+    expect(running.sync(rescored)).not.toBe(hashReadings([...readings, later]));
+
+    expect(running.sync([])).toBe(hashReadings([]));
+  });
+
+  test('should drop the least recently used entries beyond the bound', () => {
+    const cache = new ForecastCache(60, { maxEntries: 2 });
+    cache.set('A', { forecast: 'a' });
+    cache.set('B', { forecast: 'b' });
+    cache.get('A');
+    cache.set('C', { forecast: 'c' });
+
+    expect(cache.size()).toBe(2);
+    expect(cache.get('B')).toBeNull();
+    expect(cache.get('A')).toEqual({ forecast: 'a' });
+    expect(cache.get('C')).toEqual({ forecast: 'c' });
+    expect(cache.getStats().evictions).toBe(1);
+  });
+
+  test('should not serve a forecast computed from other readings', () => {
+    const cache = new ForecastCache();
+    const dataHash = hashReadings(readings);
+    cache.set('North Coast', { forecast: 'old' }, { interval: 'daily' }, { dataHash });
+
+    expect(cache.get('North Coast', { interval: 'daily' }, { dataHash })).toEqual({ forecast: 'old' });
+    expect(cache.get('North Coast', { interval: 'daily' }, { dataHash: hashReadings(readings.slice(1)) })).toBeNull();
+    // The stale entry is gone for every caller
+    expect(cache.get('North Coast', { interval: 'daily' }, { dataHash })).toBeNull();
+    expect(cache.getStats().invalidations).toBe(1);
+  });
+
+  test('should count hits and misses', () => {
+    const cache = new ForecastCache();
+    cache.set('A', 1);
+    cache.get('A');
+    cache.get('A');
+    cache.get('B');
+
+    expect(cache.getStats()).toMatchObject({
+      hits: 2,
+      misses: 1,
+      sets: 1,
+      size: 1,
+      max_entries: 100
+    });
+    expect(cache.getStats().hit_rate).toBeCloseTo(2 / 3, 10);
+
+    cache.resetStats();
+    expect(cache.getStats()).toMatchObject({ hits: 0, misses: 0, hit_rate: null, size: 1 });
+  });
+
+  test('should count expired entries as misses', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    const cache = new ForecastCache(1);
+    cache.set('A', 1);
+
+    now.mockReturnValue(1000000 + 61 * 1000);
+    expect(cache.get('A')).toBeNull();
+    expect(cache.getStats()).toMatchObject({ misses: 1, expirations: 1, size: 0 });
+  });
+
+  test('should persist entries between sessions', () => {
+    const storage = createMemoryStorage();
+    const first = new ForecastCache(60, { storage });
+    first.set('North Coast', { forecast: [1, 2] }, { interval: 'daily' }, { dataHash: 'abc' });
+    first.flush();
+
+    const second = new ForecastCache(60, { storage });
+    expect(second.get('North Coast', { interval: 'daily' }, { dataHash: 'abc' })).toEqual({ forecast: [1, 2] });
+  });
+
+  test('should not restore expired entries', () => {
+    const storage = createMemoryStorage();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    new ForecastCache(1, { storage, saveDelay: 0 }).set('A', 1);
+
+    now.mockReturnValue(1000000 + 61 * 1000);
+    expect(new ForecastCache(1, { storage }).size()).toBe(0);
+  });
+
+  test('should load from asynchronous storage such as IndexedDB', async () => {
+    const items = new Map();
+    const storage = {
+      getItem: key => Promise.resolve(items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => Promise.resolve(items.set(key, value))
+    };
+    const first = new ForecastCache(60, { storage });
+    first.set('A', { forecast: 'a' });
+    first.set('B', { forecast: 'b' });
+    first.flush();
+
+    const second = new ForecastCache(60, { storage });
+    // Set before the stored entries arrive, so it wins over the stored one
+    second.set('B', { forecast: 'newer' });
+    await second.ready;
+
+    expect(second.get('A')).toEqual({ forecast: 'a' });
+    expect(second.get('B')).toEqual({ forecast: 'newer' });
+  });
+
+  test('should carry on in memory when storage fails', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = {
+      getItem: () => 'not json',
+      setItem: () => { throw new Error('QuotaExceededError'); }
+    };
+    const cache = new ForecastCache(60, { storage, saveDelay: 0 });
+    cache.set('A', 1);
+
+    expect(cache.get('A')).toBe(1);
+    expect(warn).toHaveBeenCalledTimes(2);
+  });
+
+  test('should write changes made close together at once', () => {
+    jest.useFakeTimers();
+    const storage = createMemoryStorage();
+    const setItem = jest.spyOn(storage, 'setItem');
+    const cache = new ForecastCache(60, { storage, saveDelay: 500 });
+
+    cache.set('A', 1, {}, { dataHash: 'abc' });
+    cache.set('B', 2);
+    cache.get('A', {}, { dataHash: 'other' });
+    expect(setItem).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(500);
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(storage.items.get('waterQualityForecastCache')).map(([key]) => key))
+      .toEqual([cache.generateKey('B')]);
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for Forecast Explanation
+ */
+
+import { decomposeSeries, explainForecast } from '../forecastExplanation';
+
+const WEEKLY_PATTERN = [3, -1, -2, 0, 1, -3, 2];
+
+// Daily readings: a falling trend plus a weekly pattern
+const buildHistory = (days = 28, slope = -0.5) => Array.from({ length: days }, (_, index) => ({
+  timestamp: new Date(Date.UTC(2025, 8, 1 + index, 12)).toISOString(),
+  region: 'North Coast',
+  sensor_id: 'NOR-WQ-001',
+  region_avg_quality_index: 80 + slope * index + WEEKLY_PATTERN[index % 7]
+}));
+
+describe('Forecast Explanation', () => {
+  describe('decomposeSeries', () => {
+    test('should recover a linear trend and a weekly pattern', () => {
+      const values = Array.from({ length: 28 }, (_, index) => 50 + index + WEEKLY_PATTERN[index % 7]);
+      const { trend, seasonal, residual, seasonal_indices: indices } = decomposeSeries(values);
+
+      trend.forEach((value, index) => expect(value).toBeCloseTo(50 + index, 6));
+      indices.forEach((value, phase) => expect(value).toBeCloseTo(WEEKLY_PATTERN[phase], 6));
+      seasonal.forEach((value, index) => expect(value).toBeCloseTo(WEEKLY_PATTERN[index % 7], 6));
+      residual.forEach(value => expect(Math.abs(value)).toBeLessThan(1e-6));
+    });
+
+    test('should add up to the original series', () => {
+      const values = [5, 9, 2, 7, 4, 8, 6, 3, 9, 1, 5, 7, 2, 8, 6];
+      const { trend, seasonal, residual } = decomposeSeries(values);
+
+      values.forEach((value, index) => {
+        expect(trend[index] + seasonal[index] + residual[index]).toBeCloseTo(value, 10);
+      });
+    });
+
+    test('should skip seasonality with fewer than two cycles', () => {
+      const result = decomposeSeries([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+      expect(result.seasonal_detected).toBe(false);
+      expect(result.seasonal.every(value => value === 0)).toBe(true);
+    });
+
+    test('should center even periods', () => {
+      const values = Array.from({ length: 12 }, (_, index) => index * 2);
+      const { trend } = decomposeSeries(values, { period: 4 });
+
+      trend.forEach((value, index) => expect(value).toBeCloseTo(index * 2, 6));
+    });
+  });
+
+  describe('explainForecast', () => {
+    test('should decompose the history and the forecast', () => {
+      const result = explainForecast(buildHistory(), 'North Coast');
+
+      expect(result.success).toBe(true);
+      expect(result.history).toHaveLength(28);
+      expect(result.forecast).toHaveLength(7);
+      expect(result.summary.trend_slope).toBeCloseTo(-0.5, 6);
+      expect(result.summary.trend_change).toBeCloseTo(-13.5, 6);
+      expect(result.summary.seasonal_amplitude).toBeCloseTo(6, 6);
+      expect(result.summary.trend_strength).toBeGreaterThan(0.9);
+      [...result.history, ...result.forecast].forEach(point => {
+        expect(point.trend + point.seasonal + point.residual).toBeCloseTo(point.value, 8);
+      });
+    });
+
+    test('should explain a declining forecast by its trend', () => {
+      const result = explainForecast(buildHistory(), 'North Coast');
+
+      expect(result.trend).toBe('decreasing');
+      expect(result.summary.forecast_trend_change).toBeLessThan(0);
+      expect(result.forecast[6].trend).toBeLessThan(result.history[27].trend);
+    });
+
+    test('should explain other parameters', () => {
+      const data = buildHistory().map(reading => ({ ...reading, pH: 7 + reading.region_avg_quality_index / 1000 }));
+      const result = explainForecast(data, null, { parameter: 'pH' });
+
+      expect(result.success).toBe(true);
+      expect(result.parameter).toBe('pH');
+      expect(result.region).toBe('all_regions');
+    });
+
+    test('should use a daily cycle for hourly forecasts', () => {
+      const readings = Array.from({ length: 4 * 24 }, (_, index) => ({
+        timestamp: new Date(Date.UTC(2025, 8, 1) + index * 60 * 60 * 1000).toISOString(),
+        region: 'North Coast',
+        sensor_id: 'NOR-WQ-001',
+        region_avg_quality_index: 70 + (index % 24 < 12 ? -4 : 4)
+      }));
+      const result = explainForecast(readings, 'North Coast', { interval: 'hourly', horizon: 12 });
+
+      expect(result.success).toBe(true);
+      expect(result.interval).toBe('hourly');
+      expect(result.summary.period).toBe(24);
+      expect(result.summary.seasonal_detected).toBe(true);
+      expect(result.summary.seasonal_amplitude).toBeCloseTo(8, 0);
+      expect(result.forecast).toHaveLength(12);
+    });
+
+    test('should flag history steps filled by imputation', () => {
+      const readings = buildHistory(28).filter((_, index) => index !== 20);
+      const result = explainForecast(readings, 'North Coast', { imputation: true });
+      const imputed = result.history.filter(point => point.imputed);
+
+      expect(result.success).toBe(true);
+      expect(imputed.map(point => point.date)).toEqual(['2025-09-21']);
+      expect(explainForecast(readings, 'North Coast').history.some(point => point.imputed)).toBe(false);
+    });
+
+    test('should fail gracefully with insufficient data', () => {
+      const result = explainForecast(buildHistory(3), 'North Coast');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Insufficient historical data');
+      expect(result.history).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Tests for the Forecast Model Registry
+ */
+
+import {
+  DEFAULT_FORECAST_MODEL,
+  DEFAULT_ENSEMBLE_MODELS,
+  registerForecastModel,
+  unregisterForecastModel,
+  getForecastModel,
+  listForecastModels,
+  resolveForecastModelName,
+  calculateMultipleRegression
+} from '../forecastModels';
+import { createCovariateLookup } from '../covariates';
+
+// Two weeks of daily points with a weekly pattern and a gentle upward trend
+const buildSeries = (length = 14) => Array.from({ length }, (_, index) => ({
+  x: index,
+  y: 70 + index * 0.5 + (index % 7 === 0 ? 5 : 0),
+  timestamp: new Date(Date.UTC(2025, 9, 1 + index)).toISOString()
+}));
+
+const buildForecastDates = (series, horizon = 7) => {
+  const lastDate = new Date(series[series.length - 1].timestamp);
+  return Array.from({ length: horizon }, (_, index) => {
+    const date = new Date(lastDate);
+    date.setDate(date.getDate() + index + 1);
+    return date;
+  });
+};
+
+describe('Forecast Model Registry', () => {
+  test('should register the built-in models', () => {
+    const names = listForecastModels().map(model => model.name);
+
+    expect(names).toEqual(expect.arrayContaining([
+      'linear_regression_with_seasonal_adjustment',
+      'holt_winters',
+      'simple_exponential_smoothing',
+      'seasonal_naive'
+    ]));
+    expect(getForecastModel().name).toBe(DEFAULT_FORECAST_MODEL);
+  });
+
+  test('should produce one forecast per requested date for every built-in model', () => {
+    const series = buildSeries();
+    const forecastDates = buildForecastDates(series);
+
+    listForecastModels().forEach(({ name }) => {
+      const result = getForecastModel(name).forecast(series, {
+        horizon: forecastDates.length,
+        forecastDates,
+        options: {}
+      });
+
+      expect(result.forecasts).toHaveLength(7);
+      result.forecasts.forEach(point => {
+        expect(Number.isFinite(point.value)).toBe(true);
+        expect(point).toHaveProperty('trend_component');
+        expect(point).toHaveProperty('seasonal_factor');
+        expect(point).toHaveProperty('base_component');
+      });
+    });
+  });
+
+  test('should only apply seasonal cycles that test significant in the linear model', () => {
+    const flat = buildSeries().map(point => ({ ...point, y: 70 + (point.x % 2) * 0.01 }));
+    const weekly = buildSeries(28);
+    const context = series => ({ forecastDates: buildForecastDates(series), options: {} });
+    const linear = getForecastModel('linear_regression_with_seasonal_adjustment');
+
+    const flatResult = linear.forecast(flat, context(flat));
+    const weeklyResult = linear.forecast(weekly, context(weekly));
+
+    expect(flatResult.parameters.seasonal_cycles).toEqual([]);
+    flatResult.forecasts.forEach(point => expect(point.seasonal_factor).toBe(1));
+    expect(weeklyResult.parameters.seasonal_cycles).toEqual(['weekly']);
+    expect(new Set(weeklyResult.forecasts.map(point => point.seasonal_factor.toFixed(6))).size).toBeGreaterThan(1);
+  });
+
+  test('should repeat the last season for seasonal naive', () => {
+    const series = buildSeries();
+    const forecastDates = buildForecastDates(series);
+    const result = getForecastModel('seasonal_naive').forecast(series, { forecastDates, options: {} });
+
+    expect(result.forecasts.map(point => point.value)).toEqual(series.slice(-7).map(point => point.y));
+  });
+
+  test('should produce a flat forecast for simple exponential smoothing', () => {
+    const series = buildSeries();
+    const forecastDates = buildForecastDates(series);
+    const result = getForecastModel('simple_exponential_smoothing').forecast(series, {
+      forecastDates,
+      options: { alpha: 0.5 }
+    });
+
+    const values = result.forecasts.map(point => point.value);
+    expect(new Set(values).size).toBe(1);
+    expect(result.parameters.alpha).toBe(0.5);
+  });
+
+  test('should fall back to non-seasonal smoothing for short Holt-Winters series', () => {
+    const series = buildSeries(8);
+    const forecastDates = buildForecastDates(series);
+    const result = getForecastModel('holt_winters').forecast(series, { forecastDates, options: {} });
+
+    expect(result.parameters.season_length).toBeNull();
+    expect(result.forecasts).toHaveLength(7);
+  });
+
+  test('should register and unregister custom models', () => {
+    registerForecastModel({
+      name: 'constant_fifty',
+      forecast: (series, { forecastDates }) => ({
+        forecasts: forecastDates.map(() => ({
+          value: 50,
+          seasonal_factor: 1,
+          trend_component: 50,
+          base_component: 50
+        }))
+      })
+    });
+
+    expect(getForecastModel('constant_fifty').version).toBe('1.0.0');
+    expect(unregisterForecastModel('constant_fifty')).toBe(true);
+    expect(() => getForecastModel('constant_fifty')).toThrow('Unknown forecast model');
+  });
+
+  test('should reject models without a forecast function', () => {
+    expect(() => registerForecastModel({ name: 'broken' })).toThrow('must provide a forecast function');
+  });
+
+  test('should resolve region overrides before the call model', () => {
+    const options = { model: 'holt_winters', regionModels: { 'Desert Basin': 'seasonal_naive' } };
+
+    expect(resolveForecastModelName('Desert Basin', options)).toBe('seasonal_naive');
+    expect(resolveForecastModelName('North Coast', options)).toBe('holt_winters');
+    expect(resolveForecastModelName(null, {})).toBe(DEFAULT_FORECAST_MODEL);
+  });
+
+  describe('ensemble', () => {
+    const runEnsemble = (series, options = {}) => {
+      const forecastDates = buildForecastDates(series);
+      return getForecastModel('ensemble').forecast(series, {
+        horizon: forecastDates.length,
+        forecastDates,
+        options
+      });
+    };
+
+    test('should weight members by recent backtest error', () => {
+      // A purely weekly series that seasonal naive forecasts perfectly
+      const series = Array.from({ length: 28 }, (_, index) => ({
+        x: index,
+        y: [70, 72, 75, 71, 68, 66, 69][index % 7],
+        timestamp: new Date(Date.UTC(2025, 9, 1 + index)).toISOString()
+      }));
+      const result = runEnsemble(series);
+      const members = result.parameters.members;
+      const weightOf = name => members.find(member => member.model === name).weight;
+
+      expect(members.map(member => member.model)).toEqual(DEFAULT_ENSEMBLE_MODELS);
+      expect(members.reduce((sum, member) => sum + member.weight, 0)).toBeCloseTo(1, 10);
+      expect(members.find(member => member.model === 'seasonal_naive').rmse).toBeCloseTo(0, 10);
+      // Both seasonal models track the pattern exactly and share the weight
+      expect(weightOf('seasonal_naive') + weightOf('holt_winters')).toBeGreaterThan(0.99);
+      expect(result.parameters.weighting).toBe('inverse_mse');
+    });
+
+    test('should expose each member contribution per step', () => {
+      const result = runEnsemble(buildSeries(21), { models: ['holt_winters', 'simple_exponential_smoothing'] });
+
+      result.forecasts.forEach((point, index) => {
+        const contributions = Object.values(point.contributions);
+        expect(Object.keys(point.contributions)).toEqual(['holt_winters', 'simple_exponential_smoothing']);
+        expect(contributions.reduce((sum, value) => sum + value, 0)).toBeCloseTo(point.value, 8);
+        result.parameters.members.forEach(member => {
+          expect(point.contributions[member.model]).toBeCloseTo(member.weight * member.forecast[index], 8);
+        });
+      });
+    });
+
+    test('should support equal weights', () => {
+      const result = runEnsemble(buildSeries(), {
+        models: ['seasonal_naive', 'simple_exponential_smoothing'],
+        weighting: 'equal'
+      });
+
+      expect(result.parameters.members.map(member => member.weight)).toEqual([0.5, 0.5]);
+    });
+
+    test('should pass per-model options to members', () => {
+      const result = runEnsemble(buildSeries(), {
+        models: ['simple_exponential_smoothing'],
+        modelOptions: { simple_exponential_smoothing: { alpha: 0.9 } }
+      });
+
+      expect(result.parameters.members[0].parameters.alpha).toBe(0.9);
+    });
+
+    test('should reject unknown members and weightings', () => {
+      expect(() => runEnsemble(buildSeries(), { models: ['crystal_ball'] })).toThrow('Unknown forecast model');
+      expect(() => runEnsemble(buildSeries(), { weighting: 'vibes' })).toThrow('Unsupported ensemble weighting');
+    });
+  });
+
+  describe('regression_with_covariates', () => {
+    // Thirty days where each millimetre of rain costs 1.5 quality points on a slow upward trend
+    const rainfall = Array.from({ length: 37 }, (_, index) => [0, 0, 8, 2, 0, 12, 4][index % 7] + (index % 3));
+    const records = rainfall.map((rain, index) => ({
+      date: new Date(Date.UTC(2025, 8, 1 + index)).toISOString().split('T')[0],
+      region: null,
+      rainfall: rain,
+      air_temperature: 20
+    }));
+    const series = rainfall.slice(0, 30).map((rain, index) => ({
+      x: index,
+      y: 80 + index * 0.1 - 1.5 * rain,
+      timestamp: new Date(Date.UTC(2025, 8, 1 + index)).toISOString()
+    }));
+    const forecastDates = buildForecastDates(series);
+    const model = getForecastModel('regression_with_covariates');
+
+    test('should fit multiple regression coefficients', () => {
+      const features = [[1, 0, 1], [1, 1, 0], [1, 2, 3], [1, 3, 1], [1, 4, 2]];
+      const fit = calculateMultipleRegression(features, features.map(([, x, z]) => 2 + 3 * x - z));
+
+      expect(fit.coefficients[0]).toBeCloseTo(2, 6);
+      expect(fit.coefficients[1]).toBeCloseTo(3, 6);
+      expect(fit.coefficients[2]).toBeCloseTo(-1, 6);
+      expect(fit.r2).toBeCloseTo(1, 6);
+      expect(calculateMultipleRegression([[1, 1], [1, 1]], [1, 2])).toBeNull();
+    });
+
+    test('should estimate driver effects and forecast from future driver values', () => {
+      const result = model.forecast(series, {
+        forecastDates,
+        options: {},
+        covariates: createCovariateLookup(records)
+      });
+      const [rain] = result.parameters.drivers;
+
+      expect(rain.name).toBe('rainfall');
+      expect(rain.coefficient).toBeCloseTo(-1.5, 3);
+      expect(result.parameters.slope).toBeCloseTo(0.1, 3);
+      // Air temperature never varies, so it cannot be estimated
+      expect(result.parameters.excluded_drivers).toEqual(['air_temperature']);
+      result.forecasts.forEach((point, index) => {
+        expect(point.value).toBeCloseTo(80 + (30 + index) * 0.1 - 1.5 * rainfall[30 + index], 2);
+        expect(point.driver_effects.rainfall).toBeCloseTo(point.value - point.trend_component, 6);
+      });
+      expect(rain.effect).toBeCloseTo(-1.5 * (rain.forecast_mean - rain.historical_mean), 6);
+      expect(rain.forecast_filled).toBe(0);
+    });
+
+    test('should carry the last driver value forward when the forecast lacks it', () => {
+      const result = model.forecast(series, {
+        forecastDates,
+        options: {},
+        covariates: createCovariateLookup(records.slice(0, 30))
+      });
+
+      expect(result.parameters.drivers[0].forecast_filled).toBe(7);
+      expect(result.parameters.drivers[0].forecast_mean).toBe(rainfall[29]);
+    });
+
+    test('should fall back to a linear trend without covariates', () => {
+      const result = model.forecast(buildSeries(), { forecastDates: buildForecastDates(buildSeries()), options: {} });
+
+      expect(result.parameters.drivers).toEqual([]);
+      expect(result.forecasts[0].driver_effects).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for Forecast Reconciliation
+ */
+
+import { getReconciliationWeights, reconcileForecast } from '../forecastReconciliation';
+
+const buildForecast = (region, values, current, standardError = 2) => ({
+  success: true,
+  forecast_quality_index: values.map((value, index) => ({
+    date: `2025-11-0${index + 1}`,
+    day_offset: index + 1,
+    quality_index: value,
+    standard_error: standardError,
+    confidence_interval: { lower: value - 4, upper: value + 4, confidence_level: 0.95 },
+    prediction_intervals: [
+      { level: 0.8, lower: value - 2, upper: value + 2 },
+      { level: 0.95, lower: value - 4, upper: value + 4 }
+    ]
+  })),
+  trend: 'stable',
+  summary: { current_quality_index: current, average_forecast: 0, expected_change: 0 },
+  metadata: { region }
+});
+
+describe('Forecast Reconciliation', () => {
+  describe('getReconciliationWeights', () => {
+    test('should weight children equally for bottom-up', () => {
+      expect(getReconciliationWeights(['A', 'B', 'C', 'D'])).toEqual({ A: 0.25, B: 0.25, C: 0.25, D: 0.25 });
+    });
+
+    test('should weight children by sensor count', () => {
+      expect(getReconciliationWeights(['A', 'B'], 'sensor_weighted', { A: 3, B: 1 })).toEqual({ A: 0.75, B: 0.25 });
+    });
+
+    test('should reject unknown methods', () => {
+      expect(() => getReconciliationWeights(['A'], 'top_down')).toThrow('Unsupported reconciliation method');
+    });
+  });
+
+  describe('reconcileForecast', () => {
+    const parent = buildForecast('all_regions', [90, 90], 90);
+    const children = {
+      A: buildForecast('A', [80, 70], 82),
+      B: buildForecast('B', [60, 50], 62)
+    };
+
+    test('should replace the parent with the weighted children', () => {
+      const result = reconcileForecast(parent, children, { A: 0.75, B: 0.25 }, { method: 'sensor_weighted' });
+      const [first, second] = result.forecast_quality_index;
+
+      expect(first.quality_index).toBe(75);
+      expect(second.quality_index).toBe(65);
+      expect(first.base_quality_index).toBe(90);
+      expect(first.reconciled).toBe(true);
+      expect(first.prediction_intervals[0]).toEqual({ level: 0.8, lower: 73, upper: 77 });
+      expect(result.summary.current_quality_index).toBe(77);
+      expect(result.summary.average_forecast).toBe(70);
+      expect(result.reconciliation).toEqual({
+        method: 'sensor_weighted',
+        children: [{ name: 'A', weight: 0.75 }, { name: 'B', weight: 0.25 }],
+        base_success: true
+      });
+    });
+
+    test('should recompute breach probabilities from the reconciled forecast', () => {
+      const result = reconcileForecast(parent, children, { A: 0.5, B: 0.5 });
+
+      expect(result.forecast_quality_index[1].breach_probabilities.fair).toBeCloseTo(0.5, 3);
+      expect(result.threshold_breaches.find(breach => breach.band === 'fair').likely).toBe(true);
+    });
+
+    test('should skip failed children and renormalize', () => {
+      const result = reconcileForecast(parent, {
+        ...children,
+        C: { success: false, error: 'Insufficient historical data' }
+      }, { A: 0.5, B: 0.25, C: 0.25 });
+
+      expect(result.forecast_quality_index[0].quality_index).toBeCloseTo((0.5 * 80 + 0.25 * 60) / 0.75, 1);
+      expect(result.reconciliation.children.map(child => child.name)).toEqual(['A', 'B']);
+    });
+
+    test('should build a parent forecast when the parent failed', () => {
+      const result = reconcileForecast({ success: false }, children, { A: 0.5, B: 0.5 }, { region: 'all_regions' });
+
+      expect(result.success).toBe(true);
+      expect(result.metadata.region).toBe('all_regions');
+      expect(result.forecast_quality_index[0].base_quality_index).toBeNull();
+      expect(result.reconciliation.base_success).toBe(false);
+    });
+
+    test('should return the parent unchanged without successful children', () => {
+      expect(reconcileForecast(parent, { A: { success: false } }, { A: 1 })).toBe(parent);
+    });
+  });
+});
@@ -5,6 +5,8 @@
 import { 
   generateWaterQualityForecast, 
   generateRegionalForecasts,
+  generateParameterForecast,
+  generateMultiParameterForecast,
   ForecastCache 
 } from '../forecastingEngine';
 
@@ -127,14 +129,100 @@ describe('Water Quality Forecasting Engine', () => {
       });
     });
 
-    test('should have decreasing confidence over time', () => {
+    test('should widen prediction intervals with the horizon at a fixed level', () => {
       const result = generateWaterQualityForecast(mockHistoricalData);
       
       expect(result.success).toBe(true);
-      const confidenceLevels = result.forecast_quality_index.map(f => f.confidence_interval.confidence_level);
+      const points = result.forecast_quality_index;
+      const widths = points.map(f => f.prediction_intervals[0].upper - f.prediction_intervals[0].lower);
       
-      // Check that confidence generally decreases (allowing for some variation)
-      expect(confidenceLevels[0]).toBeGreaterThan(confidenceLevels[6]);
+      points.forEach(point => {
+        expect(point.confidence_interval.confidence_level).toBe(0.95);
+        expect(point.prediction_intervals.map(band => band.level)).toEqual([0.8, 0.95]);
+      });
+      for (let i = 1; i < points.length; i++) {
+        expect(points[i].standard_error).toBeGreaterThanOrEqual(points[i - 1].standard_error);
+      }
+      expect(widths[6]).toBeGreaterThan(widths[0]);
+    });
+
+    test('should nest narrower bands inside wider ones', () => {
+      const result = generateWaterQualityForecast(mockHistoricalData, null, {
+        intervals: { levels: [0.5, 0.8, 0.99] }
+      });
+      
+      expect(result.success).toBe(true);
+      result.forecast_quality_index.forEach(point => {
+        const [inner, middle, outer] = point.prediction_intervals;
+        expect(inner.lower).toBeGreaterThanOrEqual(middle.lower);
+        expect(middle.lower).toBeGreaterThanOrEqual(outer.lower);
+        expect(inner.upper).toBeLessThanOrEqual(middle.upper);
+        expect(middle.upper).toBeLessThanOrEqual(outer.upper);
+        expect(point.confidence_interval.confidence_level).toBe(0.99);
+      });
+      expect(result.metadata.intervals.method).toBe('residual');
+      expect(result.metadata.intervals.residual_count).toBeGreaterThan(0);
+    });
+
+    test('should produce reproducible bootstrap intervals', () => {
+      const options = { intervals: { method: 'bootstrap', seed: 7 } };
+      const first = generateWaterQualityForecast(mockHistoricalData, null, options);
+      const second = generateWaterQualityForecast(mockHistoricalData, null, options);
+      
+      expect(first.success).toBe(true);
+      expect(first.metadata.intervals.method).toBe('bootstrap');
+      expect(first.metadata.intervals.seed).toBe(7);
+      expect(first.forecast_quality_index.map(f => f.prediction_intervals))
+        .toEqual(second.forecast_quality_index.map(f => f.prediction_intervals));
+    });
+
+    test('should report quality band breach probabilities', () => {
+      const result = generateWaterQualityForecast(mockHistoricalData);
+      
+      expect(result.success).toBe(true);
+      expect(result.threshold_breaches.map(breach => breach.band)).toEqual(['good', 'fair', 'poor']);
+      result.forecast_quality_index.forEach(point => {
+        const { good, fair, poor } = point.breach_probabilities;
+        expect(good).toBeGreaterThanOrEqual(fair);
+        expect(fair).toBeGreaterThanOrEqual(poor);
+        expect(poor).toBeGreaterThanOrEqual(0);
+        expect(good).toBeLessThanOrEqual(1);
+      });
+    });
+
+    test('should forecast from data after the latest changepoint', () => {
+      const shifted = Array.from({ length: 30 }, (_, index) => ({
+        timestamp: new Date(Date.UTC(2025, 8, 1 + index)).toISOString(),
+        region: 'North Coast',
+        sensor_id: 'NOR-WQ-001',
+        region_avg_quality_index: (index < 18 ? 85 : 65) + (index % 2) * 0.4
+      }));
+
+      const plain = generateWaterQualityForecast(shifted);
+      const result = generateWaterQualityForecast(shifted, null, { changepoints: true });
+
+      expect(plain.metadata.changepoints).toBeNull();
+      expect(result.metadata.changepoints.detected).toHaveLength(1);
+      expect(result.metadata.changepoints.data_start).toBe('2025-09-19T00:00:00.000Z');
+      expect(result.summary.data_points_used).toBe(12);
+      expect(result.trend).toBe('stable');
+      expect(plain.trend).toBe('declining');
+      expect(result.summary.average_forecast).toBeCloseTo(65.2, 0);
+    });
+
+    test('should keep the minimum history after a late changepoint', () => {
+      const shifted = Array.from({ length: 30 }, (_, index) => ({
+        timestamp: new Date(Date.UTC(2025, 8, 1 + index)).toISOString(),
+        region: 'North Coast',
+        sensor_id: 'NOR-WQ-001',
+        region_avg_quality_index: (index < 25 ? 85 : 65) + (index % 2) * 0.4
+      }));
+
+      const result = generateWaterQualityForecast(shifted, null, { changepoints: { minSegmentLength: 5 } });
+
+      expect(result.success).toBe(true);
+      expect(result.metadata.changepoints.extended_before_shift).toBe(true);
+      expect(result.summary.data_points_used).toBe(7);
     });
 
     test('should generate valid forecast dates', () => {
@@ -153,6 +241,110 @@ describe('Water Quality Forecasting Engine', () => {
       });
     });
 
+    test('should use the requested forecast model', () => {
+      const result = generateWaterQualityForecast(mockHistoricalData, null, { model: 'holt_winters' });
+
+      expect(result.success).toBe(true);
+      expect(result.metadata.algorithm).toBe('holt_winters');
+      expect(result.metadata.model_version).toBeDefined();
+      expect(result.metadata.model_parameters.alpha).toBeDefined();
+    });
+
+    test('should default to the linear regression model', () => {
+      const result = generateWaterQualityForecast(mockHistoricalData);
+
+      expect(result.metadata.algorithm).toBe('linear_regression_with_seasonal_adjustment');
+    });
+
+    test('should fail for an unknown forecast model', () => {
+      const result = generateWaterQualityForecast(mockHistoricalData, null, { model: 'does_not_exist' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Unknown forecast model');
+    });
+
+    test('should produce identical forecasts for identical history', () => {
+      const first = generateWaterQualityForecast([...mockHistoricalData]);
+      const second = generateWaterQualityForecast([...mockHistoricalData]);
+
+      expect(first.forecast_quality_index).toEqual(second.forecast_quality_index);
+      expect(first.metadata.seed).toBeNull();
+      expect(first.simulations).toBeUndefined();
+    });
+
+    test('should reproduce simulation paths from a seed', () => {
+      const first = generateWaterQualityForecast([...mockHistoricalData], null, { simulations: 5, seed: 42 });
+      const second = generateWaterQualityForecast([...mockHistoricalData], null, { simulations: 5, seed: 42 });
+      const other = generateWaterQualityForecast([...mockHistoricalData], null, { simulations: 5, seed: 7 });
+
+      expect(first.metadata.seed).toBe(42);
+      expect(first.simulations.paths).toHaveLength(5);
+      expect(first.simulations.paths[0]).toHaveLength(7);
+      expect(first.simulations.paths).toEqual(second.simulations.paths);
+      expect(first.simulations.paths).not.toEqual(other.simulations.paths);
+    });
+
+    test('should record a generated seed when simulating without one', () => {
+      const result = generateWaterQualityForecast([...mockHistoricalData], null, { simulations: 2 });
+      const replay = generateWaterQualityForecast([...mockHistoricalData], null, {
+        simulations: 2,
+        seed: result.metadata.seed
+      });
+
+      expect(Number.isInteger(result.metadata.seed)).toBe(true);
+      expect(replay.simulations.paths).toEqual(result.simulations.paths);
+    });
+
+    test('should resample sub-daily readings from several sensors into days', () => {
+      const sensorReadings = [];
+      for (let day = 0; day < 10; day++) {
+        ['A', 'B', 'C'].forEach((sensor, sensorIndex) => {
+          for (let hour = 0; hour < 24; hour += 6) {
+            sensorReadings.push({
+              timestamp: new Date(Date.UTC(2025, 9, 1 + day, hour)).toISOString(),
+              region: 'North Coast',
+              sensor_id: sensor,
+              region_avg_quality_index: 60 + day * 2 + sensorIndex
+            });
+          }
+        });
+      }
+
+      const result = generateWaterQualityForecast(sensorReadings, 'North Coast');
+
+      expect(result.success).toBe(true);
+      expect(result.summary.data_points_used).toBe(10);
+      expect(result.summary.readings_used).toBe(120);
+      // Slope is expressed in quality index points per day
+      expect(result.summary.trend_strength).toBeCloseTo(2, 5);
+      expect(result.trend).toBe('improving');
+      expect(result.forecast_quality_index[0].date).toBe('2025-10-11');
+    });
+
+    test('should fill missing days before forecasting', () => {
+      const gappyData = mockHistoricalData.filter(reading => reading.region === 'North Coast');
+      const result = generateWaterQualityForecast(gappyData, 'North Coast');
+
+      expect(result.success).toBe(true);
+      expect(result.summary.data_points_used).toBe(7);
+      expect(result.summary.filled_gaps).toBe(2);
+      expect(result.metadata.resampling.gap_strategy).toBe('linear');
+
+      const omitted = generateWaterQualityForecast(gappyData, 'North Coast', {
+        resampling: { gapStrategy: 'omit' }
+      });
+      expect(omitted.success).toBe(false);
+    });
+
+    test('should not reorder the caller\'s readings', () => {
+      const descending = [...mockHistoricalData].reverse();
+      const firstTimestamp = descending[0].timestamp;
+
+      generateWaterQualityForecast(descending);
+
+      expect(descending[0].timestamp).toBe(firstTimestamp);
+    });
+
     test('should bound quality index values', () => {
       const result = generateWaterQualityForecast(mockHistoricalData);
       
@@ -164,6 +356,201 @@ describe('Water Quality Forecasting Engine', () => {
     });
   });
 
+  describe('generateParameterForecast', () => {
+    test('should forecast any registry parameter with its label, unit and precision', () => {
+      const readings = mockHistoricalData.map((reading, index) => ({ ...reading, nitrate: 4 + (index % 5) * 0.13 }));
+      const result = generateParameterForecast(readings, 'nitrate');
+
+      expect(result.success).toBe(true);
+      expect(result.metadata).toMatchObject({ label: 'Nitrate', unit: 'mg/L' });
+      result.forecast.forEach(point => {
+        expect(Number(point.value.toFixed(1))).toBe(point.value);
+      });
+      expect(generateParameterForecast(readings, 'phosphate').error).toMatch('Unsupported forecast parameter: phosphate');
+    });
+
+    test('should forecast raw parameters with confidence intervals', () => {
+      const result = generateParameterForecast(mockHistoricalData, 'turbidity');
+
+      expect(result.success).toBe(true);
+      expect(result.parameter).toBe('turbidity');
+      expect(result.metadata.unit).toBe('NTU');
+      expect(result.forecast).toHaveLength(7);
+      expect(result.trend).toMatch(/^(increasing|stable|decreasing)$/);
+      result.forecast.forEach(point => {
+        expect(point.value).toBeGreaterThanOrEqual(0);
+        expect(point.confidence_interval.lower).toBeGreaterThanOrEqual(0);
+        expect(point.confidence_interval.upper).toBeGreaterThanOrEqual(point.confidence_interval.lower);
+      });
+    });
+
+    test('should keep pH forecasts within the pH scale', () => {
+      const result = generateParameterForecast(mockHistoricalData, 'pH', 'North Coast');
+
+      expect(result.success).toBe(true);
+      result.forecast.forEach(point => {
+        expect(point.value).toBeGreaterThanOrEqual(0);
+        expect(point.value).toBeLessThanOrEqual(14);
+      });
+    });
+
+    test('should forecast with covariates and report driver effects', () => {
+      const rainfall = Array.from({ length: 35 }, (_, index) => [0, 6, 1, 0, 10, 3, 0][index % 7]);
+      const dateOf = index => new Date(Date.UTC(2025, 8, 1 + index)).toISOString();
+      const readings = rainfall.slice(0, 28).map((rain, index) => ({
+        timestamp: dateOf(index),
+        region: 'North Coast',
+        sensor_id: 'NOR-WQ-001',
+        turbidity: 1 + 0.4 * rain + (index % 2) * 0.02
+      }));
+      const covariates = rainfall.map((rain, index) => ({
+        date: dateOf(index).split('T')[0],
+        region: 'North Coast',
+        rainfall: rain
+      }));
+
+      const result = generateParameterForecast(readings, 'turbidity', 'North Coast', { covariates });
+      const [rain] = result.drivers;
+
+      expect(result.success).toBe(true);
+      expect(result.metadata.algorithm).toBe('regression_with_covariates');
+      expect(result.metadata.covariates.drivers).toEqual(['rainfall']);
+      expect(rain).toMatchObject({ name: 'rainfall', label: 'Rainfall', unit: 'mm' });
+      expect(rain.coefficient).toBeCloseTo(0.4, 2);
+      // The forecast follows the rainfall forecast for each day
+      result.forecast.forEach((point, index) => {
+        expect(point.value).toBeCloseTo(1 + 0.4 * rainfall[28 + index], 1);
+        expect(point.driver_effects).toHaveProperty('rainfall');
+      });
+      expect(generateParameterForecast(readings, 'turbidity', 'North Coast').drivers).toBeUndefined();
+    });
+
+    test('should reject unsupported parameters', () => {
+      const result = generateParameterForecast(mockHistoricalData, 'salinity');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Unsupported forecast parameter');
+    });
+  });
+
+  describe('sub-daily forecasts', () => {
+    // A week of hourly readings from two sensors, peaking in the afternoon
+    const hourlyReadings = Array.from({ length: 7 * 24 }, (_, index) => {
+      const timestamp = new Date(Date.UTC(2025, 9, 1) + index * 60 * 60 * 1000);
+      const hourValue = 70 + 8 * Math.sin(((timestamp.getHours() - 9) / 24) * 2 * Math.PI);
+      return ['NOR-WQ-001', 'NOR-WQ-002'].map((sensorId, sensorIndex) => ({
+        timestamp: timestamp.toISOString(),
+        region: sensorIndex === 0 ? 'North Coast' : 'South Bay',
+        sensor_id: sensorId,
+        region_avg_quality_index: hourValue + sensorIndex
+      }));
+    }).flat();
+
+    test('should forecast hourly steps with hour-of-day seasonality', () => {
+      const result = generateWaterQualityForecast(hourlyReadings, 'North Coast', { interval: 'hourly', horizon: 24 });
+      const points = result.forecast_quality_index;
+      const hourOf = point => new Date(point.timestamp).getHours();
+
+      expect(result.success).toBe(true);
+      expect(points).toHaveLength(24);
+      expect(new Date(points[1].timestamp) - new Date(points[0].timestamp)).toBe(60 * 60 * 1000);
+      expect(points[0].step).toBe(1);
+      expect(points[23].day_offset).toBe(1);
+      expect(result.summary.forecast_period).toBe('24 hours');
+      expect(result.metadata.seasonality).toMatchObject({ type: 'hour_of_day', season_length: 24 });
+      expect(result.metadata.seasonality.applied).toContain('diurnal');
+      expect(result.metadata.resampling.interval).toBe('hourly');
+      // Afternoon forecasts stay above early morning ones
+      const peak = points.find(point => hourOf(point) === 15);
+      const trough = points.find(point => hourOf(point) === 3);
+      expect(peak.quality_index).toBeGreaterThan(trough.quality_index + 5);
+    });
+
+    test('should report the strength of each seasonal cycle', () => {
+      const result = generateWaterQualityForecast(hourlyReadings, 'North Coast', { interval: 'hourly' });
+      const cycles = result.metadata.seasonality.cycles;
+
+      expect(cycles.map(cycle => cycle.name)).toEqual(['diurnal', 'weekly', 'annual']);
+      expect(cycles[0]).toMatchObject({ tested: true, significant: true, applied: true });
+      expect(cycles[0].strength).toBeGreaterThan(0.9);
+      // A single week cannot show a weekly cycle
+      expect(cycles[1]).toMatchObject({ tested: false, applied: false, strength: null });
+      expect(result.metadata.model_parameters.seasonal_cycles).toEqual(['diurnal']);
+
+      const withoutDiurnal = generateWaterQualityForecast(hourlyReadings, 'North Coast', {
+        interval: 'hourly',
+        seasonality: { cycles: ['weekly'] }
+      });
+      expect(withoutDiurnal.metadata.seasonality.applied).toEqual([]);
+      expect(withoutDiurnal.forecast_quality_index.every(point => point.seasonal_factor === 1)).toBe(true);
+    });
+
+    test('should pass the daily season length to seasonal models', () => {
+      const result = generateWaterQualityForecast(hourlyReadings, 'North Coast', {
+        interval: 'hourly',
+        model: 'seasonal_naive'
+      });
+
+      expect(result.forecast_quality_index).toHaveLength(48);
+      expect(result.metadata.model_parameters.season_length).toBe(24);
+      expect(result.forecast_quality_index[24].quality_index).toBe(result.forecast_quality_index[0].quality_index);
+    });
+
+    test('should default to two days of 6-hourly steps', () => {
+      const result = generateWaterQualityForecast(hourlyReadings, null, { interval: '6-hourly' });
+
+      expect(result.forecast_quality_index).toHaveLength(8);
+      expect(result.forecast_quality_index.map(point => point.day_offset)).toEqual([1, 1, 1, 1, 2, 2, 2, 2]);
+      expect(result.summary.forecast_period).toBe('48 hours');
+      expect(result.metadata.horizon).toBe(8);
+    });
+
+    test('should reconcile sub-daily steps by timestamp', () => {
+      const result = generateRegionalForecasts(hourlyReadings, { interval: '6-hourly', reconciliation: 'bottom_up' });
+      const overall = result.regional_forecasts.overall.forecast_quality_index;
+
+      expect(overall).toHaveLength(8);
+      expect(overall.every(point => point.reconciled)).toBe(true);
+      expect(overall[0].quality_index).not.toBe(overall[1].quality_index);
+    });
+
+    test('should reject unknown intervals and invalid horizons', () => {
+      expect(generateWaterQualityForecast(hourlyReadings, null, { interval: 'weekly' }).error)
+        .toContain('Unsupported forecast interval');
+      expect(generateWaterQualityForecast(hourlyReadings, null, { horizon: 0 }).error)
+        .toContain('Forecast horizon must be a positive whole number');
+    });
+
+    test('should keep daily defaults', () => {
+      const result = generateWaterQualityForecast(hourlyReadings, 'North Coast');
+
+      expect(result.forecast_quality_index).toHaveLength(7);
+      expect(result.summary.forecast_period).toBe('7 days');
+      expect(result.metadata.seasonality.type).toBe('day_of_week');
+    });
+  });
+
+  describe('generateMultiParameterForecast', () => {
+    test('should return one forecast per parameter', () => {
+      const result = generateMultiParameterForecast(mockHistoricalData);
+
+      expect(result.success).toBe(true);
+      expect(Object.keys(result.forecasts)).toEqual(['temperature', 'pH', 'turbidity']);
+      expect(result.forecasts.temperature.forecast).toHaveLength(7);
+    });
+
+    test('should forecast only the requested parameters', () => {
+      const result = generateMultiParameterForecast(mockHistoricalData, 'North Coast', {
+        parameters: ['temperature'],
+        model: 'simple_exponential_smoothing'
+      });
+
+      expect(Object.keys(result.forecasts)).toEqual(['temperature']);
+      expect(result.forecasts.temperature.metadata.algorithm).toBe('simple_exponential_smoothing');
+      expect(result.region).toBe('North Coast');
+    });
+  });
+
   describe('generateRegionalForecasts', () => {
     test('should generate forecasts for all regions', () => {
       const result = generateRegionalForecasts(mockHistoricalData);
@@ -177,6 +564,110 @@ describe('Water Quality Forecasting Engine', () => {
       expect(result.regions).toContain('Central Valley');
     });
 
+    test('should combine models into a weighted ensemble', () => {
+      const twoRegionData = ['North Coast', 'Desert Basin'].flatMap((region, regionIndex) =>
+        Array.from({ length: 21 }, (_, index) => ({
+          timestamp: new Date(Date.UTC(2025, 9, 1 + index)).toISOString(),
+          region,
+          sensor_id: `${region}-001`,
+          region_avg_quality_index: 75 - regionIndex * 10 + (index % 7) - index * 0.2
+        }))
+      );
+
+      const result = generateRegionalForecasts(twoRegionData, {
+        ensemble: ['holt_winters', 'seasonal_naive', 'simple_exponential_smoothing']
+      });
+
+      ['North Coast', 'Desert Basin', 'overall'].forEach(region => {
+        const forecast = result.regional_forecasts[region];
+        const members = forecast.metadata.model_parameters.members;
+
+        expect(forecast.success).toBe(true);
+        expect(forecast.metadata.algorithm).toBe('ensemble');
+        expect(members.map(member => member.model))
+          .toEqual(['holt_winters', 'seasonal_naive', 'simple_exponential_smoothing']);
+        expect(members.reduce((sum, member) => sum + member.weight, 0)).toBeCloseTo(1, 10);
+        expect(Object.keys(forecast.forecast_quality_index[0].contributions)).toHaveLength(3);
+      });
+    });
+
+    test('should reconcile the overall forecast with the regions', () => {
+      const data = ['North Coast', 'Desert Basin'].flatMap((region, regionIndex) =>
+        Array.from({ length: 14 }, (_, index) =>
+          Array.from({ length: regionIndex + 1 }, (__, sensorIndex) => ({
+            timestamp: new Date(Date.UTC(2025, 9, 1 + index)).toISOString(),
+            region,
+            sensor_id: `${region}-00${sensorIndex + 1}`,
+            region_avg_quality_index: 80 - regionIndex * 20 - sensorIndex * 4 + (index % 3)
+          }))
+        ).flat()
+      );
+
+      const result = generateRegionalForecasts(data, { reconciliation: 'sensor_weighted' });
+      const north = result.regional_forecasts['North Coast'].forecast_quality_index;
+      const desert = result.regional_forecasts['Desert Basin'].forecast_quality_index;
+      const overall = result.regional_forecasts.overall;
+
+      expect(result.reconciliation.sensor_counts).toEqual({ 'North Coast': 1, 'Desert Basin': 2 });
+      expect(overall.reconciliation.children).toEqual([
+        { name: 'North Coast', weight: 1 / 3 },
+        { name: 'Desert Basin', weight: 2 / 3 }
+      ]);
+      overall.forecast_quality_index.forEach((point, index) => {
+        expect(point.quality_index).toBeCloseTo((north[index].quality_index + 2 * desert[index].quality_index) / 3, 1);
+      });
+    });
+
+    test('should reconcile regions with their sensors', () => {
+      const data = Array.from({ length: 14 }, (_, index) => ['A', 'B'].map((sensor, sensorIndex) => ({
+        timestamp: new Date(Date.UTC(2025, 9, 1 + index)).toISOString(),
+        region: 'North Coast',
+        sensor_id: sensor,
+        region_avg_quality_index: 70 + sensorIndex * 10 + (index % 2)
+      }))).flat();
+
+      const result = generateRegionalForecasts(data, { reconciliation: 'bottom_up', hierarchy: 'sensor' });
+      const sensors = result.sensor_forecasts['North Coast'];
+      const region = result.regional_forecasts['North Coast'];
+
+      expect(Object.keys(sensors)).toEqual(['A', 'B']);
+      expect(sensors.A.metadata.sensor_id).toBe('A');
+      expect(region.reconciliation.children.map(child => child.name)).toEqual(['A', 'B']);
+      region.forecast_quality_index.forEach((point, index) => {
+        const expected = (sensors.A.forecast_quality_index[index].quality_index +
+          sensors.B.forecast_quality_index[index].quality_index) / 2;
+        expect(point.quality_index).toBeCloseTo(expected, 1);
+        expect(result.regional_forecasts.overall.forecast_quality_index[index].quality_index)
+          .toBeCloseTo(point.quality_index, 1);
+      });
+    });
+
+    test('should reject unknown reconciliation options', () => {
+      expect(generateRegionalForecasts(mockHistoricalData, { reconciliation: 'top_down' }).success).toBe(false);
+      expect(generateRegionalForecasts(mockHistoricalData, { hierarchy: 'basin' }).error)
+        .toContain('Unsupported forecast hierarchy');
+    });
+
+    test('should apply per-region model overrides', () => {
+      const twoRegionData = ['North Coast', 'Central Valley'].flatMap(region =>
+        Array.from({ length: 10 }, (_, index) => ({
+          timestamp: new Date(Date.UTC(2025, 9, 1 + index)).toISOString(),
+          region,
+          sensor_id: `${region}-001`,
+          region_avg_quality_index: 75 + (index % 3)
+        }))
+      );
+
+      const result = generateRegionalForecasts(twoRegionData, {
+        model: 'simple_exponential_smoothing',
+        regionModels: { 'Central Valley': 'seasonal_naive' }
+      });
+
+      expect(result.regional_forecasts['North Coast'].metadata.algorithm).toBe('simple_exponential_smoothing');
+      expect(result.regional_forecasts['Central Valley'].metadata.algorithm).toBe('seasonal_naive');
+      expect(result.regional_forecasts.overall.metadata.algorithm).toBe('simple_exponential_smoothing');
+    });
+
     test('should include generation timestamp', () => {
       const result = generateRegionalForecasts(mockHistoricalData);
       
@@ -0,0 +1,195 @@
+/**
+ * Tests for Missing-data Imputation
+ */
+
+import {
+  getImputableFields,
+  imputeSensorReadings,
+  inferReadingInterval,
+  summarizeCompleteness
+} from '../imputation';
+import { resampleReadings } from '../timeSeriesResampler';
+import { generateBatchSummaries } from '../batchSummaryGenerator';
+import { generateParameterForecast } from '../forecastingEngine';
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = Date.UTC(2025, 0, 6);
+
+/**
+ * Build hourly readings for one sensor from a list of values (null for a missing value,
+ * undefined for a missed report)
+ * @param {Array} values - Temperature per hour
+ * @param {string} sensorId - Sensor id
+ * @returns {Array} - Readings
+ */
+const buildReadings = (values, sensorId = 'S1') => values
+  .map((temperature, index) => (temperature === undefined ? null : {
+    timestamp: new Date(start + index * HOUR_MS).toISOString(),
+    region: 'North',
+    sensor_id: sensorId,
+    temperature
+  }))
+  .filter(Boolean);
+
+describe('Missing-data Imputation', () => {
+  test('should infer the reporting cadence from the median spacing', () => {
+    expect(inferReadingInterval([0, 10, 20, 50, 60])).toBe(10);
+    expect(inferReadingInterval([0, 0])).toBeNull();
+    expect(inferReadingInterval([5])).toBeNull();
+  });
+
+  test('should interpolate missing values and flag them', () => {
+    const readings = buildReadings([10, null, null, 16, 18]);
+    const { readings: imputed, summary } = imputeSensorReadings(readings, { parameters: ['temperature'] });
+
+    expect(imputed.map(reading => reading.temperature)).toEqual([10, 12, 14, 16, 18]);
+    expect(imputed[1].imputed_fields).toEqual(['temperature']);
+    expect(imputed[1].imputed).toBeUndefined();
+    // Untouched readings are returned as they were, and the input is not changed
+    expect(imputed[0]).toBe(readings[0]);
+    expect(readings[1].temperature).toBeNull();
+    expect(summary.imputed_values).toBe(2);
+    expect(summary.by_parameter.temperature).toMatchObject({ measured: 3, imputed: 2, missing: 0 });
+  });
+
+  test('should add readings for missed reports', () => {
+    const readings = buildReadings([10, undefined, undefined, 16]);
+    const { readings: imputed, summary } = imputeSensorReadings(readings, {
+      parameters: ['temperature'],
+      interval: 'hourly'
+    });
+
+    expect(imputed).toHaveLength(4);
+    expect(imputed.slice(2)).toEqual([
+      expect.objectContaining({
+        timestamp: new Date(start + HOUR_MS).toISOString(),
+        sensor_id: 'S1',
+        region: 'North',
+        temperature: 12,
+        imputed: true
+      }),
+      expect.objectContaining({ temperature: 14, imputed: true })
+    ]);
+    expect(summary).toMatchObject({ total_readings: 4, measured_readings: 2, imputed_readings: 2 });
+
+    const withoutAdding = imputeSensorReadings(readings, {
+      parameters: ['temperature'],
+      interval: 'hourly',
+      fillMissingReadings: false
+    });
+    expect(withoutAdding.readings).toHaveLength(2);
+  });
+
+  test('should carry the last observation forward', () => {
+    const readings = buildReadings([null, 10, null, null, 16, null]);
+    const { readings: imputed } = imputeSensorReadings(readings, { strategy: 'locf', parameters: ['temperature'] });
+
+    expect(imputed.map(reading => reading.temperature)).toEqual([null, 10, 10, 10, 16, 16]);
+
+    // Linear interpolation leaves both ends alone
+    const linear = imputeSensorReadings(readings, { parameters: ['temperature'] });
+    expect(linear.readings.map(reading => reading.temperature)).toEqual([null, 10, 12, 14, 16, null]);
+  });
+
+  test('should fill with the daily pattern using the seasonal strategy', () => {
+    // Two days of a step pattern: 10 at night, 20 in the day, with the second afternoon missing
+    const values = Array.from({ length: 48 }, (_, hour) => (hour % 24 < 12 ? 10 : 20));
+    for (let hour = 36; hour < 40; hour++) values[hour] = null;
+    const readings = buildReadings(values);
+
+    const seasonal = imputeSensorReadings(readings, { strategy: 'seasonal', parameters: ['temperature'] });
+    expect(seasonal.readings.slice(36, 40).map(reading => reading.temperature)).toEqual([20, 20, 20, 20]);
+
+    // Seasonal also fills the end of the series from the pattern
+    const trailing = buildReadings([...values.slice(0, 36), 20, null, null]);
+    const filled = imputeSensorReadings(trailing, { strategy: 'seasonal', parameters: ['temperature'] });
+    expect(filled.readings.slice(-2).map(reading => reading.temperature)).toEqual([20, 20]);
+  });
+
+  test('should leave gaps longer than the max gap', () => {
+    const readings = buildReadings([10, null, 14, null, null, null, 22]);
+    const { readings: imputed, summary } = imputeSensorReadings(readings, {
+      parameters: ['temperature'],
+      maxGap: 2
+    });
+
+    expect(imputed.map(reading => reading.temperature)).toEqual([10, 12, 14, null, null, null, 22]);
+    expect(summary.max_gap).toBe(2);
+    expect(summary.by_parameter.temperature.missing).toBe(3);
+  });
+
+  test('should impute each sensor separately', () => {
+    const readings = [
+      ...buildReadings([10, null, 14], 'S1'),
+      ...buildReadings([50, null, 70], 'S2')
+    ];
+    const { readings: imputed } = imputeSensorReadings(readings, { parameters: ['temperature'] });
+
+    expect(imputed.map(reading => reading.temperature)).toEqual([10, 12, 14, 50, 60, 70]);
+  });
+
+  test('should reject unknown strategies and invalid gaps', () => {
+    expect(() => imputeSensorReadings([], { strategy: 'spline' }))
+      .toThrow('Unsupported imputation strategy: spline');
+    expect(() => imputeSensorReadings([], { maxGap: 1.5 })).toThrow('max gap');
+  });
+
+  test('should count imputed readings when resampling and summarizing', () => {
+    const readings = buildReadings([10, undefined, undefined, 16, 18, 20]);
+    const { readings: imputed } = imputeSensorReadings(readings, { parameters: ['temperature'] });
+
+    const series = resampleReadings(imputed, { parameter: 'temperature', interval: 'hourly' });
+    expect(series.map(point => point.imputed_count)).toEqual([0, 1, 1, 0, 0, 0]);
+
+    const completeness = summarizeCompleteness(imputed, ['temperature']);
+    expect(completeness.by_parameter.temperature.completeness_percentage).toBe(66.7);
+
+    const [summary] = generateBatchSummaries(readings, 'monthly', { imputation: true });
+    expect(summary).toMatchObject({ total_readings: 6, measured_readings: 4, imputed_readings: 2 });
+    expect(summary.imputed_values.temperature).toBe(2);
+  });
+
+  test('should impute and count every summarized parameter', () => {
+    const readings = buildReadings([10, 11, 12, 13])
+      .map((reading, index) => ({ ...reading, nitrate: index === 1 ? null : 4 + index }));
+    const parameters = [{ key: 'nitrate', label: 'Nitrate', unit: 'mg/L', precision: 1 }];
+
+    expect(getImputableFields(parameters)).toEqual(['nitrate', 'region_avg_quality_index']);
+    expect(getImputableFields()).toEqual(expect.arrayContaining(['dissolved_oxygen', 'orp']));
+
+    const [summary] = generateBatchSummaries(readings, 'monthly', { imputation: true, parameters });
+    expect(summary.imputed_values).toEqual({ nitrate: 1, region_avg_quality_index: 0 });
+    expect(summary.nitrate.average).toBe(5.5);
+  });
+
+  test('should forecast from imputed data when asked', () => {
+    // Daily readings with every fifth day missing; the daily cadence is inferred
+    const readings = Array.from({ length: 30 }, (_, day) => ({
+      timestamp: new Date(start + day * 24 * HOUR_MS).toISOString(),
+      region: 'North',
+      sensor_id: 'S1',
+      temperature: 15 + day * 0.1
+    })).filter((_, day) => day % 5 !== 1);
+
+    const plain = generateParameterForecast(readings, 'temperature', 'North', {
+      resampling: { gapStrategy: 'omit' }
+    });
+    const imputed = generateParameterForecast(readings, 'temperature', 'North', {
+      resampling: { gapStrategy: 'omit' },
+      imputation: { strategy: 'linear' }
+    });
+
+    expect(plain.metadata.imputation).toBeNull();
+    expect(plain.summary.imputed_readings).toBe(0);
+    expect(imputed.success).toBe(true);
+    expect(imputed.summary.data_points_used).toBe(30);
+    expect(imputed.summary.imputed_readings).toBe(6);
+    expect(imputed.metadata.imputation).toMatchObject({
+      strategy: 'linear',
+      imputed_values: 6,
+      added_readings: 6,
+      measured: 24,
+      imputed: 6
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Tests for the Incremental Aggregator
+ */
+
+import {
+  IncrementalAggregator,
+  P2Quantile,
+  RunningStatistics
+} from '../incrementalAggregator';
+import {
+  aggregateByRegion,
+  aggregateBySensor,
+  aggregateSensorData,
+  calculateStatistics
+} from '../dataAggregator';
+import { quantile } from '../statistics';
+import { createSeededRandom } from '../random';
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = Date.UTC(2025, 9, 1);
+
+/**
+ * Build readings from three sensors in two regions, every four hours
+ * @param {number} count - Number of readings
+ * @param {number} offset - Index of the first reading
+ * @returns {Array} - Readings in time order
+ */
+const buildReadings = (count, offset = 0) => {
+  const random = createSeededRandom(42 + offset);
+  const sensors = [['NC-001', 'North Coast'], ['NC-002', 'North Coast'], ['SB-001', 'South Bay']];
+
+  return Array.from({ length: count }, (_, i) => {
+    const index = offset + i;
+    const [sensorId, region] = sensors[index % sensors.length];
+    return {
+      timestamp: new Date(start + index * 4 * HOUR_MS).toISOString(),
+      region,
+      sensor_id: sensorId,
+      temperature: 18 + random.normal(0, 1),
+      pH: 8 + random.normal(0, 0.1),
+      // Some sensors skip turbidity
+      turbidity: index % 4 === 0 ? null : 2 + Math.abs(random.normal(0, 0.5)),
+      region_avg_quality_index: 65 + random.normal(0, 12)
+    };
+  });
+};
+
+/**
+ * Assert two aggregates match, with numbers compared to rounding error
+ * @param {*} actual - Incremental result
+ * @param {*} expected - Batch result
+ */
+const expectMatching = (actual, expected) => {
+  if (typeof expected === 'number') {
+    expect(actual).toBeCloseTo(expected, 8);
+  } else if (expected && typeof expected === 'object') {
+    expect(Object.keys(actual).sort()).toEqual(Object.keys(expected).sort());
+    Object.keys(expected).forEach(key => expectMatching(actual[key], expected[key]));
+  } else {
+    expect(actual).toEqual(expected);
+  }
+};
+
+describe('Incremental Aggregator', () => {
+  test('should keep exact running statistics apart from the median', () => {
+    const random = createSeededRandom(42);
+    const values = Array.from({ length: 500 }, () => 10 + random.normal(0, 3));
+    const running = new RunningStatistics();
+    values.forEach(value => running.push(value));
+
+    const expected = calculateStatistics(values);
+    const actual = running.getStatistics();
+    expect(actual.count).toBe(500);
+    expect(actual.min).toBe(expected.min);
+    expect(actual.max).toBe(expected.max);
+    expect(actual.average).toBeCloseTo(expected.average, 10);
+    expect(actual.stdDev).toBeCloseTo(expected.stdDev, 10);
+    expect(Math.abs(actual.median - expected.median)).toBeLessThan(0.3);
+  });
+
+  test('should estimate quantiles closely with a constant-size sketch', () => {
+    const random = createSeededRandom(42);
+    const values = Array.from({ length: 5000 }, () => random.normal(0, 1));
+
+    [0.1, 0.5, 0.9].forEach(probability => {
+      const sketch = new P2Quantile(probability);
+      values.forEach(value => sketch.push(value));
+      expect(Math.abs(sketch.value() - quantile(values, probability))).toBeLessThan(0.05);
+      expect(sketch.heights).toHaveLength(5);
+    });
+  });
+
+  test('should give exact medians for up to five values', () => {
+    const sketch = new P2Quantile();
+    expect(sketch.value()).toBeNaN();
+
+    [7, 3, 9, 1].forEach(value => sketch.push(value));
+    expect(sketch.value()).toBe(5);
+    sketch.push(4);
+    expect(sketch.value()).toBe(4);
+    expect(() => new RunningStatistics().getQuantile(0.9)).toThrow('Unsupported quantile: 0.9');
+  });
+
+  test('should produce the same shapes as the batch aggregation', () => {
+    const readings = buildReadings(12);
+    const aggregator = new IncrementalAggregator().append(readings);
+
+    // Every group has at most five values per parameter here, so even the medians are exact
+    expectMatching(aggregator.getAggregate().quality_distribution, aggregateSensorData(readings).quality_distribution);
+    expectMatching(aggregator.getByRegion()['South Bay'], aggregateByRegion(readings)['South Bay']);
+    expectMatching(aggregator.getBySensor(), aggregateBySensor(readings));
+  });
+
+  test('should match the batch aggregation apart from sketched medians', () => {
+    const readings = buildReadings(600);
+    const aggregator = new IncrementalAggregator().append(readings);
+
+    const withoutMedians = (aggregate) => {
+      const copy = { ...aggregate };
+      ['temperature', 'pH', 'turbidity'].forEach(parameter => {
+        const { median, ...stats } = aggregate[parameter];
+        copy[parameter] = stats;
+      });
+      return copy;
+    };
+    const actual = aggregator.getAggregate();
+    const expected = aggregateSensorData(readings);
+
+    expectMatching(withoutMedians(actual), withoutMedians(expected));
+    expect(Math.abs(actual.temperature.median - expected.temperature.median)).toBeLessThan(0.1);
+    expect(actual.turbidity.count).toBe(450);
+    Object.keys(aggregateByRegion(readings)).forEach(region => {
+      expectMatching(
+        withoutMedians(aggregator.getByRegion()[region]),
+        withoutMedians(aggregateByRegion(readings)[region])
+      );
+    });
+  });
+
+  test('should take in appended readings', () => {
+    const first = buildReadings(300);
+    const next = buildReadings(60, 300);
+    const aggregator = new IncrementalAggregator().append(first).append(next);
+    const batch = aggregateSensorData([...first, ...next]);
+
+    expect(aggregator.size()).toBe(360);
+    expect(aggregator.getAggregate().total_readings).toBe(360);
+    expect(aggregator.getAggregate().pH.average).toBeCloseTo(batch.pH.average, 10);
+    expect(aggregator.getAggregate().date_range).toEqual(batch.date_range);
+    expect(aggregator.getBySensor()['SB-001'].latest_reading).toBe(next[59]);
+    expect(aggregator.getBySensor()['SB-001'].reading_frequency)
+      .toEqual(aggregateBySensor([...first, ...next])['SB-001'].reading_frequency);
+  });
+
+  test('should only add the new readings when syncing with a longer list', () => {
+    const readings = buildReadings(90);
+    const aggregator = new IncrementalAggregator().sync(readings.slice(0, 60));
+    const addReadings = jest.spyOn(aggregator, 'addReadings');
+    const clearGroups = jest.spyOn(aggregator, 'clearGroups');
+
+    aggregator.sync(readings);
+    expect(addReadings).toHaveBeenCalledWith(readings.slice(60));
+    expect(aggregator.size()).toBe(90);
+
+    // Readings parsed afresh count as the same readings
+    aggregator.sync(readings.map(reading => ({ ...reading })));
+    expect(addReadings).toHaveBeenLastCalledWith([]);
+    expect(aggregator.size()).toBe(90);
+    expect(clearGroups).not.toHaveBeenCalled();
+  });
+
+  test('should take in newest-first batches without rebuilding', () => {
+    const readings = buildReadings(90);
+    const newestFirst = count => readings.slice(0, count).reverse();
+    const aggregator = new IncrementalAggregator().sync(newestFirst(30));
+    const addReadings = jest.spyOn(aggregator, 'addReadings');
+    const clearGroups = jest.spyOn(aggregator, 'clearGroups');
+
+    aggregator.sync(newestFirst(60));
+    aggregator.sync(newestFirst(90));
+
+    expect(clearGroups).not.toHaveBeenCalled();
+    expect(addReadings).toHaveBeenNthCalledWith(1, readings.slice(30, 60));
+    expect(addReadings).toHaveBeenNthCalledWith(2, readings.slice(60));
+    expect(aggregator.size()).toBe(90);
+    expect(aggregator.getAggregate().pH.average).toBeCloseTo(aggregateSensorData(readings).pH.average, 10);
+    expect(aggregator.getBySensor()['SB-001'].latest_reading).toBe(readings[89]);
+  });
+
+  test('should start over when a reading in the middle is corrected', () => {
+    const readings = buildReadings(90);
+    const aggregator = new IncrementalAggregator().sync(readings);
+    const corrected = readings.map((reading, index) => (index === 45 ? { ...reading, pH: 14 } : reading));
+
+    aggregator.sync(corrected);
+
+    expect(aggregator.size()).toBe(90);
+    expect(aggregator.getAggregate().pH.max).toBe(14);
+    expect(aggregator.getAggregate().pH.average).toBeCloseTo(aggregateSensorData(corrected).pH.average, 10);
+  });
+
+  test('should start over when the readings are not a continuation', () => {
+    const readings = buildReadings(90);
+    const aggregator = new IncrementalAggregator().sync(readings);
+
+    const northCoast = readings.filter(reading => reading.region === 'North Coast');
+    aggregator.sync(northCoast);
+    expect(aggregator.size()).toBe(northCoast.length);
+    expect(aggregator.getAggregate().regions).toEqual(['North Coast']);
+
+    aggregator.sync([]);
+    expectMatching(aggregator.getAggregate(), aggregateSensorData([]));
+    expect(aggregator.getByRegion()).toEqual({});
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Tests for the Parameter Registry
+ */
+
+import {
+  DEFAULT_PARAMETERS,
+  ParameterRegistry,
+  checkThresholds,
+  formatParameterValue,
+  isWithinRange,
+  normalizeParameter,
+  parameterRegistry
+} from '../parameterRegistry';
+import { aggregateSensorData, detectAnomalies } from '../dataAggregator';
+import { generateBatchSummaries } from '../batchSummaryGenerator';
+import { IncrementalAggregator } from '../incrementalAggregator';
+
+const readings = [
+  {
+    timestamp: '2025-10-15T00:00:00Z',
+    region: 'North Coast',
+    sensor_id: 'NC-001',
+    temperature: 18.2,
+    pH: 8.0,
+    turbidity: 1.2,
+    dissolved_oxygen: 7.4,
+    free_chlorine: 0.1,
+    region_avg_quality_index: 82
+  },
+  {
+    timestamp: '2025-10-15T06:00:00Z',
+    region: 'North Coast',
+    sensor_id: 'NC-001',
+    temperature: 19.0,
+    pH: 9.4,
+    turbidity: 12.5,
+    dissolved_oxygen: 4.1,
+    free_chlorine: 0.8,
+    region_avg_quality_index: 61
+  }
+];
+
+const phosphate = {
+  key: 'phosphate',
+  label: 'Phosphate',
+  unit: 'mg/L',
+  precision: 3,
+  range: { min: 0, max: 50 },
+  thresholds: { max: 0.1 }
+};
+
+describe('Parameter Registry', () => {
+  test('should register the sensor parameters', () => {
+    expect(parameterRegistry.keys()).toEqual([
+      'temperature',
+      'pH',
+      'turbidity',
+      'dissolved_oxygen',
+      'conductivity',
+      'free_chlorine',
+      'nitrate',
+      'orp'
+    ]);
+    expect(parameterRegistry.get('dissolved_oxygen')).toMatchObject({ label: 'Dissolved Oxygen', unit: 'mg/L' });
+    expect(parameterRegistry.get('region_avg_quality_index')).toBeNull();
+  });
+
+  test('should add, replace and remove parameters', () => {
+    const registry = new ParameterRegistry(DEFAULT_PARAMETERS.slice(0, 2));
+    registry.register(phosphate);
+    registry.register({ ...DEFAULT_PARAMETERS[0], label: 'Water Temperature' });
+
+    expect(registry.keys()).toEqual(['temperature', 'pH', 'phosphate']);
+    expect(registry.get('temperature').label).toBe('Water Temperature');
+    expect(registry.unregister('pH')).toBe(true);
+    expect(registry.has('pH')).toBe(false);
+  });
+
+  test('should fill in optional fields and reject broken definitions', () => {
+    expect(normalizeParameter({ key: 'silica' })).toEqual({
+      key: 'silica',
+      label: 'silica',
+      unit: '',
+      precision: 2,
+      range: { min: null, max: null },
+      thresholds: { min: null, max: null }
+    });
+    expect(() => normalizeParameter({ label: 'No key' })).toThrow('Parameter definitions need a key');
+    expect(() => normalizeParameter({ key: 'x', range: { min: 5, max: 1 } })).toThrow('Invalid range for parameter: x');
+    expect(() => normalizeParameter({ key: 'x', thresholds: { min: 5, max: 1 } }))
+      .toThrow('Invalid thresholds for parameter: x');
+  });
+
+  test('should format values and check them against range and thresholds', () => {
+    const temperature = parameterRegistry.get('temperature');
+    const turbidity = parameterRegistry.get('turbidity');
+
+    expect(formatParameterValue(temperature, 21.44)).toBe('21.4°C');
+    expect(formatParameterValue(parameterRegistry.get('pH'), 7.8)).toBe('7.80');
+    expect(formatParameterValue(turbidity, 2.1)).toBe('2.10 NTU');
+
+    expect(isWithinRange(parameterRegistry.get('pH'), 14.5)).toBe(false);
+    expect(isWithinRange(parameterRegistry.get('pH'), 7)).toBe(true);
+    expect(checkThresholds(temperature, 5)).toBe('low');
+    expect(checkThresholds(turbidity, 12)).toBe('high');
+    expect(checkThresholds(turbidity, null)).toBeNull();
+  });
+
+  test('should aggregate every registered parameter', () => {
+    const aggregated = aggregateSensorData(readings);
+
+    expect(aggregated.dissolved_oxygen.average).toBeCloseTo(5.75, 10);
+    expect(aggregated.conductivity.count).toBe(0);
+    expect(aggregateSensorData([]).orp).toEqual({ min: 0, max: 0, average: 0, median: 0, stdDev: 0, count: 0 });
+
+    const custom = aggregateSensorData(
+      readings.map(reading => ({ ...reading, phosphate: 0.05 })),
+      { parameters: [phosphate] }
+    );
+    expect(custom.phosphate.average).toBeCloseTo(0.05, 10);
+    expect(custom.temperature).toBeUndefined();
+    expect(new IncrementalAggregator({ parameters: [phosphate] }).append(readings).getAggregate().phosphate.count).toBe(0);
+  });
+
+  test('should summarize batches with each parameter at its precision', () => {
+    const [summary] = generateBatchSummaries(readings, 'monthly', {
+      includeRegionalBreakdown: true,
+      includeAnomalies: true
+    });
+
+    expect(summary.temperature).toMatchObject({ average: 18.6, count: 2 });
+    expect(summary.dissolved_oxygen).toMatchObject({ average: 5.75, min: 4.1, max: 7.4, count: 2 });
+    expect(summary.nitrate.count).toBe(0);
+    expect(summary.regional_breakdown['North Coast'].dissolved_oxygen_avg).toBe(5.75);
+
+    expect(summary.anomalies).toHaveLength(2);
+    expect(summary.anomalies[0].issues).toEqual(['free_chlorine_out_of_range']);
+    expect(summary.anomalies[1].issues).toEqual(['pH_out_of_range', 'high_turbidity', 'low_dissolved_oxygen']);
+    expect(summary.anomalies[1].values).toMatchObject({ dissolved_oxygen: 4.1, quality_index: 61 });
+  });
+
+  test('should flag threshold breaches from the registry', () => {
+    const copies = readings.map(reading => ({ ...reading }));
+    const anomalies = detectAnomalies(copies);
+
+    expect(anomalies.map(reading => reading.anomalies)).toEqual([
+      ['free_chlorine'],
+      ['pH', 'turbidity', 'dissolved_oxygen']
+    ]);
+    // Overrides still apply per parameter
+    expect(detectAnomalies(readings.map(reading => ({ ...reading })), {
+      pH: { max: 10 },
+      turbidity: { max: 20 },
+      dissolved_oxygen: { min: 4 },
+      free_chlorine: { min: 0 }
+    })).toHaveLength(0);
+  });
+});
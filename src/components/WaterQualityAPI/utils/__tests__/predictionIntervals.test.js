@@ -0,0 +1,125 @@
+/**
+ * Tests for Prediction Intervals
+ */
+
+import { buildPredictionIntervals, collectForecastErrors } from '../predictionIntervals';
+import { getForecastModel } from '../forecastModels';
+import { normalQuantile, normalCdf, quantile } from '../statistics';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildSeries = (values) => values.map((y, x) => ({
+  x,
+  y,
+  timestamp: new Date(Date.UTC(2025, 8, 1 + x)).toISOString()
+}));
+
+const flatForecasts = (value, horizon) =>
+  Array.from({ length: horizon }, () => ({ value }));
+
+describe('Prediction Intervals', () => {
+  describe('statistics helpers', () => {
+    test('should invert the normal distribution', () => {
+      expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 5);
+      expect(normalQuantile(0.5)).toBeCloseTo(0, 8);
+      expect(normalCdf(normalQuantile(0.9))).toBeCloseTo(0.9, 6);
+    });
+
+    test('should interpolate quantiles', () => {
+      expect(quantile([4, 1, 3, 2], 0.5)).toBe(2.5);
+      expect(quantile([1, 2, 3], 1)).toBe(3);
+    });
+  });
+
+  describe('collectForecastErrors', () => {
+    test('should replay the model from rolling origins', () => {
+      const series = buildSeries([10, 12, 11, 13, 12, 14, 13, 15]);
+      const errors = collectForecastErrors(getForecastModel('simple_exponential_smoothing'), series, {
+        horizon: 3,
+        intervalMs: DAY_MS,
+        minTrainingSize: 4
+      });
+
+      expect(errors).toHaveLength(3);
+      expect(errors[0]).toHaveLength(4);
+      expect(errors[1]).toHaveLength(3);
+      expect(errors[2]).toHaveLength(2);
+    });
+
+    test('should report zero error for a perfectly predictable series', () => {
+      const series = buildSeries(Array.from({ length: 10 }, () => 50));
+      const errors = collectForecastErrors(getForecastModel('seasonal_naive'), series, {
+        horizon: 2,
+        intervalMs: DAY_MS
+      });
+
+      expect(errors.flat().every(error => Math.abs(error) < 1e-9)).toBe(true);
+    });
+  });
+
+  describe('buildPredictionIntervals', () => {
+    test('should use normal quantiles of the residual spread', () => {
+      const errors = [[2, -2, 2, -2, 2, -2]];
+      const { forecasts } = buildPredictionIntervals(flatForecasts(50, 1), errors, { levels: [0.95] });
+      const margin = normalQuantile(0.975) * 2;
+
+      expect(forecasts[0].standard_error).toBeCloseTo(2, 8);
+      expect(forecasts[0].confidence_interval.lower).toBeCloseTo(50 - margin, 6);
+      expect(forecasts[0].confidence_interval.upper).toBeCloseTo(50 + margin, 6);
+    });
+
+    test('should grow with the square root of the horizon without per-horizon errors', () => {
+      const errors = [[1, -1, 1, -1], [], [], []];
+      const { forecasts } = buildPredictionIntervals(flatForecasts(50, 4), errors);
+
+      expect(forecasts[3].standard_error).toBeCloseTo(2, 8);
+      expect(forecasts.map(point => point.prediction_intervals.map(band => band.level)))
+        .toEqual(Array(4).fill([0.8, 0.95]));
+    });
+
+    test('should never narrow when later horizons have smaller errors', () => {
+      const errors = [
+        [3, -3, 3, -3, 3],
+        [1, -1, 1, -1, 1]
+      ];
+      const { forecasts } = buildPredictionIntervals(flatForecasts(50, 2), errors);
+
+      expect(forecasts[1].standard_error).toBeCloseTo(forecasts[0].standard_error, 8);
+    });
+
+    test('should fall back to the given spread without residuals', () => {
+      const { forecasts, details } = buildPredictionIntervals(flatForecasts(50, 1), [[]], {
+        fallbackStd: 1.5
+      });
+
+      expect(details.residual_count).toBe(0);
+      expect(forecasts[0].standard_error).toBe(1.5);
+    });
+
+    test('should clamp interval limits to the bounds', () => {
+      const { forecasts } = buildPredictionIntervals(flatForecasts(99, 1), [[5, -5, 5, -5]], {
+        bounds: { min: 0, max: 100 }
+      });
+
+      expect(forecasts[0].confidence_interval.upper).toBe(100);
+    });
+
+    test('should bootstrap residuals reproducibly', () => {
+      const errors = [[-2, -1, 0, 1, 2, 3, -3]];
+      const first = buildPredictionIntervals(flatForecasts(50, 5), errors, { method: 'bootstrap', seed: 11 });
+      const second = buildPredictionIntervals(flatForecasts(50, 5), errors, { method: 'bootstrap', seed: 11 });
+
+      expect(first.details.method).toBe('bootstrap');
+      expect(first.details.seed).toBe(11);
+      expect(first.forecasts).toEqual(second.forecasts);
+
+      const widths = first.forecasts.map(point => point.confidence_interval.upper - point.confidence_interval.lower);
+      expect(widths[4]).toBeGreaterThan(widths[0]);
+    });
+
+    test('should reject unknown methods', () => {
+      expect(() => buildPredictionIntervals(flatForecasts(50, 1), [[1, -1]], { method: 'guess' }))
+        .toThrow('Unsupported prediction interval method');
+    });
+  });
+});
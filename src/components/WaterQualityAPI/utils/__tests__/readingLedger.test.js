@@ -0,0 +1,64 @@
+/**
+ * Tests for the Reading Ledger
+ */
+
+import { ReadingLedger, getReadingKey, getReadingSignature } from '../readingLedger';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hourly readings from one sensor, newest first as the API returns them
+const buildReadings = (count, offset = 0) => Array.from({ length: count }, (_, i) => ({
+  timestamp: new Date(Date.UTC(2025, 9, 1) + (offset + i) * HOUR_MS).toISOString(),
+  region: 'North Coast',
+  sensor_id: 'NC-001',
+  pH: 8 + (offset + i) / 100
+})).reverse();
+
+describe('Reading Ledger', () => {
+  test('should key readings by sensor and timestamp and sign their content', () => {
+    const [reading] = buildReadings(1);
+
+    expect(getReadingKey(reading)).toBe('NC-001|2025-10-01T00:00:00.000Z');
+    expect(getReadingSignature({ ...reading })).toBe(getReadingSignature(reading));
+    expect(getReadingSignature({ ...reading, pH: 7 })).not.toBe(getReadingSignature(reading));
+  });
+
+  test('should return only new readings, oldest first, whatever end they arrive at', () => {
+    const ledger = new ReadingLedger();
+    const first = buildReadings(5);
+    const next = buildReadings(3, 5);
+
+    expect(ledger.sync(first)).toEqual({ rebuilt: false, added: [...first].reverse() });
+
+    const synced = ledger.sync([...next, ...first.map(reading => ({ ...reading }))]);
+    expect(synced).toEqual({ rebuilt: false, added: [...next].reverse() });
+    expect(ledger.size()).toBe(8);
+    expect(ledger.sync([...first, ...next])).toEqual({ rebuilt: false, added: [] });
+  });
+
+  test('should start over when a covered reading changes or is gone', () => {
+    const ledger = new ReadingLedger();
+    const readings = buildReadings(6);
+    ledger.sync(readings);
+
+    const corrected = readings.map((reading, index) => (index === 3 ? { ...reading, pH: 6.5 } : reading));
+    expect(ledger.sync(corrected).rebuilt).toBe(true);
+    expect(ledger.size()).toBe(6);
+
+    expect(ledger.sync(corrected.slice(1))).toEqual({ rebuilt: true, added: corrected.slice(1).reverse() });
+    expect(ledger.sync([]).rebuilt).toBe(true);
+    expect(ledger.size()).toBe(0);
+  });
+
+  test('should count duplicate readings and give the same digest in any order', () => {
+    const readings = buildReadings(4);
+    const ledger = new ReadingLedger().record([...readings, readings[0]]);
+    const reordered = new ReadingLedger();
+    reordered.sync([readings[0], ...readings].reverse());
+
+    expect(ledger.size()).toBe(5);
+    expect(ledger.sync([...readings, readings[0]])).toEqual({ rebuilt: false, added: [] });
+    expect(reordered.digest()).toBe(ledger.digest());
+    expect(new ReadingLedger().record(readings).digest()).not.toBe(ledger.digest());
+  });
+});
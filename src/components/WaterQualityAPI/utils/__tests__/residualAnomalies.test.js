@@ -0,0 +1,173 @@
+/**
+ * Tests for Residual-based Anomaly Detection
+ */
+
+import {
+  detectForecastAnomalies,
+  detectResidualAnomalies,
+  detectRollingAnomalies
+} from '../residualAnomalies';
+import { detectAnomalies } from '../dataAggregator';
+import { generateParameterForecast, generateWaterQualityForecast } from '../forecastingEngine';
+import { createSeededRandom } from '../random';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const start = Date.UTC(2025, 8, 1);
+
+/**
+ * Build readings at a fixed spacing around a level with seeded noise
+ * @param {number} count - Number of readings
+ * @param {number} stepMs - Spacing in milliseconds
+ * @param {Object} fields - Field name => level
+ * @param {Object} overrides - Reading fields shared by every reading (region, sensor_id)
+ * @param {number} offset - Start time in milliseconds
+ * @returns {Array} - Readings
+ */
+const buildReadings = (count, stepMs, fields, overrides = {}, offset = start) => {
+  const random = createSeededRandom(42);
+
+  return Array.from({ length: count }, (_, index) => ({
+    timestamp: new Date(offset + index * stepMs).toISOString(),
+    region: 'North Coast',
+    sensor_id: 'NC-001',
+    ...Object.keys(fields).reduce((values, field) => {
+      values[field] = fields[field] + random.normal(0, 0.05);
+      return values;
+    }, {}),
+    ...overrides
+  }));
+};
+
+describe('Residual-based Anomaly Detection', () => {
+  describe('detectRollingAnomalies', () => {
+    test('should flag a pH of 7.0 in a region that sits at 8.0', () => {
+      const readings = [
+        ...buildReadings(48, HOUR_MS, { pH: 8.0 }),
+        { timestamp: new Date(start + 48 * HOUR_MS).toISOString(), region: 'North Coast', sensor_id: 'NC-001', pH: 7.0 }
+      ];
+
+      // Static limits (6.0 - 9.0) see nothing wrong
+      expect(detectAnomalies(readings.map(reading => ({ ...reading })), {
+        temperature: { min: -Infinity, max: Infinity },
+        turbidity: { max: Infinity },
+        quality_index: { min: -Infinity }
+      })).toHaveLength(0);
+
+      const result = detectRollingAnomalies(readings, { parameter: 'pH', windowHours: 24, level: 0.999 });
+      expect(result.checked).toBe(39);
+      expect(result.anomalies[0]).toMatchObject({
+        method: 'rolling',
+        timestamp: readings[48].timestamp,
+        region: 'North Coast',
+        parameter: 'pH',
+        value: 7.0,
+        direction: 'below'
+      });
+      expect(result.anomalies[0].expected).toBeCloseTo(8.0, 1);
+      expect(result.anomalies[0].score).toBeGreaterThan(10);
+      expect(result.anomalies.slice(1).every(anomaly => anomaly.score < 5)).toBe(true);
+    });
+
+    test('should only compare readings with the history of their own group', () => {
+      const readings = [
+        ...buildReadings(24, HOUR_MS, { pH: 8.0 }),
+        ...buildReadings(24, HOUR_MS, { pH: 7.0 }, { region: 'South Bay', sensor_id: 'SB-001' })
+      ];
+
+      // Mixing the regions would put every South Bay reading about 20 standard errors out
+      const byRegion = detectRollingAnomalies(readings, { parameter: 'pH', level: 0.999 });
+      expect(byRegion.anomalies.every(anomaly => anomaly.score < 5)).toBe(true);
+
+      const shifted = [...readings, {
+        timestamp: new Date(start + 24 * HOUR_MS).toISOString(),
+        region: 'North Coast',
+        sensor_id: 'SB-001',
+        pH: 7.0
+      }];
+      const bySensor = detectRollingAnomalies(shifted, { parameter: 'pH', groupBy: 'sensor', level: 0.999 });
+      expect(bySensor.anomalies.every(anomaly => anomaly.score < 5)).toBe(true);
+
+      const [top] = detectRollingAnomalies(shifted, { parameter: 'pH', level: 0.999 }).anomalies;
+      expect(top).toMatchObject({ sensor_id: 'SB-001', value: 7.0 });
+      expect(top.score).toBeGreaterThan(10);
+    });
+
+    test('should not check readings without enough history', () => {
+      const readings = buildReadings(5, HOUR_MS, { pH: 8.0 });
+
+      expect(detectRollingAnomalies(readings, { parameter: 'pH' })).toMatchObject({ checked: 0, anomalies: [] });
+      expect(detectRollingAnomalies(readings, { parameter: 'pH', minHistory: 2 }).checked).toBe(3);
+    });
+
+    test('should not mutate the readings', () => {
+      const readings = [
+        ...buildReadings(24, HOUR_MS, { pH: 8.0 }),
+        { timestamp: new Date(start + 24 * HOUR_MS).toISOString(), region: 'North Coast', pH: 7.0 }
+      ];
+      const copy = JSON.parse(JSON.stringify(readings));
+
+      detectRollingAnomalies(readings, { parameter: 'pH' });
+      expect(readings).toEqual(copy);
+    });
+  });
+
+  describe('detectForecastAnomalies', () => {
+    const history = buildReadings(30, DAY_MS, { pH: 8.0, region_avg_quality_index: 80 });
+    const forecastStart = start + 30 * DAY_MS;
+    const actuals = [
+      ...buildReadings(3, DAY_MS, { pH: 8.0 }, {}, forecastStart),
+      { timestamp: new Date(forecastStart + 3 * DAY_MS + HOUR_MS).toISOString(), region: 'North Coast', pH: 7.0 }
+    ];
+
+    test('should flag readings outside the prediction interval', () => {
+      const forecast = generateParameterForecast(history, 'pH', 'North Coast');
+      const result = detectForecastAnomalies(actuals, forecast);
+
+      expect(result).toMatchObject({ method: 'forecast', parameter: 'pH', region: 'North Coast', level: 0.95 });
+      expect(result.checked).toBe(4);
+      expect(result.anomalies).toHaveLength(1);
+
+      const [anomaly] = result.anomalies;
+      const step = forecast.forecast[3];
+      expect(anomaly).toMatchObject({ value: 7.0, expected: step.value, direction: 'below' });
+      expect(anomaly.upper).toBe(step.prediction_intervals.find(band => band.level === 0.95).upper);
+      expect(anomaly.score).toBeCloseTo((step.value - 7.0) / step.standard_error, 6);
+    });
+
+    test('should build levels the forecast does not carry from the standard error', () => {
+      const forecast = generateParameterForecast(history, 'pH', 'North Coast');
+      const [anomaly] = detectForecastAnomalies(actuals, forecast, { level: 0.999 }).anomalies;
+      const step = forecast.forecast[3];
+
+      expect(anomaly.lower).toBeCloseTo(step.value - 3.2905 * step.standard_error, 3);
+    });
+
+    test('should check quality index forecasts and step averages', () => {
+      const forecast = generateWaterQualityForecast(history, 'North Coast', { archive: null });
+      const readings = [
+        ...buildReadings(2, HOUR_MS, { region_avg_quality_index: 80 }, {}, forecastStart),
+        ...buildReadings(2, HOUR_MS, { region_avg_quality_index: 40 }, {}, forecastStart + DAY_MS)
+      ];
+      const result = detectForecastAnomalies(readings, forecast, { aggregate: true });
+
+      expect(result.parameter).toBe('region_avg_quality_index');
+      expect(result.checked).toBe(2);
+      expect(result.anomalies).toHaveLength(1);
+      expect(result.anomalies[0]).toMatchObject({ readings: 2, direction: 'below' });
+      expect(result.anomalies[0].value).toBeCloseTo(40, 0);
+    });
+
+    test('should require a successful forecast', () => {
+      expect(() => detectForecastAnomalies(actuals, { success: false })).toThrow('successful forecast');
+    });
+  });
+
+  test('should dispatch by method', () => {
+    const forecast = generateParameterForecast(buildReadings(30, DAY_MS, { pH: 8.0 }), 'pH', 'North Coast');
+
+    expect(detectResidualAnomalies([], { parameter: 'pH' }).method).toBe('rolling');
+    expect(detectResidualAnomalies([], { method: 'forecast', forecast }).method).toBe('forecast');
+    expect(() => detectResidualAnomalies([], { method: 'spectral' })).toThrow('Unsupported anomaly method: spectral');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for What-if Scenario Simulation
+ */
+
+import {
+  applyScenarioToCovariates,
+  applyScenarioToReadings,
+  runForecastScenario,
+  validatePerturbation
+} from '../scenarioSimulation';
+
+// 20 days of two sensors per region with steady values and a weekly wiggle
+const history = Array.from({ length: 20 }, (_, day) => ['North Coast', 'Desert Basin'].flatMap(region =>
+  [1, 2].map(sensor => ({
+    timestamp: new Date(Date.UTC(2025, 8, 1 + day, 8 + sensor)).toISOString(),
+    region,
+    sensor_id: `${region}-00${sensor}`,
+    temperature: 18 + sensor + (day % 7) * 0.1,
+    pH: 7.2,
+    turbidity: 2 + (day % 3) * 0.1,
+    region_avg_quality_index: 75 + sensor * 4 + (day % 7) * 0.2
+  })))).flat();
+
+describe('What-if Scenario Simulation', () => {
+  describe('validatePerturbation', () => {
+    test('should reject unknown types, parameters and missing amounts', () => {
+      expect(() => validatePerturbation({ type: 'flood' })).toThrow('Unsupported scenario perturbation: flood');
+      expect(() => validatePerturbation({ type: 'offset', parameter: 'lead', amount: 1 }))
+        .toThrow('Unsupported scenario parameter: lead');
+      expect(() => validatePerturbation({ type: 'percent', parameter: 'turbidity' })).toThrow('needs a numeric percent');
+      expect(() => validatePerturbation({ type: 'offset', parameter: 'pH', amount: 1, applyTo: 'past' }))
+        .toThrow('Unsupported scenario target');
+      expect(() => validatePerturbation({ type: 'remove_sensor' })).toThrow('needs a sensor_id');
+      expect(() => validatePerturbation({ type: 'add_readings', readings: [{ region: 'North Coast' }] }))
+        .toThrow('timestamp and region');
+    });
+  });
+
+  describe('applyScenarioToReadings', () => {
+    test('should shock readings in the window and region without changing the originals', () => {
+      const { data, applied } = applyScenarioToReadings(history, [
+        { type: 'percent', parameter: 'turbidity', percent: 50, region: 'North Coast', from: '2025-09-15' },
+        { type: 'offset', parameter: 'pH', amount: -20 }
+      ]);
+
+      const shocked = data.find(reading => reading.region === 'North Coast' && reading.timestamp >= '2025-09-15');
+      const untouched = data.find(reading => reading.region === 'Desert Basin' && reading.timestamp >= '2025-09-15');
+      const findOriginal = copy => history.find(reading =>
+        reading.timestamp === copy.timestamp && reading.sensor_id === copy.sensor_id);
+      const original = findOriginal(shocked);
+
+      expect(shocked.turbidity).toBeCloseTo(original.turbidity * 1.5, 6);
+      expect(untouched.turbidity).toBe(findOriginal(untouched).turbidity);
+      // pH cannot go below zero
+      expect(shocked.pH).toBe(0);
+      expect(original.pH).toBe(7.2);
+      expect(applied.adjusted_readings).toBe(history.length);
+    });
+
+    test('should remove sensors and add synthetic readings', () => {
+      const { data, applied } = applyScenarioToReadings(history, [
+        { type: 'remove_sensor', sensor_id: 'North Coast-002', from: '2025-09-11' },
+        { type: 'add_readings', readings: [{ timestamp: '2025-09-20T12:00:00Z', region: 'North Coast', turbidity: 9 }] }
+      ]);
+
+      expect(applied.removed_readings).toBe(10);
+      expect(applied.added_readings).toBe(1);
+      expect(data).toHaveLength(history.length - 9);
+      expect(data[data.length - 1]).toMatchObject({ sensor_id: 'synthetic', synthetic: true, turbidity: 9 });
+    });
+  });
+
+  describe('applyScenarioToCovariates', () => {
+    const records = [
+      { date: '2025-09-01', region: null, rainfall: 10 },
+      { date: '2025-09-02', region: null, rainfall: 20 },
+      { date: '2025-09-02', region: 'Desert Basin', rainfall: 4 }
+    ];
+
+    test('should change drivers, copying shared records for a regional change', () => {
+      const changed = applyScenarioToCovariates(records, [
+        { type: 'driver', driver: 'rainfall', percent: 50, region: 'North Coast' },
+        { type: 'driver', driver: 'rainfall', amount: 1, region: 'Desert Basin', from: '2025-09-02' }
+      ]);
+
+      expect(changed).toEqual(expect.arrayContaining([
+        { date: '2025-09-01', region: null, rainfall: 10 },
+        { date: '2025-09-01', region: 'North Coast', rainfall: 15 },
+        { date: '2025-09-02', region: 'North Coast', rainfall: 30 },
+        { date: '2025-09-02', region: 'Desert Basin', rainfall: 5 }
+      ]));
+      expect(records[0].rainfall).toBe(10);
+    });
+
+    test('should leave records alone without driver changes and require records otherwise', () => {
+      expect(applyScenarioToCovariates(records, [])).toBe(records);
+      expect(() => applyScenarioToCovariates(null, [{ type: 'driver', driver: 'rainfall', percent: 10 }]))
+        .toThrow('need covariate records');
+    });
+  });
+
+  describe('runForecastScenario', () => {
+    test('should return the scenario next to an unchanged baseline', () => {
+      const result = runForecastScenario(history, {
+        name: 'Quality drop',
+        perturbations: [{ type: 'offset', parameter: 'region_avg_quality_index', amount: -10, region: 'North Coast' }]
+      }, { region: 'North Coast', parameters: [] });
+
+      expect(result.success).toBe(true);
+      expect(result.name).toBe('Quality drop');
+      expect(result.baseline.quality.summary.current_quality_index).toBeGreaterThan(75);
+
+      const { quality } = result.comparison;
+      expect(quality.points).toHaveLength(7);
+      expect(quality.summary.mean_difference).toBeCloseTo(-10, 0);
+      quality.points.forEach(point => {
+        expect(point.difference).toBeCloseTo(point.scenario - point.baseline, 1);
+      });
+    });
+
+    test('should shift the forecast for forecast shocks and recompute breaches', () => {
+      const result = runForecastScenario(history, {
+        perturbations: [
+          { type: 'percent', parameter: 'turbidity', percent: 30, applyTo: 'forecast', from: '2025-09-24' },
+          { type: 'offset', parameter: 'region_avg_quality_index', amount: -40, applyTo: 'forecast' }
+        ]
+      }, { parameters: ['pH'] });
+
+      const turbidity = result.comparison.parameters.turbidity;
+      expect(Object.keys(result.comparison.parameters)).toEqual(['pH', 'turbidity']);
+      expect(turbidity.points.filter(point => point.date < '2025-09-24').every(point => point.difference === 0)).toBe(true);
+      expect(turbidity.points.filter(point => point.date >= '2025-09-24').every(point => point.percent_change > 25)).toBe(true);
+      expect(result.comparison.parameters.pH.summary.max_difference).toBe(0);
+
+      // Forty points lower makes the fair band likely
+      const fair = result.comparison.breaches.find(breach => breach.band === 'fair');
+      expect(fair.baseline_likely).toBe(false);
+      expect(fair.scenario_likely).toBe(true);
+      expect(result.applied.forecast_shocks).toBe(2);
+    });
+
+    test('should not archive scenario forecasts', () => {
+      const archive = { record: jest.fn() };
+      runForecastScenario(history, { perturbations: [] }, { parameters: [], forecastOptions: { archive } });
+
+      expect(archive.record).not.toHaveBeenCalled();
+    });
+
+    test('should report invalid scenarios', () => {
+      const result = runForecastScenario(history, { perturbations: [{ type: 'drought' }] });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Unsupported scenario perturbation: drought');
+    });
+  });
+});
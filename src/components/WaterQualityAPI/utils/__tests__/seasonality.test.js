@@ -0,0 +1,109 @@
+/**
+ * Tests for Multi-cycle Seasonality
+ */
+
+import {
+  detectSeasonality,
+  getSeasonalAdjustment,
+  summarizeSeasonality
+} from '../seasonality';
+import { fCdf, incompleteBeta } from '../statistics';
+import { createSeededRandom } from '../random';
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = Date.UTC(2025, 0, 6); // a Monday
+
+/**
+ * Build an evenly spaced series from a value function plus seeded noise
+ * @param {number} length - Number of points
+ * @param {number} stepMs - Step in milliseconds
+ * @param {Function} valueAt - date => value
+ * @returns {Array} - Array of {x, y, timestamp}
+ */
+const buildSeries = (length, stepMs, valueAt) => {
+  const random = createSeededRandom(42);
+
+  return Array.from({ length }, (_, index) => {
+    const date = new Date(start + index * stepMs);
+    return { x: index, y: valueAt(date) + random.normal(0, 1), timestamp: date.toISOString() };
+  });
+};
+
+describe('Multi-cycle Seasonality', () => {
+  test('should match reference values of the F distribution', () => {
+    expect(incompleteBeta(0.5, 2, 3)).toBeCloseTo(0.6875, 8);
+    expect(fCdf(1, 1, 1)).toBeCloseTo(0.5, 8);
+    // 4.96 is the 5% critical value for (1, 10) degrees of freedom
+    expect(fCdf(4.96, 1, 10)).toBeCloseTo(0.95, 3);
+    expect(fCdf(0, 3, 10)).toBe(0);
+  });
+
+  test('should find a diurnal cycle and leave out cycles the history is too short for', () => {
+    const series = buildSeries(24 * 14, HOUR_MS, date =>
+      70 + 5 * Math.sin(2 * Math.PI * date.getUTCHours() / 24));
+    const result = detectSeasonality(series, { interval: 'hourly' });
+    const [diurnal, weekly, annual] = result.cycles;
+
+    expect(diurnal).toMatchObject({ name: 'diurnal', tested: true, significant: true, applied: true });
+    expect(diurnal.strength).toBeGreaterThan(0.9);
+    expect(weekly.tested).toBe(true);
+    expect(weekly.applied).toBe(false);
+    expect(annual.tested).toBe(false);
+    expect(annual.reason).toContain('1 full annual cycle');
+    expect(result.applied).toEqual(['diurnal']);
+  });
+
+  test('should separate weekly from diurnal cycles', () => {
+    const series = buildSeries(24 * 21, HOUR_MS, date =>
+      70 + (date.getUTCHours() < 12 ? -3 : 3) + (date.getUTCDay() === 0 ? -6 : 0));
+    const result = detectSeasonality(series, { interval: 'hourly' });
+
+    expect(result.applied).toEqual(['diurnal', 'weekly']);
+
+    // Sunday afternoon: +3 for the hour, -6 for the day against a weekly mean of -6/7
+    const adjustment = getSeasonalAdjustment(result, new Date(Date.UTC(2025, 1, 2, 15)));
+    expect(adjustment.effect).toBeCloseTo(3 - 6 * 6 / 7, 0);
+    expect(adjustment.factor).toBeCloseTo((result.level + adjustment.effect) / result.level, 1);
+  });
+
+  test('should not test the diurnal cycle on daily steps', () => {
+    const series = buildSeries(30, 24 * HOUR_MS, date => 70);
+    const result = detectSeasonality(series);
+
+    expect(result.cycles[0]).toMatchObject({ name: 'diurnal', tested: false });
+    expect(result.cycles[1]).toMatchObject({ name: 'weekly', tested: true, applied: false });
+    expect(getSeasonalAdjustment(result, new Date())).toEqual({ effect: 0, factor: 1 });
+  });
+
+  test('should detect an annual cycle once a year of history is available', () => {
+    const series = buildSeries(400, 24 * HOUR_MS, date =>
+      15 + 8 * Math.cos(2 * Math.PI * date.getUTCMonth() / 12));
+    const result = detectSeasonality(series, { cycles: ['weekly', 'annual'] });
+
+    expect(result.cycles.map(cycle => cycle.name)).toEqual(['weekly', 'annual']);
+    expect(result.applied).toEqual(['annual']);
+    expect(getSeasonalAdjustment(result, '2026-07-15').effect).toBeLessThan(-5);
+  });
+
+  test('should respect the significance level and minimum strength', () => {
+    const series = buildSeries(28, 24 * HOUR_MS, date =>
+      70 + (date.getUTCDay() === 3 ? 2 : 0));
+
+    const strict = detectSeasonality(series, { alpha: 1e-12 });
+    const strong = detectSeasonality(series, { minStrength: 0.99 });
+
+    expect(strict.cycles[1].significant).toBe(false);
+    expect(strong.cycles[1].significant).toBe(true);
+    expect(strong.cycles[1].applied).toBe(false);
+    expect(() => detectSeasonality(series, { cycles: ['lunar'] })).toThrow('Unsupported seasonal cycle: lunar');
+  });
+
+  test('should summarize cycles without the per-position arrays', () => {
+    const series = buildSeries(28, 24 * HOUR_MS, date => 70 + (date.getUTCDay() === 3 ? 4 : 0));
+    const [, weekly] = summarizeSeasonality(detectSeasonality(series));
+
+    expect(Object.keys(weekly)).toEqual(['name', 'label', 'tested', 'reason', 'strength', 'p_value', 'significant', 'applied']);
+    expect(weekly.label).toBe('Day of week');
+    expect(weekly.p_value).toBeLessThan(0.05);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for Sensor Health
+ */
+
+import { assessSensorHealth, rateSensorHealth } from '../sensorHealth';
+import { createSeededRandom } from '../random';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const start = Date.UTC(2025, 9, 1);
+const parameters = [
+  { key: 'pH', label: 'pH', unit: '', precision: 2 },
+  { key: 'turbidity', label: 'Turbidity', unit: 'NTU', precision: 2 }
+];
+
+/**
+ * Build 20 days of six-hourly readings from four North Coast sensors
+ * @param {Function} adjust - Changes a reading of sensor/index before it is stored
+ * @returns {Array} - Readings
+ */
+const buildReadings = (adjust = reading => reading) => {
+  const random = createSeededRandom(42);
+  const readings = [];
+
+  for (let i = 0; i < 80; i++) {
+    ['NC-001', 'NC-002', 'NC-003', 'NC-004'].forEach(sensorId => {
+      const time = start + i * 6 * HOUR_MS;
+      const reading = adjust({
+        timestamp: new Date(time).toISOString(),
+        region: 'North Coast',
+        sensor_id: sensorId,
+        pH: 7.5 + random.normal(0, 0.05),
+        turbidity: 2 + random.normal(0, 0.1),
+        sensor_status: 'normal',
+        data_quality: 'good',
+        last_calibration: new Date(time - 5 * DAY_MS).toISOString()
+      }, i);
+      if (reading) readings.push(reading);
+    });
+  }
+
+  return readings;
+};
+
+const findSensor = (health, sensorId) => health.find(sensor => sensor.sensor_id === sensorId);
+const checksOf = (sensor) => sensor.issues.map(issue => `${issue.check}:${issue.parameter}`);
+
+describe('Sensor Health', () => {
+  test('should rate clean sensors healthy', () => {
+    const health = assessSensorHealth(buildReadings(), { parameters });
+
+    expect(health).toHaveLength(4);
+    health.forEach(sensor => {
+      expect(sensor).toMatchObject({ region: 'North Coast', score: 100, status: 'healthy', readings: 80, issues: [] });
+    });
+    expect(assessSensorHealth([], { parameters })).toEqual([]);
+  });
+
+  test('should find values stuck at one reading', () => {
+    const health = assessSensorHealth(buildReadings((reading, i) =>
+      (reading.sensor_id === 'NC-002' && i >= 30 && i < 40 ? { ...reading, pH: 7.42 } : reading)
+    ), { parameters });
+    const sensor = findSensor(health, 'NC-002');
+
+    expect(checksOf(sensor)).toEqual(['flatline:pH']);
+    expect(sensor.issues[0]).toMatchObject({ score: 10, threshold: 6, severity: 'medium' });
+    expect(sensor.issues[0].reason).toBe('pH stuck at 7.42 for 10 readings');
+    expect(health[0].sensor_id).toBe('NC-002');
+  });
+
+  test('should find drift away from regional peers', () => {
+    const health = assessSensorHealth(buildReadings((reading, i) =>
+      (reading.sensor_id === 'NC-003' ? { ...reading, turbidity: reading.turbidity + i * 0.02 } : reading)
+    ), { parameters });
+    const sensor = findSensor(health, 'NC-003');
+
+    expect(checksOf(sensor)).toEqual(['drift:turbidity']);
+    expect(sensor.issues[0].severity).toBe('high');
+    expect(sensor.issues[0].reason).toMatch(/^Turbidity drifted \+1\.\d\d NTU from regional peers over 19 days$/);
+    expect(checksOf(findSensor(health, 'NC-001'))).toEqual([]);
+  });
+
+  test('should find spikes and tolerate a single one', () => {
+    const spiked = [10, 25, 40, 55];
+    const health = assessSensorHealth(buildReadings((reading, i) =>
+      (reading.sensor_id === 'NC-001' && spiked.includes(i) ? { ...reading, turbidity: 6 } : reading)
+    ), { parameters });
+    const sensor = findSensor(health, 'NC-001');
+
+    expect(checksOf(sensor)).toEqual(['spikes:turbidity']);
+    expect(sensor.issues[0].reason).toBe('4 Turbidity spikes in 80 readings');
+    expect(sensor.issues[0].score).toBeCloseTo(0.05, 10);
+
+    const single = assessSensorHealth(buildReadings((reading, i) =>
+      (reading.sensor_id === 'NC-001' && i === 10 ? { ...reading, turbidity: 6 } : reading)
+    ), { parameters });
+    expect(findSensor(single, 'NC-001').issues).toEqual([]);
+  });
+
+  test('should find reporting gaps and silent sensors', () => {
+    const health = assessSensorHealth(buildReadings((reading, i) => {
+      if (reading.sensor_id === 'NC-001' && i >= 20 && i < 28) return null;
+      if (reading.sensor_id === 'NC-002' && i >= 72) return null;
+      return reading;
+    }), { parameters });
+
+    expect(checksOf(findSensor(health, 'NC-001'))).toEqual(['gaps:null']);
+    expect(findSensor(health, 'NC-001').issues[0]).toMatchObject({ score: 9, severity: 'high' });
+    expect(findSensor(health, 'NC-001').issues[0].reason).toBe('1 reporting gap, longest 2.3 days');
+
+    expect(checksOf(findSensor(health, 'NC-002'))).toEqual(['stale:null']);
+    expect(findSensor(health, 'NC-002').issues[0].reason).toBe('No reading for 2 days');
+  });
+
+  test('should flag overdue calibration, maintenance and self-reported problems', () => {
+    const readings = buildReadings((reading, i) => {
+      if (reading.sensor_id === 'NC-001') {
+        return { ...reading, last_calibration: new Date(start - 40 * DAY_MS).toISOString() };
+      }
+      if (reading.sensor_id === 'NC-002' && i % 4 === 0) return { ...reading, sensor_status: 'warning' };
+      return reading;
+    });
+    const sensors = [{ sensor_id: 'NC-003', last_maintenance: '2025-01-01' }];
+    const health = assessSensorHealth(readings, { parameters, sensors });
+
+    const calibration = findSensor(health, 'NC-001');
+    expect(checksOf(calibration)).toEqual(['calibration:null']);
+    expect(calibration.issues[0].reason).toBe('Calibration 59 days old (due every 30)');
+    expect(calibration.last_calibration).toBe(new Date(start - 40 * DAY_MS).toISOString());
+
+    expect(findSensor(health, 'NC-002').issues[0].reason).toBe('Sensor flagged 25% of readings (20 of 80)');
+    expect(findSensor(health, 'NC-003').issues[0].reason).toMatch(/^Maintenance \d+ days old \(due every 180\)$/);
+    expect(findSensor(health, 'NC-003').last_maintenance).toBe('2025-01-01');
+
+    // Settings override the defaults per check
+    const lenient = assessSensorHealth(readings, { parameters, sensors, calibration: { maxAgeDays: 90 } });
+    expect(findSensor(lenient, 'NC-001').issues).toEqual([]);
+  });
+
+  test('should score sensors by the severity of their issues', () => {
+    const health = assessSensorHealth(buildReadings((reading, i) => {
+      if (reading.sensor_id !== 'NC-001') return reading;
+      return {
+        ...reading,
+        pH: i >= 20 && i < 40 ? 7.5 : reading.pH,
+        last_calibration: new Date(start - 60 * DAY_MS).toISOString(),
+        data_quality: i % 2 === 0 ? 'questionable' : 'good'
+      };
+    }), { parameters });
+    const sensor = findSensor(health, 'NC-001');
+
+    expect(sensor.issues.map(issue => issue.severity)).toEqual(['high', 'high', 'high']);
+    expect(sensor).toMatchObject({ score: 10, status: 'faulty' });
+    expect(health[0]).toBe(sensor);
+
+    expect(rateSensorHealth(80)).toBe('healthy');
+    expect(rateSensorHealth(65)).toBe('degraded');
+    expect(rateSensorHealth(49)).toBe('faulty');
+  });
+});
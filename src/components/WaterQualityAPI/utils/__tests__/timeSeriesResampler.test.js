@@ -0,0 +1,99 @@
+/**
+ * Tests for the Time Series Resampler
+ */
+
+import { resampleReadings, getIntervalMs } from '../timeSeriesResampler';
+
+const reading = (isoTimestamp, sensorId, value) => ({
+  timestamp: isoTimestamp,
+  region: 'North Coast',
+  sensor_id: sensorId,
+  region_avg_quality_index: value
+});
+
+describe('Time Series Resampler', () => {
+  test('should average per sensor before averaging across sensors', () => {
+    const series = resampleReadings([
+      reading('2025-10-01T01:00:00.000Z', 'A', 80),
+      reading('2025-10-01T07:00:00.000Z', 'A', 80),
+      reading('2025-10-01T13:00:00.000Z', 'A', 80),
+      reading('2025-10-01T02:00:00.000Z', 'B', 60)
+    ]);
+
+    expect(series).toHaveLength(1);
+    expect(series[0].timestamp).toBe('2025-10-01T00:00:00.000Z');
+    expect(series[0].value).toBe(70);
+    expect(series[0].count).toBe(4);
+    expect(series[0].sensor_count).toBe(2);
+  });
+
+  test('should support median aggregation', () => {
+    const series = resampleReadings([
+      reading('2025-10-01T01:00:00.000Z', 'A', 80),
+      reading('2025-10-01T02:00:00.000Z', 'B', 60),
+      reading('2025-10-01T03:00:00.000Z', 'C', 10)
+    ], { aggregation: 'median' });
+
+    expect(series[0].value).toBe(60);
+  });
+
+  test('should interpolate gaps linearly and flag them', () => {
+    const series = resampleReadings([
+      reading('2025-10-01T00:00:00.000Z', 'A', 60),
+      reading('2025-10-04T00:00:00.000Z', 'A', 90)
+    ]);
+
+    expect(series.map(point => point.value)).toEqual([60, 70, 80, 90]);
+    expect(series.map(point => point.is_gap)).toEqual([false, true, true, false]);
+    expect(series[1].filled).toBe(true);
+  });
+
+  test('should carry the last observation forward', () => {
+    const series = resampleReadings([
+      reading('2025-10-01T00:00:00.000Z', 'A', 60),
+      reading('2025-10-03T00:00:00.000Z', 'A', 90)
+    ], { gapStrategy: 'locf' });
+
+    expect(series.map(point => point.value)).toEqual([60, 60, 90]);
+  });
+
+  test('should omit gaps when requested', () => {
+    const series = resampleReadings([
+      reading('2025-10-01T00:00:00.000Z', 'A', 60),
+      reading('2025-10-03T00:00:00.000Z', 'A', 90)
+    ], { gapStrategy: 'omit' });
+
+    expect(series).toHaveLength(2);
+  });
+
+  test('should leave gaps longer than maxGap empty', () => {
+    const series = resampleReadings([
+      reading('2025-10-01T00:00:00.000Z', 'A', 60),
+      reading('2025-10-05T00:00:00.000Z', 'A', 90)
+    ], { maxGap: 2 });
+
+    expect(series).toHaveLength(5);
+    expect(series.slice(1, 4).every(point => point.value === null && !point.filled)).toBe(true);
+  });
+
+  test('should resample sub-daily intervals', () => {
+    const series = resampleReadings([
+      reading('2025-10-01T01:00:00.000Z', 'A', 60),
+      reading('2025-10-01T13:00:00.000Z', 'A', 90)
+    ], { interval: '6-hourly' });
+
+    expect(series.map(point => point.timestamp)).toEqual([
+      '2025-10-01T00:00:00.000Z',
+      '2025-10-01T06:00:00.000Z',
+      '2025-10-01T12:00:00.000Z'
+    ]);
+  });
+
+  test('should skip readings without a value', () => {
+    expect(resampleReadings([reading('2025-10-01T00:00:00.000Z', 'A', null)])).toEqual([]);
+  });
+
+  test('should reject unsupported intervals', () => {
+    expect(() => getIntervalMs('fortnightly')).toThrow('Unsupported resampling interval');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Tests for the Water Quality Index
+ */
+
+import {
+  DEFAULT_QUALITY_BANDS,
+  calculateCcmeIndex,
+  calculateExcursion,
+  calculateReadingIndex,
+  calculateSubIndices,
+  getQualityIndex,
+  interpolateCurve,
+  parseWeightsFile,
+  resolveIndexConfig,
+  scoreReadings
+} from '../waterQualityIndex';
+import { aggregateSensorData, rateQualityIndex } from '../dataAggregator';
+import { generateBatchSummaries } from '../batchSummaryGenerator';
+import { IncrementalAggregator } from '../incrementalAggregator';
+import { parameterRegistry } from '../parameterRegistry';
+
+const readings = [
+  {
+    timestamp: '2025-10-15T00:00:00Z',
+    region: 'North Coast',
+    sensor_id: 'NC-001',
+    temperature: 15,
+    pH: 7.5,
+    turbidity: 0,
+    dissolved_oxygen: 9,
+    region_avg_quality_index: 40
+  },
+  {
+    timestamp: '2025-10-15T06:00:00Z',
+    region: 'North Coast',
+    sensor_id: 'NC-001',
+    temperature: 15,
+    pH: 9.5,
+    turbidity: 20,
+    dissolved_oxygen: 9,
+    region_avg_quality_index: 90
+  }
+];
+
+describe('Water Quality Index', () => {
+  test('should read sub-indices off rating curves', () => {
+    const curve = [[0, 0], [10, 100], [20, 50]];
+
+    expect(interpolateCurve(curve, -5)).toBe(0);
+    expect(interpolateCurve(curve, 2.5)).toBe(25);
+    expect(interpolateCurve(curve, 15)).toBe(75);
+    expect(interpolateCurve(curve, 30)).toBe(50);
+  });
+
+  test('should average NSF-style sub-indices over the parameters measured', () => {
+    const result = calculateReadingIndex({ pH: 7, dissolved_oxygen: 9 }, 'nsf');
+
+    expect(result.sub_indices).toEqual({ pH: 90, dissolved_oxygen: 100 });
+    // (0.11 * 90 + 0.17 * 100) / 0.28
+    expect(result.index).toBe(96.1);
+    expect(calculateReadingIndex(readings[0], 'nsf').index).toBeGreaterThan(calculateReadingIndex(readings[1], 'nsf').index);
+    expect(calculateReadingIndex({ region_avg_quality_index: 55 }, 'nsf').index).toBeNull();
+    expect(getQualityIndex({ region_avg_quality_index: 55 }, 'nsf')).toBe(55);
+    expect(getQualityIndex({ region_avg_quality_index: 55 }, null)).toBe(55);
+  });
+
+  test('should compute the CCME index from scope, frequency and amplitude', () => {
+    const parameters = [
+      { key: 'a', thresholds: { max: 10 } },
+      { key: 'b', thresholds: { min: 5 } }
+    ];
+    const result = calculateCcmeIndex([
+      { a: 5, b: 6 },
+      { a: 20, b: 6 },
+      { a: 5, b: 2.5 },
+      { a: 5, b: 6 }
+    ], { parameters });
+
+    expect(result).toMatchObject({
+      scope: 100,
+      frequency: 25,
+      amplitude: 20,
+      variables: 2,
+      failed_variables: 2,
+      tests: 8,
+      failed_tests: 2
+    });
+    // 100 - sqrt(100² + 25² + 20²) / 1.732
+    expect(result.index).toBe(39.4);
+    expect(calculateCcmeIndex([], { parameters }).index).toBeNull();
+    expect(calculateCcmeIndex([{ a: 1, b: 9 }], { parameters }).index).toBe(100);
+  });
+
+  test('should score CCME sub-indices by excursion from the thresholds', () => {
+    const result = calculateReadingIndex(readings[1], 'ccme');
+
+    expect(result.sub_indices).toMatchObject({ temperature: 100, turbidity: 50, dissolved_oxygen: 100 });
+    expect(result.sub_indices.pH).toBeCloseTo(100 / (1 + (9.5 / 9 - 1)), 1);
+    expect(result.index).toBeLessThan(calculateReadingIndex(readings[0], 'ccme').index);
+    // A dissolved oxygen reading of zero is as far off as it gets
+    expect(calculateExcursion(parameterRegistry.get('dissolved_oxygen'), 0)).toBe(99);
+  });
+
+  test('should use custom weights, curves and bands from a weights file', () => {
+    const config = parseWeightsFile(JSON.stringify({
+      weights: { turbidity: 1, phosphate: 1 },
+      curves: { turbidity: [[0, 100], [10, 0]] },
+      bands: { excellent: 95 }
+    }));
+    const parameters = [
+      ...parameterRegistry.list(),
+      { key: 'phosphate', thresholds: { max: 0.1 } }
+    ];
+    const resolved = resolveIndexConfig(config, { parameters });
+
+    expect(resolved.bands).toEqual({ ...DEFAULT_QUALITY_BANDS, excellent: 95 });
+    expect(resolved.parameters.map(parameter => parameter.key)).toEqual(['turbidity', 'phosphate']);
+    // Phosphate has no curve, so it is scored from its threshold
+    expect(calculateSubIndices({ turbidity: 5, phosphate: 0.2 }, resolved)).toEqual({ turbidity: 50, phosphate: 50 });
+    expect(calculateReadingIndex({ turbidity: 2, phosphate: 0.05 }, resolved).index).toBe(90);
+
+    expect(parseWeightsFile({ pH: 2 })).toEqual({ method: 'custom', weights: { pH: 2 } });
+  });
+
+  test('should reject unusable configurations', () => {
+    expect(() => resolveIndexConfig('wqi')).toThrow('Unsupported WQI method: wqi');
+    expect(() => resolveIndexConfig({ method: 'custom' })).toThrow('Custom WQI needs weights');
+    expect(() => resolveIndexConfig({ method: 'nsf', weights: { pH: -1 } })).toThrow('Invalid weight for parameter: pH');
+    expect(() => resolveIndexConfig({ method: 'nsf', curves: { pH: [[7, 90], [6, 50]] } }))
+      .toThrow('Invalid sub-index curve for parameter: pH');
+    expect(() => resolveIndexConfig({ method: 'nsf', bands: { good: 95 } }))
+      .toThrow('Quality bands must decrease from excellent to fair');
+    expect(() => parseWeightsFile('{"pH": ')).toThrow('Invalid weights file');
+  });
+
+  test('should score readings without changing them', () => {
+    const scored = scoreReadings(readings, 'nsf');
+
+    expect(readings[0].region_avg_quality_index).toBe(40);
+    expect(readings[0].wqi).toBeUndefined();
+    expect(scored[0].region_avg_quality_index).toBe(scored[0].wqi.index);
+    expect(scored[0].wqi).toMatchObject({ method: 'nsf', reported: 40 });
+    expect(Object.keys(scored[1].wqi.sub_indices)).toEqual(['temperature', 'pH', 'turbidity', 'dissolved_oxygen']);
+  });
+
+  test('should aggregate and rate computed indices with the method bands', () => {
+    const scored = scoreReadings(readings, 'nsf');
+    const aggregated = aggregateSensorData(readings, { wqi: 'nsf' });
+    const expectedAverage = (scored[0].wqi.index + scored[1].wqi.index) / 2;
+
+    expect(aggregated.region_avg_quality_index).toBeCloseTo(expectedAverage, 10);
+    expect(aggregated.quality_distribution).toMatchObject({
+      [rateQualityIndex(scored[0].wqi.index, { excellent: 90, good: 70, fair: 50 })]: 1,
+      total: 2
+    });
+    expect(rateQualityIndex(85)).toBe('excellent');
+    expect(rateQualityIndex(85, { excellent: 90, good: 70, fair: 50 })).toBe('good');
+
+    const incremental = new IncrementalAggregator({ wqi: 'nsf' }).append(readings).getAggregate();
+    expect(incremental.region_avg_quality_index).toBeCloseTo(expectedAverage, 10);
+    expect(incremental.quality_distribution).toEqual(aggregated.quality_distribution);
+
+    const [summary] = generateBatchSummaries(readings, 'monthly', { wqi: 'nsf', includeRegionalBreakdown: true });
+    expect(summary.region_avg_quality_index.average).toBe(parseFloat(expectedAverage.toFixed(1)));
+    expect(summary.overall_quality_rating).toBe(rateQualityIndex(expectedAverage, { excellent: 90, good: 70, fair: 50 }));
+    expect(summary.quality_distribution.total).toBe(2);
+  });
+});
@@ -0,0 +1,390 @@
+/**
+ * Anomaly Detection
+ *
+ * Checks readings for anomalies with one or more methods and reports
+ * structured findings, without changing the readings:
+ * - static: outside the parameter thresholds (and the quality index limits)
+ * - zscore: more than `threshold` standard deviations from the mean
+ * - iqr: more than `threshold` interquartile ranges outside the quartiles
+ * - mad: modified z-score, 0.6745·|x - median| / MAD, above `threshold`
+ *   (Iglewicz & Hoaglin); unlike the z-score it is not pulled along by the
+ *   outliers it is looking for
+ * - rolling: outside the band of each sensor's own trailing window (see
+ *   detectRollingAnomalies)
+ *
+ * The distribution methods compare readings with the others in their group:
+ * all readings, or those of the same region or sensor. Groups with too few
+ * values, or with no spread at all, are not checked.
+ *
+ * Every finding carries a score on the method's own scale and the threshold
+ * it was compared with; severity is how far past the threshold it is.
+ */
+
+import { mean, normalCdf, quantile, standardDeviation } from './statistics';
+import { checkThresholds, resolveParameters } from './parameterRegistry';
+import { calculateExcursion } from './waterQualityIndex';
+import { detectRollingAnomalies } from './residualAnomalies';
+
+/**
+ * Supported detection methods
+ */
+export const ANOMALY_METHODS = ['static', 'zscore', 'iqr', 'mad', 'rolling'];
+
+/**
+ * Score a reading must exceed to be flagged, per method
+ *
+ * Static scores are how many times the value is past its limit (1 at the
+ * limit), so any breach is flagged.
+ */
+export const DEFAULT_ANOMALY_THRESHOLDS = {
+  static: 1,
+  zscore: 3,
+  iqr: 1.5,
+  mad: 3.5,
+  rolling: 3
+};
+
+/**
+ * Static limits of the quality index, which is not a registry parameter
+ */
+export const QUALITY_INDEX_LIMITS = { min: 20, max: null };
+
+/**
+ * Severity levels, from the least to the most severe
+ */
+export const SEVERITY_LEVELS = ['low', 'medium', 'high'];
+
+const QUALITY_FIELD = 'region_avg_quality_index';
+
+// MAD of a normal distribution is 0.6745 standard deviations
+const MAD_SCALE = 0.6745;
+
+/**
+ * Rate how far past its threshold a score is
+ * @param {number} score - Finding score
+ * @param {number} threshold - Threshold the score exceeded
+ * @returns {string} - 'high' at twice the threshold or more, 'medium' from 1.5 times, otherwise 'low'
+ */
+export const rateSeverity = (score, threshold) => {
+  const ratio = score / threshold;
+  if (ratio >= 2) return 'high';
+  if (ratio >= 1.5) return 'medium';
+  return 'low';
+};
+
+/**
+ * Build a finding
+ * @param {Object} reading - Reading flagged
+ * @param {number} index - Position of the reading in the list checked
+ * @param {string} parameter - Reading field flagged
+ * @param {string} method - Detection method
+ * @param {Object} check - {value, expected, lower, upper, score, threshold}
+ * @returns {Object} - Anomaly finding
+ */
+const toFinding = (reading, index, parameter, method, check) => ({
+  method,
+  parameter,
+  reading_index: index,
+  timestamp: reading.timestamp,
+  region: reading.region || null,
+  sensor_id: reading.sensor_id || null,
+  value: check.value,
+  expected: check.expected,
+  lower: check.lower,
+  upper: check.upper,
+  direction: check.value > check.expected ? 'above' : 'below',
+  score: check.score,
+  threshold: check.threshold,
+  severity: rateSeverity(check.score, check.threshold)
+});
+
+/**
+ * Order findings from the most to the least unusual
+ * @param {Array} findings - Anomaly findings
+ * @returns {Array} - Findings sorted by descending score, then time and position
+ */
+const sortFindings = (findings) =>
+  findings.sort((a, b) =>
+    b.score - a.score ||
+    String(a.timestamp).localeCompare(String(b.timestamp)) ||
+    a.reading_index - b.reading_index
+  );
+
+/**
+ * Reading fields checked: the parameters and the quality index
+ * @param {Array} parameters - Parameter definitions
+ * @returns {string[]} - Reading fields
+ */
+const getAnomalyFields = (parameters) => [...parameters.map(parameter => parameter.key), QUALITY_FIELD];
+
+/**
+ * Numeric values of a field with their positions
+ * @param {Array} readings - Water quality readings
+ * @param {string} field - Reading field
+ * @param {string} groupBy - 'all', 'region' or 'sensor'
+ * @returns {Map} - Group key => [{index, value}]
+ */
+const groupValues = (readings, field, groupBy) => {
+  const groups = new Map();
+
+  readings.forEach((reading, index) => {
+    const value = reading[field];
+    if (!Number.isFinite(value)) return;
+
+    let key = 'all';
+    if (groupBy === 'region') key = reading.region || 'unknown';
+    if (groupBy === 'sensor') key = reading.sensor_id || 'unknown';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ index, value });
+  });
+
+  return groups;
+};
+
+/**
+ * Center and scale of a group for a distribution method
+ * @param {string} method - 'zscore', 'iqr' or 'mad'
+ * @param {number[]} values - Group values
+ * @returns {Object} - {center, scale, score(value), lower(threshold), upper(threshold)}
+ */
+const describeGroup = (method, values) => {
+  if (method === 'zscore') {
+    const center = mean(values);
+    const scale = standardDeviation(values);
+    return {
+      center,
+      scale,
+      score: value => Math.abs(value - center) / scale,
+      lower: threshold => center - threshold * scale,
+      upper: threshold => center + threshold * scale
+    };
+  }
+
+  if (method === 'iqr') {
+    const q1 = quantile(values, 0.25);
+    const q3 = quantile(values, 0.75);
+    const scale = q3 - q1;
+    return {
+      center: quantile(values, 0.5),
+      scale,
+      score: value => Math.max(q1 - value, value - q3, 0) / scale,
+      lower: threshold => q1 - threshold * scale,
+      upper: threshold => q3 + threshold * scale
+    };
+  }
+
+  const center = quantile(values, 0.5);
+  const scale = quantile(values.map(value => Math.abs(value - center)), 0.5);
+  return {
+    center,
+    scale,
+    score: value => MAD_SCALE * Math.abs(value - center) / scale,
+    lower: threshold => center - threshold * scale / MAD_SCALE,
+    upper: threshold => center + threshold * scale / MAD_SCALE
+  };
+};
+
+/**
+ * Flag readings outside their parameter thresholds
+ * @param {Array} readings - Water quality readings
+ * @param {Object} options - Detection options (see detectReadingAnomalies)
+ * @returns {Array} - Anomaly findings
+ */
+export const detectStaticAnomalies = (readings, options = {}) => {
+  const { limits = {} } = options;
+  const definitions = [
+    ...resolveParameters(options.parameters),
+    { key: QUALITY_FIELD, thresholds: QUALITY_INDEX_LIMITS }
+  ].map(definition => ({
+    ...definition,
+    thresholds: { ...definition.thresholds, ...limits[definition.key] }
+  }));
+
+  const findings = [];
+  (readings || []).forEach((reading, index) => {
+    definitions.forEach(definition => {
+      const value = reading[definition.key];
+      const direction = checkThresholds(definition, value);
+      if (!direction) return;
+
+      const limit = direction === 'high' ? definition.thresholds.max : definition.thresholds.min;
+      findings.push(toFinding(reading, index, definition.key, 'static', {
+        value,
+        expected: limit,
+        lower: definition.thresholds.min,
+        upper: definition.thresholds.max,
+        score: 1 + calculateExcursion(definition, value),
+        threshold: DEFAULT_ANOMALY_THRESHOLDS.static
+      }));
+    });
+  });
+
+  return sortFindings(findings);
+};
+
+/**
+ * Flag readings far from the rest of their group with a distribution method
+ * @param {Array} readings - Water quality readings
+ * @param {string} method - 'zscore', 'iqr' or 'mad'
+ * @param {Object} options - Detection options (see detectReadingAnomalies)
+ * @returns {Array} - Anomaly findings
+ */
+export const detectDistributionAnomalies = (readings, method, options = {}) => {
+  const {
+    thresholds = {},
+    groupBy = 'all',
+    minSamples = 8
+  } = options;
+
+  if (!['zscore', 'iqr', 'mad'].includes(method)) {
+    throw new Error(`Unsupported anomaly method: ${method}`);
+  }
+  if (!['all', 'region', 'sensor'].includes(groupBy)) {
+    throw new Error(`Unsupported anomaly grouping: ${groupBy}`);
+  }
+
+  const threshold = thresholds[method] ?? DEFAULT_ANOMALY_THRESHOLDS[method];
+  const list = readings || [];
+  const findings = [];
+
+  getAnomalyFields(resolveParameters(options.parameters)).forEach(field => {
+    groupValues(list, field, groupBy).forEach(entries => {
+      if (entries.length < minSamples) return;
+
+      const group = describeGroup(method, entries.map(entry => entry.value));
+      if (!(group.scale > 0)) return;
+
+      entries.forEach(({ index, value }) => {
+        const score = group.score(value);
+        if (score <= threshold) return;
+
+        findings.push(toFinding(list[index], index, field, method, {
+          value,
+          expected: group.center,
+          lower: group.lower(threshold),
+          upper: group.upper(threshold),
+          score,
+          threshold
+        }));
+      });
+    });
+  });
+
+  return sortFindings(findings);
+};
+
+/**
+ * Flag readings outside the band of their sensor's trailing window
+ * @param {Array} readings - Water quality readings
+ * @param {Object} options - Detection options (see detectReadingAnomalies)
+ * @returns {Array} - Anomaly findings
+ */
+export const detectSensorRollingAnomalies = (readings, options = {}) => {
+  const {
+    thresholds = {},
+    windowHours = 7 * 24,
+    minHistory = 10
+  } = options;
+  const threshold = thresholds.rolling ?? DEFAULT_ANOMALY_THRESHOLDS.rolling;
+  // Band level whose normal quantile is the threshold
+  const level = 2 * normalCdf(threshold) - 1;
+  const list = readings || [];
+
+  const findings = [];
+  getAnomalyFields(resolveParameters(options.parameters)).forEach(field => {
+    detectRollingAnomalies(list, { parameter: field, windowHours, minHistory, level, groupBy: 'sensor' })
+      .anomalies
+      .forEach(anomaly => {
+        findings.push(toFinding(list[anomaly.reading_index], anomaly.reading_index, field, 'rolling', {
+          value: anomaly.value,
+          expected: anomaly.expected,
+          lower: anomaly.lower,
+          upper: anomaly.upper,
+          score: anomaly.score,
+          threshold
+        }));
+      });
+  });
+
+  return sortFindings(findings);
+};
+
+/**
+ * Detect anomalies in readings with one or more methods
+ * @param {Array} readings - Water quality readings (not changed)
+ * @param {Object} options - Detection options
+ * @param {string[]} options.methods - Methods to run (default ['static'])
+ * @param {Array} options.parameters - Parameter definitions to check, besides the quality index
+ *   (default: the parameter registry)
+ * @param {Object} options.limits - Static limit overrides {min, max} per reading field
+ *   (region_avg_quality_index defaults to QUALITY_INDEX_LIMITS)
+ * @param {Object} options.thresholds - Score thresholds per method (see DEFAULT_ANOMALY_THRESHOLDS)
+ * @param {string} options.groupBy - Group compared by the distribution methods: 'all' (default), 'region' or 'sensor'
+ * @param {number} options.minSamples - Fewest values in a group before it is checked (default 8)
+ * @param {number} options.windowHours - Trailing window of the rolling method (default 168, one week)
+ * @param {number} options.minHistory - Fewest readings in the window before the rolling method checks a reading
+ *   (default 10)
+ * @returns {Object} - {methods, findings}; findings {method, parameter, reading_index, timestamp, region,
+ *   sensor_id, value, expected, lower, upper, direction, score, threshold, severity}, most unusual first
+ */
+export const detectReadingAnomalies = (readings, options = {}) => {
+  const { methods = ['static'] } = options;
+
+  methods.forEach(method => {
+    if (!ANOMALY_METHODS.includes(method)) {
+      throw new Error(`Unsupported anomaly method: ${method}`);
+    }
+  });
+
+  const findings = methods.flatMap(method => {
+    if (method === 'static') return detectStaticAnomalies(readings, options);
+    if (method === 'rolling') return detectSensorRollingAnomalies(readings, options);
+    return detectDistributionAnomalies(readings, method, options);
+  });
+
+  return {
+    methods,
+    findings: sortFindings(findings)
+  };
+};
+
+/**
+ * Findings per reading
+ * @param {Array} findings - Anomaly findings
+ * @returns {Map} - Reading index => findings, in reading order
+ */
+export const groupFindingsByReading = (findings) => {
+  const groups = new Map();
+  [...findings]
+    .sort((a, b) => a.reading_index - b.reading_index)
+    .forEach(finding => {
+      if (!groups.has(finding.reading_index)) groups.set(finding.reading_index, []);
+      groups.get(finding.reading_index).push(finding);
+    });
+  return groups;
+};
+
+/**
+ * Most severe level among findings
+ * @param {Array} findings - Anomaly findings
+ * @returns {string|null} - Severity level, null without findings
+ */
+export const getHighestSeverity = (findings) =>
+  findings.reduce((highest, finding) =>
+    (highest === null || SEVERITY_LEVELS.indexOf(finding.severity) > SEVERITY_LEVELS.indexOf(highest) ?
+      finding.severity :
+      highest), null);
+
+export default {
+  ANOMALY_METHODS,
+  DEFAULT_ANOMALY_THRESHOLDS,
+  QUALITY_INDEX_LIMITS,
+  SEVERITY_LEVELS,
+  rateSeverity,
+  detectStaticAnomalies,
+  detectDistributionAnomalies,
+  detectSensorRollingAnomalies,
+  detectReadingAnomalies,
+  groupFindingsByReading,
+  getHighestSeverity
+};
@@ -0,0 +1,281 @@
+/**
+ * Forecast Backtesting Harness
+ *
+ * Replays history with a rolling forecast origin: at each cut-off date the
+ * forecast function only sees readings up to that date, and its forecasts are
+ * scored against the daily average quality index that was actually observed.
+ */
+
+import { generateWaterQualityForecast } from './forecastingEngine';
+
+/**
+ * Get the UTC date key (YYYY-MM-DD) used to match forecasts with actuals
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} - Date key
+ */
+const toDateKey = (timestamp) => new Date(timestamp).toISOString().split('T')[0];
+
+/**
+ * Average the quality index of readings per day
+ * @param {Array} readings - Water quality readings
+ * @returns {Object} - Map of date key to average quality index
+ */
+const calculateDailyActuals = (readings) => {
+  const sums = {};
+
+  readings.forEach(reading => {
+    if (reading.region_avg_quality_index == null) return;
+
+    const key = toDateKey(reading.timestamp);
+    if (!sums[key]) {
+      sums[key] = { total: 0, count: 0 };
+    }
+    sums[key].total += reading.region_avg_quality_index;
+    sums[key].count++;
+  });
+
+  return Object.keys(sums).reduce((actuals, key) => {
+    actuals[key] = sums[key].total / sums[key].count;
+    return actuals;
+  }, {});
+};
+
+/**
+ * Calculate accuracy metrics for a set of forecast/actual pairs
+ * @param {Array} records - Array of {forecast, actual, lower, upper}
+ * @returns {Object} - {count, mae, rmse, mape, bias, coverage}
+ */
+export const calculateForecastAccuracy = (records) => {
+  if (!records || records.length === 0) {
+    return {
+      count: 0,
+      mae: null,
+      rmse: null,
+      mape: null,
+      bias: null,
+      coverage: null
+    };
+  }
+
+  const count = records.length;
+  const errors = records.map(record => record.forecast - record.actual);
+  const mae = errors.reduce((sum, error) => sum + Math.abs(error), 0) / count;
+  const rmse = Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / count);
+  const bias = errors.reduce((sum, error) => sum + error, 0) / count;
+
+  // MAPE is undefined for zero actuals, so those pairs are left out
+  const percentageErrors = records
+    .filter(record => record.actual !== 0)
+    .map(record => Math.abs((record.forecast - record.actual) / record.actual) * 100);
+  const mape = percentageErrors.length > 0 ?
+    percentageErrors.reduce((sum, error) => sum + error, 0) / percentageErrors.length : null;
+
+  const withIntervals = records.filter(record => record.lower != null && record.upper != null);
+  const coverage = withIntervals.length > 0 ?
+    withIntervals.filter(record => record.actual >= record.lower && record.actual <= record.upper).length /
+      withIntervals.length :
+    null;
+
+  return {
+    count,
+    mae: parseFloat(mae.toFixed(3)),
+    rmse: parseFloat(rmse.toFixed(3)),
+    mape: mape !== null ? parseFloat(mape.toFixed(2)) : null,
+    bias: parseFloat(bias.toFixed(3)),
+    coverage: coverage !== null ? parseFloat(coverage.toFixed(3)) : null
+  };
+};
+
+/**
+ * Summarise backtest records overall and per horizon day
+ * @param {Array} records - Backtest records
+ * @param {number} horizon - Maximum horizon day
+ * @returns {Object} - {metrics, by_horizon}
+ */
+const summariseRecords = (records, horizon) => {
+  const byHorizon = {};
+
+  for (let day = 1; day <= horizon; day++) {
+    byHorizon[day] = calculateForecastAccuracy(records.filter(record => record.horizon === day));
+  }
+
+  return {
+    metrics: calculateForecastAccuracy(records),
+    by_horizon: byHorizon
+  };
+};
+
+/**
+ * Run the rolling-origin replay for one series of readings
+ * @param {Array} readings - Readings belonging to the series being tested
+ * @param {string|null} region - Region passed to the forecast function
+ * @param {Object} config - Backtest configuration
+ * @returns {Object} - {records, origins, failed_origins}
+ */
+const replaySeries = (readings, region, config) => {
+  const { forecastFn, forecastOptions, initialWindow, step, horizon, maxOrigins } = config;
+  const actuals = calculateDailyActuals(readings);
+  const dates = Object.keys(actuals).sort();
+  const records = [];
+  let origins = 0;
+  let failedOrigins = 0;
+
+  for (let index = initialWindow - 1; index < dates.length - 1; index += step) {
+    if (maxOrigins !== null && origins + failedOrigins >= maxOrigins) break;
+
+    const cutoff = dates[index];
+    const history = readings.filter(reading => toDateKey(reading.timestamp) <= cutoff);
+    const result = forecastFn(history, region, forecastOptions);
+
+    if (!result || !result.success) {
+      failedOrigins++;
+      continue;
+    }
+
+    origins++;
+    result.forecast_quality_index
+      .filter(point => point.day_offset <= horizon && actuals[point.date] !== undefined)
+      .forEach(point => {
+        records.push({
+          origin: cutoff,
+          date: point.date,
+          horizon: point.day_offset,
+          forecast: point.quality_index,
+          actual: actuals[point.date],
+          lower: point.confidence_interval?.lower ?? null,
+          upper: point.confidence_interval?.upper ?? null
+        });
+      });
+  }
+
+  return {
+    records,
+    origins,
+    failed_origins: failedOrigins
+  };
+};
+
+/**
+ * Backtest a forecast function with a rolling origin
+ * @param {Array} data - Water quality readings (e.g. mockWaterQualityData)
+ * @param {Object} options - Backtest options
+ * @param {Function} options.forecastFn - (history, region, forecastOptions) => forecast result
+ * @param {Object} options.forecastOptions - Options passed to every forecast call (e.g. {model})
+ * @param {Array} options.regions - Regions to test (defaults to every region in the data)
+ * @param {boolean} options.includeOverall - Also test the all-regions forecast
+ * @param {number} options.initialWindow - Days of history before the first cut-off
+ * @param {number} options.step - Days between consecutive cut-offs
+ * @param {number} options.horizon - Highest forecast day to score
+ * @param {number} options.maxOrigins - Maximum cut-offs per region (optional)
+ * @param {boolean} options.includeRecords - Include every forecast/actual pair in the result
+ * @returns {Object} - Accuracy per region and per horizon day
+ */
+export const backtestForecast = (data, options = {}) => {
+  const {
+    forecastFn = generateWaterQualityForecast,
+    forecastOptions = {},
+    regions = null,
+    includeOverall = false,
+    initialWindow = 14,
+    step = 1,
+    horizon = 7,
+    maxOrigins = null,
+    includeRecords = false
+  } = options;
+
+  if (!data || data.length === 0) {
+    return {
+      success: false,
+      error: 'No data available for backtesting',
+      regions: {},
+      overall: null
+    };
+  }
+
+  const config = {
+    forecastFn,
+    forecastOptions,
+    initialWindow: Math.max(1, initialWindow),
+    step: Math.max(1, step),
+    horizon,
+    maxOrigins
+  };
+
+  const regionNames = regions || [...new Set(data.map(reading => reading.region))];
+  const regionResults = {};
+  const allRecords = [];
+
+  regionNames.forEach(region => {
+    const regionReadings = data.filter(reading => reading.region === region);
+    const replay = replaySeries(regionReadings, region, config);
+
+    allRecords.push(...replay.records);
+    regionResults[region] = {
+      origins: replay.origins,
+      failed_origins: replay.failed_origins,
+      ...summariseRecords(replay.records, horizon),
+      ...(includeRecords ? { records: replay.records } : {})
+    };
+  });
+
+  if (includeOverall) {
+    const replay = replaySeries(data, null, config);
+    regionResults.overall = {
+      origins: replay.origins,
+      failed_origins: replay.failed_origins,
+      ...summariseRecords(replay.records, horizon),
+      ...(includeRecords ? { records: replay.records } : {})
+    };
+  }
+
+  return {
+    success: true,
+    regions: regionResults,
+    overall: summariseRecords(allRecords, horizon),
+    config: {
+      initial_window: config.initialWindow,
+      step: config.step,
+      horizon,
+      model: forecastOptions.model || null
+    }
+  };
+};
+
+/**
+ * Backtest several forecast models on the same data and rank them by MAE
+ * @param {Array} data - Water quality readings
+ * @param {Array} models - Registered model names to compare
+ * @param {Object} options - Backtest options (see backtestForecast)
+ * @returns {Object} - {results, ranking}
+ */
+export const compareForecastModels = (data, models, options = {}) => {
+  const results = {};
+
+  models.forEach(model => {
+    results[model] = backtestForecast(data, {
+      ...options,
+      forecastOptions: { ...options.forecastOptions, model }
+    });
+  });
+
+  const ranking = models
+    .filter(model => results[model].success && results[model].overall.metrics.mae !== null)
+    .map(model => ({
+      model,
+      mae: results[model].overall.metrics.mae,
+      rmse: results[model].overall.metrics.rmse,
+      coverage: results[model].overall.metrics.coverage
+    }))
+    .sort((a, b) => a.mae - b.mae);
+
+  return {
+    results,
+    ranking
+  };
+};
+
+export default {
+  backtestForecast,
+  compareForecastModels,
+  calculateForecastAccuracy
+};
@@ -5,13 +5,30 @@
  * Supports different time intervals (hourly, daily, weekly, monthly)
  */
 
-import { calculateStatistics } from './dataAggregator';
+import { calculateStatistics, rateQualityIndex } from './dataAggregator';
+import { getImputableFields, imputeSensorReadings, summarizeCompleteness } from './imputation';
+import { resolveParameters } from './parameterRegistry';
+import { detectReadingAnomalies, getHighestSeverity, groupFindingsByReading } from './anomalyDetection';
+import { DEFAULT_QUALITY_BANDS, resolveIndexConfig, scoreReadings } from './waterQualityIndex';
+
+/**
+ * Quality index below which a batch reading is flagged poor_quality_index,
+ * stricter than the engine's default QUALITY_INDEX_LIMITS
+ */
+export const BATCH_QUALITY_INDEX_LIMITS = { min: 30, max: null };
 
 /**
  * Generate batch summaries grouped by time intervals
  * @param {Array} data - Array of water quality readings
  * @param {string} interval - Time interval ('hourly', 'daily', 'weekly', 'monthly')
  * @param {Object} options - Additional options for summary generation
+ * @param {boolean|Object} options.imputation - Impute missing sensor values first: true for linear
+ *   imputation or imputation options (see imputeSensorReadings); imputed values are counted separately
+ * @param {boolean|Object} options.includeAnomalies - Flag anomalous readings: true for the static limits
+ *   or detection options (see detectReadingAnomalies)
+ * @param {Array} options.parameters - Parameter definitions to summarize (default: the parameter registry)
+ * @param {string|Object} options.wqi - Compute quality indices with this index configuration (after
+ *   imputation) and rate them with its bands (see resolveIndexConfig)
  * @returns {Array} Array of batch summaries with timestamps
  */
 export const generateBatchSummaries = (data, interval = 'daily', options = {}) => {
@@ -23,34 +40,46 @@ export const generateBatchSummaries = (data, interval = 'daily', options = {}) =
     includeRegionalBreakdown = false,
     includeSensorBreakdown = false,
     includeQualityDistribution = true,
-    includeAnomalies = false
+    includeAnomalies = false,
+    imputation = null
   } = options;
+  const parameters = resolveParameters(options.parameters);
+  const wqi = options.wqi ? resolveIndexConfig(options.wqi, { parameters }) : null;
+  const bands = wqi ? wqi.bands : DEFAULT_QUALITY_BANDS;
+
+  const imputed = imputation ?
+    imputeSensorReadings(data, {
+      parameters: getImputableFields(parameters),
+      ...(imputation === true ? {} : imputation)
+    }).readings :
+    data;
+  const readings = wqi ? scoreReadings(imputed, wqi) : imputed;
 
   // Group data by time intervals
-  const groupedData = groupDataByInterval(data, interval);
+  const groupedData = groupDataByInterval(readings, interval);
   
   // Generate summaries for each group
   const summaries = Object.keys(groupedData)
     .sort((a, b) => new Date(b) - new Date(a)) // Sort by timestamp descending
     .map(timestamp => {
       const batchData = groupedData[timestamp];
-      const summary = generateSingleBatchSummary(batchData, timestamp, interval);
+      const summary = generateSingleBatchSummary(batchData, timestamp, interval, parameters, bands);
       
       // Add optional breakdowns
       if (includeRegionalBreakdown) {
-        summary.regional_breakdown = generateRegionalBreakdown(batchData);
+        summary.regional_breakdown = generateRegionalBreakdown(batchData, parameters, bands);
       }
       
       if (includeSensorBreakdown) {
-        summary.sensor_breakdown = generateSensorBreakdown(batchData);
+        summary.sensor_breakdown = generateSensorBreakdown(batchData, parameters);
       }
       
       if (includeQualityDistribution) {
-        summary.quality_distribution = generateQualityDistribution(batchData);
+        summary.quality_distribution = generateQualityDistribution(batchData, bands);
       }
       
       if (includeAnomalies) {
-        summary.anomalies = detectBatchAnomalies(batchData);
+        summary.anomalies = detectBatchAnomalies(batchData, parameters, includeAnomalies === true ? {} : includeAnomalies);
       }
       
       return summary;
@@ -111,31 +140,69 @@ const getIntervalKey = (timestamp, interval) => {
   }
 };
 
+/**
+ * Values of one reading field across a batch
+ * @param {Array} batchData - Data for this batch
+ * @param {string} key - Reading field
+ * @returns {number[]} Values present
+ */
+const collectValues = (batchData, key) => batchData.map(r => r[key]).filter(v => v != null);
+
+/**
+ * Summarize the values of one parameter
+ * @param {number[]} values - Parameter values
+ * @param {number} precision - Decimals kept (one more for the standard deviation)
+ * @returns {Object} Rounded statistics {average, min, max, median, std_dev, count}
+ */
+const summarizeValues = (values, precision) => {
+  const stats = calculateStatistics(values);
+  return {
+    average: parseFloat(stats.average.toFixed(precision)),
+    min: parseFloat(stats.min.toFixed(precision)),
+    max: parseFloat(stats.max.toFixed(precision)),
+    median: parseFloat(stats.median.toFixed(precision)),
+    std_dev: parseFloat(stats.stdDev.toFixed(precision + 1)),
+    count: stats.count
+  };
+};
+
+/**
+ * Average of values, rounded
+ * @param {number[]} values - Values to average
+ * @param {number} precision - Decimals kept
+ * @returns {number} Rounded average, 0 without values
+ */
+const averageValues = (values, precision) =>
+  (values.length > 0 ? parseFloat((values.reduce((a, b) => a + b, 0) / values.length).toFixed(precision)) : 0);
+
 /**
  * Generate a single batch summary
  * @param {Array} batchData - Data for this batch
  * @param {string} timestamp - Batch timestamp
  * @param {string} interval - Time interval
+ * @param {Array} parameters - Parameter definitions to summarize
+ * @param {Object} bands - Quality bands (see rateQualityIndex)
  * @returns {Object} Batch summary
  */
-const generateSingleBatchSummary = (batchData, timestamp, interval) => {
-  const temperatures = batchData.map(r => r.temperature).filter(v => v != null);
-  const phValues = batchData.map(r => r.pH).filter(v => v != null);
-  const turbidityValues = batchData.map(r => r.turbidity).filter(v => v != null);
-  const qualityIndices = batchData.map(r => r.region_avg_quality_index).filter(v => v != null);
-  
-  const temperatureStats = calculateStatistics(temperatures);
-  const phStats = calculateStatistics(phValues);
-  const turbidityStats = calculateStatistics(turbidityValues);
+const generateSingleBatchSummary = (
+  batchData,
+  timestamp,
+  interval,
+  parameters = resolveParameters(),
+  bands = DEFAULT_QUALITY_BANDS
+) => {
+  const qualityIndices = collectValues(batchData, 'region_avg_quality_index');
   const qualityStats = calculateStatistics(qualityIndices);
   
   // Get unique regions and sensors
   const uniqueRegions = [...new Set(batchData.map(r => r.region))];
   const uniqueSensors = [...new Set(batchData.map(r => r.sensor_id))];
   
-  // Calculate data completeness
+  // Calculate data completeness from measured readings only
+  const fields = getImputableFields(parameters);
+  const completenessCounts = summarizeCompleteness(batchData, fields);
   const expectedReadings = calculateExpectedReadings(uniqueSensors.length, interval);
-  const actualReadings = batchData.length;
+  const actualReadings = completenessCounts.measured_readings;
   const completeness = expectedReadings > 0 ? (actualReadings / expectedReadings * 100) : 100;
   
   return {
@@ -146,43 +213,24 @@ const generateSingleBatchSummary = (batchData, timestamp, interval) => {
     total_readings: batchData.length,
     regions_count: uniqueRegions.length,
     sensors_count: uniqueSensors.length,
+    measured_readings: completenessCounts.measured_readings,
+    imputed_readings: completenessCounts.imputed_readings,
+    imputed_values: fields.reduce((counts, parameter) => {
+      counts[parameter] = completenessCounts.by_parameter[parameter].imputed;
+      return counts;
+    }, {}),
     data_completeness_percentage: parseFloat(completeness.toFixed(1)),
     
     // Parameter statistics
-    temperature: {
-      average: parseFloat(temperatureStats.average.toFixed(1)),
-      min: parseFloat(temperatureStats.min.toFixed(1)),
-      max: parseFloat(temperatureStats.max.toFixed(1)),
-      median: parseFloat(temperatureStats.median.toFixed(1)),
-      std_dev: parseFloat(temperatureStats.stdDev.toFixed(2))
-    },
-    
-    pH: {
-      average: parseFloat(phStats.average.toFixed(2)),
-      min: parseFloat(phStats.min.toFixed(2)),
-      max: parseFloat(phStats.max.toFixed(2)),
-      median: parseFloat(phStats.median.toFixed(2)),
-      std_dev: parseFloat(phStats.stdDev.toFixed(3))
-    },
-    
-    turbidity: {
-      average: parseFloat(turbidityStats.average.toFixed(2)),
-      min: parseFloat(turbidityStats.min.toFixed(2)),
-      max: parseFloat(turbidityStats.max.toFixed(2)),
-      median: parseFloat(turbidityStats.median.toFixed(2)),
-      std_dev: parseFloat(turbidityStats.stdDev.toFixed(3))
-    },
+    ...parameters.reduce((stats, parameter) => {
+      stats[parameter.key] = summarizeValues(collectValues(batchData, parameter.key), parameter.precision);
+      return stats;
+    }, {}),
     
-    region_avg_quality_index: {
-      average: parseFloat(qualityStats.average.toFixed(1)),
-      min: parseFloat(qualityStats.min.toFixed(1)),
-      max: parseFloat(qualityStats.max.toFixed(1)),
-      median: parseFloat(qualityStats.median.toFixed(1)),
-      std_dev: parseFloat(qualityStats.stdDev.toFixed(2))
-    },
+    region_avg_quality_index: summarizeValues(qualityIndices, 1),
     
     // Overall quality assessment
-    overall_quality_rating: getQualityRating(qualityStats.average),
+    overall_quality_rating: rateQualityIndex(qualityStats.average, bands),
     
     // Metadata
     regions: uniqueRegions,
@@ -251,12 +299,25 @@ const calculateExpectedReadings = (sensorCount, interval) => {
   return Math.ceil(sensorCount * readingsPerSensorPerHour * hoursInInterval);
 };
 
+/**
+ * Average of each parameter in a group of readings
+ * @param {Array} groupData - Readings of the group
+ * @param {Array} parameters - Parameter definitions to average
+ * @returns {Object} {<key>_avg} per parameter
+ */
+const parameterAverages = (groupData, parameters) => parameters.reduce((averages, parameter) => {
+  averages[`${parameter.key}_avg`] = averageValues(collectValues(groupData, parameter.key), parameter.precision);
+  return averages;
+}, {});
+
 /**
  * Generate regional breakdown for a batch
  * @param {Array} batchData - Data for this batch
+ * @param {Array} parameters - Parameter definitions to average
+ * @param {Object} bands - Quality bands (see rateQualityIndex)
  * @returns {Object} Regional breakdown
  */
-const generateRegionalBreakdown = (batchData) => {
+const generateRegionalBreakdown = (batchData, parameters = resolveParameters(), bands = DEFAULT_QUALITY_BANDS) => {
   const regionGroups = batchData.reduce((groups, reading) => {
     const region = reading.region;
     if (!groups[region]) {
@@ -270,19 +331,17 @@ const generateRegionalBreakdown = (batchData) => {
   
   Object.keys(regionGroups).forEach(region => {
     const regionData = regionGroups[region];
-    const temperatures = regionData.map(r => r.temperature).filter(v => v != null);
-    const phValues = regionData.map(r => r.pH).filter(v => v != null);
-    const turbidityValues = regionData.map(r => r.turbidity).filter(v => v != null);
-    const qualityIndices = regionData.map(r => r.region_avg_quality_index).filter(v => v != null);
+    const qualityIndices = collectValues(regionData, 'region_avg_quality_index');
     
     breakdown[region] = {
       readings_count: regionData.length,
       sensors_count: [...new Set(regionData.map(r => r.sensor_id))].length,
-      temperature_avg: temperatures.length > 0 ? parseFloat((temperatures.reduce((a, b) => a + b, 0) / temperatures.length).toFixed(1)) : 0,
-      pH_avg: phValues.length > 0 ? parseFloat((phValues.reduce((a, b) => a + b, 0) / phValues.length).toFixed(2)) : 0,
-      turbidity_avg: turbidityValues.length > 0 ? parseFloat((turbidityValues.reduce((a, b) => a + b, 0) / turbidityValues.length).toFixed(2)) : 0,
-      quality_index_avg: qualityIndices.length > 0 ? parseFloat((qualityIndices.reduce((a, b) => a + b, 0) / qualityIndices.length).toFixed(1)) : 0,
-      quality_rating: getQualityRating(qualityIndices.length > 0 ? qualityIndices.reduce((a, b) => a + b, 0) / qualityIndices.length : 0)
+      ...parameterAverages(regionData, parameters),
+      quality_index_avg: averageValues(qualityIndices, 1),
+      quality_rating: rateQualityIndex(
+        qualityIndices.length > 0 ? qualityIndices.reduce((a, b) => a + b, 0) / qualityIndices.length : 0,
+        bands
+      )
     };
   });
   
@@ -292,9 +351,10 @@ const generateRegionalBreakdown = (batchData) => {
 /**
  * Generate sensor breakdown for a batch
  * @param {Array} batchData - Data for this batch
+ * @param {Array} parameters - Parameter definitions to average
  * @returns {Object} Sensor breakdown
  */
-const generateSensorBreakdown = (batchData) => {
+const generateSensorBreakdown = (batchData, parameters = resolveParameters()) => {
   const sensorGroups = batchData.reduce((groups, reading) => {
     const sensorId = reading.sensor_id;
     if (!groups[sensorId]) {
@@ -308,18 +368,12 @@ const generateSensorBreakdown = (batchData) => {
   
   Object.keys(sensorGroups).forEach(sensorId => {
     const sensorData = sensorGroups[sensorId];
-    const temperatures = sensorData.map(r => r.temperature).filter(v => v != null);
-    const phValues = sensorData.map(r => r.pH).filter(v => v != null);
-    const turbidityValues = sensorData.map(r => r.turbidity).filter(v => v != null);
-    const qualityIndices = sensorData.map(r => r.region_avg_quality_index).filter(v => v != null);
     
     breakdown[sensorId] = {
       region: sensorData[0]?.region,
       readings_count: sensorData.length,
-      temperature_avg: temperatures.length > 0 ? parseFloat((temperatures.reduce((a, b) => a + b, 0) / temperatures.length).toFixed(1)) : 0,
-      pH_avg: phValues.length > 0 ? parseFloat((phValues.reduce((a, b) => a + b, 0) / phValues.length).toFixed(2)) : 0,
-      turbidity_avg: turbidityValues.length > 0 ? parseFloat((turbidityValues.reduce((a, b) => a + b, 0) / turbidityValues.length).toFixed(2)) : 0,
-      quality_index_avg: qualityIndices.length > 0 ? parseFloat((qualityIndices.reduce((a, b) => a + b, 0) / qualityIndices.length).toFixed(1)) : 0,
+      ...parameterAverages(sensorData, parameters),
+      quality_index_avg: averageValues(collectValues(sensorData, 'region_avg_quality_index'), 1),
       last_reading: sensorData.reduce((latest, current) => 
         new Date(current.timestamp) > new Date(latest.timestamp) ? current : latest
       ).timestamp
@@ -332,9 +386,10 @@ const generateSensorBreakdown = (batchData) => {
 /**
  * Generate quality distribution for a batch
  * @param {Array} batchData - Data for this batch
+ * @param {Object} bands - Quality bands (see rateQualityIndex)
  * @returns {Object} Quality distribution
  */
-const generateQualityDistribution = (batchData) => {
+const generateQualityDistribution = (batchData, bands = DEFAULT_QUALITY_BANDS) => {
   const qualityIndices = batchData.map(r => r.region_avg_quality_index).filter(v => v != null);
   
   if (qualityIndices.length === 0) {
@@ -348,10 +403,7 @@ const generateQualityDistribution = (batchData) => {
   }
   
   const distribution = qualityIndices.reduce((dist, index) => {
-    if (index >= 80) dist.excellent++;
-    else if (index >= 60) dist.good++;
-    else if (index >= 40) dist.fair++;
-    else dist.poor++;
+    dist[rateQualityIndex(index, bands)]++;
     return dist;
   }, { excellent: 0, good: 0, fair: 0, poor: 0 });
   
@@ -367,69 +419,69 @@ const generateQualityDistribution = (batchData) => {
   };
 };
 
+/**
+ * Name of an anomaly finding, e.g. 'pH_out_of_range', 'high_turbidity' or 'mad_temperature'
+ *
+ * Static breaches are named after the limit: `<key>_out_of_range` with both
+ * bounds, otherwise `high_<key>` or `low_<key>`; other methods are `<method>_<key>`.
+ * @param {Object} finding - Anomaly finding
+ * @returns {string} Issue name
+ */
+const getFindingIssue = (finding) => {
+  const field = finding.parameter === 'region_avg_quality_index' ? 'quality_index' : finding.parameter;
+  if (finding.method !== 'static') return `${finding.method}_${field}`;
+  if (field === 'quality_index') return finding.direction === 'below' ? 'poor_quality_index' : 'high_quality_index';
+  return finding.lower !== null && finding.upper !== null ?
+    `${field}_out_of_range` :
+    `${finding.direction === 'above' ? 'high' : 'low'}_${field}`;
+};
+
 /**
  * Detect anomalies in a batch
  * @param {Array} batchData - Data for this batch
- * @returns {Array} Array of anomalous readings
+ * @param {Array} parameters - Parameter definitions to check
+ * @param {Object} detection - Detection options (see detectReadingAnomalies; default: static limits, with
+ *   the quality index limited by BATCH_QUALITY_INDEX_LIMITS unless detection.limits overrides it)
+ * @returns {Array} Anomalous readings {timestamp, sensor_id, region, issues, severity, findings, values}
  */
-const detectBatchAnomalies = (batchData) => {
-  const anomalies = [];
-  
-  batchData.forEach(reading => {
-    const issues = [];
-    
-    // Temperature anomalies
-    if (reading.temperature < 10 || reading.temperature > 35) {
-      issues.push('temperature_out_of_range');
-    }
-    
-    // pH anomalies
-    if (reading.pH < 6.0 || reading.pH > 9.0) {
-      issues.push('pH_out_of_range');
-    }
-    
-    // Turbidity anomalies
-    if (reading.turbidity > 10.0) {
-      issues.push('high_turbidity');
-    }
-    
-    // Quality index anomalies
-    if (reading.region_avg_quality_index < 30) {
-      issues.push('poor_quality_index');
-    }
-    
-    if (issues.length > 0) {
-      anomalies.push({
-        timestamp: reading.timestamp,
-        sensor_id: reading.sensor_id,
-        region: reading.region,
-        issues,
-        values: {
-          temperature: reading.temperature,
-          pH: reading.pH,
-          turbidity: reading.turbidity,
-          quality_index: reading.region_avg_quality_index
-        }
-      });
+const detectBatchAnomalies = (batchData, parameters = resolveParameters(), detection = {}) => {
+  const limits = detection.limits || {};
+  const { methods, findings } = detectReadingAnomalies(batchData, {
+    ...detection,
+    parameters,
+    limits: {
+      ...limits,
+      region_avg_quality_index: { ...BATCH_QUALITY_INDEX_LIMITS, ...limits.region_avg_quality_index }
     }
   });
-  
-  return anomalies;
-};
+  const fields = [...parameters.map(parameter => parameter.key), 'region_avg_quality_index'];
+  // Issues follow the parameter order, then the method order
+  const issueOrder = (finding) => fields.indexOf(finding.parameter) * methods.length + methods.indexOf(finding.method);
 
-/**
- * Get quality rating from quality index
- * @param {number} qualityIndex - Quality index value
- * @returns {string} Quality rating
- */
-const getQualityRating = (qualityIndex) => {
-  if (qualityIndex >= 80) return 'excellent';
-  if (qualityIndex >= 60) return 'good';
-  if (qualityIndex >= 40) return 'fair';
-  return 'poor';
+  return [...groupFindingsByReading(findings)].map(([index, readingFindings]) => {
+    const reading = batchData[index];
+    return {
+      timestamp: reading.timestamp,
+      sensor_id: reading.sensor_id,
+      region: reading.region,
+      issues: [...readingFindings]
+        .sort((a, b) => issueOrder(a) - issueOrder(b))
+        .map(getFindingIssue),
+      severity: getHighestSeverity(readingFindings),
+      findings: readingFindings,
+      values: {
+        ...parameters.reduce((values, parameter) => {
+          if (reading[parameter.key] !== undefined) values[parameter.key] = reading[parameter.key];
+          return values;
+        }, {}),
+        quality_index: reading.region_avg_quality_index
+      }
+    };
+  });
 };
 
 export default {
+  BATCH_QUALITY_INDEX_LIMITS,
   generateBatchSummaries,
   generateSingleBatchSummary: generateSingleBatchSummary,
   generateRegionalBreakdown,
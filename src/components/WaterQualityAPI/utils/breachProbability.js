@@ -0,0 +1,118 @@
+/**
+ * Threshold Breach Probability
+ *
+ * Turns a forecast with standard errors into the probability that the quality
+ * index drops into each lower quality band on each forecast day, and finds the
+ * first day each drop becomes likely.
+ */
+
+import { normalCdf } from './statistics';
+import { DEFAULT_QUALITY_BANDS } from './waterQualityIndex';
+
+/**
+ * Probability at or above which a breach counts as likely
+ */
+export const DEFAULT_LIKELY_PROBABILITY = 0.5;
+
+/**
+ * Breach thresholds for a set of quality bands: the bands' lower bounds, with poor from 0
+ * @param {Object} bands - Quality bands {excellent, good, fair} (default DEFAULT_QUALITY_BANDS)
+ * @returns {Object} - Map of band name to the band's lower bound
+ */
+export const getBreachThresholds = (bands = DEFAULT_QUALITY_BANDS) => ({ ...bands, poor: 0 });
+
+/**
+ * Derive the bands a value can drop into from a band => lower bound map
+ *
+ * With excellent 80 / good 60 / fair 40 / poor 0 this gives
+ * good (below 80), fair (below 60) and poor (below 40).
+ * @param {Object} thresholds - Map of band name to the band's lower bound
+ * @returns {Array} - Array of {band, threshold}, highest threshold first
+ */
+export const getBreachBands = (thresholds = getBreachThresholds()) => {
+  const bands = Object.entries(thresholds).sort(([, a], [, b]) => b - a);
+
+  return bands.slice(1).map(([band], index) => ({
+    band,
+    threshold: bands[index][1]
+  }));
+};
+
+/**
+ * Probability that a forecast point falls below a threshold
+ *
+ * Forecast errors are treated as normal around the point forecast with the
+ * point's standard error. Without a standard error the point forecast decides.
+ * @param {number} value - Point forecast
+ * @param {number} standardError - Standard error of the point forecast
+ * @param {number} threshold - Threshold to fall below
+ * @returns {number} - Probability (0-1)
+ */
+export const probabilityBelow = (value, standardError, threshold) => {
+  if (!(standardError > 0)) {
+    return value < threshold ? 1 : 0;
+  }
+
+  return normalCdf((threshold - value) / standardError);
+};
+
+/**
+ * Calculate breach probabilities for each forecast day
+ * @param {Array} forecasts - Forecast points with a value field and standard_error
+ * @param {Object} options - Breach options
+ * @param {Object} options.thresholds - Band => lower bound map (default: the default quality bands, see
+ *   getBreachThresholds)
+ * @param {string} options.valueKey - Field holding the point forecast (default 'value')
+ * @param {number} options.likelyProbability - Probability at which a breach is flagged (default 0.5)
+ * @param {number} options.currentValue - Latest observed value, used to flag bands already breached
+ * @returns {Object} - {forecasts, breaches}
+ */
+export const calculateBreachProbabilities = (forecasts, options = {}) => {
+  const {
+    thresholds = getBreachThresholds(),
+    valueKey = 'value',
+    likelyProbability = DEFAULT_LIKELY_PROBABILITY,
+    currentValue = null
+  } = options;
+
+  const bands = getBreachBands(thresholds);
+
+  const withProbabilities = forecasts.map(point => ({
+    ...point,
+    breach_probabilities: bands.reduce((probabilities, { band, threshold }) => {
+      const probability = probabilityBelow(point[valueKey], point.standard_error, threshold);
+      probabilities[band] = Math.round(probability * 1000) / 1000;
+      return probabilities;
+    }, {})
+  }));
+
+  const breaches = bands.map(({ band, threshold }) => {
+    const probabilities = withProbabilities.map(point => point.breach_probabilities[band]);
+    const firstLikelyIndex = probabilities.findIndex(probability => probability >= likelyProbability);
+    const maxProbability = Math.max(...probabilities);
+    const maxIndex = probabilities.indexOf(maxProbability);
+    const firstLikely = firstLikelyIndex >= 0 ? withProbabilities[firstLikelyIndex] : null;
+
+    return {
+      band,
+      threshold,
+      currently_below: currentValue !== null ? currentValue < threshold : null,
+      likely: firstLikely !== null,
+      first_likely_date: firstLikely ? firstLikely.date : null,
+      first_likely_day_offset: firstLikely ? firstLikely.day_offset : null,
+      probability: firstLikely ? probabilities[firstLikelyIndex] : null,
+      max_probability: maxProbability,
+      max_probability_date: withProbabilities[maxIndex].date
+    };
+  });
+
+  return { forecasts: withProbabilities, breaches };
+};
+
+export default {
+  DEFAULT_LIKELY_PROBABILITY,
+  getBreachThresholds,
+  getBreachBands,
+  probabilityBelow,
+  calculateBreachProbabilities
+};
@@ -0,0 +1,329 @@
+/**
+ * Changepoint Detection
+ *
+ * Finds points where a water quality series shifts level or slope, such as a
+ * treatment plant change or a contamination event, so trend fitting can start
+ * after the most recent shift instead of averaging across it.
+ *
+ * Two methods are available:
+ * - pelt: Pruned Exact Linear Time search over piecewise linear segments,
+ *   catching both level and slope shifts
+ * - cusum: binary segmentation with a CUSUM statistic, catching level shifts
+ */
+
+import { quantile } from './statistics';
+import { resampleReadings } from './timeSeriesResampler';
+import { getImputableFields } from './imputation';
+
+/**
+ * Supported changepoint detection methods
+ */
+export const CHANGEPOINT_METHODS = ['pelt', 'cusum'];
+
+// 5% critical value of the Kolmogorov-Smirnov (Brownian bridge) distribution
+const CUSUM_THRESHOLD = 1.358;
+
+/**
+ * Robust noise level from first differences (MAD scaled to a normal sigma)
+ * @param {number[]} values - Series values
+ * @returns {number} - Estimated noise standard deviation
+ */
+export const estimateNoiseLevel = (values) => {
+  if (values.length < 3) return 0;
+
+  const differences = values.slice(1).map((value, index) => value - values[index]);
+  const median = quantile(differences, 0.5);
+  const deviations = differences.map(difference => Math.abs(difference - median));
+  const mad = quantile(deviations, 0.5);
+
+  // Quantized or alternating readings can leave the MAD at zero; fall back to
+  // the mean absolute deviation (scaled to a normal sigma) in that case
+  const spread = mad > 0 ?
+    mad / 0.6745 :
+    deviations.reduce((sum, deviation) => sum + deviation, 0) / deviations.length * Math.sqrt(Math.PI / 2);
+
+  // Differencing doubles the noise variance
+  return spread / Math.SQRT2;
+};
+
+/**
+ * Build prefix sums so segment fits cost O(1)
+ * @param {number[]} xs - Positions
+ * @param {number[]} ys - Values
+ * @returns {Object} - Prefix sums of x, y, xx, xy and yy
+ */
+const buildPrefixSums = (xs, ys) => {
+  const sums = { x: [0], y: [0], xx: [0], xy: [0], yy: [0] };
+
+  xs.forEach((x, index) => {
+    const y = ys[index];
+    sums.x.push(sums.x[index] + x);
+    sums.y.push(sums.y[index] + y);
+    sums.xx.push(sums.xx[index] + x * x);
+    sums.xy.push(sums.xy[index] + x * y);
+    sums.yy.push(sums.yy[index] + y * y);
+  });
+
+  return sums;
+};
+
+/**
+ * Fit a segment [start, end) with a constant or a straight line
+ * @param {Object} sums - Prefix sums (see buildPrefixSums)
+ * @param {number} start - First index
+ * @param {number} end - One past the last index
+ * @param {boolean} linear - Fit a line (true) or a constant (false)
+ * @returns {Object} - {slope, intercept, sse}
+ */
+const fitSegment = (sums, start, end, linear) => {
+  const n = end - start;
+  const sx = sums.x[end] - sums.x[start];
+  const sy = sums.y[end] - sums.y[start];
+  const sxx = sums.xx[end] - sums.xx[start];
+  const sxy = sums.xy[end] - sums.xy[start];
+  const syy = sums.yy[end] - sums.yy[start];
+
+  const mean = sy / n;
+  const ssy = Math.max(0, syy - sy * sy / n);
+  const ssx = sxx - sx * sx / n;
+
+  if (!linear || n < 2 || ssx <= 0) {
+    return { slope: 0, intercept: mean, sse: ssy };
+  }
+
+  const sxyCentered = sxy - sx * sy / n;
+  const slope = sxyCentered / ssx;
+
+  return {
+    slope,
+    intercept: mean - slope * (sx / n),
+    sse: Math.max(0, ssy - slope * sxyCentered)
+  };
+};
+
+/**
+ * PELT search for the optimal segmentation
+ * @param {Object} sums - Prefix sums
+ * @param {number} n - Series length
+ * @param {number} penalty - Cost added per segment
+ * @param {number} minSegmentLength - Shortest allowed segment
+ * @returns {number[]} - Changepoint indices (start of each new segment)
+ */
+const peltSegmentation = (sums, n, penalty, minSegmentLength) => {
+  const cost = new Array(n + 1).fill(Infinity);
+  const previous = new Array(n + 1).fill(0);
+  cost[0] = -penalty;
+  let candidates = [];
+
+  for (let end = minSegmentLength; end <= n; end++) {
+    const newCandidate = end - minSegmentLength;
+    if (Number.isFinite(cost[newCandidate])) {
+      candidates.push(newCandidate);
+    }
+
+    const totals = [];
+    for (let index = 0; index < candidates.length; index++) {
+      const total = cost[candidates[index]] + fitSegment(sums, candidates[index], end, true).sse;
+      totals.push(total);
+      if (total + penalty < cost[end]) {
+        cost[end] = total + penalty;
+        previous[end] = candidates[index];
+      }
+    }
+
+    // Prune starts that can never be optimal again
+    const kept = [];
+    for (let index = 0; index < candidates.length; index++) {
+      if (totals[index] <= cost[end]) kept.push(candidates[index]);
+    }
+    candidates = kept;
+  }
+
+  const changepoints = [];
+  let index = previous[n];
+  while (index > 0) {
+    changepoints.unshift(index);
+    index = previous[index];
+  }
+
+  return changepoints;
+};
+
+/**
+ * CUSUM binary segmentation for level shifts
+ * @param {Object} sums - Prefix sums
+ * @param {number[]} ys - Values
+ * @param {number} sigma - Noise standard deviation
+ * @param {number} threshold - Normalized CUSUM statistic needed to split
+ * @param {number} minSegmentLength - Shortest allowed segment
+ * @returns {number[]} - Changepoint indices (start of each new segment)
+ */
+const cusumSegmentation = (sums, ys, sigma, threshold, minSegmentLength) => {
+  const changepoints = [];
+
+  const split = (start, end) => {
+    const n = end - start;
+    if (n < minSegmentLength * 2 || sigma <= 0) return;
+
+    const mean = (sums.y[end] - sums.y[start]) / n;
+    let best = null;
+
+    for (let k = start + minSegmentLength; k <= end - minSegmentLength; k++) {
+      const cusum = Math.abs((sums.y[k] - sums.y[start]) - mean * (k - start));
+      if (!best || cusum > best.cusum) {
+        best = { index: k, cusum };
+      }
+    }
+
+    if (best && best.cusum / (sigma * Math.sqrt(n)) > threshold) {
+      changepoints.push(best.index);
+      split(start, best.index);
+      split(best.index, end);
+    }
+  };
+
+  split(0, ys.length);
+  return changepoints.sort((a, b) => a - b);
+};
+
+/**
+ * Detect changepoints in a numeric series
+ * @param {number[]} values - Series values in time order
+ * @param {Object} options - Detection options
+ * @param {string} options.method - 'pelt' (default) or 'cusum'
+ * @param {number[]} options.positions - Position of each value (default 0..n-1), e.g. days
+ * @param {number} options.minSegmentLength - Shortest segment in points (default 5)
+ * @param {number} options.penalty - PELT cost per changepoint (default 3·σ²·ln n, BIC for linear segments)
+ * @param {number} options.threshold - CUSUM split threshold (default 1.358, 5% level)
+ * @returns {Object} - {method, noise_std, changepoints: [{index, type, level_change, slope_change}]}
+ */
+export const detectChangepoints = (values, options = {}) => {
+  const {
+    method = 'pelt',
+    positions = values.map((_, index) => index),
+    minSegmentLength = 5,
+    threshold = CUSUM_THRESHOLD
+  } = options;
+
+  if (!CHANGEPOINT_METHODS.includes(method)) {
+    throw new Error(`Unsupported changepoint method: ${method}`);
+  }
+
+  const n = values.length;
+  const sigma = estimateNoiseLevel(values);
+
+  if (n < minSegmentLength * 2) {
+    return { method, noise_std: sigma, changepoints: [] };
+  }
+
+  const linear = method === 'pelt';
+  const sums = buildPrefixSums(positions, values);
+  const penalty = options.penalty !== undefined ?
+    options.penalty :
+    Math.max(3 * sigma * sigma * Math.log(n), 1e-9);
+
+  const indices = linear ?
+    peltSegmentation(sums, n, penalty, minSegmentLength) :
+    cusumSegmentation(sums, values, sigma, threshold, minSegmentLength);
+
+  const boundaries = [0, ...indices, n];
+  const changepoints = indices.map((index, position) => {
+    const before = fitSegment(sums, boundaries[position], index, linear);
+    const after = fitSegment(sums, index, boundaries[position + 2], linear);
+    const x = positions[index];
+    const levelChange = (after.intercept + after.slope * x) - (before.intercept + before.slope * x);
+    const slopeChange = after.slope - before.slope;
+    const shortest = Math.min(index - boundaries[position], boundaries[position + 2] - index);
+
+    // A shift counts when it moves the series by more than twice the noise
+    const levelScore = sigma > 0 ? Math.abs(levelChange) / sigma : Infinity;
+    const slopeScore = sigma > 0 ? Math.abs(slopeChange) * shortest / sigma : Infinity;
+    let type;
+    if (levelScore >= 2 && slopeScore >= 2) {
+      type = 'level_and_slope';
+    } else {
+      type = levelScore >= slopeScore ? 'level' : 'slope';
+    }
+
+    return {
+      index,
+      type,
+      level_change: levelChange,
+      slope_change: slopeChange
+    };
+  });
+
+  return { method, noise_std: sigma, changepoints };
+};
+
+/**
+ * Detect changepoints in a parameter's daily series
+ * @param {Array} readings - Water quality readings (any order)
+ * @param {Object} options - Detection options (see detectChangepoints)
+ * @param {string} options.parameter - Reading field to analyse (default 'region_avg_quality_index')
+ * @param {string} options.region - Region to analyse (default all readings)
+ * @param {string} options.interval - Resampling interval (default 'daily')
+ * @returns {Array} - Array of {timestamp, date, type, level_change, slope_change}
+ */
+export const detectParameterChangepoints = (readings, options = {}) => {
+  const {
+    parameter = 'region_avg_quality_index',
+    region = null,
+    interval = 'daily',
+    ...detectionOptions
+  } = options;
+
+  const data = region ? readings.filter(reading => reading.region === region) : readings;
+  const series = resampleReadings(data, { parameter, interval }).filter(point => point.value !== null);
+  const firstTime = series.length > 0 ? new Date(series[0].timestamp).getTime() : 0;
+  const stepMs = series.length > 1 ?
+    new Date(series[1].timestamp).getTime() - firstTime :
+    1;
+
+  const { changepoints } = detectChangepoints(series.map(point => point.value), {
+    ...detectionOptions,
+    positions: series.map(point => Math.round((new Date(point.timestamp).getTime() - firstTime) / stepMs))
+  });
+
+  return changepoints.map(({ index, ...changepoint }) => ({
+    timestamp: series[index].timestamp,
+    date: series[index].timestamp.split('T')[0],
+    ...changepoint
+  }));
+};
+
+/**
+ * Detect changepoints for several parameters in every region
+ * @param {Array} readings - Water quality readings
+ * @param {Object} options - Detection options (see detectParameterChangepoints)
+ * @param {string[]} options.parameters - Reading fields to analyse (default: the registry parameters and
+ *   quality index, see getImputableFields)
+ * @returns {Object} - Map of region => parameter => changepoints
+ */
+export const detectRegionalChangepoints = (readings, options = {}) => {
+  const {
+    parameters = getImputableFields(),
+    ...detectionOptions
+  } = options;
+  const regions = [...new Set(readings.map(reading => reading.region))];
+
+  return regions.reduce((byRegion, region) => {
+    byRegion[region] = parameters.reduce((byParameter, parameter) => {
+      byParameter[parameter] = detectParameterChangepoints(readings, {
+        ...detectionOptions,
+        parameter,
+        region
+      });
+      return byParameter;
+    }, {});
+    return byRegion;
+  }, {});
+};
+
+export default {
+  CHANGEPOINT_METHODS,
+  estimateNoiseLevel,
+  detectChangepoints,
+  detectParameterChangepoints,
+  detectRegionalChangepoints
+};
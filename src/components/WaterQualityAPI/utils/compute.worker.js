@@ -0,0 +1,17 @@
+/**
+ * Compute Worker
+ *
+ * Runs batches of compute tasks off the main thread. Each message is
+ * {id, tasks} and is answered with {id, results} or {id, error}.
+ */
+
+/* eslint-disable no-restricted-globals */
+import { runComputeTasks } from './computeTasks';
+
+self.onmessage = ({ data: { id, tasks } }) => {
+  try {
+    self.postMessage({ id, results: runComputeTasks(tasks) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,241 @@
+/**
+ * Compute Client
+ *
+ * Async API for the compute tasks, backed by a Web Worker so long
+ * aggregations and forecasts don't freeze the page. Jobs run one at a time
+ * in the order they were submitted. A job can be cancelled with an
+ * AbortSignal: a queued job is dropped, and a running job stops because its
+ * worker is terminated (a fresh worker takes the next job).
+ *
+ * Where workers are not available, such as in tests, jobs run on the main
+ * thread instead, with the same results; a job that has started there
+ * cannot be interrupted.
+ */
+
+import { runComputeTasks } from './computeTasks';
+
+/**
+ * Build the error a cancelled job is rejected with
+ * @returns {Error} - Error named 'AbortError', like a cancelled fetch
+ */
+export const createAbortError = () => {
+  const error = new Error('Computation was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Whether an error comes from a cancelled job or request
+ * @param {Error} error - Error to check
+ * @returns {boolean} - True for abort errors
+ */
+export const isAbortError = (error) => Boolean(error) && error.name === 'AbortError';
+
+// Loaded on demand so environments without workers never load the worker script
+const defaultCreateWorker = () => import('./createComputeWorker').then(module => module.default());
+
+/**
+ * Runs compute tasks in a worker, or on the main thread where there is none
+ */
+export class ComputeClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {Function} options.createWorker - Returns a Worker, or a promise of one
+   * @param {boolean} options.useWorker - Run in a worker (default: when the environment has Worker)
+   */
+  constructor({
+    createWorker = defaultCreateWorker,
+    useWorker = typeof Worker !== 'undefined'
+  } = {}) {
+    this.createWorker = createWorker;
+    this.useWorker = useWorker;
+    this.queue = [];
+    this.active = null;
+    this.workerPromise = null;
+    this.nextId = 1;
+  }
+
+  /**
+   * Run one compute task
+   * @param {string} task - Task name (see COMPUTE_TASKS)
+   * @param {Array} args - Arguments for the task
+   * @param {Object} options - Run options
+   * @param {AbortSignal} options.signal - Signal that cancels the job
+   * @returns {Promise} - Resolves with the task's result, rejects with an AbortError when cancelled
+   */
+  run(task, args = [], options = {}) {
+    return this.runBatch({ result: { task, args } }, options).then(results => results.result);
+  }
+
+  /**
+   * Run several tasks as one job
+   *
+   * Arguments shared between the tasks (such as the readings) are copied to
+   * the worker once, so batching the tasks for one set of readings is cheaper
+   * than running them one by one.
+   * @param {Object} tasks - Map of result name to {task, args}
+   * @param {Object} options - Run options
+   * @param {AbortSignal} options.signal - Signal that cancels the job
+   * @returns {Promise} - Resolves with a map of result name to result
+   */
+  runBatch(tasks, { signal = null } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { id: this.nextId++, tasks, resolve, reject, signal, onAbort: null };
+
+      if (signal) {
+        job.onAbort = () => this.cancel(job);
+        signal.addEventListener('abort', job.onAbort);
+      }
+
+      this.queue.push(job);
+      this.pump();
+    });
+  }
+
+  /**
+   * Start the next queued job if none is running
+   */
+  async pump() {
+    if (this.active || this.queue.length === 0) return;
+
+    const job = this.queue.shift();
+    this.active = job;
+
+    // Always yields first, so a job cancelled straight after it was submitted never runs
+    const worker = await (this.useWorker ? this.getWorker() : null);
+    if (this.active !== job) return;
+
+    if (worker) {
+      worker.postMessage({ id: job.id, tasks: job.tasks });
+      return;
+    }
+
+    try {
+      this.settle(job, { results: runComputeTasks(job.tasks) });
+    } catch (error) {
+      this.settle(job, { error: error.message });
+    }
+  }
+
+  /**
+   * Start the worker if it is not running, falling back to the main thread if it can't start
+   * @returns {Promise<Worker|null>} - Worker, null when jobs run on the main thread
+   */
+  async getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = Promise.resolve()
+        .then(() => this.createWorker())
+        .then(worker => {
+          worker.onmessage = ({ data }) => this.handleMessage(data);
+          worker.onerror = (event) => this.handleWorkerError(event);
+          return worker;
+        })
+        .catch(error => {
+          console.warn('Could not start the compute worker, computing on the main thread:', error.message);
+          this.useWorker = false;
+          return null;
+        });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * Settle the running job with the worker's answer
+   * @param {Object} message - {id, results} or {id, error}
+   */
+  handleMessage(message) {
+    if (!this.active || this.active.id !== message.id) return;
+    this.settle(this.active, message);
+  }
+
+  /**
+   * Fail the running job when the worker throws outside a task, and start a fresh worker for the next
+   * @param {ErrorEvent} event - Worker error event
+   */
+  handleWorkerError(event) {
+    if (event && typeof event.preventDefault === 'function') event.preventDefault();
+    this.terminateWorker();
+    if (this.active) {
+      this.settle(this.active, { error: (event && event.message) || 'Compute worker failed' });
+    }
+  }
+
+  /**
+   * Resolve or reject a job and move on to the next one
+   * @param {Object} job - Job to settle
+   * @param {Object} outcome - {results} or {error}
+   */
+  settle(job, { results, error }) {
+    if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+    if (this.active === job) this.active = null;
+
+    if (error !== undefined) {
+      job.reject(new Error(error));
+    } else {
+      job.resolve(results);
+    }
+    this.pump();
+  }
+
+  /**
+   * Cancel a job: drop it from the queue, or stop the worker running it
+   * @param {Object} job - Job to cancel
+   */
+  cancel(job) {
+    const queued = this.queue.indexOf(job);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+    } else if (this.active === job) {
+      this.active = null;
+      this.terminateWorker();
+    } else {
+      return;
+    }
+
+    job.signal.removeEventListener('abort', job.onAbort);
+    job.reject(createAbortError());
+    this.pump();
+  }
+
+  /**
+   * Stop the worker so the next job starts a fresh one
+   *
+   * Jobs are not settled here: the caller rejects the active job (cancel,
+   * handleWorkerError) or every job (dispose), and jobs still queued run on
+   * the fresh worker.
+   */
+  terminateWorker() {
+    if (!this.workerPromise) return;
+
+    const worker = this.workerPromise;
+    this.workerPromise = null;
+    worker.then(started => started && started.terminate());
+  }
+
+  /**
+   * Cancel every job and stop the worker
+   */
+  dispose() {
+    [...this.queue, ...(this.active ? [this.active] : [])].forEach(job => {
+      if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+      job.reject(createAbortError());
+    });
+    this.queue = [];
+    this.active = null;
+    this.terminateWorker();
+  }
+}
+
+// Shared client; the worker starts with the first job
+export const computeClient = new ComputeClient();
+
+export default {
+  createAbortError,
+  isAbortError,
+  ComputeClient,
+  computeClient
+};
@@ -0,0 +1,59 @@
+/**
+ * Compute Tasks
+ *
+ * The heavy utilities that can run off the main thread, by name. Tasks run
+ * the same code in the worker and on the main thread, so a task name and its
+ * arguments are all a worker needs. Arguments and results must survive
+ * structured cloning: plain data only, no functions or class instances.
+ */
+
+import { aggregateSensorData } from './dataAggregator';
+import { generateBatchSummaries } from './batchSummaryGenerator';
+import { generateMultiParameterForecast, generateWaterQualityForecast } from './forecastingEngine';
+import { explainForecast } from './forecastExplanation';
+import { runForecastScenario } from './scenarioSimulation';
+import { assessSensorHealth } from './sensorHealth';
+
+/**
+ * Utilities available as compute tasks
+ */
+export const COMPUTE_TASKS = {
+  aggregateSensorData,
+  generateBatchSummaries,
+  generateWaterQualityForecast,
+  generateMultiParameterForecast,
+  explainForecast,
+  runForecastScenario,
+  assessSensorHealth
+};
+
+/**
+ * Run a compute task
+ * @param {string} task - Task name (a key of COMPUTE_TASKS)
+ * @param {Array} args - Arguments for the utility
+ * @returns {*} - The utility's result
+ */
+export const runComputeTask = (task, args = []) => {
+  if (!Object.prototype.hasOwnProperty.call(COMPUTE_TASKS, task)) {
+    throw new Error(`Unsupported compute task: ${task}`);
+  }
+
+  return COMPUTE_TASKS[task](...args);
+};
+
+/**
+ * Run several named compute tasks
+ * @param {Object} tasks - Map of result name to {task, args}
+ * @returns {Object} - Map of result name to the task's result
+ */
+export const runComputeTasks = (tasks) =>
+  Object.keys(tasks).reduce((results, name) => {
+    results[name] = runComputeTask(tasks[name].task, tasks[name].args);
+    return results;
+  }, {});
+
+export default {
+  COMPUTE_TASKS,
+  runComputeTask,
+  runComputeTasks
+};
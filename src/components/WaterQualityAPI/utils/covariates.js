@@ -0,0 +1,284 @@
+/**
+ * Forecast Covariates
+ *
+ * Loads exogenous driver series (rainfall, air temperature, river flow) keyed
+ * by date and region, and looks them up for the forecasting models. Records
+ * cover both the history and the forecast days, e.g. observed rainfall
+ * followed by a rainfall forecast, and come from a local JSON or CSV file.
+ *
+ * A record is {date, region, rainfall, air_temperature, river_flow}. Records
+ * without a region apply to every region; a regional record wins over them.
+ */
+
+/**
+ * Known covariates with their display label and unit
+ */
+export const COVARIATE_FIELDS = {
+  rainfall: {
+    label: 'Rainfall',
+    unit: 'mm'
+  },
+  air_temperature: {
+    label: 'Air Temperature',
+    unit: '°C'
+  },
+  river_flow: {
+    label: 'River Flow',
+    unit: 'm³/s'
+  }
+};
+
+/**
+ * Supported covariate file formats
+ */
+export const COVARIATE_FORMATS = ['json', 'csv'];
+
+// Columns that identify a record rather than hold a driver value
+const KEY_FIELDS = ['date', 'timestamp', 'region'];
+
+/**
+ * Day key (YYYY-MM-DD, UTC) for a date, timestamp or Date
+ * @param {string|Date} value - Date value
+ * @returns {string|null} - Day key, or null when the value is not a date
+ */
+const toDateKey = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+};
+
+/**
+ * Parse a covariate value, treating blanks and non-numbers as missing
+ * @param {*} value - Raw value
+ * @returns {number|null} - Numeric value or null
+ */
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Normalize raw records into {date, region, ...values}
+ * @param {Array} rawRecords - Records with a date (or timestamp), optional region and driver fields
+ * @returns {Array} - Normalized records, skipping rows without a valid date
+ */
+export const normalizeCovariateRecords = (rawRecords) =>
+  rawRecords.reduce((records, raw) => {
+    const date = toDateKey(raw.date !== undefined ? raw.date : raw.timestamp);
+    if (!date) return records;
+
+    const values = Object.keys(raw)
+      .filter(key => !KEY_FIELDS.includes(key))
+      .reduce((fields, key) => {
+        fields[key] = toNumber(raw[key]);
+        return fields;
+      }, {});
+
+    records.push({ date, region: raw.region || null, ...values });
+    return records;
+  }, []);
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {string[]} - Field values
+ */
+const splitCsvLine = (line) => {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+};
+
+/**
+ * Parse covariate records from CSV text with a header row
+ * @param {string} text - CSV text, e.g. "date,region,rainfall\n2025-09-01,North Coast,4.2"
+ * @returns {Array} - Normalized covariate records
+ */
+export const parseCovariateCsv = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+  if (lines.length === 0) return [];
+
+  const header = splitCsvLine(lines[0]);
+  const rows = lines.slice(1).map(line => {
+    const fields = splitCsvLine(line);
+    return header.reduce((row, column, index) => {
+      row[column] = fields[index] !== undefined ? fields[index] : '';
+      return row;
+    }, {});
+  });
+
+  return normalizeCovariateRecords(rows);
+};
+
+/**
+ * Parse covariate records from JSON text or an already parsed value
+ * @param {string|Array|Object} content - JSON array of records, or an object with a records array
+ * @returns {Array} - Normalized covariate records
+ */
+export const parseCovariateJson = (content) => {
+  const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+  const records = Array.isArray(parsed) ? parsed : parsed && parsed.records;
+
+  if (!Array.isArray(records)) {
+    throw new Error('Covariate JSON must be an array of records or {records: [...]}');
+  }
+
+  return normalizeCovariateRecords(records);
+};
+
+/**
+ * Parse covariate records in a given format
+ * @param {string} content - File content
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Array} - Normalized covariate records
+ */
+export const parseCovariates = (content, format) => {
+  if (!COVARIATE_FORMATS.includes(format)) {
+    throw new Error(`Unsupported covariate format: ${format}`);
+  }
+
+  return format === 'csv' ? parseCovariateCsv(content) : parseCovariateJson(content);
+};
+
+/**
+ * Guess a covariate file's format from its name or content
+ * @param {string} name - File name or path (optional)
+ * @param {string} content - File content
+ * @returns {string} - 'json' or 'csv'
+ */
+const detectFormat = (name, content) => {
+  const extension = (name || '').split('?')[0].split('.').pop().toLowerCase();
+  if (COVARIATE_FORMATS.includes(extension)) return extension;
+
+  const start = content.trimStart()[0];
+  return start === '[' || start === '{' ? 'json' : 'csv';
+};
+
+/**
+ * Load covariate records from a local file
+ * @param {File|Blob|string} source - File or Blob (e.g. from a file input), or a path to fetch
+ *   (e.g. a file served from public/)
+ * @param {Object} options - Load options
+ * @param {string} options.format - 'json' or 'csv' (default detected from the name or content)
+ * @returns {Promise<Array>} - Normalized covariate records
+ */
+export const loadCovariates = async (source, options = {}) => {
+  let content;
+  let name;
+
+  if (typeof source === 'string') {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to load covariates: ${response.status} ${response.statusText}`);
+    }
+    content = await response.text();
+    name = source;
+  } else {
+    content = await source.text();
+    name = source.name;
+  }
+
+  return parseCovariates(content, options.format || detectFormat(name, content));
+};
+
+/**
+ * List the drivers that have at least one value in a set of records
+ * @param {Array} records - Normalized covariate records
+ * @returns {string[]} - Driver names
+ */
+export const listCovariateDrivers = (records) => {
+  const drivers = new Set();
+
+  records.forEach(record => {
+    Object.keys(record)
+      .filter(key => !KEY_FIELDS.includes(key) && record[key] !== null)
+      .forEach(key => drivers.add(key));
+  });
+
+  return [...drivers];
+};
+
+/**
+ * Build a date lookup of driver values for one region
+ *
+ * Regional records override region-less ones. Without a region (the overall
+ * series), dates with only regional records use the average across regions.
+ * @param {Array} records - Normalized covariate records
+ * @param {Object} options - Lookup options
+ * @param {string} options.region - Region being forecast (null for all regions)
+ * @param {string[]} options.drivers - Drivers to use (default every driver in the records)
+ * @returns {Object} - {drivers, dates, get(date) => {driver: value|null} | null}
+ */
+export const createCovariateLookup = (records, options = {}) => {
+  const { region = null } = options;
+  const drivers = options.drivers || listCovariateDrivers(records);
+  const shared = new Map();
+  const regional = new Map();
+
+  records.forEach(record => {
+    if (record.region === null || record.region === undefined) {
+      shared.set(record.date, record);
+    } else if (region === null || record.region === region) {
+      if (!regional.has(record.date)) regional.set(record.date, []);
+      regional.get(record.date).push(record);
+    }
+  });
+
+  const valuesByDate = new Map();
+  const dates = [...new Set([...shared.keys(), ...regional.keys()])].sort();
+
+  dates.forEach(date => {
+    const regionalRecords = regional.get(date) || [];
+    const sharedRecord = shared.get(date);
+
+    valuesByDate.set(date, drivers.reduce((values, driver) => {
+      const regionalValues = regionalRecords
+        .map(record => record[driver])
+        .filter(value => value !== null && value !== undefined);
+
+      if (regionalValues.length > 0) {
+        values[driver] = regionalValues.reduce((sum, value) => sum + value, 0) / regionalValues.length;
+      } else {
+        const value = sharedRecord ? sharedRecord[driver] : null;
+        values[driver] = value !== undefined ? value : null;
+      }
+      return values;
+    }, {}));
+  });
+
+  return {
+    drivers,
+    dates,
+    get: (date) => valuesByDate.get(toDateKey(date)) || null
+  };
+};
+
+export default {
+  COVARIATE_FIELDS,
+  COVARIATE_FORMATS,
+  normalizeCovariateRecords,
+  parseCovariateCsv,
+  parseCovariateJson,
+  parseCovariates,
+  loadCovariates,
+  listCovariateDrivers,
+  createCovariateLookup
+};
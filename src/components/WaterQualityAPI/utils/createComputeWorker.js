@@ -0,0 +1,11 @@
+/**
+ * Start a compute worker
+ *
+ * Kept in its own module and loaded on demand: the bundler needs
+ * import.meta.url to find the worker script, and test environments without
+ * workers never load this file.
+ * @returns {Worker} - Worker running compute.worker.js
+ */
+const createComputeWorker = () => new Worker(new URL('./compute.worker.js', import.meta.url));
+
+export default createComputeWorker;
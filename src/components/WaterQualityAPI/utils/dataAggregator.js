@@ -5,6 +5,10 @@
  * Calculates statistics, regional averages, and quality indices
  */
 
+import { resolveParameters } from './parameterRegistry';
+import { detectReadingAnomalies, groupFindingsByReading } from './anomalyDetection';
+import { DEFAULT_QUALITY_BANDS, getQualityIndex, resolveIndexConfig } from './waterQualityIndex';
+
 /**
  * Calculate basic statistics for a numeric array
  * @param {number[]} values - Array of numeric values
@@ -46,17 +50,35 @@ export const calculateStatistics = (values) => {
   };
 };
 
+/**
+ * Statistics of one parameter across readings
+ * @param {Array} data - Array of water quality readings
+ * @param {string} key - Reading field
+ * @returns {Object} Statistics object with min, max, average, median, stdDev
+ */
+const calculateParameterStatistics = (data, key) =>
+  calculateStatistics(data.map(reading => reading[key]).filter(val => val != null));
+
 /**
  * Aggregate sensor data across all readings
  * @param {Array} data - Array of water quality readings
+ * @param {Object} options - Aggregation options
+ * @param {Array} options.parameters - Parameter definitions to aggregate (default: the parameter registry)
+ * @param {string|Object} options.wqi - Compute quality indices with this index configuration instead of
+ *   using region_avg_quality_index, and rate them with its bands (see resolveIndexConfig)
  * @returns {Object} Aggregated data with statistics for each parameter
  */
-export const aggregateSensorData = (data) => {
+export const aggregateSensorData = (data, options = {}) => {
+  const parameters = resolveParameters(options.parameters);
+  const wqi = options.wqi ? resolveIndexConfig(options.wqi, { parameters }) : null;
+  const emptyStatistics = calculateStatistics([]);
+
   if (!data || data.length === 0) {
     return {
-      temperature: { min: 0, max: 0, average: 0, median: 0, stdDev: 0, count: 0 },
-      pH: { min: 0, max: 0, average: 0, median: 0, stdDev: 0, count: 0 },
-      turbidity: { min: 0, max: 0, average: 0, median: 0, stdDev: 0, count: 0 },
+      ...parameters.reduce((stats, parameter) => {
+        stats[parameter.key] = { ...emptyStatistics };
+        return stats;
+      }, {}),
       region_avg_quality_index: 0,
       total_readings: 0,
       regions: [],
@@ -65,16 +87,12 @@ export const aggregateSensorData = (data) => {
     };
   }
 
-  // Extract parameter values
-  const temperatures = data.map(reading => reading.temperature).filter(val => val != null);
-  const phValues = data.map(reading => reading.pH).filter(val => val != null);
-  const turbidityValues = data.map(reading => reading.turbidity).filter(val => val != null);
-  const qualityIndices = data.map(reading => reading.region_avg_quality_index).filter(val => val != null);
-
   // Calculate statistics for each parameter
-  const temperatureStats = calculateStatistics(temperatures);
-  const phStats = calculateStatistics(phValues);
-  const turbidityStats = calculateStatistics(turbidityValues);
+  const parameterStats = parameters.reduce((stats, parameter) => {
+    stats[parameter.key] = calculateParameterStatistics(data, parameter.key);
+    return stats;
+  }, {});
+  const qualityIndices = data.map(reading => getQualityIndex(reading, wqi)).filter(val => val != null);
   const qualityStats = calculateStatistics(qualityIndices);
 
   // Get unique regions and sensors
@@ -89,24 +107,23 @@ export const aggregateSensorData = (data) => {
   };
 
   return {
-    temperature: temperatureStats,
-    pH: phStats,
-    turbidity: turbidityStats,
+    ...parameterStats,
     region_avg_quality_index: qualityStats.average,
     total_readings: data.length,
     regions: uniqueRegions,
     sensors: uniqueSensors,
     date_range: dateRange,
-    quality_distribution: calculateQualityDistribution(qualityIndices)
+    quality_distribution: calculateQualityDistribution(qualityIndices, wqi ? wqi.bands : DEFAULT_QUALITY_BANDS)
   };
 };
 
 /**
  * Aggregate data by region
  * @param {Array} data - Array of water quality readings
+ * @param {Object} options - Aggregation options (see aggregateSensorData)
  * @returns {Object} Regional aggregation with statistics per region
  */
-export const aggregateByRegion = (data) => {
+export const aggregateByRegion = (data, options = {}) => {
   if (!data || data.length === 0) return {};
 
   const regionGroups = data.reduce((groups, reading) => {
@@ -123,7 +140,7 @@ export const aggregateByRegion = (data) => {
   Object.keys(regionGroups).forEach(region => {
     const regionData = regionGroups[region];
     regionalAggregation[region] = {
-      ...aggregateSensorData(regionData),
+      ...aggregateSensorData(regionData, options),
       sensor_count: [...new Set(regionData.map(r => r.sensor_id))].length,
       latest_reading: regionData.reduce((latest, current) => 
         new Date(current.timestamp) > new Date(latest.timestamp) ? current : latest
@@ -137,9 +154,10 @@ export const aggregateByRegion = (data) => {
 /**
  * Aggregate data by sensor
  * @param {Array} data - Array of water quality readings
+ * @param {Object} options - Aggregation options (see aggregateSensorData)
  * @returns {Object} Sensor aggregation with statistics per sensor
  */
-export const aggregateBySensor = (data) => {
+export const aggregateBySensor = (data, options = {}) => {
   if (!data || data.length === 0) return {};
 
   const sensorGroups = data.reduce((groups, reading) => {
@@ -156,7 +174,7 @@ export const aggregateBySensor = (data) => {
   Object.keys(sensorGroups).forEach(sensorId => {
     const sensorData = sensorGroups[sensorId];
     sensorAggregation[sensorId] = {
-      ...aggregateSensorData(sensorData),
+      ...aggregateSensorData(sensorData, options),
       region: sensorData[0]?.region,
       latest_reading: sensorData.reduce((latest, current) => 
         new Date(current.timestamp) > new Date(latest.timestamp) ? current : latest
@@ -169,12 +187,26 @@ export const aggregateBySensor = (data) => {
 };
 
 /**
- * Calculate quality distribution
- * @param {number[]} qualityIndices - Array of quality index values
+ * Rate a quality index value
+ * @param {number} index - Quality index (0-100)
+ * @param {Object} bands - Lowest index of each band {excellent, good, fair} (default: 80, 60, 40)
+ * @returns {string} Quality rating: 'excellent', 'good', 'fair' or 'poor'
+ */
+export const rateQualityIndex = (index, bands = DEFAULT_QUALITY_BANDS) => {
+  if (index >= bands.excellent) return 'excellent';
+  if (index >= bands.good) return 'good';
+  if (index >= bands.fair) return 'fair';
+  return 'poor';
+};
+
+/**
+ * Build the quality distribution from counts per rating
+ * @param {Object} counts - Number of readings per rating {excellent, good, fair, poor}
  * @returns {Object} Distribution of quality ratings
  */
-export const calculateQualityDistribution = (qualityIndices) => {
-  if (!qualityIndices || qualityIndices.length === 0) {
+export const formatQualityDistribution = (counts) => {
+  const total = counts.excellent + counts.good + counts.fair + counts.poor;
+  if (total === 0) {
     return {
       excellent: 0,
       good: 0,
@@ -184,26 +216,36 @@ export const calculateQualityDistribution = (qualityIndices) => {
     };
   }
 
-  const distribution = qualityIndices.reduce((dist, index) => {
-    if (index >= 80) dist.excellent++;
-    else if (index >= 60) dist.good++;
-    else if (index >= 40) dist.fair++;
-    else dist.poor++;
-    return dist;
-  }, { excellent: 0, good: 0, fair: 0, poor: 0 });
-
   return {
-    ...distribution,
-    total: qualityIndices.length,
+    excellent: counts.excellent,
+    good: counts.good,
+    fair: counts.fair,
+    poor: counts.poor,
+    total,
     percentages: {
-      excellent: (distribution.excellent / qualityIndices.length * 100).toFixed(1),
-      good: (distribution.good / qualityIndices.length * 100).toFixed(1),
-      fair: (distribution.fair / qualityIndices.length * 100).toFixed(1),
-      poor: (distribution.poor / qualityIndices.length * 100).toFixed(1)
+      excellent: (counts.excellent / total * 100).toFixed(1),
+      good: (counts.good / total * 100).toFixed(1),
+      fair: (counts.fair / total * 100).toFixed(1),
+      poor: (counts.poor / total * 100).toFixed(1)
     }
   };
 };
 
+/**
+ * Calculate quality distribution
+ * @param {number[]} qualityIndices - Array of quality index values
+ * @param {Object} bands - Quality bands (see rateQualityIndex)
+ * @returns {Object} Distribution of quality ratings
+ */
+export const calculateQualityDistribution = (qualityIndices, bands = DEFAULT_QUALITY_BANDS) => {
+  const counts = (qualityIndices || []).reduce((dist, index) => {
+    dist[rateQualityIndex(index, bands)]++;
+    return dist;
+  }, { excellent: 0, good: 0, fair: 0, poor: 0 });
+
+  return formatQualityDistribution(counts);
+};
+
 /**
  * Calculate reading frequency for a sensor
  * @param {Array} sensorData - Array of readings for a specific sensor
@@ -243,48 +285,34 @@ export const calculateReadingFrequency = (sensorData) => {
 
 /**
  * Detect anomalies in sensor data
+ *
+ * Runs the anomaly engine (see detectReadingAnomalies) and returns copies of
+ * the anomalous readings; the readings passed in are not changed.
  * @param {Array} data - Array of water quality readings
- * @param {Object} thresholds - Threshold values for each parameter
- * @returns {Array} Array of anomalous readings
+ * @param {Object} thresholds - Static limit overrides per parameter key, plus quality_index
+ * @param {Object} options - Detection options (see detectReadingAnomalies)
+ * @param {string[]} options.methods - Detection methods (default ['static'])
+ * @param {Array} options.parameters - Parameter definitions to check (default: the parameter registry)
+ * @returns {Array} Anomalous readings, each with anomalies (the fields flagged, the quality index as
+ *   'quality_index') and anomaly_findings
  */
-export const detectAnomalies = (data, thresholds = {}) => {
-  const defaultThresholds = {
-    temperature: { min: 10, max: 35 },
-    pH: { min: 6.0, max: 9.0 },
-    turbidity: { max: 10.0 },
-    quality_index: { min: 20 }
-  };
-
-  const finalThresholds = { ...defaultThresholds, ...thresholds };
-  
-  return data.filter(reading => {
-    const anomalies = [];
-    
-    if (reading.temperature < finalThresholds.temperature.min || 
-        reading.temperature > finalThresholds.temperature.max) {
-      anomalies.push('temperature');
-    }
-    
-    if (reading.pH < finalThresholds.pH.min || 
-        reading.pH > finalThresholds.pH.max) {
-      anomalies.push('pH');
-    }
-    
-    if (reading.turbidity > finalThresholds.turbidity.max) {
-      anomalies.push('turbidity');
-    }
-    
-    if (reading.region_avg_quality_index < finalThresholds.quality_index.min) {
-      anomalies.push('quality_index');
-    }
-    
-    if (anomalies.length > 0) {
-      reading.anomalies = anomalies;
-      return true;
-    }
-    
-    return false;
+export const detectAnomalies = (data, thresholds = {}, options = {}) => {
+  const parameters = resolveParameters(options.parameters);
+  const { quality_index: qualityLimits, ...limits } = thresholds;
+  const { findings } = detectReadingAnomalies(data, {
+    ...options,
+    parameters,
+    limits: qualityLimits ? { ...limits, region_avg_quality_index: qualityLimits } : limits
   });
+  const fields = [...parameters.map(parameter => parameter.key), 'region_avg_quality_index'];
+
+  return [...groupFindingsByReading(findings)].map(([index, readingFindings]) => ({
+    ...data[index],
+    anomalies: fields
+      .filter(field => readingFindings.some(finding => finding.parameter === field))
+      .map(field => (field === 'region_avg_quality_index' ? 'quality_index' : field)),
+    anomaly_findings: readingFindings
+  }));
 };
 
 /**
@@ -354,6 +382,8 @@ export default {
   aggregateSensorData,
   aggregateByRegion,
   aggregateBySensor,
+  rateQualityIndex,
+  formatQualityDistribution,
   calculateQualityDistribution,
   calculateReadingFrequency,
   detectAnomalies,
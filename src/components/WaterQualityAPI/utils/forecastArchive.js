@@ -0,0 +1,367 @@
+/**
+ * Forecast Archive
+ *
+ * Keeps the quality index forecasts that were issued, keyed by region, model,
+ * step interval and first forecast step, and scores them once the actual readings for
+ * their steps arrive. The running accuracy this builds up shows how far the
+ * forecasts can be trusted.
+ *
+ * The archive lives in memory and, when given a Web Storage object such as
+ * window.localStorage, is persisted between sessions.
+ */
+
+import { mean } from './statistics';
+import { resampleReadings } from './timeSeriesResampler';
+
+/**
+ * Storage key used when the archive is persisted
+ */
+export const DEFAULT_ARCHIVE_STORAGE_KEY = 'waterQualityForecastArchive';
+
+/**
+ * Build the archive key for a forecast
+ *
+ * The first forecast step stands for the data cut-off: forecasts recomputed
+ * from the same data share it, so only the first one issued is archived. The
+ * interval keeps apart forecasts whose first steps coincide, such as a daily
+ * and an hourly forecast both starting at midnight.
+ * @param {string} region - Forecast region ('all_regions' for the overall forecast)
+ * @param {string} model - Model name
+ * @param {string} interval - Step interval ('daily', '6-hourly' or 'hourly')
+ * @param {string} firstStep - ISO timestamp of the first forecast step
+ * @returns {string} - Archive entry id
+ */
+export const getArchiveEntryId = (region, model, interval, firstStep) =>
+  `${region}|${model}|${interval}|${firstStep}`;
+
+/**
+ * Summarize the scored points of one or more forecasts
+ * @param {Array} points - Scored forecast points (with actual and error)
+ * @returns {Object} - {count, mae, rmse, bias, mape, coverage}, metrics null when nothing is scored
+ */
+export const summarizeForecastErrors = (points) => {
+  const scored = points.filter(point => point.actual !== null && point.actual !== undefined);
+
+  if (scored.length === 0) {
+    return { count: 0, mae: null, rmse: null, bias: null, mape: null, coverage: null };
+  }
+
+  const errors = scored.map(point => point.error);
+  const percentageErrors = scored
+    .filter(point => point.actual !== 0)
+    .map(point => Math.abs(point.error / point.actual) * 100);
+  const withInterval = scored.filter(point => point.within_interval !== null);
+
+  return {
+    count: scored.length,
+    mae: mean(errors.map(Math.abs)),
+    rmse: Math.sqrt(mean(errors.map(error => error * error))),
+    bias: mean(errors),
+    mape: percentageErrors.length > 0 ? mean(percentageErrors) : null,
+    coverage: withInterval.length > 0 ?
+      withInterval.filter(point => point.within_interval).length / withInterval.length :
+      null
+  };
+};
+
+/**
+ * Archive of issued forecasts and their scores against actual readings
+ */
+export class ForecastArchive {
+  /**
+   * @param {Object} options - Archive options
+   * @param {Storage} options.storage - Web Storage to persist to (e.g. window.localStorage), none by default
+   * @param {string} options.storageKey - Key the archive is stored under
+   * @param {number} options.maxEntries - Most forecasts kept; the oldest are dropped first (default 500)
+   */
+  constructor({ storage = null, storageKey = DEFAULT_ARCHIVE_STORAGE_KEY, maxEntries = 500 } = {}) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.load();
+  }
+
+  /**
+   * Load persisted entries, ignoring unreadable storage
+   *
+   * Entries are re-keyed on load, so overlapping copies of one forecast saved
+   * by an older archive collapse to the first one issued.
+   */
+  load() {
+    if (!this.storage) return;
+
+    try {
+      const stored = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+      stored
+        .filter(entry => entry.points.length > 0)
+        .sort((a, b) => a.generated_at.localeCompare(b.generated_at))
+        .forEach(entry => {
+          const id = getArchiveEntryId(entry.region, entry.model, entry.interval, entry.points[0].timestamp);
+          if (!this.entries.has(id)) {
+            this.entries.set(id, { ...entry, id });
+          }
+        });
+    } catch (error) {
+      console.warn('Could not load the forecast archive:', error.message);
+    }
+  }
+
+  /**
+   * Persist entries, ignoring storage errors such as a full quota
+   */
+  save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify([...this.entries.values()]));
+    } catch (error) {
+      console.warn('Could not save the forecast archive:', error.message);
+    }
+  }
+
+  /**
+   * Store a quality index forecast; a forecast already archived for the same
+   * region, model, interval and first step is kept as is
+   * @param {Object} forecast - Result of generateWaterQualityForecast
+   * @returns {Object|null} - Archive entry, null for unsuccessful or empty forecasts
+   */
+  record(forecast) {
+    if (!forecast || !forecast.success || !forecast.metadata) return null;
+    if (!forecast.forecast_quality_index || forecast.forecast_quality_index.length === 0) return null;
+
+    const { region, generated_at: generatedAt, algorithm, model_version: modelVersion } = forecast.metadata;
+    const interval = forecast.metadata.resampling ? forecast.metadata.resampling.interval : 'daily';
+    const id = getArchiveEntryId(region, algorithm, interval, forecast.forecast_quality_index[0].timestamp);
+
+    if (this.entries.has(id)) {
+      return this.entries.get(id);
+    }
+
+    const entry = {
+      id,
+      region,
+      generated_at: generatedAt,
+      model: algorithm,
+      model_version: modelVersion,
+      interval,
+      points: forecast.forecast_quality_index.map(point => ({
+        timestamp: point.timestamp,
+        date: point.date,
+        step: point.step || point.day_offset,
+        forecast: point.quality_index,
+        lower: point.confidence_interval ? point.confidence_interval.lower : null,
+        upper: point.confidence_interval ? point.confidence_interval.upper : null,
+        actual: null,
+        error: null,
+        within_interval: null
+      }))
+    };
+
+    this.entries.set(id, entry);
+    this.prune();
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Drop the oldest entries beyond maxEntries
+   */
+  prune() {
+    if (this.entries.size <= this.maxEntries) return;
+
+    const oldest = [...this.entries.values()]
+      .sort((a, b) => a.generated_at.localeCompare(b.generated_at))
+      .slice(0, this.entries.size - this.maxEntries);
+    oldest.forEach(entry => this.entries.delete(entry.id));
+  }
+
+  /**
+   * Score archived forecast steps against actual readings
+   *
+   * Readings are resampled the way the forecast was made (same region and
+   * step). A step is scored once a later step has readings, so a step still
+   * filling up is never scored early.
+   * @param {Array} readings - Water quality readings (any order)
+   * @param {Object} filter - Optional {region, model}, e.g. to score only the region the readings cover
+   * @returns {number} - Number of newly scored steps
+   */
+  score(readings, filter = {}) {
+    const actualsByKey = new Map();
+    let scoredCount = 0;
+
+    const getActuals = (region, interval) => {
+      const key = `${region}|${interval}`;
+      if (!actualsByKey.has(key)) {
+        const data = region === 'all_regions' ?
+          readings :
+          readings.filter(reading => reading.region === region);
+        const series = resampleReadings(data, { interval, gapStrategy: 'omit' });
+        const latest = series.length > 0 ? series[series.length - 1].timestamp : null;
+
+        actualsByKey.set(key, new Map(series
+          .filter(point => point.timestamp !== latest)
+          .map(point => [new Date(point.timestamp).getTime(), point.value])));
+      }
+      return actualsByKey.get(key);
+    };
+
+    this.getEntries(filter).forEach(entry => {
+      if (entry.points.every(point => point.actual !== null)) return;
+
+      const actuals = getActuals(entry.region, entry.interval);
+      entry.points.forEach(point => {
+        const actual = actuals.get(new Date(point.timestamp).getTime());
+        if (point.actual !== null || actual === undefined) return;
+
+        point.actual = Math.round(actual * 10) / 10;
+        point.error = point.actual - point.forecast;
+        point.within_interval = point.lower !== null && point.upper !== null ?
+          point.actual >= point.lower && point.actual <= point.upper :
+          null;
+        scoredCount++;
+      });
+    });
+
+    if (scoredCount > 0) {
+      this.save();
+    }
+
+    return scoredCount;
+  }
+
+  /**
+   * List archived forecasts, oldest first
+   * @param {Object} filter - Optional {region, model}
+   * @returns {Array} - Archive entries
+   */
+  getEntries({ region = null, model = null } = {}) {
+    return [...this.entries.values()]
+      .filter(entry => (!region || entry.region === region) && (!model || entry.model === model))
+      .sort((a, b) => a.generated_at.localeCompare(b.generated_at));
+  }
+
+  /**
+   * Accuracy of the scored forecasts, overall and per step ahead
+   * @param {Object} filter - Optional {region, model}
+   * @returns {Object} - {forecasts, count, mae, rmse, bias, mape, coverage, by_step}
+   */
+  getAccuracy(filter = {}) {
+    const entries = this.getEntries(filter);
+    const points = entries.flatMap(entry => entry.points);
+    const steps = [...new Set(points.map(point => point.step))].sort((a, b) => a - b);
+
+    return {
+      forecasts: entries.length,
+      ...summarizeForecastErrors(points),
+      by_step: steps
+        .map(step => ({ step, ...summarizeForecastErrors(points.filter(point => point.step === step)) }))
+        .filter(summary => summary.count > 0)
+    };
+  }
+
+  /**
+   * Accuracy for every archived region
+   * @param {Object} filter - Optional {model}
+   * @returns {Object} - Map of region to accuracy (see getAccuracy)
+   */
+  getAccuracyByRegion(filter = {}) {
+    const regions = [...new Set(this.getEntries(filter).map(entry => entry.region))];
+
+    return regions.reduce((byRegion, region) => {
+      byRegion[region] = this.getAccuracy({ ...filter, region });
+      return byRegion;
+    }, {});
+  }
+
+  /**
+   * Running accuracy as scored steps accumulate, ordered by the time forecast
+   * @param {Object} filter - Optional {region, model}
+   * @returns {Array} - Array of {timestamp, count, mae, coverage}, cumulative up to each step time
+   */
+  getRunningAccuracy(filter = {}) {
+    const scored = this.getEntries(filter)
+      .flatMap(entry => entry.points)
+      .filter(point => point.actual !== null)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const running = [];
+    let absoluteErrorSum = 0;
+    let intervalCount = 0;
+    let coveredCount = 0;
+
+    scored.forEach((point, index) => {
+      absoluteErrorSum += Math.abs(point.error);
+      if (point.within_interval !== null) {
+        intervalCount++;
+        if (point.within_interval) coveredCount++;
+      }
+
+      // One entry per step time, holding the totals once all its points are in
+      const next = scored[index + 1];
+      if (!next || next.timestamp !== point.timestamp) {
+        running.push({
+          timestamp: point.timestamp,
+          count: index + 1,
+          mae: absoluteErrorSum / (index + 1),
+          coverage: intervalCount > 0 ? coveredCount / intervalCount : null
+        });
+      }
+    });
+
+    return running;
+  }
+
+  /**
+   * Past forecasts and the actuals they were scored against, for charting
+   * @param {Object} filter - Optional {region, model}
+   * @param {number} limit - Most recent forecasts to include (default 5)
+   * @returns {Object} - {actuals: [{timestamp, value}], forecasts: [{id, generated_at, model, points}]}
+   */
+  getOverlay(filter = {}, limit = 5) {
+    const entries = this.getEntries(filter);
+    const actuals = new Map();
+
+    entries.forEach(entry => entry.points
+      .filter(point => point.actual !== null)
+      .forEach(point => actuals.set(point.timestamp, point.actual)));
+
+    return {
+      actuals: [...actuals.entries()]
+        .map(([timestamp, value]) => ({ timestamp, value }))
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp)),
+      forecasts: entries.slice(-limit).map(entry => ({
+        id: entry.id,
+        generated_at: entry.generated_at,
+        model: entry.model,
+        points: entry.points.map(({ timestamp, forecast, lower, upper }) => ({
+          timestamp,
+          value: forecast,
+          lower,
+          upper
+        }))
+      }))
+    };
+  }
+
+  clear() {
+    this.entries.clear();
+    this.save();
+  }
+
+  size() {
+    return this.entries.size;
+  }
+}
+
+// Global archive, persisted in localStorage when the browser provides it
+export const forecastArchive = new ForecastArchive({
+  storage: typeof window !== 'undefined' && window.localStorage ? window.localStorage : null
+});
+
+export default {
+  DEFAULT_ARCHIVE_STORAGE_KEY,
+  getArchiveEntryId,
+  summarizeForecastErrors,
+  ForecastArchive,
+  forecastArchive
+};
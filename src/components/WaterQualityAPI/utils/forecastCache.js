@@ -0,0 +1,359 @@
+/**
+ * Forecast Cache
+ *
+ * Keeps recent forecast results so the same forecast is not recomputed on
+ * every refresh. Entries are keyed by region and a hash of the forecast
+ * parameters, expire after a TTL, and are dropped least recently used first
+ * once the cache is full. An entry can also carry a hash of the readings it
+ * was computed from, so a forecast is never served for data that has since
+ * changed.
+ *
+ * The cache lives in memory and, when given a storage, is persisted between
+ * sessions. Changes are written shortly after they happen, several at once.
+ * Storage is either Web Storage such as window.localStorage or the IndexedDB
+ * adapter from createIndexedDBStorage; IndexedDB loads asynchronously, and
+ * the cache serves from memory until it has.
+ */
+
+import { ReadingLedger, hashString, stableStringify } from './readingLedger';
+
+// Hashing helpers, kept here for existing imports
+export { hashString, stableStringify };
+
+/**
+ * Storage key used when the cache is persisted
+ */
+export const DEFAULT_CACHE_STORAGE_KEY = 'waterQualityForecastCache';
+
+/**
+ * Running hash of a list of readings
+ *
+ * The hash covers the content of every reading, whatever order the list is
+ * in. A ReadingLedger records what was hashed, so a refresh that adds
+ * readings, at either end, only adds theirs; a corrected, re-scored or
+ * dropped reading starts the hash over.
+ */
+export class ReadingsHash {
+  constructor() {
+    this.ledger = new ReadingLedger();
+  }
+
+  /**
+   * Forget the readings hashed so far
+   */
+  reset() {
+    this.ledger.reset();
+  }
+
+  /**
+   * Catch up with the full list of readings
+   * @param {Array} readings - All readings, in any order
+   * @returns {string} - Hash of the list (see digest)
+   */
+  sync(readings) {
+    this.ledger.sync(readings);
+    return this.digest();
+  }
+
+  /**
+   * Hash of the readings hashed so far
+   * @returns {string} - Reading count and hex hash
+   */
+  digest() {
+    return this.ledger.digest();
+  }
+}
+
+/**
+ * Hash readings, so a cached forecast can be checked against the data it was computed from
+ * @param {Array} readings - Water quality readings; the same readings in any order give the same hash
+ * @returns {string} - Reading count and hex hash, as ReadingsHash gives for the same readings
+ */
+export const hashReadings = (readings) => new ReadingsHash().sync(readings);
+
+/**
+ * IndexedDB storage with the Web Storage method names, returning promises
+ * @param {Object} options - Storage options
+ * @param {IDBFactory} options.indexedDB - IndexedDB factory (default window.indexedDB)
+ * @param {string} options.databaseName - Database name
+ * @param {string} options.storeName - Object store name
+ * @returns {Object} - {getItem, setItem, removeItem}
+ */
+export const createIndexedDBStorage = ({
+  indexedDB = typeof window !== 'undefined' ? window.indexedDB : undefined,
+  databaseName = 'waterQuality',
+  storeName = 'forecastCache'
+} = {}) => {
+  let database = null;
+
+  const open = () => {
+    if (!database) {
+      database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return database;
+  };
+
+  const run = (mode, operation) => open().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  }));
+
+  return {
+    getItem: key => run('readonly', store => store.get(key)).then(value => (value === undefined ? null : value)),
+    setItem: (key, value) => run('readwrite', store => store.put(value, key)),
+    removeItem: key => run('readwrite', store => store.delete(key))
+  };
+};
+
+/**
+ * Storage the global cache persists to: IndexedDB where the browser has it, then localStorage
+ * @returns {Object|null} - Storage, null outside a browser
+ */
+const getDefaultCacheStorage = () => {
+  if (typeof window === 'undefined') return null;
+  if (window.indexedDB) return createIndexedDBStorage();
+  return window.localStorage || null;
+};
+
+/**
+ * Bounded, optionally persistent cache of forecast results
+ */
+export class ForecastCache {
+  /**
+   * @param {number} ttlMinutes - Minutes an entry stays fresh (default 60)
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Most entries kept; the least recently used are dropped first (default 100)
+   * @param {Storage|Object} options.storage - Web Storage or IndexedDB adapter to persist to, none by default
+   * @param {string} options.storageKey - Key the cache is stored under
+   * @param {number} options.saveDelay - Milliseconds to gather changes before writing them (default 1000;
+   *   0 writes every change at once)
+   */
+  constructor(ttlMinutes = 60, {
+    maxEntries = 100,
+    storage = null,
+    storageKey = DEFAULT_CACHE_STORAGE_KEY,
+    saveDelay = 1000
+  } = {}) {
+    this.cache = new Map();
+    this.ttl = ttlMinutes * 60 * 1000; // Convert to milliseconds
+    this.maxEntries = maxEntries;
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.saveDelay = saveDelay;
+    this.saveTimer = null;
+    this.resetStats();
+    this.ready = this.load();
+  }
+
+  /**
+   * Load persisted entries, ignoring unreadable storage and expired entries
+   * @returns {Promise} - Resolves once persisted entries are loaded
+   */
+  load() {
+    if (!this.storage) return Promise.resolve();
+
+    const restore = (stored) => {
+      const now = Date.now();
+      JSON.parse(stored || '[]')
+        // Entries set since loading started are newer than the stored ones
+        .filter(([key, entry]) => !this.cache.has(key) && now - entry.timestamp <= this.ttl)
+        .forEach(([key, entry]) => this.cache.set(key, entry));
+      this.prune();
+    };
+    const warn = error => console.warn('Could not load the forecast cache:', error.message);
+
+    try {
+      const stored = this.storage.getItem(this.storageKey);
+      if (stored && typeof stored.then === 'function') {
+        return stored.then(restore).catch(warn);
+      }
+      restore(stored);
+    } catch (error) {
+      warn(error);
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Persist entries once changes stop arriving for saveDelay milliseconds
+   */
+  save() {
+    if (!this.storage) return;
+    if (this.saveDelay <= 0) {
+      this.flush();
+      return;
+    }
+
+    if (this.saveTimer === null) {
+      this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+    }
+  }
+
+  /**
+   * Persist entries now, ignoring storage errors such as a full quota
+   */
+  flush() {
+    if (this.saveTimer !== null) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.storage) return;
+
+    const warn = error => console.warn('Could not save the forecast cache:', error.message);
+    try {
+      const saved = this.storage.setItem(this.storageKey, JSON.stringify([...this.cache.entries()]));
+      if (saved && typeof saved.catch === 'function') {
+        saved.catch(warn);
+      }
+    } catch (error) {
+      warn(error);
+    }
+  }
+
+  /**
+   * Build the cache key: the region and a hash of the parameters, whatever order their keys are in
+   * @param {string|null} region - Region, null for all regions
+   * @param {Object} params - Forecast parameters (filters, forecast options)
+   * @returns {string} - Cache key
+   */
+  generateKey(region, params = {}) {
+    return `${region === null || region === undefined ? 'all_regions' : region}|${hashString(stableStringify(params))}`;
+  }
+
+  /**
+   * Look up a cached result
+   * @param {string|null} region - Region, null for all regions
+   * @param {Object} params - Forecast parameters
+   * @param {Object} options - Lookup options
+   * @param {string} options.dataHash - Hash of the current readings (see hashReadings); an entry stored for
+   *   other readings is dropped
+   * @returns {*} - Cached result, null when missing, expired or stale
+   */
+  get(region, params = {}, { dataHash = null } = {}) {
+    const key = this.generateKey(region, params);
+    const cached = this.cache.get(key);
+
+    if (!cached) {
+      this.stats.misses++;
+      return null;
+    }
+
+    // Check if cache has expired
+    if (Date.now() - cached.timestamp > this.ttl) {
+      this.cache.delete(key);
+      this.stats.misses++;
+      this.stats.expirations++;
+      this.save();
+      return null;
+    }
+
+    if (dataHash !== null && cached.dataHash !== null && cached.dataHash !== dataHash) {
+      this.cache.delete(key);
+      this.stats.misses++;
+      this.stats.invalidations++;
+      this.save();
+      return null;
+    }
+
+    // Most recently used entries sit at the end
+    this.cache.delete(key);
+    this.cache.set(key, cached);
+    this.stats.hits++;
+    return cached.data;
+  }
+
+  /**
+   * Cache a result
+   * @param {string|null} region - Region, null for all regions
+   * @param {*} data - Result to cache (must survive JSON when the cache is persisted)
+   * @param {Object} params - Forecast parameters
+   * @param {Object} options - Store options
+   * @param {string} options.dataHash - Hash of the readings the result was computed from
+   */
+  set(region, data, params = {}, { dataHash = null } = {}) {
+    const key = this.generateKey(region, params);
+    this.cache.delete(key);
+    this.cache.set(key, {
+      data,
+      dataHash,
+      timestamp: Date.now()
+    });
+    this.stats.sets++;
+    this.prune();
+    this.save();
+  }
+
+  /**
+   * Drop the least recently used entries beyond maxEntries
+   */
+  prune() {
+    while (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Hit and miss counts since the cache was created or the stats were reset
+   * @returns {Object} - {hits, misses, hit_rate, sets, evictions, expirations, invalidations, size, max_entries}
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      hit_rate: lookups > 0 ? this.stats.hits / lookups : null,
+      size: this.cache.size,
+      max_entries: this.maxEntries
+    };
+  }
+
+  /**
+   * Start counting hits and misses from zero
+   */
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0, invalidations: 0 };
+  }
+
+  /**
+   * Drop every entry, from storage too
+   */
+  clear() {
+    this.cache.clear();
+    this.save();
+  }
+
+  /**
+   * Number of entries held, fresh or not
+   * @returns {number} - Entry count
+   */
+  size() {
+    return this.cache.size;
+  }
+}
+
+// Global cache instance, persisted in IndexedDB (or localStorage) when the browser provides it
+export const forecastCache = new ForecastCache(60, { maxEntries: 50, storage: getDefaultCacheStorage() }); // 1 hour TTL
+
+// Write pending changes before the page goes away
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', () => forecastCache.flush());
+}
+
+export default {
+  DEFAULT_CACHE_STORAGE_KEY,
+  stableStringify,
+  hashString,
+  ReadingsHash,
+  hashReadings,
+  createIndexedDBStorage,
+  ForecastCache,
+  forecastCache
+};
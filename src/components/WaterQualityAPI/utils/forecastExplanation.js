@@ -0,0 +1,258 @@
+/**
+ * Forecast Explanation
+ *
+ * Splits a parameter's history and its forecast into trend, seasonal and
+ * residual components (classical additive decomposition) so the direction of a
+ * forecast can be traced back to the trend, the weekly (or, for sub-daily
+ * steps, daily) pattern or noise.
+ */
+
+import { calculateLinearRegression } from './forecastModels';
+import { FORECAST_INTERVALS, generateParameterForecast } from './forecastingEngine';
+import { getIntervalMs, resampleReadings } from './timeSeriesResampler';
+import { imputeSensorReadings } from './imputation';
+
+/**
+ * Variance of a set of values (population)
+ * @param {number[]} values - Numeric values
+ * @returns {number} - Variance (0 for an empty array)
+ */
+const variance = (values) => {
+  if (values.length === 0) return 0;
+
+  const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / values.length;
+};
+
+/**
+ * Strength of a component relative to the residual (0 = none, 1 = dominant)
+ * @param {number[]} component - Component values
+ * @param {number[]} residual - Residual values
+ * @returns {number} - Strength in [0, 1]
+ */
+const componentStrength = (component, residual) => {
+  const combinedVariance = variance(component.map((value, index) => value + residual[index]));
+  if (combinedVariance === 0) return 0;
+
+  return Math.max(0, 1 - variance(residual) / combinedVariance);
+};
+
+/**
+ * Centered moving average trend with linearly extended ends
+ * @param {number[]} values - Regular series values
+ * @param {number} period - Season length in steps
+ * @returns {number[]} - Trend values
+ */
+const movingAverageTrend = (values, period) => {
+  const n = values.length;
+
+  // Too short for a full window: the trend is the regression line
+  if (n < period) {
+    const regression = calculateLinearRegression(values.map((y, x) => ({ x, y })));
+    return values.map((_, x) => regression.intercept + regression.slope * x);
+  }
+
+  // An even window needs a 2 x period average to stay centered
+  const weights = period % 2 === 1 ?
+    new Array(period).fill(1 / period) :
+    [0.5 / period, ...new Array(period - 1).fill(1 / period), 0.5 / period];
+  const half = Math.floor(weights.length / 2);
+  const trend = new Array(n).fill(null);
+
+  for (let i = half; i < n - half; i++) {
+    trend[i] = weights.reduce((sum, weight, offset) => sum + weight * values[i - half + offset], 0);
+  }
+
+  const centered = trend
+    .map((y, x) => ({ x, y }))
+    .filter(point => point.y !== null);
+  const { slope } = calculateLinearRegression(centered);
+  const first = centered[0];
+  const last = centered[centered.length - 1];
+
+  return trend.map((value, x) => {
+    if (value !== null) return value;
+    return x < first.x ? first.y + slope * (x - first.x) : last.y + slope * (x - last.x);
+  });
+};
+
+/**
+ * Decompose a regular series into trend, seasonal and residual components
+ * @param {number[]} values - Regular series values (one per step, ascending)
+ * @param {Object} options - Decomposition options
+ * @param {number} options.period - Season length in steps (default 7, a week of days)
+ * @returns {Object} - {trend, seasonal, residual, seasonal_indices, period, seasonal_detected}
+ */
+export const decomposeSeries = (values, options = {}) => {
+  const { period = 7 } = options;
+  const trend = movingAverageTrend(values, period);
+  const detrended = values.map((value, index) => value - trend[index]);
+
+  // Seasonal indices need at least two full cycles
+  const seasonalDetected = values.length >= period * 2;
+  let seasonalIndices = new Array(period).fill(0);
+
+  if (seasonalDetected) {
+    const sums = new Array(period).fill(0);
+    const counts = new Array(period).fill(0);
+    detrended.forEach((value, index) => {
+      sums[index % period] += value;
+      counts[index % period]++;
+    });
+
+    const rawIndices = sums.map((sum, phase) => counts[phase] > 0 ? sum / counts[phase] : 0);
+    const meanIndex = rawIndices.reduce((sum, value) => sum + value, 0) / period;
+    seasonalIndices = rawIndices.map(value => value - meanIndex);
+  }
+
+  const seasonal = values.map((_, index) => seasonalIndices[index % period]);
+  const residual = values.map((value, index) => value - trend[index] - seasonal[index]);
+
+  return {
+    trend,
+    seasonal,
+    residual,
+    seasonal_indices: seasonalIndices,
+    period,
+    seasonal_detected: seasonalDetected
+  };
+};
+
+/**
+ * Explain a parameter forecast with a trend / seasonal / residual decomposition
+ *
+ * The history is resampled exactly as the forecaster sees it (by default
+ * daily, last 30 days). Forecast steps are split into the history's trend line
+ * carried forward, the seasonal pattern at that step's position, and a
+ * residual holding whatever the model adds on top.
+ * @param {Array} historicalData - Historical water quality readings (any order)
+ * @param {string} region - Specific region to explain (optional)
+ * @param {Object} options - Forecast options (see generateParameterForecast)
+ * @param {string} options.parameter - Parameter to explain (default 'region_avg_quality_index')
+ * @param {number} options.period - Season length in steps (default 7 for daily steps, 24 hourly, 4 6-hourly)
+ * @returns {Object} - {success, parameter, region, interval, trend, changepoints, history, forecast, summary}
+ */
+export const explainForecast = (historicalData, region = null, options = {}) => {
+  const { parameter = 'region_avg_quality_index', period: periodOption, ...forecastOptions } = options;
+
+  try {
+    const forecastResult = generateParameterForecast(historicalData, parameter, region, forecastOptions);
+    if (!forecastResult.success) {
+      throw new Error(forecastResult.error);
+    }
+
+    const interval = forecastResult.metadata.resampling.interval;
+    const intervalMs = getIntervalMs(interval);
+    const { windowSteps, seasonLength } = FORECAST_INTERVALS[interval];
+    const period = periodOption || seasonLength;
+    const regionData = region ?
+      historicalData.filter(reading => reading.region === region) :
+      historicalData;
+    const data = forecastOptions.imputation ?
+      imputeSensorReadings(regionData, {
+        ...(forecastOptions.imputation === true ? {} : forecastOptions.imputation),
+        parameters: [parameter]
+      }).readings :
+      regionData;
+    const series = resampleReadings(data, {
+      ...forecastOptions.resampling,
+      parameter,
+      interval
+    }).filter(point => point.value !== null);
+
+    // Same window the forecaster used
+    const lastTime = new Date(series[series.length - 1].timestamp).getTime();
+    const history = series.filter(point =>
+      new Date(point.timestamp).getTime() >= lastTime - (windowSteps - 1) * intervalMs
+    );
+    const firstTime = new Date(history[0].timestamp).getTime();
+    const stepOf = timestamp => Math.round((new Date(timestamp).getTime() - firstTime) / intervalMs);
+
+    // Decompose on the regular grid so seasonal positions line up with calendar time
+    const length = stepOf(history[history.length - 1].timestamp) + 1;
+    const grid = new Array(length).fill(null);
+    history.forEach(point => { grid[stepOf(point.timestamp)] = point.value; });
+    const filledGrid = grid.map((value, index) => {
+      if (value !== null) return value;
+      const previous = grid.slice(0, index).reverse().find(candidate => candidate !== null);
+      return previous !== undefined ? previous : history[0].value;
+    });
+
+    const decomposition = decomposeSeries(filledGrid, { period });
+
+    // Carry the trend forward along the slope of its last cycle
+    const trendTail = decomposition.trend
+      .map((y, x) => ({ x, y }))
+      .slice(-Math.max(2, period));
+    const trendLine = calculateLinearRegression(trendTail);
+
+    const historyComponents = history.map(point => {
+      const step = stepOf(point.timestamp);
+      return {
+        date: point.timestamp.split('T')[0],
+        timestamp: point.timestamp,
+        value: point.value,
+        trend: decomposition.trend[step],
+        seasonal: decomposition.seasonal[step],
+        residual: decomposition.residual[step],
+        filled: point.filled,
+        imputed: point.imputed_count > 0
+      };
+    });
+
+    const forecastComponents = forecastResult.forecast.map(point => {
+      const step = stepOf(point.timestamp);
+      const trend = trendLine.intercept + trendLine.slope * step;
+      const seasonal = decomposition.seasonal_indices[step % period];
+
+      return {
+        date: point.date,
+        timestamp: point.timestamp,
+        value: point.value,
+        trend,
+        seasonal,
+        residual: point.value - trend - seasonal
+      };
+    });
+
+    const historyTrend = historyComponents.map(point => point.trend);
+    const historyResidual = historyComponents.map(point => point.residual);
+
+    return {
+      success: true,
+      parameter,
+      region: region || 'all_regions',
+      interval,
+      trend: forecastResult.trend,
+      changepoints: forecastResult.metadata.changepoints ? forecastResult.metadata.changepoints.detected : [],
+      history: historyComponents,
+      forecast: forecastComponents,
+      summary: {
+        period,
+        seasonal_detected: decomposition.seasonal_detected,
+        trend_slope: trendLine.slope,
+        trend_change: historyTrend[historyTrend.length - 1] - historyTrend[0],
+        forecast_trend_change: forecastComponents[forecastComponents.length - 1].trend - historyTrend[historyTrend.length - 1],
+        seasonal_amplitude: Math.max(...decomposition.seasonal_indices) - Math.min(...decomposition.seasonal_indices),
+        seasonal_indices: decomposition.seasonal_indices,
+        residual_std: Math.sqrt(variance(historyResidual)),
+        trend_strength: componentStrength(historyTrend, historyResidual),
+        seasonal_strength: componentStrength(historyComponents.map(point => point.seasonal), historyResidual)
+      },
+      metadata: forecastResult.metadata
+    };
+  } catch (error) {
+    return {
+      success: false,
+      parameter,
+      error: error.message,
+      history: [],
+      forecast: []
+    };
+  }
+};
+
+export default {
+  decomposeSeries,
+  explainForecast
+};
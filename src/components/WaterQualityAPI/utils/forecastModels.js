@@ -0,0 +1,671 @@
+/**
+ * Forecast Model Registry
+ *
+ * Holds the forecasting models available to the forecasting engine. Each model
+ * receives an ascending series of {x, y, timestamp} points and returns one
+ * forecast entry per requested step, so models can be swapped per call or per
+ * region without changing the engine.
+ */
+
+import { collectForecastErrors } from './predictionIntervals';
+import { detectSeasonality, getSeasonalAdjustment } from './seasonality';
+
+/**
+ * Name of the model used when a call does not request one
+ */
+export const DEFAULT_FORECAST_MODEL = 'linear_regression_with_seasonal_adjustment';
+
+/**
+ * Models combined by the ensemble model when a call does not list any
+ */
+export const DEFAULT_ENSEMBLE_MODELS = [
+  'linear_regression_with_seasonal_adjustment',
+  'holt_winters',
+  'simple_exponential_smoothing',
+  'seasonal_naive'
+];
+
+const modelRegistry = new Map();
+
+/**
+ * Calculate linear regression for trend analysis
+ * @param {Array} data - Array of {x, y} points
+ * @returns {Object} - {slope, intercept, r2}
+ */
+export const calculateLinearRegression = (data) => {
+  const n = data.length;
+  if (n < 2) return { slope: 0, intercept: 0, r2: 0 };
+
+  const sumX = data.reduce((sum, point) => sum + point.x, 0);
+  const sumY = data.reduce((sum, point) => sum + point.y, 0);
+  const sumXY = data.reduce((sum, point) => sum + point.x * point.y, 0);
+  const sumXX = data.reduce((sum, point) => sum + point.x * point.x, 0);
+
+  const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+  const intercept = (sumY - slope * sumX) / n;
+
+  // Calculate R-squared
+  const yMean = sumY / n;
+  const ssRes = data.reduce((sum, point) => {
+    const predicted = slope * point.x + intercept;
+    return sum + Math.pow(point.y - predicted, 2);
+  }, 0);
+  const ssTot = data.reduce((sum, point) => sum + Math.pow(point.y - yMean, 2), 0);
+  const r2 = ssTot === 0 ? 1 : 1 - (ssRes / ssTot);
+
+  return { slope, intercept, r2 };
+};
+
+/**
+ * Invert a square matrix with Gauss-Jordan elimination and partial pivoting
+ * @param {number[][]} matrix - Square matrix
+ * @returns {number[][]|null} - Inverse, or null when the matrix is singular
+ */
+const invertMatrix = (matrix) => {
+  const size = matrix.length;
+  const augmented = matrix.map((row, rowIndex) => [
+    ...row,
+    ...row.map((_, columnIndex) => (columnIndex === rowIndex ? 1 : 0))
+  ]);
+
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(augmented[row][column]) > Math.abs(augmented[pivot][column])) pivot = row;
+    }
+    if (Math.abs(augmented[pivot][column]) < 1e-12) return null;
+    [augmented[column], augmented[pivot]] = [augmented[pivot], augmented[column]];
+
+    const divisor = augmented[column][column];
+    augmented[column] = augmented[column].map(value => value / divisor);
+
+    for (let row = 0; row < size; row++) {
+      if (row === column) continue;
+      const factor = augmented[row][column];
+      if (factor !== 0) {
+        augmented[row] = augmented[row].map((value, index) => value - factor * augmented[column][index]);
+      }
+    }
+  }
+
+  return augmented.map(row => row.slice(size));
+};
+
+/**
+ * Calculate a multiple linear regression by least squares
+ * @param {number[][]} features - One row of feature values per observation, first column 1 for the intercept
+ * @param {number[]} values - Observed values
+ * @param {Object} options - Regression options
+ * @param {number} options.ridge - Ridge penalty added to every coefficient but the first (default 0)
+ * @returns {Object} - {coefficients, standard_errors, r2, residual_std}, or null when the fit is singular
+ */
+export const calculateMultipleRegression = (features, values, options = {}) => {
+  const { ridge = 0 } = options;
+  const n = values.length;
+  const p = features[0] ? features[0].length : 0;
+  if (n === 0 || p === 0) return null;
+
+  const xtx = Array.from({ length: p }, (_, i) =>
+    Array.from({ length: p }, (_, j) =>
+      features.reduce((sum, row) => sum + row[i] * row[j], 0) + (i === j && i > 0 ? ridge : 0)
+    )
+  );
+  const xty = Array.from({ length: p }, (_, i) =>
+    features.reduce((sum, row, index) => sum + row[i] * values[index], 0)
+  );
+
+  const inverse = invertMatrix(xtx);
+  if (!inverse) return null;
+
+  const coefficients = inverse.map(row => row.reduce((sum, value, index) => sum + value * xty[index], 0));
+  const fitted = features.map(row => row.reduce((sum, value, index) => sum + value * coefficients[index], 0));
+  const yMean = values.reduce((sum, value) => sum + value, 0) / n;
+  const ssRes = values.reduce((sum, value, index) => sum + Math.pow(value - fitted[index], 2), 0);
+  const ssTot = values.reduce((sum, value) => sum + Math.pow(value - yMean, 2), 0);
+  const residualVariance = n > p ? ssRes / (n - p) : 0;
+
+  return {
+    coefficients,
+    standard_errors: inverse.map((row, index) => Math.sqrt(Math.max(0, residualVariance * row[index]))),
+    r2: ssTot === 0 ? 1 : 1 - (ssRes / ssTot),
+    residual_std: Math.sqrt(residualVariance)
+  };
+};
+
+/**
+ * Calculate moving average for smoothing
+ * @param {Array} values - Array of numeric values
+ * @param {number} window - Window size for moving average
+ * @returns {Array} - Smoothed values
+ */
+export const calculateMovingAverage = (values, window = 3) => {
+  if (values.length < window) return values;
+
+  const smoothed = [];
+  for (let i = 0; i < values.length; i++) {
+    const start = Math.max(0, i - Math.floor(window / 2));
+    const end = Math.min(values.length, start + window);
+    const slice = values.slice(start, end);
+    const avg = slice.reduce((sum, val) => sum + val, 0) / slice.length;
+    smoothed.push(avg);
+  }
+  return smoothed;
+};
+
+/**
+ * Register a forecast model
+ * @param {Object} model - Model definition
+ * @param {string} model.name - Unique model name, reported as metadata.algorithm
+ * @param {string} model.version - Model version, reported as metadata.model_version
+ * @param {Function} model.forecast - (series, context) => { forecasts, parameters }, where context
+ *   holds horizon, forecastDates, options, interval ('hourly'|'6-hourly'|'daily'), seasonLength
+ *   (steps per season), seasonality (detectSeasonality options) and covariates (a lookup from
+ *   createCovariateLookup, or null)
+ * @param {string} model.description - Human readable description
+ * @param {number} model.minDataPoints - Minimum series length the model needs
+ * @returns {Object} - The registered model
+ */
+export const registerForecastModel = (model) => {
+  if (!model || typeof model.name !== 'string' || model.name.length === 0) {
+    throw new Error('Forecast model must have a name');
+  }
+
+  if (typeof model.forecast !== 'function') {
+    throw new Error(`Forecast model "${model.name}" must provide a forecast function`);
+  }
+
+  const registered = {
+    version: '1.0.0',
+    description: '',
+    minDataPoints: 2,
+    ...model
+  };
+
+  modelRegistry.set(model.name, registered);
+  return registered;
+};
+
+/**
+ * Remove a forecast model from the registry
+ * @param {string} name - Model name
+ * @returns {boolean} - True if a model was removed
+ */
+export const unregisterForecastModel = (name) => modelRegistry.delete(name);
+
+/**
+ * Look up a registered forecast model
+ * @param {string} name - Model name (defaults to DEFAULT_FORECAST_MODEL)
+ * @returns {Object} - Registered model
+ */
+export const getForecastModel = (name = DEFAULT_FORECAST_MODEL) => {
+  const model = modelRegistry.get(name);
+
+  if (!model) {
+    throw new Error(`Unknown forecast model: ${name}`);
+  }
+
+  return model;
+};
+
+/**
+ * List registered forecast models
+ * @returns {Array} - Array of {name, version, description, minDataPoints}
+ */
+export const listForecastModels = () =>
+  [...modelRegistry.values()].map(({ name, version, description, minDataPoints }) => ({
+    name,
+    version,
+    description,
+    minDataPoints
+  }));
+
+/**
+ * Resolve which model to use for a region
+ * @param {string|null} region - Region being forecast
+ * @param {Object} options - Forecast options
+ * @param {string} options.model - Model requested for the call
+ * @param {Object} options.regionModels - Map of region name to model name
+ * @returns {string} - Model name
+ */
+export const resolveForecastModelName = (region, { model, regionModels = {} } = {}) => {
+  if (region && regionModels[region]) {
+    return regionModels[region];
+  }
+
+  return model || DEFAULT_FORECAST_MODEL;
+};
+
+/**
+ * Seasonal index used for a forecast step, cycling through the last full season
+ * @param {number} length - Series length
+ * @param {number} seasonLength - Season length in observations
+ * @param {number} step - Forecast step (1-based)
+ * @returns {number} - Index into the series
+ */
+const lastSeasonIndex = (length, seasonLength, step) =>
+  length - seasonLength + ((step - 1) % seasonLength);
+
+/**
+ * Linear regression blended with a smoothed recent average, adjusted by
+ * whichever seasonal cycles (hour of day, day of week, month of year) test
+ * significant in the series
+ */
+const linearRegressionModel = {
+  name: 'linear_regression_with_seasonal_adjustment',
+  version: '1.1.0',
+  description: 'Linear trend blended with a recent average adjusted for significant seasonal cycles',
+  minDataPoints: 2,
+  forecast: (series, { forecastDates, interval = 'daily', seasonality = {} }) => {
+    const regression = calculateLinearRegression(series);
+    const seasonalAnalysis = detectSeasonality(series, { ...seasonality, interval });
+
+    // Apply moving average smoothing to recent values for stability
+    const recentValues = series.slice(-7).map(point => point.y);
+    const smoothedRecent = calculateMovingAverage(recentValues, 3);
+    const recentAvg = smoothedRecent[smoothedRecent.length - 1];
+    const lastX = series[series.length - 1].x;
+
+    const forecasts = forecastDates.map((forecastDate, index) => {
+      const step = index + 1;
+
+      // Base prediction from linear trend
+      const basePrediction = regression.slope * (lastX + step) + regression.intercept;
+
+      // Apply the combined factor of the significant cycles
+      const seasonalFactor = getSeasonalAdjustment(seasonalAnalysis, forecastDate).factor;
+
+      // Combine trend and seasonal factors with recent average
+      return {
+        value: (basePrediction * 0.6) + (recentAvg * seasonalFactor * 0.4),
+        seasonal_factor: seasonalFactor,
+        trend_component: basePrediction,
+        base_component: recentAvg
+      };
+    });
+
+    return {
+      forecasts,
+      parameters: {
+        slope: regression.slope,
+        intercept: regression.intercept,
+        r2: regression.r2,
+        seasonal_cycles: seasonalAnalysis.applied
+      }
+    };
+  }
+};
+
+/**
+ * Additive Holt-Winters triple exponential smoothing. Falls back to Holt's
+ * linear method when the series holds fewer than two full seasons.
+ */
+const holtWintersModel = {
+  name: 'holt_winters',
+  version: '1.0.0',
+  description: 'Additive Holt-Winters triple exponential smoothing',
+  minDataPoints: 2,
+  forecast: (series, { forecastDates, options = {}, seasonLength: contextSeasonLength = 7 }) => {
+    const {
+      alpha = 0.4,
+      beta = 0.1,
+      gamma = 0.3,
+      seasonLength = contextSeasonLength
+    } = options;
+    const values = series.map(point => point.y);
+    const n = values.length;
+    const seasonal = n >= seasonLength * 2;
+
+    let level;
+    let trend;
+    const seasonals = [];
+
+    if (seasonal) {
+      const firstSeason = values.slice(0, seasonLength);
+      const secondSeason = values.slice(seasonLength, seasonLength * 2);
+      const firstMean = firstSeason.reduce((sum, val) => sum + val, 0) / seasonLength;
+      const secondMean = secondSeason.reduce((sum, val) => sum + val, 0) / seasonLength;
+
+      level = firstMean;
+      trend = (secondMean - firstMean) / seasonLength;
+      firstSeason.forEach(val => seasonals.push(val - firstMean));
+
+      for (let t = seasonLength; t < n; t++) {
+        const previousLevel = level;
+        const previousSeasonal = seasonals[t - seasonLength];
+        level = alpha * (values[t] - previousSeasonal) + (1 - alpha) * (level + trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * trend;
+        seasonals.push(gamma * (values[t] - level) + (1 - gamma) * previousSeasonal);
+      }
+    } else {
+      level = values[0];
+      trend = values[1] - values[0];
+
+      for (let t = 1; t < n; t++) {
+        const previousLevel = level;
+        level = alpha * values[t] + (1 - alpha) * (level + trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * trend;
+      }
+    }
+
+    const forecasts = forecastDates.map((forecastDate, index) => {
+      const step = index + 1;
+      const trendComponent = level + step * trend;
+      const seasonalComponent = seasonal ?
+        seasonals[lastSeasonIndex(seasonals.length, seasonLength, step)] : 0;
+      const value = trendComponent + seasonalComponent;
+
+      return {
+        value,
+        seasonal_factor: trendComponent !== 0 ? value / trendComponent : 1,
+        trend_component: trendComponent,
+        base_component: level
+      };
+    });
+
+    return {
+      forecasts,
+      parameters: {
+        alpha,
+        beta,
+        gamma: seasonal ? gamma : null,
+        season_length: seasonal ? seasonLength : null,
+        level,
+        trend
+      }
+    };
+  }
+};
+
+/**
+ * Simple exponential smoothing producing a flat forecast at the smoothed level
+ */
+const simpleExponentialSmoothingModel = {
+  name: 'simple_exponential_smoothing',
+  version: '1.0.0',
+  description: 'Simple exponential smoothing (flat forecast at the smoothed level)',
+  minDataPoints: 1,
+  forecast: (series, { forecastDates, options = {} }) => {
+    const { alpha = 0.3 } = options;
+    const level = series.slice(1).reduce(
+      (smoothed, point) => alpha * point.y + (1 - alpha) * smoothed,
+      series[0].y
+    );
+
+    return {
+      forecasts: forecastDates.map(() => ({
+        value: level,
+        seasonal_factor: 1,
+        trend_component: level,
+        base_component: level
+      })),
+      parameters: { alpha, level }
+    };
+  }
+};
+
+/**
+ * Seasonal naive: each step repeats the value observed one season earlier
+ */
+const seasonalNaiveModel = {
+  name: 'seasonal_naive',
+  version: '1.0.0',
+  description: 'Repeats the value observed one season earlier',
+  minDataPoints: 1,
+  forecast: (series, { forecastDates, options = {}, seasonLength: contextSeasonLength = 7 }) => {
+    const values = series.map(point => point.y);
+    const seasonLength = Math.min(options.seasonLength || contextSeasonLength, values.length);
+    const lastSeason = values.slice(-seasonLength);
+    const seasonMean = lastSeason.reduce((sum, val) => sum + val, 0) / seasonLength;
+
+    const forecasts = forecastDates.map((forecastDate, index) => {
+      const value = values[lastSeasonIndex(values.length, seasonLength, index + 1)];
+
+      return {
+        value,
+        seasonal_factor: seasonMean !== 0 ? value / seasonMean : 1,
+        trend_component: seasonMean,
+        base_component: seasonMean
+      };
+    });
+
+    return {
+      forecasts,
+      parameters: { season_length: seasonLength }
+    };
+  }
+};
+
+/**
+ * Linear trend plus a regression on exogenous drivers (rainfall, air
+ * temperature, river flow). Drivers are centered on their historical mean, so
+ * the trend line is the forecast under typical conditions and each driver's
+ * effect is how far its forecast values move the result away from it.
+ * Forecast days without a driver value carry its last known value forward.
+ */
+const covariateRegressionModel = {
+  name: 'regression_with_covariates',
+  version: '1.0.0',
+  description: 'Linear trend plus a regression on exogenous drivers such as rainfall',
+  minDataPoints: 2,
+  forecast: (series, { forecastDates, options = {}, covariates = null }) => {
+    // Without covariates this is a plain linear trend
+    const lookup = covariates || { drivers: [], get: () => null };
+    const { ridge = 1e-6 } = options;
+    const history = series.map(point => ({ point, values: lookup.get(point.timestamp) || {} }));
+    const hasValue = (values, driver) => values[driver] !== null && values[driver] !== undefined;
+
+    // A driver is usable when it covers most of the history and varies
+    const usable = lookup.drivers.filter(driver => {
+      const known = history.filter(({ values }) => hasValue(values, driver)).map(({ values }) => values[driver]);
+      return known.length >= series.length / 2 && Math.max(...known) > Math.min(...known);
+    });
+    let drivers = usable;
+    let rows = history.filter(({ values }) => drivers.every(driver => hasValue(values, driver)));
+
+    // Too few complete days for the drivers: fall back to the trend alone
+    if (rows.length < drivers.length + 3) {
+      drivers = [];
+      rows = history;
+    }
+
+    const means = {};
+    const scales = {};
+    drivers.forEach(driver => {
+      const driverValues = rows.map(({ values }) => values[driver]);
+      means[driver] = driverValues.reduce((sum, value) => sum + value, 0) / driverValues.length;
+      scales[driver] = Math.sqrt(
+        driverValues.reduce((sum, value) => sum + Math.pow(value - means[driver], 2), 0) / driverValues.length
+      ) || 1;
+    });
+
+    // Drivers are standardized while fitting so the ridge penalty treats them alike
+    const features = rows.map(({ point, values }) => [
+      1,
+      point.x,
+      ...drivers.map(driver => (values[driver] - means[driver]) / scales[driver])
+    ]);
+    const fit = calculateMultipleRegression(features, rows.map(({ point }) => point.y), { ridge }) ||
+      { coefficients: [rows[0].point.y, 0], standard_errors: [0, 0], r2: 0 };
+    const [intercept, slope] = fit.coefficients;
+    const coefficients = drivers.map((driver, index) => fit.coefficients[index + 2] / scales[driver]);
+
+    const lastKnown = {};
+    drivers.forEach(driver => {
+      const known = history.filter(({ values }) => hasValue(values, driver));
+      lastKnown[driver] = known.length > 0 ? known[known.length - 1].values[driver] : means[driver];
+    });
+
+    const lastX = series[series.length - 1].x;
+    const driverForecasts = drivers.map(() => []);
+    const filledCounts = drivers.map(() => 0);
+
+    const forecasts = forecastDates.map((forecastDate, index) => {
+      const values = lookup.get(forecastDate) || {};
+      const base = intercept + slope * (lastX + index + 1);
+
+      const driverEffects = drivers.reduce((effects, driver, driverIndex) => {
+        if (hasValue(values, driver)) {
+          lastKnown[driver] = values[driver];
+        } else {
+          filledCounts[driverIndex]++;
+        }
+        driverForecasts[driverIndex].push(lastKnown[driver]);
+        effects[driver] = coefficients[driverIndex] * (lastKnown[driver] - means[driver]);
+        return effects;
+      }, {});
+
+      return {
+        value: base + Object.values(driverEffects).reduce((sum, effect) => sum + effect, 0),
+        seasonal_factor: 1,
+        trend_component: base,
+        base_component: base,
+        driver_effects: driverEffects
+      };
+    });
+
+    return {
+      forecasts,
+      parameters: {
+        slope,
+        intercept,
+        r2: fit.r2,
+        fitted_points: rows.length,
+        drivers: drivers.map((driver, index) => {
+          const forecastMean = driverForecasts[index].reduce((sum, value) => sum + value, 0) /
+            Math.max(1, driverForecasts[index].length);
+
+          return {
+            name: driver,
+            coefficient: coefficients[index],
+            standard_error: fit.standard_errors[index + 2] / scales[driver],
+            historical_mean: means[driver],
+            forecast_mean: forecastMean,
+            effect: coefficients[index] * (forecastMean - means[driver]),
+            forecast_filled: filledCounts[index]
+          };
+        }),
+        excluded_drivers: lookup.drivers.filter(driver => !drivers.includes(driver))
+      }
+    };
+  }
+};
+
+/**
+ * Weighted combination of other registered models
+ *
+ * Each member is backtested over the most recent origins of the series and
+ * weighted by the inverse of its mean squared error, so models that have
+ * tracked the series well lately dominate the combined forecast. Every
+ * forecast step reports each member's weighted contribution.
+ */
+const ensembleModel = {
+  name: 'ensemble',
+  version: '1.0.0',
+  description: 'Weighted combination of models, weighted by recent backtest error',
+  minDataPoints: 2,
+  forecast: (series, { horizon, forecastDates, options = {}, ...context }) => {
+    const {
+      models = DEFAULT_ENSEMBLE_MODELS,
+      weighting = 'inverse_mse',
+      backtestWindow = 14,
+      modelOptions = {}
+    } = options;
+
+    if (weighting !== 'inverse_mse' && weighting !== 'equal') {
+      throw new Error(`Unsupported ensemble weighting: ${weighting}`);
+    }
+
+    const members = models
+      .map(name => getForecastModel(name))
+      .filter(model => model.name !== ensembleModel.name && series.length >= model.minDataPoints);
+
+    if (members.length === 0) {
+      throw new Error('Ensemble has no models that can forecast this series');
+    }
+
+    const lastTime = new Date(series[series.length - 1].timestamp).getTime();
+    const intervalMs = forecastDates.length > 0 ? forecastDates[0].getTime() - lastTime : 0;
+
+    const scored = members.map(model => {
+      const memberOptions = modelOptions[model.name] || {};
+      const errors = collectForecastErrors(model, series, {
+        horizon: forecastDates.length,
+        intervalMs,
+        modelOptions: memberOptions,
+        minTrainingSize: Math.max(2, series.length - backtestWindow),
+        context
+      }).flat();
+      const mse = errors.length > 0 ?
+        errors.reduce((sum, error) => sum + error * error, 0) / errors.length :
+        null;
+
+      return {
+        model,
+        errors,
+        mse,
+        result: model.forecast(series, { ...context, horizon, forecastDates, options: memberOptions })
+      };
+    });
+
+    // Fall back to equal weights when any member could not be backtested
+    const useEqualWeights = weighting === 'equal' || scored.some(member => member.mse === null);
+    const rawWeights = scored.map(member =>
+      useEqualWeights ? 1 : 1 / Math.max(member.mse, 1e-9)
+    );
+    const totalWeight = rawWeights.reduce((sum, weight) => sum + weight, 0);
+    const weights = rawWeights.map(weight => weight / totalWeight);
+
+    const combine = (index, field) => scored.reduce(
+      (sum, member, memberIndex) => sum + weights[memberIndex] * member.result.forecasts[index][field],
+      0
+    );
+
+    const forecasts = forecastDates.map((forecastDate, index) => ({
+      value: combine(index, 'value'),
+      seasonal_factor: combine(index, 'seasonal_factor'),
+      trend_component: combine(index, 'trend_component'),
+      base_component: combine(index, 'base_component'),
+      contributions: scored.reduce((contributions, member, memberIndex) => {
+        contributions[member.model.name] = weights[memberIndex] * member.result.forecasts[index].value;
+        return contributions;
+      }, {})
+    }));
+
+    return {
+      forecasts,
+      parameters: {
+        weighting: useEqualWeights ? 'equal' : 'inverse_mse',
+        backtest_window: backtestWindow,
+        members: scored.map((member, memberIndex) => ({
+          model: member.model.name,
+          version: member.model.version,
+          weight: weights[memberIndex],
+          rmse: member.mse !== null ? Math.sqrt(member.mse) : null,
+          backtest_errors: member.errors.length,
+          forecast: member.result.forecasts.map(point => point.value),
+          parameters: member.result.parameters || {}
+        }))
+      }
+    };
+  }
+};
+
+[
+  linearRegressionModel,
+  holtWintersModel,
+  simpleExponentialSmoothingModel,
+  seasonalNaiveModel,
+  covariateRegressionModel,
+  ensembleModel
+].forEach(registerForecastModel);
+
+export default {
+  registerForecastModel,
+  unregisterForecastModel,
+  getForecastModel,
+  listForecastModels,
+  resolveForecastModelName,
+  calculateLinearRegression,
+  calculateMultipleRegression,
+  calculateMovingAverage
+};
@@ -0,0 +1,179 @@
+/**
+ * Forecast Reconciliation
+ *
+ * Makes quality index forecasts consistent across the sensor → region →
+ * overall hierarchy. A parent forecast is replaced by the weighted average of
+ * its children's forecasts, day by day, so a region's outlook is what its
+ * sensors add up to and the overall outlook is what the regions add up to.
+ */
+
+import { calculateBreachProbabilities } from './breachProbability';
+
+/**
+ * Supported reconciliation methods
+ * - bottom_up: every child counts equally
+ * - sensor_weighted: children are weighted by the number of sensors behind them
+ */
+export const RECONCILIATION_METHODS = ['bottom_up', 'sensor_weighted'];
+
+/**
+ * Calculate normalized child weights for a reconciliation method
+ * @param {Array} childNames - Names of the children being combined
+ * @param {string} method - 'bottom_up' or 'sensor_weighted'
+ * @param {Object} sensorCounts - Map of child name to sensor count (sensor_weighted only)
+ * @returns {Object} - Map of child name to weight, summing to 1
+ */
+export const getReconciliationWeights = (childNames, method = 'bottom_up', sensorCounts = {}) => {
+  if (!RECONCILIATION_METHODS.includes(method)) {
+    throw new Error(`Unsupported reconciliation method: ${method}`);
+  }
+
+  const rawWeights = childNames.map(name =>
+    method === 'sensor_weighted' ? (sensorCounts[name] || 0) : 1
+  );
+  const totalWeight = rawWeights.reduce((sum, weight) => sum + weight, 0);
+
+  return childNames.reduce((weights, name, index) => {
+    weights[name] = totalWeight > 0 ? rawWeights[index] / totalWeight : 1 / childNames.length;
+    return weights;
+  }, {});
+};
+
+/**
+ * Round a quality index to display precision
+ * @param {number} value - Value to round
+ * @returns {number} - Value rounded to one decimal
+ */
+const roundQuality = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Key that aligns forecast points across children (the step's timestamp, so
+ * sub-daily steps on the same date stay apart)
+ * @param {Object} point - Forecast point
+ * @returns {string} - Alignment key
+ */
+const pointKey = (point) => point.timestamp || point.date;
+
+/**
+ * Weighted average of a field across the children that forecast a step
+ * @param {Array} entries - Array of {weight, point}
+ * @param {Function} pick - Reads the value from a child point
+ * @returns {number|null} - Weighted average, null when no child has the value
+ */
+const weightedAverage = (entries, pick) => {
+  const values = entries
+    .map(({ weight, point }) => ({ weight, value: pick(point) }))
+    .filter(({ value }) => Number.isFinite(value));
+  const totalWeight = values.reduce((sum, { weight }) => sum + weight, 0);
+
+  if (values.length === 0 || totalWeight === 0) return null;
+  return values.reduce((sum, { weight, value }) => sum + weight * value, 0) / totalWeight;
+};
+
+/**
+ * Reconcile a parent quality index forecast with its children
+ *
+ * Interval bounds and standard errors are averaged with the same weights,
+ * which treats the children's errors as fully correlated and keeps the
+ * reconciled intervals on the conservative side.
+ * @param {Object} parent - Parent forecast (see generateWaterQualityForecast), may be unsuccessful
+ * @param {Object} children - Map of child name to forecast; unsuccessful forecasts are skipped
+ * @param {Object} weights - Map of child name to weight (see getReconciliationWeights)
+ * @param {Object} options - Reconciliation options
+ * @param {string} options.method - Method recorded in the result
+ * @param {Object} options.breach - Breach options used to recompute breach probabilities
+ * @param {string} options.region - Region recorded in the metadata (defaults to the parent's)
+ * @returns {Object} - Reconciled forecast, the parent unchanged when no child succeeded
+ */
+export const reconcileForecast = (parent, children, weights, options = {}) => {
+  const { method = 'bottom_up', breach = {}, region = null } = options;
+  const successful = Object.entries(children)
+    .filter(([name, forecast]) => forecast && forecast.success && weights[name] > 0);
+
+  if (successful.length === 0) {
+    return parent;
+  }
+
+  const template = parent && parent.success ? parent : successful[0][1];
+  const pointsByChild = successful.map(([name, forecast]) => ({
+    weight: weights[name],
+    points: new Map(forecast.forecast_quality_index.map(point => [pointKey(point), point]))
+  }));
+
+  const reconciledPoints = template.forecast_quality_index.map(templatePoint => {
+    const entries = pointsByChild
+      .filter(({ points }) => points.has(pointKey(templatePoint)))
+      .map(({ weight, points }) => ({ weight, point: points.get(pointKey(templatePoint)) }));
+
+    if (entries.length === 0) {
+      return { ...templatePoint, reconciled: false };
+    }
+
+    const levels = (templatePoint.prediction_intervals || []).map(band => band.level);
+    const bandOf = (point, level) => (point.prediction_intervals || []).find(band => band.level === level);
+    const { breach_probabilities: baseBreachProbabilities, ...point } = templatePoint;
+
+    return {
+      ...point,
+      quality_index: roundQuality(weightedAverage(entries, child => child.quality_index)),
+      base_quality_index: parent && parent.success ? templatePoint.quality_index : null,
+      standard_error: weightedAverage(entries, child => child.standard_error),
+      ...(templatePoint.confidence_interval ? {
+        confidence_interval: {
+          ...templatePoint.confidence_interval,
+          lower: weightedAverage(entries, child => child.confidence_interval && child.confidence_interval.lower),
+          upper: weightedAverage(entries, child => child.confidence_interval && child.confidence_interval.upper)
+        }
+      } : {}),
+      ...(templatePoint.prediction_intervals ? {
+        prediction_intervals: levels.map(level => ({
+          level,
+          lower: weightedAverage(entries, child => bandOf(child, level) && bandOf(child, level).lower),
+          upper: weightedAverage(entries, child => bandOf(child, level) && bandOf(child, level).upper)
+        }))
+      } : {}),
+      reconciled: true
+    };
+  });
+
+  const currentQuality = weightedAverage(
+    successful.map(([name, forecast]) => ({ weight: weights[name], point: forecast.summary })),
+    summary => summary.current_quality_index
+  );
+  const averageForecast = reconciledPoints.reduce((sum, point) => sum + point.quality_index, 0) /
+    reconciledPoints.length;
+
+  const { forecasts: forecastWithBreaches, breaches } = calculateBreachProbabilities(reconciledPoints, {
+    ...breach,
+    valueKey: 'quality_index',
+    currentValue: currentQuality
+  });
+
+  return {
+    ...template,
+    success: true,
+    forecast_quality_index: forecastWithBreaches,
+    threshold_breaches: breaches,
+    summary: {
+      ...template.summary,
+      current_quality_index: roundQuality(currentQuality),
+      average_forecast: roundQuality(averageForecast),
+      expected_change: roundQuality(averageForecast - currentQuality)
+    },
+    metadata: {
+      ...template.metadata,
+      ...(region ? { region } : {})
+    },
+    reconciliation: {
+      method,
+      children: successful.map(([name]) => ({ name, weight: weights[name] })),
+      base_success: Boolean(parent && parent.success)
+    }
+  };
+};
+
+export default {
+  RECONCILIATION_METHODS,
+  getReconciliationWeights,
+  reconcileForecast
+};
@@ -2,331 +2,759 @@
  * Water Quality Forecasting Engine
  * 
  * Provides predictive analytics for water quality metrics using historical trends
- * and statistical analysis to forecast quality index for the next 7 days.
+ * and statistical analysis to forecast the quality index, temperature, pH and
+ * turbidity, by default for the next 7 days and optionally in hourly or
+ * 6-hourly steps.
+ * The forecasting model is picked from the model registry in forecastModels.js.
  */
 
+import {
+  calculateLinearRegression,
+  getForecastModel,
+  resolveForecastModelName
+} from './forecastModels';
+import { createSeededRandom, generateSeed } from './random';
+import { getIntervalMs, resampleReadings } from './timeSeriesResampler';
+import { standardDeviation } from './statistics';
+import { calculateBreachProbabilities } from './breachProbability';
+import { getReconciliationWeights, reconcileForecast } from './forecastReconciliation';
+import { detectChangepoints } from './changepointDetection';
+import { COVARIATE_FIELDS, createCovariateLookup } from './covariates';
+import { detectSeasonality, summarizeSeasonality } from './seasonality';
+import { imputeSensorReadings } from './imputation';
+import { parameterRegistry } from './parameterRegistry';
+import {
+  DEFAULT_BOOTSTRAP_SEED,
+  DEFAULT_INTERVAL_LEVELS,
+  buildPredictionIntervals,
+  collectForecastErrors
+} from './predictionIntervals';
+
+export {
+  DEFAULT_FORECAST_MODEL,
+  DEFAULT_ENSEMBLE_MODELS,
+  registerForecastModel,
+  unregisterForecastModel,
+  listForecastModels
+} from './forecastModels';
+
+// The quality index is derived rather than measured, so it is not in the parameter registry
+const QUALITY_INDEX_DEFINITION = {
+  key: 'region_avg_quality_index',
+  label: 'Quality Index',
+  unit: '',
+  precision: 1,
+  range: { min: 0, max: 100 }
+};
+
 /**
- * Calculate linear regression for trend analysis
- * @param {Array} data - Array of {x, y} points
- * @returns {Object} - {slope, intercept, r2}
+ * Slope (units per day) below which a trend counts as stable; parameters not
+ * listed use two units of their last displayed decimal
  */
-const calculateLinearRegression = (data) => {
-  const n = data.length;
-  if (n < 2) return { slope: 0, intercept: 0, r2: 0 };
-
-  const sumX = data.reduce((sum, point) => sum + point.x, 0);
-  const sumY = data.reduce((sum, point) => sum + point.y, 0);
-  const sumXY = data.reduce((sum, point) => sum + point.x * point.y, 0);
-  const sumXX = data.reduce((sum, point) => sum + point.x * point.x, 0);
-  const sumYY = data.reduce((sum, point) => sum + point.y * point.y, 0);
-
-  const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-  const intercept = (sumY - slope * sumX) / n;
-
-  // Calculate R-squared
-  const yMean = sumY / n;
-  const ssRes = data.reduce((sum, point) => {
-    const predicted = slope * point.x + intercept;
-    return sum + Math.pow(point.y - predicted, 2);
-  }, 0);
-  const ssTot = data.reduce((sum, point) => sum + Math.pow(point.y - yMean, 2), 0);
-  const r2 = ssTot === 0 ? 1 : 1 - (ssRes / ssTot);
-
-  return { slope, intercept, r2 };
+export const TREND_THRESHOLDS = {
+  region_avg_quality_index: 0.5,
+  temperature: 0.2,
+  pH: 0.02,
+  turbidity: 0.05
 };
 
 /**
- * Calculate moving average for smoothing
- * @param {Array} values - Array of numeric values
- * @param {number} window - Window size for moving average
- * @returns {Array} - Smoothed values
+ * Forecast configuration of a parameter: label, unit, bounds and display
+ * precision come from its definition in the shared parameter registry
+ * @param {string} parameter - Reading field name
+ * @returns {Object|null} - {label, unit, min, max, decimals, trendThreshold}, null when not forecastable
  */
-const calculateMovingAverage = (values, window = 3) => {
-  if (values.length < window) return values;
-  
-  const smoothed = [];
-  for (let i = 0; i < values.length; i++) {
-    const start = Math.max(0, i - Math.floor(window / 2));
-    const end = Math.min(values.length, start + window);
-    const slice = values.slice(start, end);
-    const avg = slice.reduce((sum, val) => sum + val, 0) / slice.length;
-    smoothed.push(avg);
+export const getForecastParameterConfig = (parameter) => {
+  const definition = parameter === QUALITY_INDEX_DEFINITION.key ?
+    QUALITY_INDEX_DEFINITION :
+    parameterRegistry.get(parameter);
+  if (!definition) return null;
+
+  return {
+    label: definition.label,
+    unit: definition.unit,
+    min: definition.range.min,
+    max: definition.range.max,
+    decimals: definition.precision,
+    trendThreshold: TREND_THRESHOLDS[parameter] ?? 2 * Math.pow(10, -definition.precision)
+  };
+};
+
+/**
+ * Forecast step sizes with their default horizon (steps), history window
+ * (steps) and season: day of week for daily steps, hour of day below that
+ */
+export const FORECAST_INTERVALS = {
+  hourly: {
+    horizon: 48,
+    windowSteps: 14 * 24,
+    seasonLength: 24,
+    seasonality: 'hour_of_day'
+  },
+  '6-hourly': {
+    horizon: 8,
+    windowSteps: 30 * 4,
+    seasonLength: 4,
+    seasonality: 'hour_of_day'
+  },
+  daily: {
+    horizon: 7,
+    windowSteps: 30,
+    seasonLength: 7,
+    seasonality: 'day_of_week'
   }
-  return smoothed;
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
- * Detect seasonal patterns in water quality data
- * @param {Array} historicalData - Historical water quality readings
- * @returns {Object} - Seasonal adjustment factors
+ * Parameters forecast by generateMultiParameterForecast when none are requested
  */
-const detectSeasonalPatterns = (historicalData) => {
-  const dayOfWeekPatterns = new Array(7).fill(0);
-  const dayOfWeekCounts = new Array(7).fill(0);
-  
-  historicalData.forEach(reading => {
-    const date = new Date(reading.timestamp);
-    const dayOfWeek = date.getDay();
-    dayOfWeekPatterns[dayOfWeek] += reading.region_avg_quality_index;
-    dayOfWeekCounts[dayOfWeek]++;
-  });
+export const DEFAULT_FORECAST_PARAMETERS = ['temperature', 'pH', 'turbidity'];
 
-  // Calculate average quality index for each day of week
-  const weeklyPattern = dayOfWeekPatterns.map((sum, index) => 
-    dayOfWeekCounts[index] > 0 ? sum / dayOfWeekCounts[index] : 0
-  );
+// Model used when covariates are supplied and no model is requested
+const COVARIATE_MODEL = 'regression_with_covariates';
 
-  const overallAverage = weeklyPattern.reduce((sum, val) => sum + val, 0) / 7;
-  const seasonalFactors = weeklyPattern.map(avg => 
-    overallAverage > 0 ? avg / overallAverage : 1
-  );
+// Quality index trends are reported as improving/declining rather than increasing/decreasing
+const QUALITY_TREND_LABELS = {
+  increasing: 'improving',
+  decreasing: 'declining',
+  stable: 'stable'
+};
 
-  return {
-    weeklyPattern,
-    seasonalFactors,
-    overallAverage
-  };
+/**
+ * Look up the forecast configuration for a parameter
+ * @param {string} parameter - Reading field name
+ * @returns {Object} - Parameter configuration
+ */
+const getParameterConfig = (parameter) => {
+  const config = getForecastParameterConfig(parameter);
+
+  if (!config) {
+    throw new Error(`Unsupported forecast parameter: ${parameter}`);
+  }
+
+  return config;
 };
 
 /**
- * Determine trend direction based on recent data
- * @param {Array} recentValues - Recent quality index values
- * @param {number} slope - Linear regression slope
- * @returns {string} - "improving", "stable", or "declining"
+ * Look up the configuration for a forecast step size
+ * @param {string} interval - 'hourly', '6-hourly' or 'daily'
+ * @returns {Object} - Interval configuration
  */
-const determineTrend = (recentValues, slope) => {
-  const threshold = 0.5; // Quality index points per day
-  
-  if (Math.abs(slope) < threshold) {
-    return "stable";
+const getIntervalConfig = (interval) => {
+  const config = FORECAST_INTERVALS[interval];
+
+  if (!config) {
+    throw new Error(`Unsupported forecast interval: ${interval}`);
   }
-  
-  return slope > 0 ? "improving" : "declining";
+
+  return config;
 };
 
 /**
- * Add confidence intervals to forecasts
- * @param {Array} historicalData - Historical data for error calculation
- * @param {Array} forecasts - Forecast values
- * @returns {Array} - Forecasts with confidence intervals
+ * Describe the time span covered by a forecast
+ * @param {number} horizon - Number of steps
+ * @param {number} intervalMs - Step length in milliseconds
+ * @returns {string} - E.g. "7 days" or "48 hours"
  */
-const addConfidenceIntervals = (historicalData, forecasts) => {
-  // Calculate historical prediction error (simplified approach)
-  const errors = [];
-  for (let i = 1; i < Math.min(historicalData.length, 30); i++) {
-    const actual = historicalData[i].region_avg_quality_index;
-    const predicted = historicalData[i - 1].region_avg_quality_index;
-    errors.push(Math.abs(actual - predicted));
+const formatForecastPeriod = (horizon, intervalMs) => {
+  if (intervalMs === DAY_MS) {
+    return `${horizon} ${horizon === 1 ? 'day' : 'days'}`;
   }
 
-  const avgError = errors.length > 0 ? 
-    errors.reduce((sum, err) => sum + err, 0) / errors.length : 5;
+  const hours = horizon * intervalMs / (60 * 60 * 1000);
+  return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+};
+
+/**
+ * Clamp a value to a parameter's bounds
+ * @param {number} value - Value to clamp
+ * @param {Object} config - Parameter configuration
+ * @returns {number} - Clamped value
+ */
+const clampToParameter = (value, config) => {
+  let clamped = value;
+  if (config.min !== null) clamped = Math.max(config.min, clamped);
+  if (config.max !== null) clamped = Math.min(config.max, clamped);
+  return clamped;
+};
+
+/**
+ * Round a value to a parameter's display precision
+ * @param {number} value - Value to round
+ * @param {Object} config - Parameter configuration
+ * @returns {number} - Rounded value
+ */
+const roundToParameter = (value, config) => {
+  const factor = Math.pow(10, config.decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Determine trend direction from the regression slope
+ * @param {number} slope - Linear regression slope in parameter units per day
+ * @param {number} threshold - Slope below which the trend is stable
+ * @returns {string} - "increasing", "stable", or "decreasing"
+ */
+const determineTrend = (slope, threshold) => {
+  if (Math.abs(slope) < threshold) {
+    return "stable";
+  }
   
-  const stdError = errors.length > 1 ? 
-    Math.sqrt(errors.reduce((sum, err) => sum + Math.pow(err - avgError, 2), 0) / (errors.length - 1)) : 3;
+  return slope > 0 ? "increasing" : "decreasing";
+};
 
-  return forecasts.map((forecast, index) => {
-    // Confidence decreases with forecast distance
-    const confidenceDecay = Math.exp(-index * 0.1);
-    const margin = stdError * 1.96 * (1 + index * 0.2) * confidenceDecay;
-    
-    return {
-      ...forecast,
-      confidence_interval: {
-        lower: Math.max(0, forecast.quality_index - margin),
-        upper: Math.min(100, forecast.quality_index + margin),
-        confidence_level: Math.max(0.5, 0.95 * confidenceDecay)
-      }
-    };
+/**
+ * Simulate Monte Carlo forecast paths around the point forecast
+ * 
+ * Each path adds a Gaussian random walk whose step size is the model's
+ * one-step forecast error.
+ * @param {Array} forecasts - Point forecasts
+ * @param {number} stepStd - Standard deviation of each random walk step
+ * @param {number} count - Number of paths to simulate
+ * @param {number} seed - Seed for the pseudo-random generator
+ * @param {Object} config - Parameter configuration used to bound and round the paths
+ * @returns {Object} - {seed, count, step_std, paths}
+ */
+const simulateForecastPaths = (forecasts, stepStd, count, seed, config) => {
+  const random = createSeededRandom(seed);
+
+  const paths = Array.from({ length: count }, () => {
+    let deviation = 0;
+    return forecasts.map(forecast => {
+      deviation += random.normal(0, stepStd);
+      return roundToParameter(clampToParameter(forecast.value + deviation, config), config);
+    });
   });
+
+  return {
+    seed: random.seed,
+    count,
+    step_std: stepStd,
+    paths
+  };
 };
 
 /**
- * Generate 7-day water quality forecast
- * @param {Array} historicalData - Historical water quality readings (sorted by timestamp desc)
+ * Generate a forecast for a single parameter
+ * 
+ * Readings are first resampled into a regular series at the forecast step
+ * (averaged per sensor, then across sensors) so the history window, the
+ * forecast horizon and the seasonality all refer to calendar time. Daily steps
+ * use 30 days of history and day-of-week seasonality; hourly and 6-hourly
+ * steps use hour-of-day seasonality. Trend slopes are reported per day
+ * whatever the step.
+ * @param {Array} historicalData - Historical water quality readings (any order)
+ * @param {string} parameter - Parameter to forecast (a registry parameter or the quality index)
  * @param {string} region - Specific region to forecast (optional)
+ * @param {Object} options - Forecast options
+ * @param {string} options.interval - Forecast step: 'hourly', '6-hourly' or 'daily' (default)
+ * @param {number} options.horizon - Number of steps to forecast (default 48 hourly, 8 6-hourly, 7 daily)
+ * @param {string} options.model - Registered model name (defaults to DEFAULT_FORECAST_MODEL)
+ * @param {Object} options.regionModels - Map of region name to model name, overrides options.model
+ * @param {Object} options.modelOptions - Options passed through to the model (e.g. smoothing factors)
+ * @param {number} options.simulations - Number of Monte Carlo paths to simulate (default 0)
+ * @param {number} options.seed - Seed for the simulation paths (generated and recorded when omitted)
+ * @param {Object} options.resampling - Resampling options: aggregation ('mean'|'median'),
+ *   gapStrategy ('linear'|'locf'|'omit') and maxGap (see resampleReadings)
+ * @param {boolean|Object} options.changepoints - Fit only the data after the most recent changepoint:
+ *   true for the defaults or detection options (see detectChangepoints)
+ * @param {Object} options.intervals - Prediction interval options: method ('residual'|'bootstrap'),
+ *   levels (default [0.8, 0.95]), samples and seed for the bootstrap (see buildPredictionIntervals)
+ * @param {Array} options.covariates - Driver records ({date, region, rainfall, ...}) covering the history
+ *   and the forecast days; selects the regression_with_covariates model unless a model is requested
+ * @param {string[]} options.drivers - Drivers to use from the covariate records (default all)
+ * @param {Object} options.seasonality - Seasonal cycle detection options: cycles, alpha and minStrength
+ *   (see detectSeasonality)
+ * @param {boolean|Object} options.imputation - Impute missing sensor values before resampling:
+ *   true for linear imputation or imputation options: strategy, maxGap and interval (see imputeSensorReadings)
  * @returns {Object} - Forecast results with trend analysis
  */
-export const generateWaterQualityForecast = (historicalData, region = null) => {
+export const generateParameterForecast = (historicalData, parameter, region = null, options = {}) => {
   try {
+    const config = getParameterConfig(parameter);
+    const model = getForecastModel(resolveForecastModelName(region, {
+      ...options,
+      model: options.model || (options.covariates ? COVARIATE_MODEL : undefined)
+    }));
+    const covariates = options.covariates ?
+      createCovariateLookup(options.covariates, { region, drivers: options.drivers }) :
+      null;
+    const resampling = {
+      aggregation: 'mean',
+      gapStrategy: 'linear',
+      maxGap: null,
+      ...options.resampling
+    };
+    const { interval = 'daily' } = options;
+    const intervalConfig = getIntervalConfig(interval);
+    const intervalMs = getIntervalMs(interval);
+    const horizon = options.horizon !== undefined && options.horizon !== null ?
+      options.horizon :
+      intervalConfig.horizon;
+
+    if (!Number.isInteger(horizon) || horizon < 1) {
+      throw new Error(`Forecast horizon must be a positive whole number of steps: ${horizon}`);
+    }
+
     // Filter data by region if specified
-    let data = region ? 
+    const regionData = region ? 
       historicalData.filter(reading => reading.region === region) : 
       historicalData;
 
-    // Sort by timestamp ascending for analysis
-    data = data.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    // Impute missing sensor values when asked; imputed readings stay flagged through resampling
+    const imputation = options.imputation ?
+      imputeSensorReadings(regionData, {
+        ...(options.imputation === true ? {} : options.imputation),
+        parameters: [parameter]
+      }) :
+      null;
+    const data = imputation ? imputation.readings : regionData;
+
+    // Resample into a regular series, leaving out steps that stay empty
+    const resampledSeries = resampleReadings(data, {
+      ...resampling,
+      parameter,
+      interval
+    }).filter(point => point.value !== null);
+
+    const minimumPoints = Math.max(7, model.minDataPoints);
+    if (resampledSeries.length < minimumPoints) {
+      throw new Error(
+        `Insufficient historical data for forecasting (minimum ${minimumPoints} ${interval} data points required)`
+      );
+    }
 
-    if (data.length < 7) {
-      throw new Error('Insufficient historical data for forecasting (minimum 7 data points required)');
+    // Use the most recent window of data for forecasting (30 days for daily steps)
+    const windowStart = new Date(resampledSeries[resampledSeries.length - 1].timestamp).getTime() -
+      (intervalConfig.windowSteps - 1) * intervalMs;
+    let recentSeries = resampledSeries.filter(point => new Date(point.timestamp).getTime() >= windowStart);
+
+    // Optionally drop everything before the most recent level or slope shift
+    let changepointInfo = null;
+    if (options.changepoints) {
+      const windowTime = new Date(recentSeries[0].timestamp).getTime();
+      const detection = detectChangepoints(recentSeries.map(point => point.value), {
+        ...(options.changepoints === true ? {} : options.changepoints),
+        positions: recentSeries.map(point => Math.round((new Date(point.timestamp).getTime() - windowTime) / intervalMs))
+      });
+      const detected = detection.changepoints.map(({ index, ...changepoint }) => ({
+        timestamp: recentSeries[index].timestamp,
+        date: recentSeries[index].timestamp.split('T')[0],
+        ...changepoint
+      }));
+      const lastIndex = detection.changepoints.length > 0 ?
+        detection.changepoints[detection.changepoints.length - 1].index : 0;
+
+      // Keep at least the minimum history, even if it reaches back across the shift
+      const startIndex = Math.max(0, Math.min(lastIndex, recentSeries.length - minimumPoints));
+      recentSeries = recentSeries.slice(startIndex);
+
+      changepointInfo = {
+        method: detection.method,
+        detected,
+        data_start: recentSeries[0].timestamp,
+        extended_before_shift: startIndex < lastIndex
+      };
     }
 
-    // Use last 30 days of data for forecasting
-    const recentData = data.slice(-30);
+    const firstTime = new Date(recentSeries[0].timestamp).getTime();
     
-    // Prepare data for regression analysis
-    const regressionData = recentData.map((reading, index) => ({
-      x: index,
-      y: reading.region_avg_quality_index
+    // Prepare series for the model and regression analysis, x is measured in steps
+    const series = recentSeries.map(point => ({
+      x: Math.round((new Date(point.timestamp).getTime() - firstTime) / intervalMs),
+      y: point.value,
+      timestamp: point.timestamp
     }));
+    const recentValues = series.map(point => point.y);
 
     // Calculate trend using linear regression
-    const regression = calculateLinearRegression(regressionData);
-    
-    // Detect seasonal patterns
-    const seasonalAnalysis = detectSeasonalPatterns(recentData);
+    const regression = calculateLinearRegression(series);
     
-    // Generate base forecast using trend
-    const baseDate = new Date(recentData[recentData.length - 1].timestamp);
-    const forecasts = [];
+    // Forecast dates follow the most recent step
+    const baseTime = new Date(series[series.length - 1].timestamp).getTime();
+    const forecastDates = [];
     
-    for (let day = 1; day <= 7; day++) {
-      const forecastDate = new Date(baseDate);
-      forecastDate.setDate(forecastDate.getDate() + day);
-      
-      // Base prediction from linear trend
-      const basePrediction = regression.slope * (recentData.length - 1 + day) + regression.intercept;
-      
-      // Apply seasonal adjustment
-      const dayOfWeek = forecastDate.getDay();
-      const seasonalFactor = seasonalAnalysis.seasonalFactors[dayOfWeek] || 1;
-      
-      // Apply moving average smoothing to recent values for stability
-      const recentValues = recentData.slice(-7).map(r => r.region_avg_quality_index);
-      const smoothedRecent = calculateMovingAverage(recentValues, 3);
-      const recentAvg = smoothedRecent[smoothedRecent.length - 1];
-      
-      // Combine trend and seasonal factors with recent average
-      let qualityIndex = (basePrediction * 0.6) + (recentAvg * seasonalFactor * 0.4);
-      
-      // Add some realistic noise and bounds
-      const noise = (Math.random() - 0.5) * 2; // ±1 point random variation
-      qualityIndex = Math.max(0, Math.min(100, qualityIndex + noise));
-      
-      forecasts.push({
+    for (let step = 1; step <= horizon; step++) {
+      forecastDates.push(new Date(baseTime + step * intervalMs));
+    }
+
+    const modelContext = {
+      interval,
+      seasonLength: intervalConfig.seasonLength,
+      seasonality: options.seasonality || {},
+      covariates
+    };
+    const modelResult = model.forecast(series, {
+      ...modelContext,
+      horizon: forecastDates.length,
+      forecastDates,
+      options: options.modelOptions || {}
+    });
+
+    const forecasts = modelResult.forecasts.map((point, index) => {
+      const forecastDate = forecastDates[index];
+
+      return {
         date: forecastDate.toISOString().split('T')[0],
         timestamp: forecastDate.toISOString(),
-        quality_index: Math.round(qualityIndex * 10) / 10, // Round to 1 decimal
-        day_offset: day,
-        seasonal_factor: seasonalFactor,
-        trend_component: basePrediction,
-        base_component: recentAvg
-      });
-    }
+        value: roundToParameter(clampToParameter(point.value, config), config),
+        step: index + 1,
+        day_offset: Math.ceil((index + 1) * intervalMs / DAY_MS),
+        seasonal_factor: point.seasonal_factor,
+        trend_component: point.trend_component,
+        base_component: point.base_component,
+        ...(point.contributions ? { contributions: point.contributions } : {}),
+        ...(point.driver_effects ? { driver_effects: point.driver_effects } : {})
+      };
+    });
+
+    // Prediction intervals come from the model's own errors when replayed over the window
+    const intervalOptions = {
+      method: 'residual',
+      levels: DEFAULT_INTERVAL_LEVELS,
+      ...options.intervals
+    };
+    const forecastErrors = collectForecastErrors(model, series, {
+      horizon: forecasts.length,
+      intervalMs,
+      modelOptions: options.modelOptions || {},
+      minTrainingSize: Math.max(2, Math.floor(series.length / 2)),
+      context: modelContext
+    });
+    const changes = recentValues.slice(1).map((value, index) => value - recentValues[index]);
+    const { forecasts: forecastsWithConfidence, details: intervalDetails } = buildPredictionIntervals(
+      forecasts,
+      forecastErrors,
+      {
+        ...intervalOptions,
+        seed: intervalOptions.seed ?? options.seed ?? DEFAULT_BOOTSTRAP_SEED,
+        fallbackStd: standardDeviation(changes),
+        bounds: { min: config.min, max: config.max }
+      }
+    );
+    
+    // Seasonal cycles found in the fitted window, reported whichever model is used
+    const seasonality = detectSeasonality(series, { ...modelContext.seasonality, interval });
 
-    // Add confidence intervals
-    const forecastsWithConfidence = addConfidenceIntervals(recentData, forecasts);
+    // Determine overall trend from the slope per day
+    const slopePerDay = regression.slope * DAY_MS / intervalMs;
+    const trend = determineTrend(slopePerDay, config.trendThreshold);
     
-    // Determine overall trend
-    const recentQualityValues = recentData.slice(-7).map(r => r.region_avg_quality_index);
-    const trend = determineTrend(recentQualityValues, regression.slope);
+    // Point forecasts are deterministic; randomness only enters through seeded simulation paths
+    const simulationCount = options.simulations || 0;
+    const seed = options.seed !== undefined && options.seed !== null ?
+      options.seed >>> 0 :
+      (simulationCount > 0 ? generateSeed() : null);
+    const simulations = simulationCount > 0 ?
+      simulateForecastPaths(forecastsWithConfidence, intervalDetails.one_step_std, simulationCount, seed, config) :
+      null;
     
     // Calculate forecast summary statistics
-    const forecastValues = forecastsWithConfidence.map(f => f.quality_index);
+    const forecastValues = forecastsWithConfidence.map(f => f.value);
     const avgForecast = forecastValues.reduce((sum, val) => sum + val, 0) / forecastValues.length;
-    const currentQuality = recentData[recentData.length - 1].region_avg_quality_index;
-    const expectedChange = avgForecast - currentQuality;
+    const currentValue = recentValues[recentValues.length - 1];
+    const expectedChange = avgForecast - currentValue;
+
+    // Each driver's estimated effect, in parameter units per driver unit and over the forecast
+    const modelParameters = modelResult.parameters || {};
+    const drivers = covariates ?
+      (modelParameters.drivers || []).map(driver => ({
+        ...driver,
+        label: COVARIATE_FIELDS[driver.name] ? COVARIATE_FIELDS[driver.name].label : driver.name,
+        unit: COVARIATE_FIELDS[driver.name] ? COVARIATE_FIELDS[driver.name].unit : '',
+        effect: roundToParameter(driver.effect, config)
+      })) :
+      null;
 
     return {
       success: true,
-      forecast_quality_index: forecastsWithConfidence,
+      parameter,
+      forecast: forecastsWithConfidence,
       trend,
       summary: {
-        current_quality_index: currentQuality,
-        average_forecast: Math.round(avgForecast * 10) / 10,
-        expected_change: Math.round(expectedChange * 10) / 10,
-        trend_strength: Math.abs(regression.slope),
+        current_value: roundToParameter(currentValue, config),
+        average_forecast: roundToParameter(avgForecast, config),
+        expected_change: roundToParameter(expectedChange, config),
+        trend_strength: Math.abs(slopePerDay),
         confidence: Math.min(1, Math.max(0, regression.r2)),
-        data_points_used: recentData.length,
-        forecast_period: '7 days'
+        data_points_used: series.length,
+        readings_used: recentSeries.reduce((sum, point) => sum + point.count, 0),
+        imputed_readings: recentSeries.reduce((sum, point) => sum + point.imputed_count, 0),
+        filled_gaps: recentSeries.filter(point => point.filled).length,
+        forecast_period: formatForecastPeriod(horizon, intervalMs)
       },
       metadata: {
         region: region || 'all_regions',
+        parameter,
+        label: config.label,
+        unit: config.unit,
         generated_at: new Date().toISOString(),
-        model_version: '1.0.0',
-        algorithm: 'linear_regression_with_seasonal_adjustment'
-      }
+        model_version: model.version,
+        algorithm: model.name,
+        model_parameters: modelParameters,
+        horizon,
+        seasonality: {
+          type: intervalConfig.seasonality,
+          season_length: intervalConfig.seasonLength,
+          cycles: summarizeSeasonality(seasonality),
+          applied: seasonality.applied
+        },
+        seed,
+        changepoints: changepointInfo,
+        covariates: covariates ? {
+          drivers: covariates.drivers,
+          excluded_drivers: modelParameters.excluded_drivers || [],
+          fitted_points: modelParameters.fitted_points !== undefined ? modelParameters.fitted_points : null
+        } : null,
+        intervals: {
+          method: intervalDetails.method,
+          levels: intervalDetails.levels,
+          residual_count: intervalDetails.residual_count,
+          seed: intervalDetails.seed
+        },
+        resampling: {
+          interval,
+          aggregation: resampling.aggregation,
+          gap_strategy: resampling.gapStrategy,
+          max_gap: resampling.maxGap
+        },
+        imputation: imputation ? {
+          strategy: imputation.summary.strategy,
+          max_gap: imputation.summary.max_gap,
+          imputed_values: imputation.summary.imputed_values,
+          added_readings: imputation.summary.imputed_readings,
+          ...imputation.summary.by_parameter[parameter]
+        } : null
+      },
+      ...(drivers ? { drivers } : {}),
+      ...(simulations ? { simulations } : {})
     };
 
   } catch (error) {
     return {
       success: false,
+      parameter,
       error: error.message,
+      forecast: [],
+      trend: "unknown"
+    };
+  }
+};
+
+/**
+ * Generate a water quality forecast (7 days by default)
+ *
+ * Each forecast day also carries the probability of the quality index falling
+ * into each lower quality band, and threshold_breaches flags the first day
+ * each drop becomes likely.
+ * @param {Array} historicalData - Historical water quality readings (any order)
+ * @param {string} region - Specific region to forecast (optional)
+ * @param {Object} options - Forecast options (see generateParameterForecast)
+ * @param {Object} options.breach - Breach options: thresholds and likelyProbability
+ *   (see calculateBreachProbabilities)
+ * @param {ForecastArchive} options.archive - Archive to record the forecast in for later scoring
+ *   (see forecastArchive.js)
+ * @returns {Object} - Forecast results with trend analysis
+ */
+export const generateWaterQualityForecast = (historicalData, region = null, options = {}) => {
+  const result = generateParameterForecast(historicalData, 'region_avg_quality_index', region, options);
+
+  if (!result.success) {
+    return {
+      success: false,
+      error: result.error,
       forecast_quality_index: [],
       trend: "unknown"
     };
   }
+
+  const { forecast, summary, metadata, parameter, ...rest } = result;
+  const { current_value: currentQuality, ...summaryRest } = summary;
+  const { parameter: metadataParameter, label, unit, ...metadataRest } = metadata;
+
+  const { forecasts: forecastWithBreaches, breaches } = calculateBreachProbabilities(
+    forecast.map(({ value, ...point }) => ({
+      ...point,
+      quality_index: value
+    })),
+    {
+      ...options.breach,
+      valueKey: 'quality_index',
+      currentValue: currentQuality
+    }
+  );
+
+  const qualityForecast = {
+    ...rest,
+    forecast_quality_index: forecastWithBreaches,
+    threshold_breaches: breaches,
+    trend: QUALITY_TREND_LABELS[result.trend],
+    summary: {
+      current_quality_index: currentQuality,
+      ...summaryRest
+    },
+    metadata: metadataRest
+  };
+
+  if (options.archive) {
+    options.archive.record(qualityForecast);
+  }
+
+  return qualityForecast;
 };
 
 /**
- * Generate regional forecast comparison
- * @param {Array} historicalData - Historical water quality readings
- * @returns {Object} - Forecasts for all regions
+ * Generate forecasts for several parameters
+ * @param {Array} historicalData - Historical water quality readings (any order)
+ * @param {string} region - Specific region to forecast (optional)
+ * @param {Object} options - Forecast options (see generateParameterForecast)
+ * @param {Array} options.parameters - Parameters to forecast (default temperature, pH and turbidity)
+ * @returns {Object} - One forecast result per parameter
  */
-export const generateRegionalForecasts = (historicalData) => {
-  const regions = [...new Set(historicalData.map(reading => reading.region))];
-  const regionalForecasts = {};
+export const generateMultiParameterForecast = (historicalData, region = null, options = {}) => {
+  const { parameters = DEFAULT_FORECAST_PARAMETERS, ...forecastOptions } = options;
+  const forecasts = {};
 
-  regions.forEach(region => {
-    regionalForecasts[region] = generateWaterQualityForecast(historicalData, region);
+  parameters.forEach(parameter => {
+    forecasts[parameter] = generateParameterForecast(historicalData, parameter, region, forecastOptions);
   });
 
-  // Generate overall forecast
-  regionalForecasts.overall = generateWaterQualityForecast(historicalData);
-
   return {
-    success: true,
-    regional_forecasts: regionalForecasts,
-    regions: regions,
+    success: parameters.some(parameter => forecasts[parameter].success),
+    forecasts,
+    parameters,
+    region: region || 'all_regions',
     generated_at: new Date().toISOString()
   };
 };
 
 /**
- * Cache management for forecasts
+ * Translate the ensemble shorthand into ensemble model options
+ * @param {boolean|Array|Object} ensemble - true, a list of model names or ensemble model options
+ * @returns {Object} - Options for the ensemble model
  */
-export class ForecastCache {
-  constructor(ttlMinutes = 60) {
-    this.cache = new Map();
-    this.ttl = ttlMinutes * 60 * 1000; // Convert to milliseconds
-  }
+const getEnsembleModelOptions = (ensemble) => {
+  if (ensemble === true) return {};
+  if (Array.isArray(ensemble)) return { models: ensemble };
+  return ensemble;
+};
 
-  generateKey(region, params = {}) {
-    const keyData = { region, ...params };
-    return JSON.stringify(keyData);
-  }
+/**
+ * Count the distinct sensors reporting in each region
+ * @param {Array} historicalData - Historical water quality readings
+ * @returns {Object} - Map of region name to sensor count
+ */
+const countSensorsByRegion = (historicalData) => {
+  const sensorsByRegion = {};
 
-  get(region, params = {}) {
-    const key = this.generateKey(region, params);
-    const cached = this.cache.get(key);
-    
-    if (!cached) return null;
-    
-    // Check if cache has expired
-    if (Date.now() - cached.timestamp > this.ttl) {
-      this.cache.delete(key);
-      return null;
-    }
-    
-    return cached.data;
+  historicalData.forEach(reading => {
+    sensorsByRegion[reading.region] = sensorsByRegion[reading.region] || new Set();
+    sensorsByRegion[reading.region].add(reading.sensor_id || 'unknown');
+  });
+
+  return Object.fromEntries(
+    Object.entries(sensorsByRegion).map(([region, sensors]) => [region, sensors.size])
+  );
+};
+
+/**
+ * Generate regional forecast comparison
+ * 
+ * Each region and the overall series are forecast independently. With
+ * reconciliation, the overall forecast is replaced by the weighted average of
+ * the regional forecasts. With the sensor hierarchy, every sensor is forecast
+ * as well and each region is first reconciled with its sensors.
+ * @param {Array} historicalData - Historical water quality readings
+ * @param {Object} options - Forecast options passed to each forecast (see generateWaterQualityForecast)
+ * @param {boolean|Array|Object} options.ensemble - Combine several models into a weighted ensemble:
+ *   true for the default models, a list of model names, or {models, weighting, backtestWindow, modelOptions}
+ * @param {string} options.reconciliation - 'bottom_up' or 'sensor_weighted' (default none)
+ * @param {string} options.hierarchy - 'region' (default) or 'sensor' to also forecast each sensor
+ * @returns {Object} - Forecasts for all regions
+ */
+export const generateRegionalForecasts = (historicalData, options = {}) => {
+  const regions = [...new Set(historicalData.map(reading => reading.region))];
+  const regionalForecasts = {};
+  const sensorForecasts = {};
+  const { ensemble, reconciliation = null, hierarchy = 'region', ...forecastOptions } = options;
+
+  if (hierarchy !== 'region' && hierarchy !== 'sensor') {
+    return {
+      success: false,
+      error: `Unsupported forecast hierarchy: ${hierarchy}`
+    };
   }
 
-  set(region, data, params = {}) {
-    const key = this.generateKey(region, params);
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now()
-    });
+  if (ensemble) {
+    forecastOptions.model = 'ensemble';
+    forecastOptions.modelOptions = getEnsembleModelOptions(ensemble);
   }
 
-  clear() {
-    this.cache.clear();
+  let sensorCounts;
+  let regionWeights;
+  try {
+    sensorCounts = countSensorsByRegion(historicalData);
+    regionWeights = reconciliation ? getReconciliationWeights(regions, reconciliation, sensorCounts) : null;
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
   }
 
-  size() {
-    return this.cache.size;
+  const reconcileOptions = { method: reconciliation, breach: forecastOptions.breach };
+
+  regions.forEach(region => {
+    regionalForecasts[region] = generateWaterQualityForecast(historicalData, region, forecastOptions);
+
+    if (hierarchy === 'sensor') {
+      const regionData = historicalData.filter(reading => reading.region === region);
+      const sensorIds = [...new Set(regionData.map(reading => reading.sensor_id || 'unknown'))];
+
+      sensorForecasts[region] = {};
+      sensorIds.forEach(sensorId => {
+        const sensorData = regionData.filter(reading => (reading.sensor_id || 'unknown') === sensorId);
+        // Only region-level forecasts are archived; a sensor forecast would share its region's key
+        const forecast = generateWaterQualityForecast(sensorData, region, { ...forecastOptions, archive: null });
+        sensorForecasts[region][sensorId] = forecast.success ?
+          { ...forecast, metadata: { ...forecast.metadata, sensor_id: sensorId } } :
+          forecast;
+      });
+
+      // Every sensor counts equally within its region, matching how readings are resampled
+      if (reconciliation) {
+        regionalForecasts[region] = reconcileForecast(
+          regionalForecasts[region],
+          sensorForecasts[region],
+          getReconciliationWeights(sensorIds, 'bottom_up'),
+          { ...reconcileOptions, region }
+        );
+      }
+    }
+  });
+
+  // Generate overall forecast
+  regionalForecasts.overall = generateWaterQualityForecast(historicalData, null, forecastOptions);
+
+  if (reconciliation) {
+    const { overall, ...byRegion } = regionalForecasts;
+    regionalForecasts.overall = reconcileForecast(overall, byRegion, regionWeights, {
+      ...reconcileOptions,
+      region: 'all_regions'
+    });
   }
-}
 
-// Global cache instance
-export const forecastCache = new ForecastCache(60); // 1 hour TTL
+  return {
+    success: true,
+    regional_forecasts: regionalForecasts,
+    ...(hierarchy === 'sensor' ? { sensor_forecasts: sensorForecasts } : {}),
+    regions: regions,
+    reconciliation: reconciliation ? { method: reconciliation, hierarchy, sensor_counts: sensorCounts } : null,
+    generated_at: new Date().toISOString()
+  };
+};
+
+// Forecast cache, still importable from the engine
+export { ForecastCache, forecastCache } from './forecastCache';
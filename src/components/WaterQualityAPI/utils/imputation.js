@@ -0,0 +1,320 @@
+/**
+ * Missing-data Imputation
+ *
+ * Fills the values sensors failed to report, per sensor and per parameter.
+ * Two kinds of holes are filled: readings that arrived with a parameter
+ * missing, and readings that never arrived at all, detected from the gaps in
+ * the sensor's reporting cadence. Imputed values are flagged, so measured and
+ * imputed values can always be told apart:
+ *
+ * - every reading with imputed values lists them in imputed_fields
+ * - readings that were added for a missed report carry imputed: true
+ */
+
+import { getIntervalMs } from './timeSeriesResampler';
+import { SEASONAL_CYCLES } from './seasonality';
+import { resolveParameters } from './parameterRegistry';
+
+/**
+ * Supported imputation strategies
+ *
+ * - linear: interpolate in time between the values either side of the gap
+ * - seasonal: interpolate the deseasonalized values, then add back the
+ *   hour-of-day (sub-daily cadence) or day-of-week (daily cadence) pattern
+ * - locf: carry the last observation forward
+ */
+export const IMPUTATION_STRATEGIES = ['linear', 'seasonal', 'locf'];
+
+/**
+ * Reading fields imputed for a set of parameters: each measured parameter and the quality index
+ * @param {Array} parameters - Parameter definitions (default: the parameter registry)
+ * @returns {string[]} - Reading fields
+ */
+export const getImputableFields = (parameters) => [
+  ...resolveParameters(parameters).map(parameter => parameter.key),
+  'region_avg_quality_index'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a reading value is missing
+ * @param {*} value - Reading value
+ * @returns {boolean} - True for null, undefined and NaN
+ */
+const isMissing = (value) => value === null || value === undefined || Number.isNaN(value);
+
+/**
+ * Estimate a sensor's reporting cadence as the median spacing of its readings
+ * @param {number[]} times - Ascending epoch milliseconds
+ * @returns {number|null} - Cadence in milliseconds, null with fewer than two distinct times
+ */
+export const inferReadingInterval = (times) => {
+  const spacings = times
+    .slice(1)
+    .map((time, index) => time - times[index])
+    .filter(spacing => spacing > 0)
+    .sort((a, b) => a - b);
+
+  if (spacings.length === 0) return null;
+
+  const middle = Math.floor(spacings.length / 2);
+  return spacings.length % 2 === 0 ? (spacings[middle - 1] + spacings[middle]) / 2 : spacings[middle];
+};
+
+/**
+ * Seasonal effect per cycle position, relative to the mean of the observed values
+ * @param {Array} slots - Sensor slots with time and values
+ * @param {string} parameter - Parameter
+ * @param {Function} getPosition - Date => cycle position
+ * @returns {Function} - time => seasonal effect (0 for positions never observed)
+ */
+const buildSeasonalProfile = (slots, parameter, getPosition) => {
+  const sums = new Map();
+  const counts = new Map();
+  let total = 0;
+  let count = 0;
+
+  slots.forEach(slot => {
+    const value = slot.values[parameter];
+    if (isMissing(value)) return;
+
+    const position = getPosition(new Date(slot.time));
+    sums.set(position, (sums.get(position) || 0) + value);
+    counts.set(position, (counts.get(position) || 0) + 1);
+    total += value;
+    count++;
+  });
+
+  const overall = count > 0 ? total / count : 0;
+  return time => {
+    const position = getPosition(new Date(time));
+    return counts.has(position) ? sums.get(position) / counts.get(position) - overall : 0;
+  };
+};
+
+/**
+ * Fill one parameter's runs of missing values along a sensor's slots
+ * @param {Array} slots - Ascending sensor slots ({time, values, imputed_fields})
+ * @param {string} parameter - Parameter to fill
+ * @param {string} strategy - Imputation strategy
+ * @param {number|null} maxGap - Longest run of missing values to fill (null for no limit)
+ * @param {number} stepMs - Sensor cadence in milliseconds
+ */
+const fillParameter = (slots, parameter, strategy, maxGap, stepMs) => {
+  const seasonalEffect = strategy === 'seasonal' ?
+    buildSeasonalProfile(
+      slots,
+      parameter,
+      (stepMs < DAY_MS ? SEASONAL_CYCLES.diurnal : SEASONAL_CYCLES.weekly).getPosition
+    ) :
+    () => 0;
+  let index = 0;
+
+  while (index < slots.length) {
+    if (!isMissing(slots[index].values[parameter])) {
+      index++;
+      continue;
+    }
+
+    const gapStart = index;
+    while (index < slots.length && isMissing(slots[index].values[parameter])) index++;
+    const gapLength = index - gapStart;
+
+    if (maxGap !== null && gapLength > maxGap) continue;
+
+    const before = gapStart > 0 ? slots[gapStart - 1] : null;
+    const after = index < slots.length ? slots[index] : null;
+    // Linear needs both sides; LOCF only the earlier one; seasonal carries whichever side it has
+    if (strategy === 'linear' && (!before || !after)) continue;
+    if (strategy === 'locf' && !before) continue;
+    if (!before && !after) continue;
+
+    const level = slot => slot.values[parameter] - seasonalEffect(slot.time);
+
+    for (let offset = gapStart; offset < index; offset++) {
+      const slot = slots[offset];
+      let value;
+
+      if (strategy === 'locf') {
+        value = before.values[parameter];
+      } else if (before && after) {
+        const share = (slot.time - before.time) / (after.time - before.time);
+        value = level(before) + (level(after) - level(before)) * share + seasonalEffect(slot.time);
+      } else {
+        value = level(before || after) + seasonalEffect(slot.time);
+      }
+
+      slot.values[parameter] = value;
+      slot.imputed_fields.push(parameter);
+    }
+  }
+};
+
+/**
+ * Count measured, imputed and missing values per parameter
+ * @param {Array} readings - Readings, possibly imputed
+ * @param {string[]} parameters - Fields to count (default: the registry parameters and quality index)
+ * @returns {Object} - {total_readings, measured_readings, imputed_readings, by_parameter}
+ */
+export const summarizeCompleteness = (readings, parameters = getImputableFields()) => {
+  const imputedReadings = readings.filter(reading => reading.imputed === true).length;
+
+  return {
+    total_readings: readings.length,
+    measured_readings: readings.length - imputedReadings,
+    imputed_readings: imputedReadings,
+    by_parameter: parameters.reduce((byParameter, parameter) => {
+      const counts = { measured: 0, imputed: 0, missing: 0 };
+
+      readings.forEach(reading => {
+        if (isMissing(reading[parameter])) {
+          counts.missing++;
+        } else if (reading.imputed_fields && reading.imputed_fields.includes(parameter)) {
+          counts.imputed++;
+        } else {
+          counts.measured++;
+        }
+      });
+
+      byParameter[parameter] = {
+        ...counts,
+        completeness_percentage: readings.length > 0 ?
+          parseFloat((counts.measured / readings.length * 100).toFixed(1)) :
+          100
+      };
+      return byParameter;
+    }, {})
+  };
+};
+
+/**
+ * Impute missing sensor values
+ *
+ * Each sensor is handled on its own. Missed reports are detected where the
+ * spacing between two readings is at least one and a half times the sensor's
+ * cadence, and added as readings at the cadence. Readings are never changed
+ * in place, and readings with nothing imputed are returned as they were.
+ * @param {Array} readings - Water quality readings (any order)
+ * @param {Object} options - Imputation options
+ * @param {string} options.strategy - 'linear' (default), 'seasonal' or 'locf'
+ * @param {string[]} options.parameters - Fields to impute (default: the registry parameters and quality index,
+ *   see getImputableFields)
+ * @param {number} options.maxGap - Longest run of consecutive missing values to fill, in readings (default no limit)
+ * @param {string|number} options.interval - Reporting cadence: 'hourly', '6-hourly', 'daily' or milliseconds
+ *   (default inferred per sensor)
+ * @param {boolean} options.fillMissingReadings - Add readings for missed reports (default true)
+ * @returns {Object} - {readings, summary: {strategy, max_gap, imputed_values, ...summarizeCompleteness}}
+ */
+export const imputeSensorReadings = (readings, options = {}) => {
+  const {
+    strategy = 'linear',
+    parameters = getImputableFields(),
+    maxGap = null,
+    interval = null,
+    fillMissingReadings = true
+  } = options;
+
+  if (!IMPUTATION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unsupported imputation strategy: ${strategy}`);
+  }
+  if (maxGap !== null && !(Number.isInteger(maxGap) && maxGap >= 0)) {
+    throw new Error(`Imputation max gap must be a whole number of readings: ${maxGap}`);
+  }
+
+  const fixedStepMs = typeof interval === 'string' ? getIntervalMs(interval) : interval;
+  const bySensor = new Map();
+
+  (readings || []).forEach((reading, index) => {
+    const time = new Date(reading.timestamp).getTime();
+    if (Number.isNaN(time)) return;
+
+    const sensorId = reading.sensor_id || 'unknown';
+    if (!bySensor.has(sensorId)) bySensor.set(sensorId, []);
+    bySensor.get(sensorId).push({ index, time, reading });
+  });
+
+  const replaced = new Map();
+  const added = [];
+  let imputedValues = 0;
+
+  bySensor.forEach(entries => {
+    entries.sort((a, b) => a.time - b.time);
+    const stepMs = fixedStepMs || inferReadingInterval(entries.map(entry => entry.time));
+
+    // One slot per reading, plus one per missed report when the cadence is known
+    const slots = [];
+    entries.forEach((entry, position) => {
+      const previous = entries[position - 1];
+      if (fillMissingReadings && stepMs && previous) {
+        const missed = Math.round((entry.time - previous.time) / stepMs) - 1;
+        for (let step = 1; step <= missed; step++) {
+          slots.push({ time: previous.time + step * stepMs, entry: null, values: {}, imputed_fields: [] });
+        }
+      }
+
+      slots.push({
+        time: entry.time,
+        entry,
+        values: parameters.reduce((values, parameter) => {
+          values[parameter] = entry.reading[parameter];
+          return values;
+        }, {}),
+        imputed_fields: []
+      });
+    });
+
+    parameters.forEach(parameter => fillParameter(slots, parameter, strategy, maxGap, stepMs || DAY_MS));
+
+    slots
+      .filter(slot => slot.imputed_fields.length > 0)
+      .forEach(slot => {
+        const imputed = slot.imputed_fields.reduce((values, parameter) => {
+          values[parameter] = slot.values[parameter];
+          return values;
+        }, {});
+        imputedValues += slot.imputed_fields.length;
+
+        if (slot.entry) {
+          replaced.set(slot.entry.index, {
+            ...slot.entry.reading,
+            ...imputed,
+            imputed_fields: [...(slot.entry.reading.imputed_fields || []), ...slot.imputed_fields]
+          });
+        } else {
+          const template = entries[0].reading;
+          added.push({
+            timestamp: new Date(slot.time).toISOString(),
+            region: template.region,
+            sensor_id: template.sensor_id,
+            ...imputed,
+            imputed: true,
+            imputed_fields: slot.imputed_fields
+          });
+        }
+      });
+  });
+
+  const imputedReadings = [
+    ...(readings || []).map((reading, index) => replaced.get(index) || reading),
+    ...added
+  ];
+
+  return {
+    readings: imputedReadings,
+    summary: {
+      strategy,
+      max_gap: maxGap,
+      imputed_values: imputedValues,
+      ...summarizeCompleteness(imputedReadings, parameters)
+    }
+  };
+};
+
+export default {
+  IMPUTATION_STRATEGIES,
+  getImputableFields,
+  inferReadingInterval,
+  summarizeCompleteness,
+  imputeSensorReadings
+};
@@ -0,0 +1,415 @@
+/**
+ * Incremental Aggregator
+ *
+ * Keeps the statistics of aggregateSensorData, aggregateByRegion and
+ * aggregateBySensor up to date as readings are appended, in time
+ * proportional to the new readings rather than all of them. Means and
+ * standard deviations use Welford's online algorithm and are exact; medians
+ * come from P² quantile sketches (Jain & Chlamtac, 1985), which are exact up
+ * to five values and a close estimate after that, in constant memory.
+ */
+
+import { quantile } from './statistics';
+import {
+  aggregateSensorData,
+  formatQualityDistribution,
+  rateQualityIndex
+} from './dataAggregator';
+import { resolveParameters } from './parameterRegistry';
+import { ReadingLedger } from './readingLedger';
+import { DEFAULT_QUALITY_BANDS, getQualityIndex, resolveIndexConfig } from './waterQualityIndex';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Streaming estimate of one quantile with the P² algorithm
+ */
+export class P2Quantile {
+  /**
+   * @param {number} probability - Quantile probability in [0, 1] (default: the median)
+   */
+  constructor(probability = 0.5) {
+    this.probability = probability;
+    this.count = 0;
+    // The first five values are kept as they are, then become the markers
+    this.initial = [];
+    this.heights = null;
+    this.positions = null;
+    this.desired = null;
+    this.increments = [0, probability / 2, probability, (1 + probability) / 2, 1];
+  }
+
+  /**
+   * Add a value to the sketch
+   * @param {number} value - Observed value
+   */
+  push(value) {
+    this.count++;
+
+    if (!this.heights) {
+      this.initial.push(value);
+      if (this.initial.length === 5) {
+        const p = this.probability;
+        this.heights = [...this.initial].sort((a, b) => a - b);
+        this.positions = [0, 1, 2, 3, 4];
+        this.desired = [0, 2 * p, 4 * p, 2 + 2 * p, 4];
+        this.initial = [];
+      }
+      return;
+    }
+
+    const q = this.heights;
+    const n = this.positions;
+
+    // Find the cell the value falls in, stretching the extremes if needed
+    let cell;
+    if (value < q[0]) {
+      q[0] = value;
+      cell = 0;
+    } else if (value >= q[4]) {
+      q[4] = value;
+      cell = 3;
+    } else {
+      cell = 0;
+      while (value >= q[cell + 1]) cell++;
+    }
+
+    for (let i = cell + 1; i < 5; i++) n[i]++;
+    for (let i = 0; i < 5; i++) this.desired[i] += this.increments[i];
+
+    // Move the middle markers towards their desired positions
+    for (let i = 1; i <= 3; i++) {
+      const offset = this.desired[i] - n[i];
+      if ((offset >= 1 && n[i + 1] - n[i] > 1) || (offset <= -1 && n[i - 1] - n[i] < -1)) {
+        const step = Math.sign(offset);
+        const parabolic = q[i] + step / (n[i + 1] - n[i - 1]) * (
+          (n[i] - n[i - 1] + step) * (q[i + 1] - q[i]) / (n[i + 1] - n[i]) +
+          (n[i + 1] - n[i] - step) * (q[i] - q[i - 1]) / (n[i] - n[i - 1])
+        );
+
+        if (q[i - 1] < parabolic && parabolic < q[i + 1]) {
+          q[i] = parabolic;
+        } else {
+          q[i] += step * (q[i + step] - q[i]) / (n[i + step] - n[i]);
+        }
+        n[i] += step;
+      }
+    }
+  }
+
+  /**
+   * Current quantile estimate
+   * @returns {number} - Estimate (exact for up to five values, NaN before any)
+   */
+  value() {
+    return this.heights ? this.heights[2] : quantile(this.initial, this.probability);
+  }
+}
+
+/**
+ * Running count, mean, standard deviation, extremes and quantiles of a series
+ */
+export class RunningStatistics {
+  /**
+   * @param {Object} options - Statistics options
+   * @param {number[]} options.quantiles - Quantile probabilities to sketch (default: the median)
+   */
+  constructor({ quantiles = [0.5] } = {}) {
+    this.count = 0;
+    this.mean = 0;
+    // Sum of squared deviations from the mean (Welford)
+    this.m2 = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+    this.sketches = new Map(quantiles.map(probability => [probability, new P2Quantile(probability)]));
+  }
+
+  /**
+   * Add a value
+   * @param {number} value - Observed value
+   */
+  push(value) {
+    this.count++;
+    const delta = value - this.mean;
+    this.mean += delta / this.count;
+    this.m2 += delta * (value - this.mean);
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
+    this.sketches.forEach(sketch => sketch.push(value));
+  }
+
+  /**
+   * Estimate of a sketched quantile
+   * @param {number} probability - Quantile probability given to the constructor
+   * @returns {number} - Quantile estimate
+   */
+  getQuantile(probability) {
+    if (!this.sketches.has(probability)) {
+      throw new Error(`Unsupported quantile: ${probability}`);
+    }
+    return this.sketches.get(probability).value();
+  }
+
+  /**
+   * Statistics in the shape of calculateStatistics
+   * @returns {Object} - {min, max, average, median, stdDev, count}
+   */
+  getStatistics() {
+    if (this.count === 0) {
+      return { min: 0, max: 0, average: 0, median: 0, stdDev: 0, count: 0 };
+    }
+
+    return {
+      min: this.min,
+      max: this.max,
+      average: this.mean,
+      median: this.getQuantile(0.5),
+      stdDev: Math.sqrt(this.m2 / this.count),
+      count: this.count
+    };
+  }
+}
+
+/**
+ * Empty running state for one group of readings
+ * @param {string[]} fields - Reading fields to summarize
+ * @returns {Object} - Group state
+ */
+const createGroup = (fields) => ({
+  statistics: fields.reduce((stats, field) => {
+    stats[field] = new RunningStatistics();
+    return stats;
+  }, {}),
+  quality: new RunningStatistics(),
+  distribution: { excellent: 0, good: 0, fair: 0, poor: 0 },
+  regions: new Set(),
+  sensors: new Set(),
+  total: 0,
+  first: null,
+  last: null,
+  earliest: Infinity,
+  latest: -Infinity,
+  latestReading: null
+});
+
+/**
+ * Add a reading to a group
+ * @param {Object} group - Group state
+ * @param {Object} reading - Water quality reading
+ * @param {number|null} quality - Quality index of the reading
+ * @param {Object} bands - Quality bands (see rateQualityIndex)
+ */
+const addToGroup = (group, reading, quality, bands) => {
+  Object.keys(group.statistics).forEach(field => {
+    if (reading[field] != null) group.statistics[field].push(reading[field]);
+  });
+  if (quality != null) {
+    group.quality.push(quality);
+    group.distribution[rateQualityIndex(quality, bands)]++;
+  }
+
+  group.regions.add(reading.region);
+  group.sensors.add(reading.sensor_id);
+  group.total++;
+  if (!group.first) group.first = reading;
+  group.last = reading;
+
+  const time = new Date(reading.timestamp).getTime();
+  group.earliest = Math.min(group.earliest, time);
+  // Ties keep the earlier reading, as the batch aggregation does
+  if (time > group.latest) {
+    group.latest = time;
+    group.latestReading = reading;
+  }
+};
+
+/**
+ * Aggregate of a group in the shape of aggregateSensorData
+ * @param {Object} group - Group state
+ * @param {Array} parameters - Parameter definitions aggregated
+ * @returns {Object} - Aggregated data with statistics for each parameter
+ */
+const summarizeGroup = (group, parameters) => {
+  if (group.total === 0) return aggregateSensorData([], { parameters });
+
+  return {
+    ...parameters.reduce((stats, parameter) => {
+      stats[parameter.key] = group.statistics[parameter.key].getStatistics();
+      return stats;
+    }, {}),
+    region_avg_quality_index: group.quality.getStatistics().average,
+    total_readings: group.total,
+    regions: [...group.regions],
+    sensors: [...group.sensors],
+    date_range: {
+      start: new Date(group.earliest).toISOString(),
+      end: new Date(group.latest).toISOString()
+    },
+    quality_distribution: formatQualityDistribution(group.distribution)
+  };
+};
+
+/**
+ * Reading frequency of a sensor group in the shape of calculateReadingFrequency
+ *
+ * The sorted intervals between readings add up to the time from the first
+ * to the last, so their average needs only the extremes.
+ * @param {Object} group - Group state of one sensor
+ * @returns {Object} - Reading frequency information
+ */
+const summarizeFrequency = (group) => {
+  if (group.total < 2) {
+    return {
+      average_interval_hours: 0,
+      total_readings: group.total,
+      first_reading: group.first?.timestamp || null,
+      last_reading: group.last?.timestamp || null
+    };
+  }
+
+  const averageInterval = (group.latest - group.earliest) / HOUR_MS / (group.total - 1);
+
+  return {
+    average_interval_hours: parseFloat(averageInterval.toFixed(2)),
+    total_readings: group.total,
+    first_reading: new Date(group.earliest).toISOString(),
+    last_reading: new Date(group.latest).toISOString(),
+    expected_readings_per_day: parseFloat((24 / averageInterval).toFixed(1))
+  };
+};
+
+/**
+ * Aggregates readings as they arrive, overall, by region and by sensor
+ */
+export class IncrementalAggregator {
+  /**
+   * @param {Object} options - Aggregator options
+   * @param {Array} options.parameters - Parameter definitions to aggregate (default: the parameter registry)
+   * @param {string|Object} options.wqi - Index configuration to compute quality indices with (see aggregateSensorData)
+   */
+  constructor({ parameters, wqi } = {}) {
+    this.parameters = resolveParameters(parameters);
+    this.fields = this.parameters.map(parameter => parameter.key);
+    this.wqi = wqi ? resolveIndexConfig(wqi, { parameters: this.parameters }) : null;
+    this.bands = this.wqi ? this.wqi.bands : DEFAULT_QUALITY_BANDS;
+    this.ledger = new ReadingLedger();
+    this.reset();
+  }
+
+  /**
+   * Forget every reading
+   */
+  reset() {
+    this.ledger.reset();
+    this.clearGroups();
+  }
+
+  /**
+   * Empty the statistics, leaving the ledger of covered readings alone
+   */
+  clearGroups() {
+    this.overall = createGroup(this.fields);
+    this.byRegion = new Map();
+    this.bySensor = new Map();
+  }
+
+  /**
+   * Number of readings aggregated
+   * @returns {number} - Reading count
+   */
+  size() {
+    return this.overall.total;
+  }
+
+  /**
+   * Add new readings
+   * @param {Array} readings - Readings not aggregated yet
+   * @returns {IncrementalAggregator} - This aggregator
+   */
+  append(readings) {
+    this.ledger.record(readings);
+    return this.addReadings(readings);
+  }
+
+  /**
+   * Add readings to the statistics
+   * @param {Array} readings - Readings to add
+   * @returns {IncrementalAggregator} - This aggregator
+   */
+  addReadings(readings) {
+    (readings || []).forEach(reading => {
+      if (!this.byRegion.has(reading.region)) this.byRegion.set(reading.region, createGroup(this.fields));
+      if (!this.bySensor.has(reading.sensor_id)) this.bySensor.set(reading.sensor_id, createGroup(this.fields));
+
+      const quality = getQualityIndex(reading, this.wqi);
+      addToGroup(this.overall, reading, quality, this.bands);
+      addToGroup(this.byRegion.get(reading.region), reading, quality, this.bands);
+      addToGroup(this.bySensor.get(reading.sensor_id), reading, quality, this.bands);
+    });
+    return this;
+  }
+
+  /**
+   * Catch up with the full list of readings
+   *
+   * The list may be in any order, newest first included. When it holds every
+   * reading aggregated so far unchanged, only the new readings are added.
+   * A list where one of them was corrected or dropped, such as one for
+   * different filters, is aggregated afresh (see ReadingLedger.sync).
+   * @param {Array} readings - All readings
+   * @returns {IncrementalAggregator} - This aggregator
+   */
+  sync(readings) {
+    const { rebuilt, added } = this.ledger.sync(readings);
+
+    if (rebuilt) this.clearGroups();
+    return this.addReadings(added);
+  }
+
+  /**
+   * Aggregate of every reading
+   * @returns {Object} - Same shape as aggregateSensorData
+   */
+  getAggregate() {
+    return summarizeGroup(this.overall, this.parameters);
+  }
+
+  /**
+   * Aggregates per region
+   * @returns {Object} - Same shape as aggregateByRegion
+   */
+  getByRegion() {
+    const regional = {};
+    this.byRegion.forEach((group, region) => {
+      regional[region] = {
+        ...summarizeGroup(group, this.parameters),
+        sensor_count: group.sensors.size,
+        latest_reading: group.latestReading
+      };
+    });
+    return regional;
+  }
+
+  /**
+   * Aggregates per sensor
+   * @returns {Object} - Same shape as aggregateBySensor
+   */
+  getBySensor() {
+    const sensors = {};
+    this.bySensor.forEach((group, sensorId) => {
+      sensors[sensorId] = {
+        ...summarizeGroup(group, this.parameters),
+        region: group.first.region,
+        latest_reading: group.latestReading,
+        reading_frequency: summarizeFrequency(group)
+      };
+    });
+    return sensors;
+  }
+}
+
+export default {
+  P2Quantile,
+  RunningStatistics,
+  IncrementalAggregator
+};
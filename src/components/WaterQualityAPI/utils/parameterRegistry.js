@@ -0,0 +1,250 @@
+/**
+ * Parameter Registry
+ *
+ * The measured water quality parameters, with how to show them and when a
+ * value is out of bounds. Aggregation, filtering, batch summaries, anomaly
+ * rules and the metric cards all work from these definitions, so a sensor
+ * reporting a new parameter only needs a new definition.
+ *
+ * A definition is {key, label, unit, precision, range, thresholds}:
+ * - key: reading field holding the value
+ * - precision: decimals shown
+ * - range: {min, max} a sensor can physically report; null for no bound
+ * - thresholds: {min, max} acceptable water quality; values outside are anomalies
+ *
+ * Utilities take definitions as a plain `parameters` array (default: the
+ * shared registry), so custom parameters also reach the compute worker.
+ * The quality index is derived rather than measured, and is not a parameter.
+ */
+
+/**
+ * Parameters reported by the sensors
+ */
+export const DEFAULT_PARAMETERS = [
+  {
+    key: 'temperature',
+    label: 'Temperature',
+    unit: '°C',
+    precision: 1,
+    range: { min: -5, max: 50 },
+    thresholds: { min: 10, max: 35 }
+  },
+  {
+    key: 'pH',
+    label: 'pH',
+    unit: '',
+    precision: 2,
+    range: { min: 0, max: 14 },
+    thresholds: { min: 6.0, max: 9.0 }
+  },
+  {
+    key: 'turbidity',
+    label: 'Turbidity',
+    unit: 'NTU',
+    precision: 2,
+    range: { min: 0, max: 4000 },
+    thresholds: { min: null, max: 10.0 }
+  },
+  {
+    key: 'dissolved_oxygen',
+    label: 'Dissolved Oxygen',
+    unit: 'mg/L',
+    precision: 2,
+    range: { min: 0, max: 20 },
+    thresholds: { min: 5.0, max: null }
+  },
+  {
+    key: 'conductivity',
+    label: 'Conductivity',
+    unit: 'µS/cm',
+    precision: 0,
+    range: { min: 0, max: 100000 },
+    thresholds: { min: null, max: 1500 }
+  },
+  {
+    key: 'free_chlorine',
+    label: 'Free Chlorine',
+    unit: 'mg/L',
+    precision: 2,
+    range: { min: 0, max: 10 },
+    thresholds: { min: 0.2, max: 4.0 }
+  },
+  {
+    key: 'nitrate',
+    label: 'Nitrate',
+    unit: 'mg/L',
+    precision: 1,
+    range: { min: 0, max: 100 },
+    thresholds: { min: null, max: 10.0 }
+  },
+  {
+    key: 'orp',
+    label: 'ORP',
+    unit: 'mV',
+    precision: 0,
+    range: { min: -1000, max: 1000 },
+    thresholds: { min: 250, max: null }
+  }
+];
+
+/**
+ * Check a parameter definition and fill in optional fields
+ * @param {Object} definition - Parameter definition
+ * @returns {Object} - Complete definition
+ */
+export const normalizeParameter = (definition) => {
+  if (!definition || typeof definition.key !== 'string' || definition.key === '') {
+    throw new Error('Parameter definitions need a key');
+  }
+
+  const range = { min: null, max: null, ...definition.range };
+  const thresholds = { min: null, max: null, ...definition.thresholds };
+  if (range.min !== null && range.max !== null && range.min > range.max) {
+    throw new Error(`Invalid range for parameter: ${definition.key}`);
+  }
+  if (thresholds.min !== null && thresholds.max !== null && thresholds.min > thresholds.max) {
+    throw new Error(`Invalid thresholds for parameter: ${definition.key}`);
+  }
+
+  return {
+    key: definition.key,
+    label: definition.label || definition.key,
+    unit: definition.unit || '',
+    precision: Number.isInteger(definition.precision) ? definition.precision : 2,
+    range,
+    thresholds
+  };
+};
+
+/**
+ * Unit as written after a value: degrees attach directly, other units after a space
+ * @param {string} unit - Unit
+ * @returns {string} - Suffix, empty for unitless parameters
+ */
+export const formatUnitSuffix = (unit) => {
+  if (!unit) return '';
+  return unit.startsWith('°') ? unit : ` ${unit}`;
+};
+
+/**
+ * Format a value with its parameter's precision and unit
+ * @param {Object} definition - Parameter definition
+ * @param {number} value - Value to format
+ * @returns {string} - e.g. '21.4°C', '7.85', '2.10 NTU'
+ */
+export const formatParameterValue = (definition, value) =>
+  `${Number(value).toFixed(definition.precision)}${formatUnitSuffix(definition.unit)}`;
+
+/**
+ * Whether a value is one a sensor can report for the parameter
+ * @param {Object} definition - Parameter definition
+ * @param {number} value - Value to check
+ * @returns {boolean} - True inside the valid range
+ */
+export const isWithinRange = (definition, value) =>
+  Number.isFinite(value) &&
+  (definition.range.min === null || value >= definition.range.min) &&
+  (definition.range.max === null || value <= definition.range.max);
+
+/**
+ * Compare a value with the parameter's thresholds
+ * @param {Object} definition - Parameter definition
+ * @param {number} value - Value to check (null and undefined are never breaches)
+ * @returns {string|null} - 'low', 'high' or null within the thresholds
+ */
+export const checkThresholds = (definition, value) => {
+  if (value === null || value === undefined) return null;
+  if (definition.thresholds.min !== null && value < definition.thresholds.min) return 'low';
+  if (definition.thresholds.max !== null && value > definition.thresholds.max) return 'high';
+  return null;
+};
+
+/**
+ * Registered water quality parameters, in display order
+ */
+export class ParameterRegistry {
+  /**
+   * @param {Array} parameters - Initial definitions (default: DEFAULT_PARAMETERS)
+   */
+  constructor(parameters = DEFAULT_PARAMETERS) {
+    this.parameters = new Map();
+    parameters.forEach(definition => this.register(definition));
+  }
+
+  /**
+   * Add a parameter, or replace the definition with the same key
+   * @param {Object} definition - Parameter definition
+   * @returns {ParameterRegistry} - This registry
+   */
+  register(definition) {
+    const normalized = normalizeParameter(definition);
+    this.parameters.set(normalized.key, normalized);
+    return this;
+  }
+
+  /**
+   * Remove a parameter
+   * @param {string} key - Parameter key
+   * @returns {boolean} - True if it was registered
+   */
+  unregister(key) {
+    return this.parameters.delete(key);
+  }
+
+  /**
+   * Look up a parameter
+   * @param {string} key - Parameter key
+   * @returns {Object|null} - Definition, null when not registered
+   */
+  get(key) {
+    return this.parameters.get(key) || null;
+  }
+
+  /**
+   * Whether a parameter is registered
+   * @param {string} key - Parameter key
+   * @returns {boolean} - True when registered
+   */
+  has(key) {
+    return this.parameters.has(key);
+  }
+
+  /**
+   * Registered parameter keys
+   * @returns {string[]} - Keys in display order
+   */
+  keys() {
+    return [...this.parameters.keys()];
+  }
+
+  /**
+   * Registered definitions, to hand to the utilities
+   * @returns {Array} - Definitions in display order
+   */
+  list() {
+    return [...this.parameters.values()];
+  }
+}
+
+// Shared registry used when no parameters are given
+export const parameterRegistry = new ParameterRegistry();
+
+/**
+ * Definitions to use for a call
+ * @param {Array} parameters - Definitions given by the caller, if any
+ * @returns {Array} - Normalized definitions (the shared registry's when none are given)
+ */
+export const resolveParameters = (parameters) =>
+  (parameters ? parameters.map(normalizeParameter) : parameterRegistry.list());
+
+export default {
+  DEFAULT_PARAMETERS,
+  normalizeParameter,
+  formatUnitSuffix,
+  formatParameterValue,
+  isWithinRange,
+  checkThresholds,
+  ParameterRegistry,
+  parameterRegistry,
+  resolveParameters
+};
@@ -0,0 +1,206 @@
+/**
+ * Prediction Intervals
+ *
+ * Builds forecast prediction intervals from the model's own out-of-sample
+ * errors: the model is replayed from rolling origins over the history, and the
+ * errors it made at each horizon set the interval width. Intervals therefore
+ * widen with the horizon and are reported at caller-chosen levels.
+ */
+
+import { quantile, normalQuantile, standardDeviation } from './statistics';
+import { createSeededRandom } from './random';
+
+/**
+ * Interval levels reported when a call does not request any
+ */
+export const DEFAULT_INTERVAL_LEVELS = [0.8, 0.95];
+
+/**
+ * Seed used for bootstrap intervals when no seed is given, so they stay reproducible
+ */
+export const DEFAULT_BOOTSTRAP_SEED = 1;
+
+// Fewest errors at a horizon before its empirical spread is trusted over the sqrt(h) rule
+const MIN_HORIZON_ERRORS = 5;
+
+/**
+ * Root mean square of a set of errors
+ * @param {number[]} errors - Forecast errors
+ * @returns {number} - Root mean square error
+ */
+const rootMeanSquare = (errors) =>
+  Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length);
+
+/**
+ * Replay a model from rolling origins and collect its errors per horizon
+ * @param {Object} model - Registered forecast model
+ * @param {Array} series - Ascending {x, y, timestamp} series
+ * @param {Object} options - Replay options
+ * @param {number} options.horizon - Number of steps to forecast from each origin
+ * @param {number} options.intervalMs - Length of one step in milliseconds
+ * @param {Object} options.modelOptions - Options passed through to the model
+ * @param {number} options.minTrainingSize - Shortest history to forecast from
+ * @param {Object} options.context - Extra model context, e.g. interval, seasonLength and covariates
+ * @returns {Array} - Array of error arrays (actual - forecast), index 0 holding 1-step errors
+ */
+export const collectForecastErrors = (model, series, options) => {
+  const { horizon, intervalMs, modelOptions = {}, minTrainingSize = 2, context = {} } = options;
+  const errorsByHorizon = Array.from({ length: horizon }, () => []);
+  const actualsByX = new Map(series.map(point => [point.x, point.y]));
+
+  for (let origin = Math.max(minTrainingSize, model.minDataPoints || 1); origin < series.length; origin++) {
+    const training = series.slice(0, origin);
+    const lastPoint = training[training.length - 1];
+    const lastTime = new Date(lastPoint.timestamp).getTime();
+    const forecastDates = Array.from({ length: horizon }, (_, index) =>
+      new Date(lastTime + (index + 1) * intervalMs)
+    );
+
+    const { forecasts } = model.forecast(training, { ...context, horizon, forecastDates, options: modelOptions });
+
+    forecasts.forEach((point, index) => {
+      const actual = actualsByX.get(lastPoint.x + index + 1);
+      if (actual !== undefined && Number.isFinite(point.value)) {
+        errorsByHorizon[index].push(actual - point.value);
+      }
+    });
+  }
+
+  return errorsByHorizon;
+};
+
+/**
+ * Clamp a value to optional bounds
+ * @param {number} value - Value to clamp
+ * @param {Object} bounds - {min, max}, either may be null
+ * @returns {number} - Clamped value
+ */
+const clamp = (value, { min = null, max = null }) => {
+  let clamped = value;
+  if (min !== null) clamped = Math.max(min, clamped);
+  if (max !== null) clamped = Math.min(max, clamped);
+  return clamped;
+};
+
+/**
+ * Standard error per horizon from residuals, never narrowing as the horizon grows
+ * @param {Array} errorsByHorizon - Errors per horizon
+ * @param {number} oneStepStd - Spread of 1-step errors
+ * @returns {number[]} - Standard error per horizon
+ */
+const residualStandardErrors = (errorsByHorizon, oneStepStd) => {
+  const standardErrors = [];
+
+  errorsByHorizon.forEach((errors, index) => {
+    const empirical = errors.length >= MIN_HORIZON_ERRORS ?
+      rootMeanSquare(errors) :
+      oneStepStd * Math.sqrt(index + 1);
+    const previous = index > 0 ? standardErrors[index - 1] : 0;
+    standardErrors.push(Math.max(previous, empirical));
+  });
+
+  return standardErrors;
+};
+
+/**
+ * Attach prediction intervals to point forecasts
+ * @param {Array} forecasts - Forecast points with a numeric value, in horizon order
+ * @param {Array} errorsByHorizon - Errors per horizon (see collectForecastErrors)
+ * @param {Object} options - Interval options
+ * @param {string} options.method - 'residual' (normal, residual-based) or 'bootstrap'
+ * @param {Array} options.levels - Interval levels, e.g. [0.8, 0.95]
+ * @param {number} options.samples - Bootstrap sample paths (default 1000)
+ * @param {number} options.seed - Bootstrap seed (defaults to DEFAULT_BOOTSTRAP_SEED)
+ * @param {number} options.fallbackStd - 1-step spread used when there are too few residuals
+ * @param {Object} options.bounds - {min, max} bounds for the interval limits
+ * @returns {Object} - {forecasts, details}
+ */
+export const buildPredictionIntervals = (forecasts, errorsByHorizon, options = {}) => {
+  const {
+    method = 'residual',
+    levels = DEFAULT_INTERVAL_LEVELS,
+    samples = 1000,
+    seed = DEFAULT_BOOTSTRAP_SEED,
+    fallbackStd = 0,
+    bounds = {}
+  } = options;
+
+  if (method !== 'residual' && method !== 'bootstrap') {
+    throw new Error(`Unsupported prediction interval method: ${method}`);
+  }
+
+  const sortedLevels = [...levels].sort((a, b) => a - b);
+  const oneStepErrors = errorsByHorizon[0] || [];
+  const hasResiduals = oneStepErrors.length >= 2;
+  const oneStepStd = hasResiduals ? rootMeanSquare(oneStepErrors) : fallbackStd;
+  const useBootstrap = method === 'bootstrap' && hasResiduals;
+
+  // Each band is an offset from the point forecast: {level, lower, upper}
+  let offsetsByHorizon;
+  let standardErrors;
+
+  if (useBootstrap) {
+    const random = createSeededRandom(seed);
+    const cumulative = new Array(samples).fill(0);
+    offsetsByHorizon = [];
+    standardErrors = [];
+
+    forecasts.forEach(() => {
+      for (let sample = 0; sample < samples; sample++) {
+        cumulative[sample] += oneStepErrors[Math.floor(random.next() * oneStepErrors.length)];
+      }
+
+      standardErrors.push(standardDeviation(cumulative));
+      offsetsByHorizon.push(sortedLevels.map(level => ({
+        level,
+        lower: quantile(cumulative, (1 - level) / 2),
+        upper: quantile(cumulative, (1 + level) / 2)
+      })));
+    });
+  } else {
+    standardErrors = residualStandardErrors(errorsByHorizon.slice(0, forecasts.length), oneStepStd);
+    offsetsByHorizon = standardErrors.map(standardError => sortedLevels.map(level => {
+      const margin = normalQuantile((1 + level) / 2) * standardError;
+      return { level, lower: -margin, upper: margin };
+    }));
+  }
+
+  const primaryLevel = sortedLevels[sortedLevels.length - 1];
+
+  const withIntervals = forecasts.map((forecast, index) => {
+    const bands = offsetsByHorizon[index].map(band => ({
+      level: band.level,
+      lower: clamp(forecast.value + band.lower, bounds),
+      upper: clamp(forecast.value + band.upper, bounds)
+    }));
+    const primary = bands[bands.length - 1];
+
+    return {
+      ...forecast,
+      standard_error: standardErrors[index],
+      confidence_interval: {
+        lower: primary.lower,
+        upper: primary.upper,
+        confidence_level: primaryLevel
+      },
+      prediction_intervals: bands
+    };
+  });
+
+  return {
+    forecasts: withIntervals,
+    details: {
+      method: useBootstrap ? 'bootstrap' : 'residual',
+      levels: sortedLevels,
+      residual_count: oneStepErrors.length,
+      one_step_std: oneStepStd,
+      seed: useBootstrap ? seed >>> 0 : null
+    }
+  };
+};
+
+export default {
+  DEFAULT_INTERVAL_LEVELS,
+  collectForecastErrors,
+  buildPredictionIntervals
+};
@@ -0,0 +1,59 @@
+/**
+ * Seeded Random Number Generation
+ *
+ * Small deterministic pseudo-random generator (mulberry32) used wherever the
+ * analytics utilities need randomness, so every result can be reproduced from
+ * the seed recorded alongside it.
+ */
+
+/**
+ * Generate a new 32-bit seed
+ * @returns {number} - Unsigned 32-bit integer seed
+ */
+export const generateSeed = () => Math.floor(Math.random() * 0x100000000) >>> 0;
+
+/**
+ * Create a seeded pseudo-random generator
+ * @param {number} seed - Integer seed
+ * @returns {Object} - Generator with seed, next() in [0, 1) and normal(mean, stdDev)
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  let spareNormal = null;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Box-Muller transform, caching the second value of each pair
+  const normal = (mean = 0, stdDev = 1) => {
+    if (spareNormal !== null) {
+      const value = spareNormal;
+      spareNormal = null;
+      return mean + stdDev * value;
+    }
+
+    let u = 0;
+    while (u === 0) u = next();
+    const v = next();
+    const radius = Math.sqrt(-2 * Math.log(u));
+
+    spareNormal = radius * Math.sin(2 * Math.PI * v);
+    return mean + stdDev * radius * Math.cos(2 * Math.PI * v);
+  };
+
+  return {
+    seed: seed >>> 0,
+    next,
+    normal
+  };
+};
+
+export default {
+  generateSeed,
+  createSeededRandom
+};
@@ -0,0 +1,200 @@
+/**
+ * Reading Ledger
+ *
+ * Records which readings a running result (a data hash, incremental
+ * statistics) already covers, by sensor, timestamp and a hash of their
+ * content. Given the full list again it picks out the readings that are new,
+ * whatever order the list is in, and tells the caller to start over when a
+ * reading it covered was corrected or is gone.
+ */
+
+/**
+ * Incremental 53-bit string hash (cyrb53), so large inputs can be hashed
+ * without first being joined into one string
+ * @param {number} seed - Hash seed
+ * @returns {Object} - {update(text), digest()} where digest returns a hex string
+ */
+const createHasher = (seed = 0) => {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+
+  return {
+    update(text) {
+      for (let index = 0; index < text.length; index++) {
+        const code = text.charCodeAt(index);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+      }
+    },
+    digest() {
+      let a = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+      let b = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+      a >>>= 0;
+      b >>>= 0;
+      return (4294967296 * (2097151 & b) + a).toString(16);
+    }
+  };
+};
+
+const WORD = 4294967296;
+
+/**
+ * Serialize a value with object keys sorted, so equal values always give the same string
+ * @param {*} value - Value to serialize
+ * @returns {string} - Stable JSON
+ */
+export const stableStringify = (value) => {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+
+  return `{${Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+    .join(',')}}`;
+};
+
+/**
+ * Hash a string
+ * @param {string} text - Text to hash
+ * @returns {string} - Hex hash
+ */
+export const hashString = (text) => {
+  const hasher = createHasher();
+  hasher.update(text);
+  return hasher.digest();
+};
+
+/**
+ * Identity of a reading: its sensor and timestamp
+ * @param {Object} reading - Water quality reading
+ * @returns {string} - Reading key
+ */
+export const getReadingKey = (reading) => `${reading.sensor_id}|${reading.timestamp}`;
+
+/**
+ * Hash of everything a reading holds, so a corrected or re-scored reading gets a new one
+ * @param {Object} reading - Water quality reading
+ * @returns {string} - Hex hash
+ */
+export const getReadingSignature = (reading) => hashString(stableStringify(reading));
+
+/**
+ * Readings covered so far, with a checksum of their content
+ */
+export class ReadingLedger {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget every reading
+   */
+  reset() {
+    // Reading key to the signatures recorded for it, one per duplicate
+    this.signatures = new Map();
+    this.count = 0;
+    this.checksum = [0, 0];
+  }
+
+  /**
+   * Number of readings recorded
+   * @returns {number} - Reading count
+   */
+  size() {
+    return this.count;
+  }
+
+  /**
+   * Record readings as covered
+   * @param {Array} readings - Readings not recorded yet
+   * @returns {ReadingLedger} - This ledger
+   */
+  record(readings) {
+    (readings || []).forEach(reading => this.add(getReadingKey(reading), getReadingSignature(reading)));
+    return this;
+  }
+
+  /**
+   * Record one reading by key and signature
+   * @param {string} key - Reading key
+   * @param {string} signature - Reading signature
+   */
+  add(key, signature) {
+    if (!this.signatures.has(key)) this.signatures.set(key, []);
+    this.signatures.get(key).push(signature);
+    this.count++;
+
+    // Summing the signatures makes the checksum independent of reading order
+    const value = parseInt(signature, 16);
+    const low = value % WORD;
+    this.checksum = [
+      (this.checksum[0] + (value - low) / WORD) % WORD,
+      (this.checksum[1] + low) % WORD
+    ];
+  }
+
+  /**
+   * Catch up with the full list of readings
+   *
+   * Readings are matched by key and compared by signature, so the list may
+   * be in any order. When every recorded reading is in the list unchanged,
+   * only the rest is recorded and returned. Otherwise (a reading was
+   * corrected or dropped, or the list is for other filters) the ledger
+   * starts over and returns the whole list.
+   * @param {Array} readings - All readings
+   * @returns {Object} - {rebuilt, added}: whether to start over, and the readings to add, oldest first
+   */
+  sync(readings) {
+    const entries = (readings || []).map(reading => ({
+      reading,
+      key: getReadingKey(reading),
+      signature: getReadingSignature(reading),
+      time: new Date(reading.timestamp).getTime()
+    }));
+    const occurrences = new Map();
+    const added = [];
+    let matched = 0;
+    let changed = false;
+
+    for (let index = 0; index < entries.length && !changed; index++) {
+      const entry = entries[index];
+      const occurrence = occurrences.get(entry.key) || 0;
+      const recorded = this.signatures.get(entry.key) || [];
+      occurrences.set(entry.key, occurrence + 1);
+
+      if (occurrence >= recorded.length) {
+        added.push(entry);
+      } else if (recorded[occurrence] === entry.signature) {
+        matched++;
+      } else {
+        changed = true;
+      }
+    }
+
+    const rebuilt = changed || matched < this.count;
+    if (rebuilt) this.reset();
+
+    const toAdd = (rebuilt ? entries : added).sort((a, b) => a.time - b.time);
+    toAdd.forEach(entry => this.add(entry.key, entry.signature));
+    return { rebuilt, added: toAdd.map(entry => entry.reading) };
+  }
+
+  /**
+   * Checksum of the readings recorded, whatever order they came in
+   * @returns {string} - Reading count and hex checksum
+   */
+  digest() {
+    return `${this.count}-${this.checksum[0].toString(16)}${this.checksum[1].toString(16).padStart(8, '0')}`;
+  }
+}
+
+export default {
+  stableStringify,
+  hashString,
+  getReadingKey,
+  getReadingSignature,
+  ReadingLedger
+};
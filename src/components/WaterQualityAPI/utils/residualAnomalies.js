@@ -0,0 +1,262 @@
+/**
+ * Residual-based Anomaly Detection
+ *
+ * Flags readings that are unusual for where and when they were taken, rather
+ * than outside fixed limits. Each reading is compared with what was expected
+ * of it, either the forecast made for its step (inside the forecast's
+ * prediction interval) or a band built from the recent history of its region.
+ * Every flagged reading is scored by its standardized residual, how many
+ * standard errors it lies from the expected value, so a pH of 7.0 in a
+ * region that holds steady at 8.0 scores high even though it is well within
+ * the static limits.
+ */
+
+import { mean, normalQuantile, standardDeviation } from './statistics';
+import { floorToInterval, getIntervalMs, resampleReadings } from './timeSeriesResampler';
+
+/**
+ * Supported detection methods
+ *
+ * - forecast: outside the prediction interval of the forecast for the reading's step
+ * - rolling: outside mean ± z·std of the readings in the trailing window
+ */
+export const RESIDUAL_ANOMALY_METHODS = ['forecast', 'rolling'];
+
+/**
+ * Band level used when none is given
+ */
+export const DEFAULT_ANOMALY_LEVEL = 0.95;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Standardized residual of a value
+ * @param {number} residual - Value minus expected value
+ * @param {number} scale - Standard error of the expected value
+ * @returns {number} - Absolute residual in standard errors (Infinity for any residual against a zero scale)
+ */
+const scoreResidual = (residual, scale) => {
+  if (scale > 0) return Math.abs(residual) / scale;
+  return residual === 0 ? 0 : Infinity;
+};
+
+/**
+ * Build a finding for a reading outside its band, or null when it is inside
+ * @param {Object} reading - Reading (or step average) checked
+ * @param {string} parameter - Parameter checked
+ * @param {string} method - Detection method
+ * @param {Object} expected - {value, lower, upper, scale}
+ * @returns {Object|null} - Anomaly finding
+ */
+const toFinding = (reading, parameter, method, expected) => {
+  const value = reading[parameter];
+  if (value >= expected.lower && value <= expected.upper) return null;
+
+  const residual = value - expected.value;
+  return {
+    method,
+    timestamp: reading.timestamp,
+    region: reading.region || null,
+    sensor_id: reading.sensor_id || null,
+    parameter,
+    value,
+    expected: expected.value,
+    lower: expected.lower,
+    upper: expected.upper,
+    residual,
+    score: scoreResidual(residual, expected.scale),
+    direction: value > expected.upper ? 'above' : 'below'
+  };
+};
+
+/**
+ * Order findings from the most to the least unusual
+ * @param {Array} findings - Anomaly findings
+ * @returns {Array} - Findings sorted by descending score, then time
+ */
+const sortFindings = (findings) =>
+  findings.sort((a, b) => b.score - a.score || a.timestamp.localeCompare(b.timestamp));
+
+/**
+ * Flag readings outside the prediction interval of a forecast
+ *
+ * Each reading is matched to the forecast step it falls in. Readings outside
+ * the forecast horizon, or from other regions than the forecast's, are not
+ * checked. The interval describes the step average of the region, which
+ * varies less than single readings from several sensors; pass aggregate to
+ * check step averages instead.
+ * @param {Array} readings - Water quality readings (any order)
+ * @param {Object} forecast - Result of generateParameterForecast or generateWaterQualityForecast
+ * @param {Object} options - Detection options
+ * @param {number} options.level - Prediction interval level (default 0.95); a level the forecast does not
+ *   carry is built from the step's standard error
+ * @param {boolean} options.aggregate - Check step averages rather than single readings (default false)
+ * @returns {Object} - {method, parameter, region, level, checked, anomalies}
+ */
+export const detectForecastAnomalies = (readings, forecast, options = {}) => {
+  const { level = DEFAULT_ANOMALY_LEVEL, aggregate = false } = options;
+
+  if (!forecast || !forecast.success) {
+    throw new Error('A successful forecast is required for forecast anomaly detection');
+  }
+
+  const points = forecast.forecast_quality_index || forecast.forecast;
+  const parameter = forecast.forecast_quality_index ? 'region_avg_quality_index' : forecast.parameter;
+  const { region, resampling } = forecast.metadata;
+  const interval = resampling ? resampling.interval : 'daily';
+  const intervalMs = getIntervalMs(interval);
+  const margin = normalQuantile((1 + level) / 2);
+
+  const expectedByStep = new Map(points.map(point => {
+    const value = point.quality_index !== undefined ? point.quality_index : point.value;
+    const band = (point.prediction_intervals || []).find(candidate => Math.abs(candidate.level - level) < 1e-9);
+    const scale = point.standard_error || 0;
+
+    return [new Date(point.timestamp).getTime(), {
+      value,
+      lower: band ? band.lower : value - margin * scale,
+      upper: band ? band.upper : value + margin * scale,
+      scale
+    }];
+  }));
+
+  const regionReadings = region && region !== 'all_regions' ?
+    (readings || []).filter(reading => reading.region === region) :
+    (readings || []);
+  const checkedReadings = aggregate ?
+    resampleReadings(regionReadings, { parameter, interval, gapStrategy: 'omit' })
+      .map(point => ({ timestamp: point.timestamp, region, [parameter]: point.value, readings: point.count })) :
+    regionReadings.filter(reading => reading[parameter] !== null && reading[parameter] !== undefined);
+
+  let checked = 0;
+  const anomalies = [];
+  checkedReadings.forEach(reading => {
+    const expected = expectedByStep.get(floorToInterval(new Date(reading.timestamp).getTime(), intervalMs));
+    if (!expected) return;
+
+    checked++;
+    const finding = toFinding(reading, parameter, 'forecast', expected);
+    if (finding) {
+      anomalies.push(aggregate ? { ...finding, readings: reading.readings } : finding);
+    }
+  });
+
+  return {
+    method: 'forecast',
+    parameter,
+    region,
+    level,
+    checked,
+    anomalies: sortFindings(anomalies)
+  };
+};
+
+/**
+ * Flag readings outside a rolling band built from recent history
+ *
+ * Readings are grouped by region (or sensor) and each one is compared with
+ * the mean and standard deviation of the group's readings in the window
+ * before it. Readings without enough history before them are not checked.
+ * @param {Array} readings - Water quality readings (any order)
+ * @param {Object} options - Detection options
+ * @param {string} options.parameter - Reading field to check (default 'region_avg_quality_index')
+ * @param {number} options.windowHours - Length of the trailing window (default 168, one week)
+ * @param {number} options.minHistory - Fewest readings in the window before a reading is checked (default 10)
+ * @param {number} options.level - Band level; the band is mean ± z·std for the normal quantile of the level
+ *   (default 0.95)
+ * @param {string} options.groupBy - 'region' (default) or 'sensor'
+ * @returns {Object} - {method, parameter, level, checked, anomalies}; each anomaly carries the
+ *   reading_index of its reading in the readings passed
+ */
+export const detectRollingAnomalies = (readings, options = {}) => {
+  const {
+    parameter = 'region_avg_quality_index',
+    windowHours = 7 * 24,
+    minHistory = 10,
+    level = DEFAULT_ANOMALY_LEVEL,
+    groupBy = 'region'
+  } = options;
+
+  if (groupBy !== 'region' && groupBy !== 'sensor') {
+    throw new Error(`Unsupported anomaly grouping: ${groupBy}`);
+  }
+
+  const windowMs = windowHours * HOUR_MS;
+  const margin = normalQuantile((1 + level) / 2);
+  const groups = new Map();
+
+  (readings || []).forEach((reading, index) => {
+    const value = reading[parameter];
+    const time = new Date(reading.timestamp).getTime();
+    if (value === null || value === undefined || Number.isNaN(value) || Number.isNaN(time)) return;
+
+    const key = groupBy === 'sensor' ? reading.sensor_id || 'unknown' : reading.region || 'unknown';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ time, reading, index });
+  });
+
+  let checked = 0;
+  const anomalies = [];
+
+  groups.forEach(entries => {
+    entries.sort((a, b) => a.time - b.time);
+    let windowStart = 0;
+    let windowEnd = 0;
+
+    entries.forEach(({ time, reading, index }) => {
+      // Only readings strictly before this one, so simultaneous readings don't vouch for each other
+      while (windowEnd < entries.length && entries[windowEnd].time < time) windowEnd++;
+      while (entries[windowStart].time < time - windowMs) windowStart++;
+
+      const history = entries.slice(windowStart, windowEnd).map(entry => entry.reading[parameter]);
+      if (history.length < minHistory) return;
+
+      checked++;
+      const center = mean(history);
+      const scale = standardDeviation(history);
+      const finding = toFinding(reading, parameter, 'rolling', {
+        value: center,
+        lower: center - margin * scale,
+        upper: center + margin * scale,
+        scale
+      });
+      if (finding) anomalies.push({ ...finding, reading_index: index });
+    });
+  });
+
+  return {
+    method: 'rolling',
+    parameter,
+    level,
+    checked,
+    anomalies: sortFindings(anomalies)
+  };
+};
+
+/**
+ * Detect residual anomalies with either method
+ * @param {Array} readings - Water quality readings (any order)
+ * @param {Object} options - Detection options
+ * @param {string} options.method - 'rolling' (default) or 'forecast'
+ * @param {Object} options.forecast - Forecast to check against, required for the forecast method
+ * @returns {Object} - {method, parameter, level, checked, anomalies} (see the method's detector)
+ */
+export const detectResidualAnomalies = (readings, options = {}) => {
+  const { method = 'rolling', forecast = null, ...detectorOptions } = options;
+
+  if (!RESIDUAL_ANOMALY_METHODS.includes(method)) {
+    throw new Error(`Unsupported anomaly method: ${method}`);
+  }
+
+  return method === 'forecast' ?
+    detectForecastAnomalies(readings, forecast, detectorOptions) :
+    detectRollingAnomalies(readings, detectorOptions);
+};
+
+export default {
+  RESIDUAL_ANOMALY_METHODS,
+  DEFAULT_ANOMALY_LEVEL,
+  detectForecastAnomalies,
+  detectRollingAnomalies,
+  detectResidualAnomalies
+};
@@ -0,0 +1,463 @@
+/**
+ * What-if Scenario Simulation
+ *
+ * Applies user-defined perturbations to the history or the forecast drivers,
+ * re-runs the forecasts and returns them next to the unperturbed baseline.
+ * A scenario is {name, perturbations}, each perturbation being one of:
+ *
+ * - offset: add an amount to a parameter, e.g. {type: 'offset', parameter: 'temperature', amount: 2}
+ * - percent: scale a parameter, e.g. {type: 'percent', parameter: 'turbidity', percent: 30}
+ * - remove_sensor: drop a sensor's readings, e.g. {type: 'remove_sensor', sensor_id: 'NC-002'}
+ * - add_readings: append synthetic readings, e.g. {type: 'add_readings', readings: [...]}
+ * - driver: change a covariate, e.g. {type: 'driver', driver: 'rainfall', percent: 50}
+ *
+ * Perturbations take an optional region and a from (inclusive) / to
+ * (exclusive) time window. Parameter shocks change the history unless
+ * applyTo is 'forecast', in which case the forecast itself is shifted, e.g. for
+ * "turbidity rises 30% next week". Readings are perturbed field by field, so
+ * the quality index is not recomputed from the other parameters; shock
+ * region_avg_quality_index to change it directly.
+ */
+
+import {
+  DEFAULT_FORECAST_PARAMETERS,
+  generateMultiParameterForecast,
+  generateWaterQualityForecast,
+  getForecastParameterConfig
+} from './forecastingEngine';
+import { calculateBreachProbabilities } from './breachProbability';
+
+/**
+ * Supported perturbation types
+ */
+export const SCENARIO_PERTURBATION_TYPES = ['offset', 'percent', 'remove_sensor', 'add_readings', 'driver'];
+
+const QUALITY_PARAMETER = 'region_avg_quality_index';
+
+/**
+ * Check whether a timestamp falls inside a perturbation's window and region
+ * @param {Object} perturbation - Perturbation with optional region, from and to
+ * @param {string} timestamp - ISO timestamp or date
+ * @param {string|null} region - Region of the reading or record (null applies to every region)
+ * @returns {boolean} - True when the perturbation applies
+ */
+const appliesTo = (perturbation, timestamp, region) => {
+  if (perturbation.region && region && region !== perturbation.region) return false;
+
+  const time = new Date(timestamp).getTime();
+  if (perturbation.from && time < new Date(perturbation.from).getTime()) return false;
+  if (perturbation.to && time >= new Date(perturbation.to).getTime()) return false;
+  return true;
+};
+
+/**
+ * Apply an offset or percentage shock to a value
+ * @param {number} value - Original value
+ * @param {Object} perturbation - {amount} or {percent}
+ * @returns {number} - Shocked value
+ */
+const shockValue = (value, perturbation) => (
+  perturbation.percent !== undefined ?
+    value * (1 + perturbation.percent / 100) :
+    value + perturbation.amount
+);
+
+/**
+ * Keep a shocked value within the parameter's physical bounds
+ * @param {number} value - Value
+ * @param {Object} config - Parameter configuration with min and max
+ * @returns {number} - Bounded value
+ */
+const clampToBounds = (value, config) => {
+  let bounded = value;
+  if (config.min !== null && bounded < config.min) bounded = config.min;
+  if (config.max !== null && bounded > config.max) bounded = config.max;
+  return bounded;
+};
+
+/**
+ * Check a perturbation's shape, throwing on anything that cannot be applied
+ * @param {Object} perturbation - Perturbation definition
+ */
+export const validatePerturbation = (perturbation) => {
+  const { type } = perturbation || {};
+
+  if (!SCENARIO_PERTURBATION_TYPES.includes(type)) {
+    throw new Error(`Unsupported scenario perturbation: ${type}`);
+  }
+
+  if (type === 'offset' || type === 'percent') {
+    if (!getForecastParameterConfig(perturbation.parameter)) {
+      throw new Error(`Unsupported scenario parameter: ${perturbation.parameter}`);
+    }
+    const amount = type === 'offset' ? perturbation.amount : perturbation.percent;
+    if (!Number.isFinite(amount)) {
+      throw new Error(`Scenario ${type} for ${perturbation.parameter} needs a numeric ${type === 'offset' ? 'amount' : 'percent'}`);
+    }
+    if (perturbation.applyTo && !['history', 'forecast'].includes(perturbation.applyTo)) {
+      throw new Error(`Unsupported scenario target: ${perturbation.applyTo}`);
+    }
+  }
+
+  if (type === 'remove_sensor' && !perturbation.sensor_id && !Array.isArray(perturbation.sensor_ids)) {
+    throw new Error('Scenario remove_sensor needs a sensor_id or sensor_ids');
+  }
+
+  if (type === 'add_readings') {
+    const valid = Array.isArray(perturbation.readings) &&
+      perturbation.readings.every(reading => reading.timestamp && reading.region);
+    if (!valid) {
+      throw new Error('Scenario add_readings needs readings with a timestamp and region');
+    }
+  }
+
+  if (type === 'driver') {
+    if (!perturbation.driver) {
+      throw new Error('Scenario driver change needs a driver');
+    }
+    if (!Number.isFinite(perturbation.percent) && !Number.isFinite(perturbation.amount)) {
+      throw new Error(`Scenario driver change for ${perturbation.driver} needs a numeric amount or percent`);
+    }
+  }
+};
+
+/**
+ * Whether a perturbation shocks the forecast rather than the history
+ * @param {Object} perturbation - Perturbation definition
+ * @returns {boolean} - True for forecast shocks
+ */
+const isForecastShock = (perturbation) =>
+  (perturbation.type === 'offset' || perturbation.type === 'percent') && perturbation.applyTo === 'forecast';
+
+/**
+ * Apply the history perturbations to a set of readings without changing the originals
+ * @param {Array} historicalData - Water quality readings
+ * @param {Array} perturbations - Scenario perturbations (driver and forecast shocks are skipped)
+ * @returns {Object} - {data, applied: {adjusted_readings, removed_readings, added_readings}}
+ */
+export const applyScenarioToReadings = (historicalData, perturbations = []) => {
+  perturbations.forEach(validatePerturbation);
+
+  let data = historicalData;
+  const adjusted = new Set();
+  let removedCount = 0;
+  let addedCount = 0;
+
+  perturbations.forEach(perturbation => {
+    if (perturbation.type === 'remove_sensor') {
+      const sensorIds = perturbation.sensor_ids || [perturbation.sensor_id];
+      const kept = data.filter(reading =>
+        !(sensorIds.includes(reading.sensor_id) && appliesTo(perturbation, reading.timestamp, reading.region)));
+      removedCount += data.length - kept.length;
+      data = kept;
+    } else if (perturbation.type === 'add_readings') {
+      data = [
+        ...data,
+        ...perturbation.readings.map(reading => ({ sensor_id: 'synthetic', ...reading, synthetic: true }))
+      ];
+      addedCount += perturbation.readings.length;
+    } else if ((perturbation.type === 'offset' || perturbation.type === 'percent') && !isForecastShock(perturbation)) {
+      const { parameter } = perturbation;
+      const config = getForecastParameterConfig(parameter);
+
+      data = data.map(reading => {
+        if (typeof reading[parameter] !== 'number' || !appliesTo(perturbation, reading.timestamp, reading.region)) {
+          return reading;
+        }
+        const shocked = { ...reading, [parameter]: clampToBounds(shockValue(reading[parameter], perturbation), config) };
+        adjusted.add(shocked);
+        return shocked;
+      });
+    }
+  });
+
+  return {
+    data,
+    applied: {
+      adjusted_readings: data.filter(reading => adjusted.has(reading)).length,
+      removed_readings: removedCount,
+      added_readings: addedCount
+    }
+  };
+};
+
+/**
+ * Apply the driver perturbations to covariate records without changing the originals
+ *
+ * A regional change on a date only covered by a region-less record adds a
+ * regional copy, so other regions keep the original value.
+ * @param {Array} covariates - Normalized covariate records (see covariates.js)
+ * @param {Array} perturbations - Scenario perturbations (only driver changes are used)
+ * @returns {Array} - Perturbed covariate records
+ */
+export const applyScenarioToCovariates = (covariates, perturbations = []) => {
+  const driverChanges = perturbations.filter(perturbation => perturbation.type === 'driver');
+  if (driverChanges.length === 0) return covariates;
+
+  if (!Array.isArray(covariates) || covariates.length === 0) {
+    throw new Error('Scenario driver changes need covariate records');
+  }
+  driverChanges.forEach(validatePerturbation);
+
+  return driverChanges.reduce((records, perturbation) => {
+    const { driver, region = null } = perturbation;
+    const regionalDates = new Set(records
+      .filter(record => region && record.region === region)
+      .map(record => record.date));
+    const regionalCopies = region ?
+      records
+        .filter(record => !record.region && !regionalDates.has(record.date) && appliesTo(perturbation, record.date, null))
+        .map(record => ({ ...record, region })) :
+      [];
+
+    return [...records, ...regionalCopies].map(record => {
+      const matchesRegion = region ? record.region === region : true;
+      if (!matchesRegion || typeof record[driver] !== 'number' || !appliesTo(perturbation, record.date, record.region)) {
+        return record;
+      }
+      return { ...record, [driver]: shockValue(record[driver], perturbation) };
+    });
+  }, covariates);
+};
+
+/**
+ * Shift a forecast result by the forecast shocks for its parameter
+ * @param {Object} result - Parameter or quality index forecast result
+ * @param {Array} shocks - Forecast shocks for this parameter
+ * @param {Object} options - {valueKey, pointsKey, breach}
+ * @returns {Object} - Shifted forecast result
+ */
+const shiftForecast = (result, shocks, { valueKey, pointsKey, breach }) => {
+  if (!result.success || shocks.length === 0) return result;
+
+  const config = getForecastParameterConfig(result.parameter || QUALITY_PARAMETER);
+  const round = value => Number(value.toFixed(config.decimals));
+  const shift = (value, point) => shocks.reduce(
+    (shifted, shock) => (appliesTo(shock, point.timestamp, null) ? clampToBounds(shockValue(shifted, shock), config) : shifted),
+    value
+  );
+
+  let points = result[pointsKey].map(point => ({
+    ...point,
+    [valueKey]: round(shift(point[valueKey], point)),
+    confidence_interval: point.confidence_interval && {
+      ...point.confidence_interval,
+      lower: shift(point.confidence_interval.lower, point),
+      upper: shift(point.confidence_interval.upper, point)
+    },
+    prediction_intervals: point.prediction_intervals && point.prediction_intervals.map(band => ({
+      ...band,
+      lower: shift(band.lower, point),
+      upper: shift(band.upper, point)
+    }))
+  }));
+
+  const averageForecast = points.reduce((sum, point) => sum + point[valueKey], 0) / points.length;
+  const currentKey = pointsKey === 'forecast_quality_index' ? 'current_quality_index' : 'current_value';
+  const currentValue = result.summary[currentKey];
+  const shifted = {
+    ...result,
+    summary: {
+      ...result.summary,
+      average_forecast: round(averageForecast),
+      expected_change: round(averageForecast - currentValue)
+    }
+  };
+
+  // Breach probabilities follow the shifted quality index
+  if (pointsKey === 'forecast_quality_index') {
+    const { forecasts, breaches } = calculateBreachProbabilities(points, {
+      ...breach,
+      valueKey,
+      currentValue
+    });
+    points = forecasts;
+    shifted.threshold_breaches = breaches;
+  }
+
+  shifted[pointsKey] = points;
+  return shifted;
+};
+
+/**
+ * Line up a baseline and scenario forecast step by step
+ * @param {Object} baseline - Baseline forecast result
+ * @param {Object} scenario - Scenario forecast result
+ * @param {Object} options - {parameter, valueKey, pointsKey}
+ * @returns {Object|null} - {points, summary}, null when either forecast failed
+ */
+export const compareForecasts = (baseline, scenario, { parameter, valueKey = 'value', pointsKey = 'forecast' }) => {
+  if (!baseline || !scenario || !baseline.success || !scenario.success) return null;
+
+  const config = getForecastParameterConfig(parameter);
+  const round = value => Number(value.toFixed(config.decimals));
+  const scenarioByTime = new Map(scenario[pointsKey].map(point => [point.timestamp, point]));
+
+  const points = baseline[pointsKey]
+    .filter(point => scenarioByTime.has(point.timestamp))
+    .map(point => {
+      const scenarioPoint = scenarioByTime.get(point.timestamp);
+      const difference = scenarioPoint[valueKey] - point[valueKey];
+
+      return {
+        timestamp: point.timestamp,
+        date: point.date,
+        step: point.step,
+        baseline: point[valueKey],
+        scenario: scenarioPoint[valueKey],
+        difference: round(difference),
+        percent_change: point[valueKey] !== 0 ? Math.round(difference / point[valueKey] * 1000) / 10 : null
+      };
+    });
+
+  if (points.length === 0) return null;
+
+  const differences = points.map(point => point.difference);
+  const largest = differences.reduce((max, difference) => (Math.abs(difference) > Math.abs(max) ? difference : max), 0);
+
+  return {
+    points,
+    summary: {
+      baseline_average: baseline.summary.average_forecast,
+      scenario_average: scenario.summary.average_forecast,
+      mean_difference: round(differences.reduce((sum, difference) => sum + difference, 0) / differences.length),
+      max_difference: round(largest),
+      trend: { baseline: baseline.trend, scenario: scenario.trend }
+    }
+  };
+};
+
+/**
+ * Compare when each quality band breach becomes likely in the two forecasts
+ * @param {Object} baseline - Baseline quality index forecast
+ * @param {Object} scenario - Scenario quality index forecast
+ * @returns {Array} - Array of {band, threshold, baseline_likely, scenario_likely, baseline_first_likely_date, scenario_first_likely_date}
+ */
+const compareBreaches = (baseline, scenario) => {
+  if (!baseline.success || !scenario.success) return [];
+
+  const scenarioByBand = new Map(scenario.threshold_breaches.map(breach => [breach.band, breach]));
+
+  return baseline.threshold_breaches.map(breach => {
+    const scenarioBreach = scenarioByBand.get(breach.band) || {};
+    return {
+      band: breach.band,
+      threshold: breach.threshold,
+      baseline_likely: breach.likely,
+      scenario_likely: Boolean(scenarioBreach.likely),
+      baseline_first_likely_date: breach.first_likely_date,
+      scenario_first_likely_date: scenarioBreach.first_likely_date || null
+    };
+  });
+};
+
+/**
+ * Forecast the quality index and raw parameters for one set of inputs
+ * @param {Array} data - Readings
+ * @param {string|null} region - Region, null for all regions
+ * @param {Array} parameters - Raw parameters to forecast
+ * @param {Object} forecastOptions - Forecast options
+ * @returns {Object} - {quality, parameters}
+ */
+const forecastAll = (data, region, parameters, forecastOptions) => ({
+  quality: generateWaterQualityForecast(data, region, forecastOptions),
+  parameters: parameters.length > 0 ?
+    generateMultiParameterForecast(data, region, { ...forecastOptions, parameters }).forecasts :
+    {}
+});
+
+/**
+ * Run a what-if scenario and compare it with the baseline forecast
+ * @param {Array} historicalData - Water quality readings (any order)
+ * @param {Object} scenario - {name, perturbations}
+ * @param {Object} options - Scenario options
+ * @param {string} options.region - Region to forecast (default all regions)
+ * @param {Array} options.parameters - Raw parameters to forecast besides the quality index
+ *   (default temperature, pH and turbidity, plus any shocked parameter)
+ * @param {Object} options.forecastOptions - Options for every forecast (see generateWaterQualityForecast),
+ *   including the covariates driver changes apply to
+ * @returns {Object} - {success, name, region, perturbations, applied, baseline, scenario, comparison}
+ */
+export const runForecastScenario = (historicalData, scenario = {}, options = {}) => {
+  const { name = 'Scenario', perturbations = [] } = scenario;
+  const { region = null, parameters = DEFAULT_FORECAST_PARAMETERS, forecastOptions = {} } = options;
+
+  try {
+    perturbations.forEach(validatePerturbation);
+
+    // Scenario forecasts are hypothetical, so none of them is archived
+    const baseOptions = { ...forecastOptions, archive: null };
+    const shockedParameters = perturbations
+      .filter(perturbation => perturbation.parameter && perturbation.parameter !== QUALITY_PARAMETER)
+      .map(perturbation => perturbation.parameter);
+    const forecastParameters = [...new Set([...parameters, ...shockedParameters])];
+
+    const { data, applied } = applyScenarioToReadings(historicalData, perturbations);
+    const covariates = applyScenarioToCovariates(forecastOptions.covariates, perturbations);
+    const scenarioOptions = covariates ? { ...baseOptions, covariates } : baseOptions;
+
+    const baseline = forecastAll(historicalData, region, forecastParameters, baseOptions);
+    const scenarioForecast = forecastAll(data, region, forecastParameters, scenarioOptions);
+
+    const shocksFor = parameter => perturbations.filter(perturbation =>
+      isForecastShock(perturbation) &&
+      perturbation.parameter === parameter &&
+      (!perturbation.region || perturbation.region === region));
+
+    scenarioForecast.quality = shiftForecast(scenarioForecast.quality, shocksFor(QUALITY_PARAMETER), {
+      valueKey: 'quality_index',
+      pointsKey: 'forecast_quality_index',
+      breach: forecastOptions.breach
+    });
+    forecastParameters.forEach(parameter => {
+      scenarioForecast.parameters[parameter] = shiftForecast(scenarioForecast.parameters[parameter], shocksFor(parameter), {
+        valueKey: 'value',
+        pointsKey: 'forecast'
+      });
+    });
+
+    return {
+      success: true,
+      name,
+      region: region || 'all_regions',
+      perturbations,
+      applied: {
+        ...applied,
+        adjusted_drivers: covariates !== forecastOptions.covariates,
+        forecast_shocks: perturbations.filter(isForecastShock).length
+      },
+      baseline,
+      scenario: scenarioForecast,
+      comparison: {
+        quality: compareForecasts(baseline.quality, scenarioForecast.quality, {
+          parameter: QUALITY_PARAMETER,
+          valueKey: 'quality_index',
+          pointsKey: 'forecast_quality_index'
+        }),
+        breaches: compareBreaches(baseline.quality, scenarioForecast.quality),
+        parameters: forecastParameters.reduce((comparisons, parameter) => {
+          comparisons[parameter] = compareForecasts(baseline.parameters[parameter], scenarioForecast.parameters[parameter], {
+            parameter
+          });
+          return comparisons;
+        }, {})
+      },
+      generated_at: new Date().toISOString()
+    };
+  } catch (error) {
+    return {
+      success: false,
+      name,
+      error: error.message
+    };
+  }
+};
+
+export default {
+  SCENARIO_PERTURBATION_TYPES,
+  validatePerturbation,
+  applyScenarioToReadings,
+  applyScenarioToCovariates,
+  compareForecasts,
+  runForecastScenario
+};
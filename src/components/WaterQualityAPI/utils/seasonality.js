@@ -0,0 +1,247 @@
+/**
+ * Multi-cycle Seasonality
+ *
+ * Detects and models several seasonal cycles in a series: hour of day
+ * (diurnal), day of week (weekly) and month of year (annual). Each cycle is
+ * only tested when the history spans enough of it, and is tested with a
+ * one-way ANOVA of the detrended values grouped by the cycle's position.
+ * Cycles are tested shortest first, each on what the previous significant
+ * cycles leave unexplained, so a weekly pattern is not mistaken for a diurnal
+ * one. Cycle positions use UTC, like the resampled series.
+ */
+
+import { fCdf, mean } from './statistics';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Supported cycles with the span of one cycle, the number of positions in it
+ * and how many full cycles the history must span before the cycle is tested
+ */
+export const SEASONAL_CYCLES = {
+  diurnal: {
+    label: 'Hour of day',
+    periodMs: DAY_MS,
+    positions: 24,
+    minCycles: 2,
+    getPosition: date => date.getUTCHours()
+  },
+  weekly: {
+    label: 'Day of week',
+    periodMs: 7 * DAY_MS,
+    positions: 7,
+    minCycles: 2,
+    getPosition: date => date.getUTCDay()
+  },
+  annual: {
+    label: 'Month of year',
+    periodMs: 365 * DAY_MS,
+    positions: 12,
+    minCycles: 1,
+    getPosition: date => date.getUTCMonth()
+  }
+};
+
+/**
+ * Significance level used when none is given
+ */
+export const DEFAULT_SEASONALITY_ALPHA = 0.05;
+
+/**
+ * Least-squares line through a series, used to detrend it before testing
+ * @param {Array} series - Array of {x, y} points
+ * @returns {Object} - {slope, intercept}
+ */
+const fitTrend = (series) => {
+  const meanX = mean(series.map(point => point.x));
+  const meanY = mean(series.map(point => point.y));
+  const sxx = series.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  const sxy = series.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+  const slope = sxx > 0 ? sxy / sxx : 0;
+
+  return { slope, intercept: meanY - slope * meanX };
+};
+
+/**
+ * One-way ANOVA of values grouped by cycle position
+ * @param {number[]} values - Values
+ * @param {number[]} positions - Cycle position of each value
+ * @param {number} positionCount - Number of positions in the cycle
+ * @returns {Object} - {effects, observed_positions, strength, f_statistic, p_value}
+ */
+const testCycle = (values, positions, positionCount) => {
+  const sums = new Array(positionCount).fill(0);
+  const counts = new Array(positionCount).fill(0);
+
+  values.forEach((value, index) => {
+    sums[positions[index]] += value;
+    counts[positions[index]]++;
+  });
+
+  const overall = mean(values);
+  const groupMeans = sums.map((sum, position) => (counts[position] > 0 ? sum / counts[position] : null));
+  const observed = groupMeans.filter(groupMean => groupMean !== null).length;
+
+  const totalSquares = values.reduce((sum, value) => sum + (value - overall) ** 2, 0);
+  const betweenSquares = groupMeans.reduce((sum, groupMean, position) =>
+    (groupMean === null ? sum : sum + counts[position] * (groupMean - overall) ** 2), 0);
+  const withinSquares = Math.max(0, totalSquares - betweenSquares);
+  const betweenDf = observed - 1;
+  const withinDf = values.length - observed;
+
+  let fStatistic = null;
+  let pValue = null;
+  if (betweenDf > 0 && withinDf > 0) {
+    fStatistic = withinSquares > 0 ?
+      (betweenSquares / betweenDf) / (withinSquares / withinDf) :
+      (betweenSquares > 0 ? Infinity : 0);
+    pValue = 1 - fCdf(fStatistic, betweenDf, withinDf);
+  }
+
+  return {
+    // Positions without data get no adjustment
+    effects: groupMeans.map(groupMean => (groupMean === null ? 0 : groupMean - overall)),
+    observed_positions: observed,
+    strength: totalSquares > 0 ? betweenSquares / totalSquares : 0,
+    f_statistic: fStatistic,
+    p_value: pValue
+  };
+};
+
+/**
+ * Detect which seasonal cycles matter in a series
+ * @param {Array} series - Ascending array of {x, y, timestamp} points
+ * @param {Object} options - Detection options
+ * @param {string} options.interval - Step of the series: 'hourly', '6-hourly' or 'daily' (default 'daily');
+ *   the diurnal cycle is only tested for sub-daily steps
+ * @param {string[]} options.cycles - Cycles to test (default every cycle in SEASONAL_CYCLES)
+ * @param {number} options.alpha - Significance level (default 0.05)
+ * @param {number} options.minStrength - Least share of variance a cycle must explain to be applied (default 0)
+ *   The strength of a cycle is the share of the variance still unexplained when it is tested.
+ * @returns {Object} - {level, cycles: [{name, label, tested, reason, strength, f_statistic, p_value,
+ *   significant, applied, effects, factors}], applied}
+ */
+export const detectSeasonality = (series, options = {}) => {
+  const {
+    interval = 'daily',
+    cycles = Object.keys(SEASONAL_CYCLES),
+    alpha = DEFAULT_SEASONALITY_ALPHA,
+    minStrength = 0
+  } = options;
+
+  cycles.forEach(name => {
+    if (!SEASONAL_CYCLES[name]) {
+      throw new Error(`Unsupported seasonal cycle: ${name}`);
+    }
+  });
+
+  const level = series.length > 0 ? mean(series.map(point => point.y)) : 0;
+  const dates = series.map(point => new Date(point.timestamp));
+  const spanMs = series.length > 1 ? dates[dates.length - 1] - dates[0] : 0;
+
+  // Cycles are removed from the detrended values as they are found
+  const regression = fitTrend(series);
+  let remaining = series.map(point => point.y - (regression.slope * point.x + regression.intercept));
+
+  const results = Object.keys(SEASONAL_CYCLES)
+    .filter(name => cycles.includes(name))
+    .map(name => {
+      const cycle = SEASONAL_CYCLES[name];
+      const base = { name, label: cycle.label, positions: cycle.positions };
+      const untested = reason => ({
+        ...base,
+        tested: false,
+        reason,
+        strength: null,
+        f_statistic: null,
+        p_value: null,
+        significant: false,
+        applied: false,
+        observed_positions: null,
+        effects: null,
+        factors: null
+      });
+
+      if (name === 'diurnal' && interval === 'daily') {
+        return untested('Daily steps cannot show an hour-of-day cycle');
+      }
+      // Allow a step of slack: n daily points span n - 1 days
+      if (spanMs + DAY_MS < cycle.minCycles * cycle.periodMs) {
+        return untested(`History spans less than ${cycle.minCycles} full ${name} cycle${cycle.minCycles === 1 ? '' : 's'}`);
+      }
+
+      const positions = dates.map(cycle.getPosition);
+      const test = testCycle(remaining, positions, cycle.positions);
+      const significant = test.p_value !== null && test.p_value < alpha;
+      const applied = significant && test.strength >= minStrength;
+
+      if (applied) {
+        remaining = remaining.map((value, index) => value - test.effects[positions[index]]);
+      }
+
+      return {
+        ...base,
+        tested: true,
+        reason: null,
+        strength: test.strength,
+        f_statistic: test.f_statistic,
+        p_value: test.p_value,
+        significant,
+        applied,
+        observed_positions: test.observed_positions,
+        effects: test.effects,
+        factors: test.effects.map(effect => (level !== 0 ? (level + effect) / level : 1))
+      };
+    });
+
+  return {
+    level,
+    cycles: results,
+    applied: results.filter(result => result.applied).map(result => result.name)
+  };
+};
+
+/**
+ * Combined seasonal adjustment of the applied cycles at a date
+ * @param {Object} seasonality - Result of detectSeasonality
+ * @param {Date|string} date - Date to adjust
+ * @returns {Object} - {effect, factor}: the additive effect and multiplicative factor (1 when none apply)
+ */
+export const getSeasonalAdjustment = (seasonality, date) => {
+  const when = date instanceof Date ? date : new Date(date);
+
+  return seasonality.cycles
+    .filter(cycle => cycle.applied)
+    .reduce((adjustment, cycle) => {
+      const position = SEASONAL_CYCLES[cycle.name].getPosition(when);
+      return {
+        effect: adjustment.effect + cycle.effects[position],
+        factor: adjustment.factor * cycle.factors[position]
+      };
+    }, { effect: 0, factor: 1 });
+};
+
+/**
+ * Summarize detected cycles for forecast metadata, without the per-position arrays
+ * @param {Object} seasonality - Result of detectSeasonality
+ * @returns {Array} - Array of {name, label, tested, reason, strength, p_value, significant, applied}
+ */
+export const summarizeSeasonality = (seasonality) =>
+  seasonality.cycles.map(({ name, label, tested, reason, strength, p_value: pValue, significant, applied }) => ({
+    name,
+    label,
+    tested,
+    reason,
+    strength: strength === null ? null : Math.round(strength * 1000) / 1000,
+    p_value: pValue === null ? null : Math.round(pValue * 10000) / 10000,
+    significant,
+    applied
+  }));
+
+export default {
+  SEASONAL_CYCLES,
+  DEFAULT_SEASONALITY_ALPHA,
+  detectSeasonality,
+  getSeasonalAdjustment,
+  summarizeSeasonality
+};
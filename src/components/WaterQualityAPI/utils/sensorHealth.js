@@ -0,0 +1,373 @@
+/**
+ * Sensor Health
+ *
+ * Diagnoses the sensors behind the readings rather than the water:
+ * - flatline: a parameter stuck at the same value for a run of readings
+ * - drift: a parameter's offset from the regional peers (their daily median)
+ *   trending away over the days, as a fouled or ageing probe does; with fewer
+ *   than three peers a drifting peer moves the median, so it can show on
+ *   the healthy sensors too
+ * - spikes: isolated readings far from both neighbours
+ * - gaps / stale: intervals much longer than the sensor's usual one, within
+ *   the readings or since its last reading
+ * - calibration / maintenance: last calibration (from the latest reading) or
+ *   maintenance (from sensor metadata) older than allowed
+ * - status: share of readings the sensor itself flagged (sensor_status other
+ *   than 'normal' or data_quality other than 'good')
+ *
+ * Each problem is an issue with a reason, a score against its threshold and a
+ * severity (see rateSeverity). A sensor starts at 100 and loses points per
+ * issue by severity.
+ */
+
+import { quantile, standardDeviation } from './statistics';
+import { formatParameterValue, resolveParameters } from './parameterRegistry';
+import { floorToInterval, getIntervalMs } from './timeSeriesResampler';
+import { rateSeverity } from './anomalyDetection';
+
+/**
+ * Checks run on every sensor
+ */
+export const HEALTH_CHECKS = ['flatline', 'drift', 'spikes', 'gaps', 'stale', 'calibration', 'maintenance', 'status'];
+
+/**
+ * Settings of each check
+ *
+ * - flatline.minRun: readings in a row with the same value (within tolerance)
+ * - drift.threshold: change in the offset from peers, in standard deviations of its scatter
+ * - drift.minDays: days with both the sensor and a peer reporting before drift is checked
+ * - spikes.threshold: modified z-score of the deviation from the neighbours
+ * - spikes.maxRate: share of readings that may be spikes
+ * - gaps.factor: multiple of the usual interval counted as a gap
+ * - calibration.maxAgeDays / maintenance.maxAgeDays: allowed age
+ * - status.maxShare: share of readings the sensor may flag
+ */
+export const DEFAULT_HEALTH_OPTIONS = {
+  flatline: { minRun: 6, tolerance: 0 },
+  drift: { threshold: 3, minDays: 7 },
+  spikes: { threshold: 3.5, maxRate: 0.02 },
+  gaps: { factor: 3 },
+  calibration: { maxAgeDays: 30 },
+  maintenance: { maxAgeDays: 180 },
+  status: { maxShare: 0.1 }
+};
+
+/**
+ * Points lost per issue, by severity
+ */
+export const SEVERITY_PENALTIES = { low: 5, medium: 15, high: 30 };
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAD_SCALE = 0.6745;
+
+/**
+ * Rate a health score
+ * @param {number} score - Health score (0-100)
+ * @returns {string} - 'healthy' from 80, 'degraded' from 50, otherwise 'faulty'
+ */
+export const rateSensorHealth = (score) => {
+  if (score >= 80) return 'healthy';
+  if (score >= 50) return 'degraded';
+  return 'faulty';
+};
+
+/**
+ * Build an issue
+ * @param {string} check - Check that found it
+ * @param {string|null} parameter - Parameter concerned, null for the whole sensor
+ * @param {number} score - Measured value of the check
+ * @param {number} threshold - Value the score exceeded
+ * @param {string} reason - Explanation for people
+ * @returns {Object} - Health issue
+ */
+const toIssue = (check, parameter, score, threshold, reason) => ({
+  check,
+  parameter,
+  score,
+  threshold,
+  severity: rateSeverity(score, threshold),
+  reason
+});
+
+/**
+ * Format a duration in hours or days
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - E.g. '18 h' or '3.5 days'
+ */
+const formatDuration = (ms) =>
+  (ms < 2 * DAY_MS ? `${Math.round(ms / HOUR_MS)} h` : `${parseFloat((ms / DAY_MS).toFixed(1))} days`);
+
+/**
+ * Longest run of unchanged values of a parameter
+ * @param {Array} entries - Sensor readings {time, reading} in time order
+ * @param {Object} parameter - Parameter definition
+ * @param {Object} settings - flatline settings
+ * @returns {Object|null} - Issue, null without a long enough run
+ */
+const checkFlatline = (entries, parameter, settings) => {
+  let best = { length: 0, value: null };
+  let run = { length: 0, value: null };
+
+  entries.forEach(({ reading }) => {
+    const value = reading[parameter.key];
+    if (!Number.isFinite(value)) return;
+
+    run = run.length > 0 && Math.abs(value - run.value) <= settings.tolerance ?
+      { length: run.length + 1, value: run.value } :
+      { length: 1, value };
+    if (run.length > best.length) best = run;
+  });
+
+  if (best.length < settings.minRun) return null;
+  return toIssue('flatline', parameter.key, best.length, settings.minRun,
+    `${parameter.label} stuck at ${formatParameterValue(parameter, best.value)} for ${best.length} readings`);
+};
+
+/**
+ * Isolated readings far from both neighbours
+ * @param {Array} entries - Sensor readings {time, reading} in time order
+ * @param {Object} parameter - Parameter definition
+ * @param {Object} settings - spikes settings
+ * @returns {Object|null} - Issue, null when spikes are no more frequent than allowed
+ */
+const checkSpikes = (entries, parameter, settings) => {
+  const values = entries.map(({ reading }) => reading[parameter.key]).filter(Number.isFinite);
+  if (values.length < 5) return null;
+
+  // Deviation of each reading from the midpoint of its neighbours
+  const deviations = values.slice(1, -1).map((value, i) => value - (values[i] + values[i + 2]) / 2);
+  const center = quantile(deviations, 0.5);
+  const scale = quantile(deviations.map(deviation => Math.abs(deviation - center)), 0.5);
+  if (!(scale > 0)) return null;
+
+  const scores = deviations.map(deviation => MAD_SCALE * Math.abs(deviation - center) / scale);
+  // A spike also pushes its neighbours' deviations up; only count the peak
+  const spikes = scores.filter((score, i) =>
+    score > settings.threshold &&
+    (i === 0 || score >= scores[i - 1]) &&
+    (i === scores.length - 1 || score >= scores[i + 1])
+  ).length;
+  const rate = spikes / values.length;
+
+  if (spikes === 0 || rate <= settings.maxRate) return null;
+  return toIssue('spikes', parameter.key, rate, settings.maxRate,
+    `${spikes} ${parameter.label} spikes in ${values.length} readings`);
+};
+
+/**
+ * Daily averages of each parameter of a sensor
+ * @param {Array} entries - Sensor readings {time, reading}
+ * @param {Array} parameters - Parameter definitions
+ * @returns {Object} - Parameter key => Map(day start => average)
+ */
+const dailyAverages = (entries, parameters) => {
+  const dayMs = getIntervalMs('daily');
+
+  return parameters.reduce((averages, parameter) => {
+    const sums = new Map();
+    entries.forEach(({ time, reading }) => {
+      const value = reading[parameter.key];
+      if (!Number.isFinite(value)) return;
+
+      const day = floorToInterval(time, dayMs);
+      const sum = sums.get(day) || { total: 0, count: 0 };
+      sums.set(day, { total: sum.total + value, count: sum.count + 1 });
+    });
+
+    averages[parameter.key] = new Map([...sums].map(([day, sum]) => [day, sum.total / sum.count]));
+    return averages;
+  }, {});
+};
+
+/**
+ * Trend in a sensor's offset from the median of its regional peers
+ * @param {Map} own - Day start => the sensor's daily average
+ * @param {Array} peers - Day start => daily average maps of the peers
+ * @param {Object} parameter - Parameter definition
+ * @param {Object} settings - drift settings
+ * @returns {Object|null} - Issue, null without enough days or drift
+ */
+const checkDrift = (own, peers, parameter, settings) => {
+  const points = [];
+  own.forEach((value, day) => {
+    const peerValues = peers.map(peer => peer.get(day)).filter(peerValue => peerValue !== undefined);
+    if (peerValues.length > 0) {
+      points.push({ x: day / DAY_MS, y: value - quantile(peerValues, 0.5) });
+    }
+  });
+  if (points.length < Math.max(settings.minDays, 3)) return null;
+
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const sxx = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  const slope = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0) / sxx;
+  const residuals = points.map(point => point.y - (meanY + slope * (point.x - meanX)));
+  const scatter = standardDeviation(residuals);
+
+  const days = points[points.length - 1].x - points[0].x;
+  const change = slope * days;
+  const score = scatter > 0 ? Math.abs(change) / scatter : (change === 0 ? 0 : Infinity);
+  if (score <= settings.threshold) return null;
+
+  return toIssue('drift', parameter.key, score, settings.threshold,
+    `${parameter.label} drifted ${change > 0 ? '+' : ''}${formatParameterValue(parameter, change)} ` +
+    `from regional peers over ${Math.round(days)} days`);
+};
+
+/**
+ * Reporting gaps within the readings and since the last one
+ * @param {Array} entries - Sensor readings {time, reading} in time order
+ * @param {number} now - Time the sensor is assessed at
+ * @param {Object} settings - gaps settings
+ * @returns {Array} - Issues
+ */
+const checkGaps = (entries, now, settings) => {
+  const intervals = entries.slice(1)
+    .map((entry, i) => entry.time - entries[i].time)
+    .filter(interval => interval > 0);
+  if (intervals.length < 2) return [];
+
+  const usual = quantile(intervals, 0.5);
+  const limit = settings.factor * usual;
+  const issues = [];
+
+  const gaps = intervals.filter(interval => interval > limit);
+  if (gaps.length > 0) {
+    const longest = Math.max(...gaps);
+    issues.push(toIssue('gaps', null, longest / usual, settings.factor,
+      `${gaps.length} reporting ${gaps.length === 1 ? 'gap' : 'gaps'}, longest ${formatDuration(longest)}`));
+  }
+
+  const silence = now - entries[entries.length - 1].time;
+  if (silence > limit) {
+    issues.push(toIssue('stale', null, silence / usual, settings.factor,
+      `No reading for ${formatDuration(silence)}`));
+  }
+
+  return issues;
+};
+
+/**
+ * Age of a date against its allowed age
+ * @param {string} check - 'calibration' or 'maintenance'
+ * @param {string|null} date - Date of the last calibration or maintenance
+ * @param {number} now - Time the sensor is assessed at
+ * @param {Object} settings - Check settings {maxAgeDays}
+ * @returns {Object|null} - Issue, null when recent enough or unknown
+ */
+const checkAge = (check, date, now, settings) => {
+  const time = date ? new Date(date).getTime() : NaN;
+  if (Number.isNaN(time)) return null;
+
+  const ageDays = (now - time) / DAY_MS;
+  if (ageDays <= settings.maxAgeDays) return null;
+  return toIssue(check, null, ageDays, settings.maxAgeDays,
+    `${check === 'calibration' ? 'Calibration' : 'Maintenance'} ${Math.floor(ageDays)} days old ` +
+    `(due every ${settings.maxAgeDays})`);
+};
+
+/**
+ * Share of readings the sensor flagged itself
+ * @param {Array} entries - Sensor readings {time, reading}
+ * @param {Object} settings - status settings
+ * @returns {Object|null} - Issue, null when no more than allowed
+ */
+const checkStatus = (entries, settings) => {
+  const reported = entries.filter(({ reading }) => reading.sensor_status || reading.data_quality);
+  if (reported.length === 0) return null;
+
+  const flagged = reported.filter(({ reading }) =>
+    (reading.sensor_status && reading.sensor_status !== 'normal') ||
+    (reading.data_quality && reading.data_quality !== 'good')
+  ).length;
+  const share = flagged / reported.length;
+
+  if (flagged === 0 || share <= settings.maxShare) return null;
+  return toIssue('status', null, share, settings.maxShare,
+    `Sensor flagged ${Math.round(share * 100)}% of readings (${flagged} of ${reported.length})`);
+};
+
+/**
+ * Assess the health of every sensor in the readings
+ * @param {Array} readings - Water quality readings (any order)
+ * @param {Object} options - Assessment options; check settings override DEFAULT_HEALTH_OPTIONS per check
+ * @param {Array} options.parameters - Parameter definitions checked (default: the parameter registry)
+ * @param {Array} options.sensors - Sensor metadata ({sensor_id, last_maintenance}), e.g. sensorInfo
+ * @param {string|number} options.now - Time of the assessment (default: the latest reading)
+ * @returns {Array} - Per sensor {sensor_id, region, score, status, readings, last_reading, last_calibration,
+ *   last_maintenance, issues}, least healthy first
+ */
+export const assessSensorHealth = (readings, options = {}) => {
+  const parameters = resolveParameters(options.parameters);
+  const settings = Object.keys(DEFAULT_HEALTH_OPTIONS).reduce((merged, check) => {
+    merged[check] = { ...DEFAULT_HEALTH_OPTIONS[check], ...options[check] };
+    return merged;
+  }, {});
+  const metadata = new Map((options.sensors || []).map(sensor => [sensor.sensor_id, sensor]));
+
+  const bySensor = new Map();
+  (readings || []).forEach(reading => {
+    const time = new Date(reading.timestamp).getTime();
+    if (Number.isNaN(time)) return;
+    if (!bySensor.has(reading.sensor_id)) bySensor.set(reading.sensor_id, []);
+    bySensor.get(reading.sensor_id).push({ time, reading });
+  });
+  if (bySensor.size === 0) return [];
+
+  bySensor.forEach(entries => entries.sort((a, b) => a.time - b.time));
+  const latest = Math.max(...[...bySensor.values()].map(entries => entries[entries.length - 1].time));
+  const now = options.now !== undefined ? new Date(options.now).getTime() : latest;
+
+  const averages = new Map([...bySensor].map(([sensorId, entries]) => [sensorId, dailyAverages(entries, parameters)]));
+  const regionOf = (sensorId) => bySensor.get(sensorId)[0].reading.region;
+
+  const health = [...bySensor].map(([sensorId, entries]) => {
+    const region = regionOf(sensorId);
+    const peers = [...bySensor.keys()].filter(other => other !== sensorId && regionOf(other) === region);
+    const lastReading = entries[entries.length - 1].reading;
+    const lastMaintenance = metadata.get(sensorId)?.last_maintenance || null;
+
+    const issues = [
+      ...parameters.flatMap(parameter => [
+        checkFlatline(entries, parameter, settings.flatline),
+        checkDrift(
+          averages.get(sensorId)[parameter.key],
+          peers.map(peer => averages.get(peer)[parameter.key]),
+          parameter,
+          settings.drift
+        ),
+        checkSpikes(entries, parameter, settings.spikes)
+      ]),
+      ...checkGaps(entries, now, settings.gaps),
+      checkAge('calibration', lastReading.last_calibration, now, settings.calibration),
+      checkAge('maintenance', lastMaintenance, now, settings.maintenance),
+      checkStatus(entries, settings.status)
+    ].filter(Boolean);
+
+    const penalty = issues.reduce((sum, issue) => sum + SEVERITY_PENALTIES[issue.severity], 0);
+    const score = Math.max(0, 100 - penalty);
+
+    return {
+      sensor_id: sensorId,
+      region,
+      score,
+      status: rateSensorHealth(score),
+      readings: entries.length,
+      last_reading: lastReading.timestamp,
+      last_calibration: lastReading.last_calibration || null,
+      last_maintenance: lastMaintenance,
+      issues
+    };
+  });
+
+  return health.sort((a, b) => a.score - b.score || String(a.sensor_id).localeCompare(String(b.sensor_id)));
+};
+
+export default {
+  HEALTH_CHECKS,
+  DEFAULT_HEALTH_OPTIONS,
+  SEVERITY_PENALTIES,
+  rateSensorHealth,
+  assessSensorHealth
+};
@@ -0,0 +1,200 @@
+/**
+ * Statistics Helpers
+ *
+ * Distribution functions and summary helpers shared by the forecasting and
+ * analysis utilities.
+ */
+
+/**
+ * Calculate the arithmetic mean
+ * @param {number[]} values - Numeric values
+ * @returns {number} - Mean (0 for an empty array)
+ */
+export const mean = (values) =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+/**
+ * Calculate the sample standard deviation
+ * @param {number[]} values - Numeric values
+ * @returns {number} - Standard deviation (0 for fewer than two values)
+ */
+export const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / (values.length - 1));
+};
+
+/**
+ * Calculate a quantile with linear interpolation between order statistics
+ * @param {number[]} values - Numeric values (any order)
+ * @param {number} probability - Quantile probability in [0, 1]
+ * @returns {number} - Quantile value (NaN for an empty array)
+ */
+export const quantile = (values, probability) => {
+  if (values.length === 0) return NaN;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * probability;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Standard normal cumulative distribution function
+ *
+ * Uses the Abramowitz and Stegun 7.1.26 approximation of erf (error < 1.5e-7).
+ * @param {number} z - Standard score
+ * @returns {number} - P(Z <= z)
+ */
+export const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+    t * Math.exp(-x * x);
+
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+};
+
+/**
+ * Inverse of the standard normal cumulative distribution function
+ *
+ * Uses Acklam's rational approximation (relative error < 1.2e-9).
+ * @param {number} probability - Probability in (0, 1)
+ * @returns {number} - z such that P(Z <= z) = probability
+ */
+export const normalQuantile = (probability) => {
+  if (probability <= 0) return -Infinity;
+  if (probability >= 1) return Infinity;
+
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+    1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+    6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+    -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+    3.754408661907416e+00];
+  const lowTail = 0.02425;
+
+  if (probability < lowTail) {
+    const q = Math.sqrt(-2 * Math.log(probability));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (probability > 1 - lowTail) {
+    const q = Math.sqrt(-2 * Math.log(1 - probability));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  const q = probability - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Natural log of the gamma function (Lanczos approximation, g = 7)
+ * @param {number} x - Positive value
+ * @returns {number} - ln Γ(x)
+ */
+const logGamma = (x) => {
+  const coefficients = [0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  const shifted = x - 1;
+  let sum = coefficients[0];
+  for (let i = 1; i < coefficients.length; i++) {
+    sum += coefficients[i] / (shifted + i);
+  }
+  const t = shifted + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+/**
+ * Continued fraction for the incomplete beta function (modified Lentz's method)
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} - Continued fraction value
+ */
+const betaContinuedFraction = (x, a, b) => {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const even = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 + even * d;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = 1 + even / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    result *= d * c;
+
+    const odd = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 + odd * d;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = 1 + odd / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+
+  return result;
+};
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} - I_x(a, b)
+ */
+export const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+
+  // The continued fraction converges fastest on the side of the mean
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(x, a, b) / a;
+  }
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+};
+
+/**
+ * F distribution cumulative distribution function
+ * @param {number} f - F statistic
+ * @param {number} d1 - Numerator degrees of freedom
+ * @param {number} d2 - Denominator degrees of freedom
+ * @returns {number} - P(F <= f)
+ */
+export const fCdf = (f, d1, d2) => {
+  if (!(f > 0)) return 0;
+  if (f === Infinity) return 1;
+  return incompleteBeta(d1 * f / (d1 * f + d2), d1 / 2, d2 / 2);
+};
+
+export default {
+  mean,
+  standardDeviation,
+  quantile,
+  normalCdf,
+  normalQuantile,
+  incompleteBeta,
+  fCdf
+};
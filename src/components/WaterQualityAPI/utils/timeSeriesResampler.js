@@ -0,0 +1,192 @@
+/**
+ * Time Series Resampler
+ *
+ * Turns irregular sensor readings into a regular time series: readings are
+ * bucketed into fixed UTC intervals, averaged per sensor and then across
+ * sensors, and empty intervals are flagged and optionally filled.
+ */
+
+/**
+ * Supported resampling intervals in milliseconds
+ */
+export const RESAMPLE_INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  '6-hourly': 6 * 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Get the length of a resampling interval
+ * @param {string} interval - Interval name ('hourly', '6-hourly', 'daily')
+ * @returns {number} - Interval length in milliseconds
+ */
+export const getIntervalMs = (interval) => {
+  const intervalMs = RESAMPLE_INTERVALS[interval];
+
+  if (!intervalMs) {
+    throw new Error(`Unsupported resampling interval: ${interval}`);
+  }
+
+  return intervalMs;
+};
+
+/**
+ * Floor a time to the start of its interval (UTC aligned)
+ * @param {number} time - Epoch milliseconds
+ * @param {number} intervalMs - Interval length in milliseconds
+ * @returns {number} - Interval start in epoch milliseconds
+ */
+export const floorToInterval = (time, intervalMs) => Math.floor(time / intervalMs) * intervalMs;
+
+/**
+ * Aggregate a list of values
+ * @param {number[]} values - Values to aggregate
+ * @param {string} aggregation - 'mean' or 'median'
+ * @returns {number} - Aggregated value
+ */
+const aggregateValues = (values, aggregation) => {
+  if (aggregation === 'median') {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+/**
+ * Fill runs of empty intervals
+ * @param {Array} series - Resampled series including gap points
+ * @param {string} gapStrategy - 'linear', 'locf' (last observation carried forward) or 'omit'
+ * @param {number|null} maxGap - Longest run of empty intervals to fill (null for no limit)
+ * @returns {Array} - Series with gaps filled, left empty or removed
+ */
+const fillGaps = (series, gapStrategy, maxGap) => {
+  if (gapStrategy === 'omit') {
+    return series.filter(point => !point.is_gap);
+  }
+
+  const filled = series.map(point => ({ ...point }));
+  let index = 0;
+
+  while (index < filled.length) {
+    if (!filled[index].is_gap) {
+      index++;
+      continue;
+    }
+
+    const gapStart = index;
+    while (index < filled.length && filled[index].is_gap) index++;
+    const gapLength = index - gapStart;
+
+    if (maxGap !== null && gapLength > maxGap) continue;
+
+    // Resampled series always start and end on an observed interval
+    const before = filled[gapStart - 1].value;
+    const after = filled[index].value;
+
+    for (let offset = 0; offset < gapLength; offset++) {
+      const point = filled[gapStart + offset];
+      point.value = gapStrategy === 'linear' ?
+        before + (after - before) * (offset + 1) / (gapLength + 1) :
+        before;
+      point.filled = true;
+    }
+  }
+
+  return filled;
+};
+
+/**
+ * Resample readings into a regular time series
+ * @param {Array} readings - Water quality readings
+ * @param {Object} options - Resampling options
+ * @param {string} options.parameter - Reading field to resample (default 'region_avg_quality_index')
+ * @param {string} options.interval - 'hourly', '6-hourly' or 'daily' (default 'daily')
+ * @param {string} options.aggregation - 'mean' or 'median' across sensors (default 'mean')
+ * @param {string} options.gapStrategy - 'linear', 'locf' or 'omit' (default 'linear')
+ * @param {number} options.maxGap - Longest run of empty intervals to fill (default no limit)
+ * @returns {Array} - Ascending array of {timestamp, value, count, imputed_count, sensor_count, is_gap, filled};
+ *   imputed_count is the number of readings whose value for the parameter was imputed (see imputation.js)
+ */
+export const resampleReadings = (readings, options = {}) => {
+  const {
+    parameter = 'region_avg_quality_index',
+    interval = 'daily',
+    aggregation = 'mean',
+    gapStrategy = 'linear',
+    maxGap = null
+  } = options;
+
+  const intervalMs = getIntervalMs(interval);
+  const buckets = new Map();
+  const imputedCounts = new Map();
+
+  (readings || []).forEach(reading => {
+    const value = reading[parameter];
+    const time = new Date(reading.timestamp).getTime();
+    if (value == null || Number.isNaN(value) || Number.isNaN(time)) return;
+
+    const bucketStart = floorToInterval(time, intervalMs);
+    if (!buckets.has(bucketStart)) {
+      buckets.set(bucketStart, new Map());
+    }
+
+    const sensors = buckets.get(bucketStart);
+    const sensorId = reading.sensor_id || 'unknown';
+    if (!sensors.has(sensorId)) {
+      sensors.set(sensorId, []);
+    }
+    sensors.get(sensorId).push(value);
+
+    if (reading.imputed_fields && reading.imputed_fields.includes(parameter)) {
+      imputedCounts.set(bucketStart, (imputedCounts.get(bucketStart) || 0) + 1);
+    }
+  });
+
+  if (buckets.size === 0) return [];
+
+  const bucketStarts = [...buckets.keys()].sort((a, b) => a - b);
+  const first = bucketStarts[0];
+  const last = bucketStarts[bucketStarts.length - 1];
+  const series = [];
+
+  for (let time = first; time <= last; time += intervalMs) {
+    const sensors = buckets.get(time);
+
+    if (!sensors) {
+      series.push({
+        timestamp: new Date(time).toISOString(),
+        value: null,
+        count: 0,
+        imputed_count: 0,
+        sensor_count: 0,
+        is_gap: true,
+        filled: false
+      });
+      continue;
+    }
+
+    // Average each sensor first so sensors reporting more often don't dominate
+    const sensorValues = [...sensors.values()].map(values => aggregateValues(values, aggregation));
+
+    series.push({
+      timestamp: new Date(time).toISOString(),
+      value: aggregateValues(sensorValues, aggregation),
+      count: [...sensors.values()].reduce((sum, values) => sum + values.length, 0),
+      imputed_count: imputedCounts.get(time) || 0,
+      sensor_count: sensors.size,
+      is_gap: false,
+      filled: false
+    });
+  }
+
+  return fillGaps(series, gapStrategy, maxGap);
+};
+
+export default {
+  RESAMPLE_INTERVALS,
+  getIntervalMs,
+  floorToInterval,
+  resampleReadings
+};
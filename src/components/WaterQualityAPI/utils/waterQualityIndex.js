@@ -0,0 +1,414 @@
+/**
+ * Water Quality Index
+ *
+ * Computes the quality index from the measured parameters instead of
+ * trusting a reported region_avg_quality_index. Three methods:
+ * - ccme: CCME WQI, from how many parameters miss their objectives (the
+ *   registry thresholds), how often, and by how much
+ * - nsf: NSF-style weighted arithmetic mean of 0-100 sub-indices read off
+ *   piecewise linear rating curves
+ * - custom: the NSF-style calculation with your own weights (and optionally
+ *   curves and bands), e.g. from a weights file
+ *
+ * Every reading gets a 0-100 sub-index per parameter. Weighted methods
+ * average the sub-indices of the parameters a reading has, so a missing
+ * parameter shifts its weight to the others. Parameters without a rating
+ * curve, and every parameter under CCME, are scored from their thresholds:
+ * 100 within them, 100 / (1 + excursion) outside, with the CCME excursion.
+ *
+ * Configurations are plain data, so they can be handed to the compute
+ * worker as they are.
+ */
+
+import { checkThresholds, resolveParameters } from './parameterRegistry';
+
+/**
+ * Lowest index of each quality band; anything below fair is poor
+ */
+export const DEFAULT_QUALITY_BANDS = { excellent: 80, good: 60, fair: 40 };
+
+/**
+ * Rating curves, [value, sub-index] points in increasing value order
+ *
+ * Shaped after the NSF WQI curves. The NSF index rates dissolved oxygen in
+ * percent saturation, temperature as a change from ambient and total
+ * dissolved solids rather than conductivity, so those curves are
+ * approximations in the units the sensors report.
+ */
+export const SUB_INDEX_CURVES = {
+  temperature: [[0, 60], [10, 90], [15, 100], [20, 95], [25, 80], [30, 55], [35, 30], [40, 10]],
+  pH: [[2, 0], [4, 5], [5, 20], [6, 55], [7, 90], [7.5, 93], [8, 82], [9, 47], [10, 20], [12, 0]],
+  turbidity: [[0, 98], [5, 82], [10, 70], [25, 50], [50, 35], [100, 17], [200, 5]],
+  dissolved_oxygen: [[0, 0], [2, 10], [4, 35], [6, 70], [8, 95], [9, 100], [14, 100], [20, 80]],
+  conductivity: [[0, 90], [250, 100], [500, 90], [1000, 70], [1500, 50], [3000, 20], [5000, 5]],
+  free_chlorine: [[0, 50], [0.2, 80], [0.5, 100], [2, 100], [4, 70], [6, 30], [10, 0]],
+  nitrate: [[0, 98], [1, 90], [5, 65], [10, 50], [20, 30], [50, 10], [100, 1]],
+  orp: [[-500, 0], [0, 10], [250, 60], [400, 90], [650, 100], [800, 90], [1000, 70]]
+};
+
+/**
+ * NSF weights of the sensor parameters; conductivity takes the weight of
+ * total dissolved solids
+ */
+export const NSF_WEIGHTS = {
+  dissolved_oxygen: 0.17,
+  pH: 0.11,
+  temperature: 0.10,
+  nitrate: 0.10,
+  turbidity: 0.08,
+  free_chlorine: 0.08,
+  conductivity: 0.07,
+  orp: 0.06
+};
+
+/**
+ * Index methods, with the bands their ratings use
+ *
+ * CCME's marginal category (45-64) is rated poor.
+ */
+export const WQI_METHODS = {
+  ccme: { label: 'CCME WQI', bands: { excellent: 95, good: 80, fair: 65 } },
+  nsf: { label: 'NSF-style WQI', bands: { excellent: 90, good: 70, fair: 50 } },
+  custom: { label: 'Custom WQI', bands: DEFAULT_QUALITY_BANDS }
+};
+
+// Excursion assigned when a value is too far off to measure relatively
+const MAX_EXCURSION = 99;
+
+/**
+ * Round an index to one decimal
+ * @param {number} value - Index
+ * @returns {number} - Rounded index
+ */
+const roundIndex = (value) => parseFloat(value.toFixed(1));
+
+/**
+ * Read a sub-index off a rating curve
+ * @param {Array} curve - [value, sub-index] points in increasing value order
+ * @param {number} value - Parameter value
+ * @returns {number} - Linear interpolation, held at the end points outside the curve
+ */
+export const interpolateCurve = (curve, value) => {
+  if (value <= curve[0][0]) return curve[0][1];
+  const last = curve[curve.length - 1];
+  if (value >= last[0]) return last[1];
+
+  const upper = curve.findIndex(([x]) => x >= value);
+  const [x0, y0] = curve[upper - 1];
+  const [x1, y1] = curve[upper];
+  return y0 + (y1 - y0) * (value - x0) / (x1 - x0);
+};
+
+/**
+ * CCME excursion of a value outside its parameter's thresholds
+ *
+ * How many times the value is off the objective, less one: value / max - 1
+ * above the maximum, min / value - 1 below the minimum. Objectives at or
+ * below zero use the absolute difference instead.
+ * @param {Object} definition - Parameter definition
+ * @param {number} value - Parameter value
+ * @returns {number} - Excursion, 0 within the thresholds
+ */
+export const calculateExcursion = (definition, value) => {
+  const direction = checkThresholds(definition, value);
+  if (!direction) return 0;
+
+  const objective = direction === 'high' ? definition.thresholds.max : definition.thresholds.min;
+  if (objective <= 0) return Math.min(Math.abs(value - objective), MAX_EXCURSION);
+  if (direction === 'low' && value <= 0) return MAX_EXCURSION;
+
+  const excursion = direction === 'high' ? value / objective - 1 : objective / value - 1;
+  return Math.min(excursion, MAX_EXCURSION);
+};
+
+/**
+ * Sub-index of a parameter from its thresholds
+ * @param {Object} definition - Parameter definition
+ * @param {number} value - Parameter value
+ * @returns {number} - 100 within the thresholds, 100 / (1 + excursion) outside
+ */
+export const thresholdSubIndex = (definition, value) => 100 / (1 + calculateExcursion(definition, value));
+
+/**
+ * Check a rating curve
+ * @param {string} key - Parameter key
+ * @param {Array} curve - Rating curve
+ */
+const validateCurve = (key, curve) => {
+  const valid = Array.isArray(curve) &&
+    curve.length >= 2 &&
+    curve.every((point, i) =>
+      Array.isArray(point) &&
+      Number.isFinite(point[0]) &&
+      Number.isFinite(point[1]) &&
+      (i === 0 || point[0] > curve[i - 1][0])
+    );
+  if (!valid) {
+    throw new Error(`Invalid sub-index curve for parameter: ${key}`);
+  }
+};
+
+/**
+ * Check an index configuration and work out what each parameter contributes
+ *
+ * Resolved configurations are returned as they are, so functions taking a
+ * configuration can be called per reading without resolving it again.
+ * @param {string|Object} config - Method name, or {method, weights, curves, bands}: weights and curves
+ *   per parameter key (merged over the NSF ones for 'nsf'), bands as in DEFAULT_QUALITY_BANDS
+ * @param {Object} options - Resolution options
+ * @param {Array} options.parameters - Parameter definitions (default: the parameter registry)
+ * @returns {Object} - {resolved, method, label, bands, parameters}; parameters hold the definitions
+ *   scored, each with its weight and curve (null to score from thresholds)
+ */
+export const resolveIndexConfig = (config, options = {}) => {
+  if (config && config.resolved) return config;
+
+  const { method, weights, curves = {}, bands = {} } = typeof config === 'string' ? { method: config } : (config || {});
+  if (!WQI_METHODS[method]) {
+    throw new Error(`Unsupported WQI method: ${method}`);
+  }
+  if (method === 'custom' && !weights) {
+    throw new Error('Custom WQI needs weights');
+  }
+
+  const weightTable = method === 'nsf' ? { ...NSF_WEIGHTS, ...weights } : { ...weights };
+  Object.keys(weightTable).forEach(key => {
+    if (!Number.isFinite(weightTable[key]) || weightTable[key] < 0) {
+      throw new Error(`Invalid weight for parameter: ${key}`);
+    }
+  });
+  Object.keys(curves).forEach(key => validateCurve(key, curves[key]));
+  const curveTable = { ...SUB_INDEX_CURVES, ...curves };
+
+  const qualityBands = { ...WQI_METHODS[method].bands, ...bands };
+  if (!(qualityBands.excellent > qualityBands.good && qualityBands.good > qualityBands.fair)) {
+    throw new Error('Quality bands must decrease from excellent to fair');
+  }
+
+  const definitions = resolveParameters(options.parameters);
+  const scored = method === 'ccme' ?
+    definitions
+      .filter(definition => definition.thresholds.min !== null || definition.thresholds.max !== null)
+      .map(definition => ({ ...definition, weight: 1, curve: null })) :
+    definitions
+      .filter(definition => weightTable[definition.key] > 0)
+      .map(definition => ({
+        ...definition,
+        weight: weightTable[definition.key],
+        curve: curveTable[definition.key] || null
+      }));
+
+  return {
+    resolved: true,
+    method,
+    label: WQI_METHODS[method].label,
+    bands: qualityBands,
+    parameters: scored
+  };
+};
+
+/**
+ * Parse a custom weights file
+ *
+ * The file is JSON: either {weights, curves, bands} or just the weights,
+ * e.g. {"dissolved_oxygen": 0.3, "turbidity": 0.2}.
+ * @param {string|Object} contents - File contents, or the parsed object
+ * @returns {Object} - Custom index configuration {method, weights, curves, bands}
+ */
+export const parseWeightsFile = (contents) => {
+  let parsed = contents;
+  if (typeof contents === 'string') {
+    try {
+      parsed = JSON.parse(contents);
+    } catch (err) {
+      throw new Error(`Invalid weights file: ${err.message}`);
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Invalid weights file: expected an object');
+  }
+
+  const config = parsed.weights ?
+    { method: 'custom', weights: parsed.weights, curves: parsed.curves, bands: parsed.bands } :
+    { method: 'custom', weights: parsed };
+  // Fail on bad weights now rather than on the first reading
+  resolveIndexConfig(config);
+  return config;
+};
+
+/**
+ * Sub-index of every scored parameter a reading has
+ * @param {Object} reading - Water quality reading
+ * @param {string|Object} config - Index configuration (see resolveIndexConfig)
+ * @param {Object} options - Resolution options (see resolveIndexConfig)
+ * @returns {Object} - 0-100 sub-index per parameter key
+ */
+export const calculateSubIndices = (reading, config, options = {}) => {
+  const { parameters } = resolveIndexConfig(config, options);
+
+  return parameters.reduce((subIndices, parameter) => {
+    const value = reading[parameter.key];
+    if (Number.isFinite(value)) {
+      subIndices[parameter.key] = roundIndex(parameter.curve ?
+        interpolateCurve(parameter.curve, value) :
+        thresholdSubIndex(parameter, value));
+    }
+    return subIndices;
+  }, {});
+};
+
+/**
+ * CCME factors and index of readings against already resolved parameters
+ * @param {Array} readings - Water quality readings
+ * @param {Array} parameters - Parameters with objectives
+ * @returns {Object} - See calculateCcmeIndex
+ */
+const scoreCcme = (readings, parameters) => {
+  const failedVariables = new Set();
+  const testedVariables = new Set();
+  let tests = 0;
+  let failedTests = 0;
+  let excursionSum = 0;
+
+  (readings || []).forEach(reading => {
+    parameters.forEach(parameter => {
+      const value = reading[parameter.key];
+      if (!Number.isFinite(value)) return;
+
+      tests++;
+      testedVariables.add(parameter.key);
+      if (checkThresholds(parameter, value)) {
+        failedTests++;
+        failedVariables.add(parameter.key);
+        excursionSum += calculateExcursion(parameter, value);
+      }
+    });
+  });
+
+  if (tests === 0) {
+    return {
+      index: null,
+      scope: 0,
+      frequency: 0,
+      amplitude: 0,
+      variables: 0,
+      failed_variables: 0,
+      tests: 0,
+      failed_tests: 0
+    };
+  }
+
+  const scope = failedVariables.size / testedVariables.size * 100;
+  const frequency = failedTests / tests * 100;
+  const normalizedExcursion = excursionSum / tests;
+  const amplitude = normalizedExcursion / (0.01 * normalizedExcursion + 0.01);
+  const index = 100 - Math.sqrt(scope * scope + frequency * frequency + amplitude * amplitude) / 1.732;
+
+  return {
+    index: roundIndex(Math.max(0, index)),
+    scope: roundIndex(scope),
+    frequency: roundIndex(frequency),
+    amplitude: roundIndex(amplitude),
+    variables: testedVariables.size,
+    failed_variables: failedVariables.size,
+    tests,
+    failed_tests: failedTests
+  };
+};
+
+/**
+ * CCME WQI of a set of readings
+ *
+ * F1 (scope) is the percentage of parameters that missed an objective at
+ * least once, F2 (frequency) the percentage of tests that did, and F3
+ * (amplitude) scales the average excursion to 0-100. The index is
+ * 100 - sqrt(F1² + F2² + F3²) / 1.732. CCME recommends at least four
+ * parameters sampled four times.
+ * @param {Array} readings - Water quality readings
+ * @param {Object} options - Resolution options (see resolveIndexConfig)
+ * @returns {Object} - {index, scope, frequency, amplitude, variables, failed_variables, tests, failed_tests};
+ *   index is null without tests
+ */
+export const calculateCcmeIndex = (readings, options = {}) =>
+  scoreCcme(readings, resolveIndexConfig('ccme', options).parameters);
+
+/**
+ * Quality index of one reading
+ * @param {Object} reading - Water quality reading
+ * @param {string|Object} config - Index configuration (see resolveIndexConfig)
+ * @param {Object} options - Resolution options (see resolveIndexConfig)
+ * @returns {Object} - {method, index, sub_indices}; index is null when no scored parameter was measured
+ */
+export const calculateReadingIndex = (reading, config, options = {}) => {
+  const resolved = resolveIndexConfig(config, options);
+  const subIndices = calculateSubIndices(reading, resolved);
+
+  let index = null;
+  if (resolved.method === 'ccme') {
+    index = scoreCcme([reading], resolved.parameters).index;
+  } else {
+    const scored = resolved.parameters.filter(parameter => subIndices[parameter.key] !== undefined);
+    const totalWeight = scored.reduce((sum, parameter) => sum + parameter.weight, 0);
+    if (totalWeight > 0) {
+      index = roundIndex(scored.reduce((sum, parameter) =>
+        sum + parameter.weight * subIndices[parameter.key], 0) / totalWeight);
+    }
+  }
+
+  return { method: resolved.method, index, sub_indices: subIndices };
+};
+
+/**
+ * Quality index to use for a reading
+ * @param {Object} reading - Water quality reading
+ * @param {string|Object|null} config - Index configuration, null to use the reported index
+ * @returns {number|null} - Computed index, or the reported one when none of its parameters were measured
+ */
+export const getQualityIndex = (reading, config) => {
+  const reported = reading.region_avg_quality_index ?? null;
+  if (!config) return reported;
+  return calculateReadingIndex(reading, config).index ?? reported;
+};
+
+/**
+ * Readings with the computed quality index
+ *
+ * Returns copies whose region_avg_quality_index is the computed index (the
+ * reported one when none of the parameters were measured), with a wqi field
+ * holding {method, index, sub_indices, reported}. The readings passed in
+ * are not changed.
+ * @param {Array} readings - Water quality readings
+ * @param {string|Object} config - Index configuration (see resolveIndexConfig)
+ * @param {Object} options - Resolution options (see resolveIndexConfig)
+ * @returns {Array} - Scored readings
+ */
+export const scoreReadings = (readings, config, options = {}) => {
+  const resolved = resolveIndexConfig(config, options);
+
+  return (readings || []).map(reading => {
+    const reported = reading.region_avg_quality_index ?? null;
+    const result = calculateReadingIndex(reading, resolved);
+    return {
+      ...reading,
+      region_avg_quality_index: result.index ?? reported,
+      wqi: { ...result, reported }
+    };
+  });
+};
+
+export default {
+  DEFAULT_QUALITY_BANDS,
+  SUB_INDEX_CURVES,
+  NSF_WEIGHTS,
+  WQI_METHODS,
+  interpolateCurve,
+  calculateExcursion,
+  thresholdSubIndex,
+  resolveIndexConfig,
+  parseWeightsFile,
+  calculateSubIndices,
+  calculateCcmeIndex,
+  calculateReadingIndex,
+  getQualityIndex,
+  scoreReadings
+};